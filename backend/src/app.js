@@ -18,8 +18,34 @@ app.use(cookieParser())
 import userRouter from "./routes/user.routes.js"
 import settingsRouter from "./routes/settings.routes.js"
 import profileRouter from "./routes/profiles.routes.js"
+import videoRouter from "./routes/video.routes.js"
+import mediaRouter from "./routes/media.routes.js"
+import jobRouter from "./routes/job.routes.js"
+import uploadRouter from "./routes/upload.routes.js"
+import analyticsRouter from "./routes/analytics.routes.js"
+import projectRouter from "./routes/project.routes.js"
+import commentRouter from "./routes/comment.routes.js"
+import notificationRouter from "./routes/notification.routes.js"
+import eventsRouter from "./routes/events.routes.js"
+import invitationRouter from "./routes/invitation.routes.js"
+import searchRouter from "./routes/search.routes.js"
+import exploreRouter from "./routes/explore.routes.js"
+import githubRouter from "./routes/github.routes.js"
 app.use("/api/v1/users", userRouter)
 app.use("/api/v1/settings", settingsRouter)
 app.use("/api/v1/profiles", profileRouter)
+app.use("/api/v1/videos", videoRouter)
+app.use("/api/v1/media", mediaRouter)
+app.use("/api/v1/jobs", jobRouter)
+app.use("/api/v1/uploads", uploadRouter)
+app.use("/api/v1/analytics", analyticsRouter)
+app.use("/api/v1/projects", projectRouter)
+app.use("/api/v1/comments", commentRouter)
+app.use("/api/v1/notifications", notificationRouter)
+app.use("/api/v1/events", eventsRouter)
+app.use("/api/v1/invitations", invitationRouter)
+app.use("/api/v1/search", searchRouter)
+app.use("/api/v1/explore", exploreRouter)
+app.use("/api/v1/github", githubRouter)
 
 export {app}
\ No newline at end of file
@@ -0,0 +1,323 @@
+import crypto from "crypto";
+import { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Video } from "../models/video.model.js";
+import { Project } from "../models/project.model.js";
+import { VideoView } from "../models/videoView.model.js";
+import { isProjectOwner } from "../utils/projectAccess.js";
+import { viewHashSecret } from "../utils/secrets.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A heartbeat can never claim more playback than this, whatever the client says
+const MAX_WATCH_PER_EVENT = 60;
+const DROP_OFF_BUCKETS = 20;
+
+const viewSettings = () => ({
+  minWatchSeconds: Number(process.env.VIEW_MIN_WATCH_SECONDS || 5),
+  dedupeWindowMs: Number(process.env.VIEW_DEDUPE_WINDOW_MINUTES || 30) * 60 * 1000,
+});
+
+const hashIp = (ip) =>
+  crypto
+    .createHmac("sha256", viewHashSecret())
+    .update(ip || "")
+    .digest("hex");
+
+const toSeconds = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : 0;
+};
+
+// Counts the session as a view once enough has been watched, unless the same
+// viewer (session, IP or account) already produced a view within the window
+const countViewOnce = async (view) => {
+  const { minWatchSeconds, dedupeWindowMs } = viewSettings();
+  const threshold = view.duration
+    ? Math.min(minWatchSeconds, view.duration / 2)
+    : minWatchSeconds;
+
+  if (view.counted || view.deduplicated || view.watchTime < threshold) {
+    return false;
+  }
+
+  const sameViewer = [{ sessionId: view.sessionId }, { ipHash: view.ipHash }];
+  if (view.viewer) sameViewer.push({ viewer: view.viewer });
+
+  const isDuplicate = await VideoView.exists({
+    _id: { $ne: view._id },
+    video: view.video,
+    counted: true,
+    countedAt: { $gte: new Date(Date.now() - dedupeWindowMs) },
+    $or: sameViewer,
+  });
+
+  // Guarded so two concurrent heartbeats cannot both count the same session
+  const claimed = await VideoView.findOneAndUpdate(
+    { _id: view._id, counted: false, deduplicated: false },
+    isDuplicate
+      ? { $set: { deduplicated: true } }
+      : { $set: { counted: true, countedAt: new Date() } }
+  );
+
+  if (!claimed || isDuplicate) return false;
+
+  await Video.findByIdAndUpdate(view.video, { $inc: { views: 1 } });
+  return true;
+};
+
+const recordPlayback = asyncHandler(async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const { sessionId } = req.body;
+
+    if (!isValidObjectId(videoId)) {
+      throw new ApiError(400, "Invalid video ID");
+    }
+
+    if (typeof sessionId !== "string" || !sessionId || sessionId.length > 64) {
+      throw new ApiError(400, "A sessionId is required");
+    }
+
+    const video = await Video.findById(videoId).select("project duration");
+    if (!video) {
+      throw new ApiError(404, "Video not found");
+    }
+
+    const position = toSeconds(req.body.position);
+    const watched = Math.min(toSeconds(req.body.watched), MAX_WATCH_PER_EVENT);
+
+    const view = await VideoView.findOneAndUpdate(
+      { video: video._id, sessionId },
+      {
+        $setOnInsert: {
+          project: video.project,
+          viewer: req.user?._id,
+          ipHash: hashIp(req.ip),
+        },
+        $inc: { watchTime: watched },
+        $max: { maxPosition: position },
+        $set: {
+          lastPosition: position,
+          duration: toSeconds(req.body.duration) || video.duration || 0,
+        },
+      },
+      { upsert: true, new: true }
+    );
+
+    const counted = await countViewOnce(view);
+
+    return res.json(
+      new ApiResponse(200, { counted }, "Playback recorded")
+    );
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    } else {
+      console.error("Error Recording Playback:", error);
+      throw new ApiError(500, "Internal Server Error while recording playback");
+    }
+  }
+});
+
+// Days without any playback still appear, with zeros, so charts have no gaps
+const fillDays = (series, since, days) => {
+  const byDate = new Map(series.map((point) => [point.date, point]));
+
+  return Array.from({ length: days }, (_, index) => {
+    const date = new Date(since.getTime() + index * DAY_MS)
+      .toISOString()
+      .slice(0, 10);
+    return byDate.get(date) || { date, views: 0, watchTime: 0 };
+  });
+};
+
+// Totals, daily views and where viewers stopped watching, for the sessions
+// of the given videos since the given date
+const summarizeViews = async (videoIds, since, days) => {
+  const countedViews = { $sum: { $cond: ["$counted", 1, 0] } };
+
+  const [result] = await VideoView.aggregate([
+    { $match: { video: { $in: videoIds }, createdAt: { $gte: since } } },
+    {
+      $addFields: {
+        completion: {
+          $cond: [
+            { $gt: ["$duration", 0] },
+            { $min: [1, { $divide: ["$maxPosition", "$duration"] }] },
+            0,
+          ],
+        },
+      },
+    },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              sessions: { $sum: 1 },
+              views: countedViews,
+              watchTime: { $sum: "$watchTime" },
+              avgCompletion: { $avg: "$completion" },
+              viewers: { $addToSet: { $ifNull: ["$viewer", "$ipHash"] } },
+            },
+          },
+          {
+            $project: {
+              _id: 0,
+              sessions: 1,
+              views: 1,
+              watchTime: 1,
+              avgCompletion: 1,
+              uniqueViewers: { $size: "$viewers" },
+            },
+          },
+        ],
+        viewsOverTime: [
+          {
+            $group: {
+              _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
+              views: countedViews,
+              watchTime: { $sum: "$watchTime" },
+            },
+          },
+          { $project: { _id: 0, date: "$_id", views: 1, watchTime: 1 } },
+        ],
+        // Sessions that ended before the last 5% are drop-offs
+        dropOff: [
+          { $match: { duration: { $gt: 0 }, completion: { $lt: 0.95 } } },
+          {
+            $group: {
+              _id: { $floor: { $multiply: ["$completion", DROP_OFF_BUCKETS] } },
+              sessions: { $sum: 1 },
+            },
+          },
+          { $sort: { _id: 1 } },
+        ],
+      },
+    },
+  ]);
+
+  return {
+    totals: result.totals[0] || {
+      sessions: 0,
+      views: 0,
+      watchTime: 0,
+      avgCompletion: 0,
+      uniqueViewers: 0,
+    },
+    viewsOverTime: fillDays(result.viewsOverTime, since, days),
+    dropOff: result.dropOff.map(({ _id, sessions }) => ({
+      from: _id / DROP_OFF_BUCKETS,
+      to: (_id + 1) / DROP_OFF_BUCKETS,
+      sessions,
+    })),
+  };
+};
+
+const parseRange = (query) => {
+  const days = Math.min(Math.max(parseInt(query.days) || 30, 1), 365);
+  const today = new Date();
+  today.setUTCHours(0, 0, 0, 0);
+  return { days, since: new Date(today.getTime() - (days - 1) * DAY_MS) };
+};
+
+const getVideoAnalytics = asyncHandler(async (req, res) => {
+  try {
+    const { videoId } = req.params;
+
+    if (!isValidObjectId(videoId)) {
+      throw new ApiError(400, "Invalid video ID");
+    }
+
+    const video = await Video.findById(videoId).select("title views duration owner project");
+    if (!video) {
+      throw new ApiError(404, "Video not found");
+    }
+
+    const project = video.project
+      ? await Project.findById(video.project).select("owners")
+      : null;
+
+    if (
+      video.owner?.toString() !== req.user._id.toString() &&
+      !isProjectOwner(project, req.user)
+    ) {
+      throw new ApiError(403, "Only the owners can see video analytics");
+    }
+
+    const { days, since } = parseRange(req.query);
+    const summary = await summarizeViews([video._id], since, days);
+
+    return res.json(
+      new ApiResponse(
+        200,
+        { video, days, ...summary },
+        "Video analytics fetched successfully"
+      )
+    );
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    } else {
+      console.error("Error Fetching Video Analytics:", error);
+      throw new ApiError(500, "Internal Server Error while fetching video analytics");
+    }
+  }
+});
+
+const getProjectAnalytics = asyncHandler(async (req, res) => {
+  try {
+    const { projectId } = req.params;
+
+    if (!isValidObjectId(projectId)) {
+      throw new ApiError(400, "Invalid project ID");
+    }
+
+    const project = await Project.findById(projectId).select("name owners videos");
+    if (!project) {
+      throw new ApiError(404, "Project not found");
+    }
+
+    if (!isProjectOwner(project, req.user)) {
+      throw new ApiError(403, "Only the owners can see project analytics");
+    }
+
+    const { days, since } = parseRange(req.query);
+    const videos = await Video.find({ _id: { $in: project.videos } }).select(
+      "title views duration"
+    );
+
+    const summary = await summarizeViews(project.videos, since, days);
+    const perVideo = await Promise.all(
+      videos.map(async (video) => ({
+        video,
+        ...(await summarizeViews([video._id], since, days)),
+      }))
+    );
+
+    return res.json(
+      new ApiResponse(
+        200,
+        {
+          project: { _id: project._id, name: project.name },
+          days,
+          ...summary,
+          videos: perVideo,
+        },
+        "Project analytics fetched successfully"
+      )
+    );
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    } else {
+      console.error("Error Fetching Project Analytics:", error);
+      throw new ApiError(500, "Internal Server Error while fetching project analytics");
+    }
+  }
+});
+
+export { recordPlayback, getVideoAnalytics, getProjectAnalytics };
@@ -0,0 +1,68 @@
+import { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Certification } from "../models/certification.model.js";
+import { uploadFile, deleteStoredFile } from "../utils/storage/index.js";
+import {
+  parseCertificationDetails,
+  assertValidCertificationDates,
+} from "../utils/certificationDetails.js";
+import { publish } from "../utils/eventBus.js";
+
+// Changes the details sent and, with a new `certificateImg`, replaces the
+// certificate image or PDF
+const updateCertification = asyncHandler(async (req, res) => {
+  try {
+    const { certificationId } = req.params;
+
+    if (!isValidObjectId(certificationId)) {
+      throw new ApiError(400, "Invalid certification ID");
+    }
+    if (!req.user.certifications.some((id) => id.toString() === certificationId)) {
+      throw new ApiError(404, "Certification not found in your certifications");
+    }
+
+    const certification = await Certification.findById(certificationId);
+    if (!certification) {
+      throw new ApiError(404, "Certification not found");
+    }
+
+    certification.set(parseCertificationDetails(req.body));
+    assertValidCertificationDates(certification);
+
+    const previousFile = certification.certificateImg;
+    const file = req.files?.certificateImg?.[0];
+    if (file) {
+      const uploaded = await uploadFile(file.path, { folder: "certificates" });
+      if (!uploaded) {
+        throw new ApiError(500, "Error uploading certificate");
+      }
+      certification.certificateImg = uploaded.url;
+      certification.certificateMimeType = file.mimetype;
+    }
+
+    await certification.save();
+
+    if (file && previousFile && previousFile !== certification.certificateImg) {
+      await deleteStoredFile({ url: previousFile });
+    }
+
+    publish(`profile:${req.user._id}`, "certifications.changed", {
+      certificationId: certification._id,
+    });
+
+    return res.json(
+      new ApiResponse(200, certification, "Certification updated successfully")
+    );
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    } else {
+      console.error("Error Updating Certification:", error);
+      throw new ApiError(500, "Internal Server Error while updating certification");
+    }
+  }
+});
+
+export { updateCertification };
@@ -0,0 +1,406 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Comment } from "../models/comment.model.js";
+import { Project } from "../models/project.model.js";
+import { Video } from "../models/video.model.js";
+import { Notification } from "../models/notification.model.js";
+import { canEditProject, isProjectOwner } from "../utils/projectAccess.js";
+import { notify, projectLink } from "../utils/notifications.js";
+import { publish } from "../utils/eventBus.js";
+
+const MAX_COMMENT_LENGTH = 2000;
+
+// Author details shown next to every comment
+const withAuthor = [
+  {
+    $lookup: {
+      from: "users",
+      localField: "author",
+      foreignField: "_id",
+      as: "author",
+      pipeline: [{ $project: { username: 1, fullname: 1, profilePic: 1 } }],
+    },
+  },
+  { $unwind: { path: "$author", preserveNullAndEmptyArrays: true } },
+];
+
+const findProject = async (projectId) => {
+  if (!isValidObjectId(projectId)) {
+    throw new ApiError(400, "Invalid project ID");
+  }
+
+  const project = await Project.findById(projectId).select("name slug owners ownerRoles videos");
+  if (!project) {
+    throw new ApiError(404, "Project not found");
+  }
+
+  return project;
+};
+
+const findComment = async (commentId) => {
+  if (!isValidObjectId(commentId)) {
+    throw new ApiError(400, "Invalid comment ID");
+  }
+
+  const comment = await Comment.findById(commentId);
+  if (!comment) {
+    throw new ApiError(404, "Comment not found");
+  }
+
+  return comment;
+};
+
+// Form-encoded bodies send "true" and "false", so Boolean() would read both as true
+const parseFlag = (value, name) => {
+  if (value === true || value === "true") return true;
+  if (value === false || value === "false") return false;
+  throw new ApiError(400, `${name} must be true or false`);
+};
+
+const parseBody = (body) => {
+  const text = typeof body === "string" ? body.trim() : "";
+
+  if (!text) {
+    throw new ApiError(400, "Comment cannot be empty");
+  }
+  if (text.length > MAX_COMMENT_LENGTH) {
+    throw new ApiError(400, `Comments are limited to ${MAX_COMMENT_LENGTH} characters`);
+  }
+
+  return text;
+};
+
+// Checks that a note points at a video of the project and at a moment inside it
+const parseVideoAnchor = async (project, videoId, timestamp) => {
+  if (!isValidObjectId(videoId) || !project.videos.some((id) => id.equals(videoId))) {
+    throw new ApiError(400, "The video does not belong to this project");
+  }
+
+  const seconds = Number(timestamp);
+  if (timestamp === undefined || timestamp === null || !Number.isFinite(seconds) || seconds < 0) {
+    throw new ApiError(400, "A timestamp in seconds is required for video comments");
+  }
+
+  const video = await Video.findById(videoId).select("duration");
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+  if (video.duration && seconds > video.duration) {
+    throw new ApiError(400, "The timestamp is past the end of the video");
+  }
+
+  return { video: video._id, timestamp: Math.round(seconds * 10) / 10 };
+};
+
+// Lets open project pages refresh their comments and video markers
+const publishCommentChange = (comment) =>
+  publish(`project:${comment.project}`, "comments.changed", {
+    commentId: comment._id,
+    videoId: comment.video,
+  });
+
+const paginationOptions = (query) => ({
+  page: parseInt(query.page) || 1,
+  limit: Math.min(parseInt(query.limit) || 10, 50),
+});
+
+// Replies notify the author of the comment answered, new threads the owners
+const notifyAboutComment = async (project, comment, parent, author) => {
+  const name = author.fullname || author.username;
+  const link = await projectLink(project);
+
+  const notifications = parent
+    ? [
+        {
+          recipient: parent.author,
+          type: "commentReply",
+          text: `${name} replied to your comment on ${project.name}: ${comment.body}`,
+        },
+      ]
+    : project.owners.map((owner) => ({
+        recipient: owner,
+        type: "projectComment",
+        text: `${name} commented on ${project.name}: ${comment.body}`,
+      }));
+
+  await Promise.all(
+    notifications.map((notification) =>
+      notify({
+        ...notification,
+        actor: author._id,
+        link,
+        project: project._id,
+        comment: comment._id,
+      })
+    )
+  );
+};
+
+// Top-level comments, pinned first and then newest first. With `videoId` only
+// the notes on that video are listed, in playback order. Hidden comments are
+// only listed for the project's admins and editors, who moderate them.
+const getProjectComments = asyncHandler(async (req, res) => {
+  try {
+    const project = await findProject(req.params.projectId);
+    const isOwner = isProjectOwner(project, req.user);
+    const canModerate = canEditProject(project, req.user);
+    const { videoId } = req.query;
+
+    const match = { project: project._id, thread: null };
+    if (!canModerate) {
+      match.isHidden = false;
+    }
+
+    let sort = { isPinned: -1, createdAt: -1 };
+    if (videoId) {
+      if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid video ID");
+      }
+      match.video = new mongoose.Types.ObjectId(videoId);
+      match.isDeleted = false;
+      sort = { timestamp: 1, createdAt: 1 };
+    }
+
+    const comments = await Comment.aggregatePaginate(
+      Comment.aggregate([
+        { $match: match },
+        { $sort: sort },
+        ...withAuthor,
+      ]),
+      paginationOptions(req.query)
+    );
+
+    return res.json(
+      new ApiResponse(
+        200,
+        { ...comments, isOwner, canModerate },
+        "Comments fetched successfully"
+      )
+    );
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    } else {
+      console.error("Error Fetching Comments:", error);
+      throw new ApiError(500, "Internal Server Error while fetching comments");
+    }
+  }
+});
+
+// Replies of a thread in the order they were written. A hidden thread is
+// only readable by the moderators who can see it in the listing; a deleted
+// one stays readable, it is blanked precisely to keep its replies.
+const getCommentReplies = asyncHandler(async (req, res) => {
+  try {
+    const comment = await findComment(req.params.commentId);
+    const project = await findProject(comment.project);
+    const canModerate = canEditProject(project, req.user);
+
+    if (comment.isHidden && !canModerate) {
+      throw new ApiError(404, "Comment not found");
+    }
+
+    const match = { thread: comment._id };
+    if (!canModerate) {
+      match.isHidden = false;
+    }
+
+    const replies = await Comment.aggregatePaginate(
+      Comment.aggregate([
+        { $match: match },
+        { $sort: { createdAt: 1 } },
+        ...withAuthor,
+        // Who a nested reply answers, when it is not the thread's first comment
+        {
+          $lookup: {
+            from: "comments",
+            localField: "parent",
+            foreignField: "_id",
+            as: "replyingTo",
+            pipeline: [
+              { $match: { thread: { $ne: null } } },
+              ...withAuthor,
+              { $project: { _id: 1, username: "$author.username" } },
+            ],
+          },
+        },
+        { $unwind: { path: "$replyingTo", preserveNullAndEmptyArrays: true } },
+      ]),
+      paginationOptions(req.query)
+    );
+
+    return res.json(new ApiResponse(200, replies, "Replies fetched successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    } else {
+      console.error("Error Fetching Replies:", error);
+      throw new ApiError(500, "Internal Server Error while fetching replies");
+    }
+  }
+});
+
+const addComment = asyncHandler(async (req, res) => {
+  try {
+    const project = await findProject(req.params.projectId);
+    const body = parseBody(req.body.body);
+    const { parentId, videoId, timestamp } = req.body;
+
+    if (parentId && videoId) {
+      throw new ApiError(400, "Replies cannot be anchored to a video");
+    }
+
+    let parent = null;
+    if (parentId) {
+      parent = await findComment(parentId);
+
+      if (!parent.project.equals(project._id)) {
+        throw new ApiError(400, "Replies must belong to the same project");
+      }
+      if (parent.isDeleted || parent.isHidden) {
+        throw new ApiError(400, "This comment can no longer be replied to");
+      }
+    }
+
+    const comment = await Comment.create({
+      project: project._id,
+      author: req.user._id,
+      thread: parent ? parent.thread || parent._id : null,
+      parent: parent?._id || null,
+      ...(videoId ? await parseVideoAnchor(project, videoId, timestamp) : {}),
+      body,
+    });
+
+    if (comment.thread) {
+      await Comment.findByIdAndUpdate(comment.thread, { $inc: { replyCount: 1 } });
+    }
+
+    await notifyAboutComment(project, comment, parent, req.user);
+    publishCommentChange(comment);
+    await comment.populate("author", "username fullname profilePic");
+
+    return res
+      .status(201)
+      .json(new ApiResponse(201, comment, "Comment added successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    } else {
+      console.error("Error Adding Comment:", error);
+      throw new ApiError(500, "Internal Server Error while adding comment");
+    }
+  }
+});
+
+const updateComment = asyncHandler(async (req, res) => {
+  try {
+    const comment = await findComment(req.params.commentId);
+
+    if (!comment.author.equals(req.user._id)) {
+      throw new ApiError(403, "Only the author can edit this comment");
+    }
+    if (comment.isDeleted) {
+      throw new ApiError(400, "Deleted comments cannot be edited");
+    }
+
+    comment.body = parseBody(req.body.body);
+    comment.editedAt = new Date();
+    await comment.save();
+    publishCommentChange(comment);
+    await comment.populate("author", "username fullname profilePic");
+
+    return res.json(new ApiResponse(200, comment, "Comment updated successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    } else {
+      console.error("Error Updating Comment:", error);
+      throw new ApiError(500, "Internal Server Error while updating comment");
+    }
+  }
+});
+
+// A thread starter with replies is blanked instead of removed so the
+// conversation under it survives
+const deleteComment = asyncHandler(async (req, res) => {
+  try {
+    const comment = await findComment(req.params.commentId);
+
+    if (!comment.author.equals(req.user._id)) {
+      throw new ApiError(403, "Only the author can delete this comment");
+    }
+
+    if (!comment.thread && comment.replyCount > 0) {
+      comment.body = "";
+      comment.isDeleted = true;
+      comment.isPinned = false;
+      await comment.save();
+      publishCommentChange(comment);
+
+      return res.json(new ApiResponse(200, comment, "Comment deleted successfully"));
+    }
+
+    await Comment.findByIdAndDelete(comment._id);
+    await Notification.deleteMany({ comment: comment._id });
+    publishCommentChange(comment);
+    if (comment.thread) {
+      await Comment.findByIdAndUpdate(comment.thread, { $inc: { replyCount: -1 } });
+    }
+
+    return res.json(new ApiResponse(200, {}, "Comment deleted successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    } else {
+      console.error("Error Deleting Comment:", error);
+      throw new ApiError(500, "Internal Server Error while deleting comment");
+    }
+  }
+});
+
+// Project admins and editors can hide any comment and pin top-level ones
+const moderateComment = asyncHandler(async (req, res) => {
+  try {
+    const comment = await findComment(req.params.commentId);
+    const project = await findProject(comment.project);
+    const { isHidden, isPinned } = req.body;
+
+    if (!canEditProject(project, req.user)) {
+      throw new ApiError(403, "Only project admins and editors can moderate comments");
+    }
+
+    if (isHidden !== undefined) {
+      comment.isHidden = parseFlag(isHidden, "isHidden");
+    }
+
+    if (isPinned !== undefined) {
+      if (comment.thread || comment.isDeleted) {
+        throw new ApiError(400, "Only top-level comments can be pinned");
+      }
+      comment.isPinned = parseFlag(isPinned, "isPinned");
+    }
+
+    await comment.save();
+    publishCommentChange(comment);
+
+    return res.json(new ApiResponse(200, comment, "Comment moderated successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    } else {
+      console.error("Error Moderating Comment:", error);
+      throw new ApiError(500, "Internal Server Error while moderating comment");
+    }
+  }
+});
+
+export {
+  getProjectComments,
+  getCommentReplies,
+  addComment,
+  updateComment,
+  deleteComment,
+  moderateComment,
+};
@@ -0,0 +1,75 @@
+import jwt from "jsonwebtoken";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { subscribe } from "../utils/eventBus.js";
+
+const MAX_CHANNELS = 20;
+const HEARTBEAT_MS = 25000;
+const PUBLIC_CHANNEL = /^(profile|project):[a-f0-9]{24}$/;
+
+// Server-Sent Events stream. `channels` lists the public profile and project
+// channels to follow; signed-in users also get their private channel, which
+// is delivered to the client as "me".
+const streamEvents = asyncHandler(async (req, res) => {
+  const channels = [
+    ...new Set(
+      String(req.query.channels || "")
+        .split(",")
+        .map((channel) => channel.trim())
+        .filter(Boolean)
+    ),
+  ];
+
+  if (channels.length > MAX_CHANNELS) {
+    throw new ApiError(400, `At most ${MAX_CHANNELS} channels can be followed at once`);
+  }
+
+  const invalid = channels.find((channel) => !PUBLIC_CHANNEL.test(channel));
+  if (invalid) {
+    throw new ApiError(400, `Unknown channel ${invalid}`);
+  }
+
+  const privateChannel = req.user ? `user:${req.user._id}` : null;
+  if (privateChannel) {
+    channels.push(privateChannel);
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  let eventId = 0;
+  const send = (channel, event) => {
+    const data = { ...event, channel: channel === privateChannel ? "me" : channel };
+    res.write(`id: ${++eventId}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Tells the browser to wait a few seconds before reconnecting after a drop
+  res.write("retry: 5000\n\n");
+  send("ready", { type: "ready", payload: { signedIn: Boolean(req.user) } });
+
+  const unsubscribe = subscribe(channels, send);
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+
+  // The stream must not outlive the access token it was opened with; the
+  // client reconnects and the cookie is checked again
+  let expiry = null;
+  const token =
+    req.cookies?.accessToken || req.header("Authorization")?.replace("Bearer ", "");
+  const expiresAt = req.user && token ? jwt.decode(token)?.exp : null;
+  if (expiresAt) {
+    expiry = setTimeout(() => res.end(), Math.max(expiresAt * 1000 - Date.now(), 0));
+  }
+
+  req.on("close", () => {
+    unsubscribe();
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+  });
+});
+
+export { streamEvents };
@@ -0,0 +1,169 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Project } from "../models/project.model.js";
+import { exactMatch } from "../utils/search.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Trending ranking: watches from the last TRENDING_WINDOW_DAYS, each worth
+// half as much every WATCH_HALF_LIFE_DAYS, plus GitHub stars on a log scale
+// and a boost for new projects that halves every RECENCY_HALF_LIFE_DAYS
+const TRENDING_WINDOW_DAYS = 30;
+const WATCH_HALF_LIFE_DAYS = 7;
+const RECENCY_HALF_LIFE_DAYS = 14;
+const TRENDING_WEIGHTS = { watches: 1, stars: 1, recency: 2 };
+
+const COLLECTION_COUNT = 12;
+
+// Clamped like parseListOptions, a page below 1 would become a negative $skip
+const paginationOptions = (query) => ({
+  page: Math.max(parseInt(query.page) || 1, 1),
+  limit: Math.min(Math.max(parseInt(query.limit) || 12, 1), 50),
+});
+
+// Narrows a listing to one domain or tech stack collection
+const collectionMatch = ({ domain, techStack }) => ({
+  ...(typeof domain === "string" && domain.trim() && { domain: exactMatch(domain.trim()) }),
+  ...(typeof techStack === "string" &&
+    techStack.trim() && { techStack: exactMatch(techStack.trim()) }),
+});
+
+// 1 now, 0.5 after one half-life, 0.25 after two...
+const decay = (date, halfLifeDays) => ({
+  $pow: [0.5, { $divide: [{ $subtract: ["$$NOW", date] }, halfLifeDays * DAY] }],
+});
+
+// What an explore card shows
+const projectCard = [
+  {
+    $lookup: {
+      from: "users",
+      localField: "owners",
+      foreignField: "_id",
+      as: "owners",
+      pipeline: [{ $project: { username: 1, fullname: 1, profilePic: 1 } }],
+    },
+  },
+  {
+    $project: {
+      name: 1,
+      slug: 1,
+      thumbnail: 1,
+      description: 1,
+      domain: 1,
+      techStack: 1,
+      stars: 1,
+      ratingAverage: 1,
+      ratingCount: 1,
+      owners: 1,
+      createdAt: 1,
+      recentWatchCount: 1,
+      trendingScore: 1,
+    },
+  },
+];
+
+const listProjects = (label, buildPipeline) =>
+  asyncHandler(async (req, res) => {
+    try {
+      const projects = await Project.aggregatePaginate(
+        Project.aggregate(buildPipeline(collectionMatch(req.query))),
+        paginationOptions(req.query)
+      );
+
+      return res.json(new ApiResponse(200, projects, `${label} projects fetched successfully`));
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      } else {
+        console.error(`Error Fetching ${label} Projects:`, error);
+        throw new ApiError(500, `Internal Server Error while fetching ${label.toLowerCase()} projects`);
+      }
+    }
+  });
+
+const getTrendingProjects = listProjects("Trending", (match) => [
+  { $match: match },
+  {
+    $lookup: {
+      from: "projectwatches",
+      localField: "_id",
+      foreignField: "project",
+      as: "recentWatches",
+      pipeline: [
+        { $match: { createdAt: { $gte: new Date(Date.now() - TRENDING_WINDOW_DAYS * DAY) } } },
+        { $project: { _id: 0, weight: decay("$createdAt", WATCH_HALF_LIFE_DAYS) } },
+      ],
+    },
+  },
+  {
+    $addFields: {
+      recentWatchCount: { $size: "$recentWatches" },
+      trendingScore: {
+        $add: [
+          { $multiply: [TRENDING_WEIGHTS.watches, { $sum: "$recentWatches.weight" }] },
+          {
+            $multiply: [
+              TRENDING_WEIGHTS.stars,
+              { $log10: { $add: [1, { $ifNull: ["$stars", 0] }] } },
+            ],
+          },
+          { $multiply: [TRENDING_WEIGHTS.recency, decay("$createdAt", RECENCY_HALF_LIFE_DAYS)] },
+        ],
+      },
+    },
+  },
+  { $sort: { trendingScore: -1, createdAt: -1, _id: -1 } },
+  ...projectCard,
+]);
+
+const getNewestProjects = listProjects("Newest", (match) => [
+  { $match: match },
+  { $sort: { createdAt: -1, _id: -1 } },
+  ...projectCard,
+]);
+
+// The largest domains and tech stacks, each with the thumbnail of its newest
+// project as a cover. Their projects are listed by the trending and newest
+// endpoints with `domain` or `techStack`.
+const collectionsOf = (path) => [
+  { $unwind: `$${path}` },
+  { $match: { [path]: { $nin: [null, ""] } } },
+  { $sort: { createdAt: -1 } },
+  {
+    $group: {
+      _id: { $toLower: `$${path}` },
+      name: { $first: `$${path}` },
+      count: { $sum: 1 },
+      thumbnail: { $first: "$thumbnail" },
+    },
+  },
+  { $sort: { count: -1, _id: 1 } },
+  { $limit: COLLECTION_COUNT },
+  { $project: { _id: 0, value: "$name", count: 1, thumbnail: 1 } },
+];
+
+const getCollections = asyncHandler(async (req, res) => {
+  try {
+    const [collections] = await Project.aggregate([
+      {
+        $facet: {
+          domains: collectionsOf("domain"),
+          techStacks: collectionsOf("techStack"),
+        },
+      },
+    ]);
+
+    return res.json(new ApiResponse(200, collections, "Collections fetched successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    } else {
+      console.error("Error Fetching Collections:", error);
+      throw new ApiError(500, "Internal Server Error while fetching collections");
+    }
+  }
+});
+
+export { getTrendingProjects, getNewestProjects, getCollections };
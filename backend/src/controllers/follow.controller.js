@@ -0,0 +1,127 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { User } from "../models/user.model.js";
+import { Follow } from "../models/follow.model.js";
+import { Activity } from "../models/activity.model.js";
+import { getFollowStats } from "../utils/follows.js";
+import { notify } from "../utils/notifications.js";
+
+const findUser = async (username) => {
+  const user = await User.findOne({ username }).select("_id username");
+
+  if (!user) {
+    throw new ApiError(404, `User with username ${username} not found`);
+  }
+
+  return user;
+};
+
+const followUser = asyncHandler(async (req, res) => {
+  try {
+    const user = await findUser(req.params.username);
+
+    if (user._id.equals(req.user._id)) {
+      throw new ApiError(400, "You cannot follow yourself");
+    }
+
+    const result = await Follow.updateOne(
+      { follower: req.user._id, following: user._id },
+      { $setOnInsert: { follower: req.user._id, following: user._id } },
+      { upsert: true }
+    );
+
+    // Only a new follow is news, not following again
+    if (result.upsertedCount) {
+      await notify({
+        recipient: user._id,
+        actor: req.user._id,
+        type: "newFollower",
+        text: `${req.user.fullname || req.user.username} started following you`,
+        link: `/user/${req.user.username}/home`,
+      });
+    }
+
+    return res.json(
+      new ApiResponse(200, await getFollowStats(user, req.user), `You are now following ${user.username}`)
+    );
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    } else {
+      console.error("Error Following User:", error);
+      throw new ApiError(500, "Internal Server Error while following user");
+    }
+  }
+});
+
+const unfollowUser = asyncHandler(async (req, res) => {
+  try {
+    const user = await findUser(req.params.username);
+
+    const follow = await Follow.findOneAndDelete({
+      follower: req.user._id,
+      following: user._id,
+    });
+    if (!follow) {
+      throw new ApiError(404, `You are not following ${user.username}`);
+    }
+
+    return res.json(
+      new ApiResponse(200, await getFollowStats(user, req.user), `You unfollowed ${user.username}`)
+    );
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    } else {
+      console.error("Error Unfollowing User:", error);
+      throw new ApiError(500, "Internal Server Error while unfollowing user");
+    }
+  }
+});
+
+const lookupOne = (from, localField, fields) => [
+  {
+    $lookup: {
+      from,
+      localField,
+      foreignField: "_id",
+      as: localField,
+      pipeline: [{ $project: fields }],
+    },
+  },
+  { $unwind: { path: `$${localField}`, preserveNullAndEmptyArrays: true } },
+];
+
+// What the people the user follows did lately, newest first
+const getFeed = asyncHandler(async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+    const following = await Follow.find({ follower: req.user._id }).distinct("following");
+
+    const feed = await Activity.aggregatePaginate(
+      Activity.aggregate([
+        { $match: { actor: { $in: following } } },
+        { $sort: { createdAt: -1 } },
+        ...lookupOne("users", "actor", { username: 1, fullname: 1, profilePic: 1, resume: 1 }),
+        ...lookupOne("projects", "project", { name: 1, slug: 1, thumbnail: 1, description: 1 }),
+        ...lookupOne("videos", "video", { title: 1, thumbnail: 1, duration: 1 }),
+        ...lookupOne("certifications", "certification", { title: 1, certificateImg: 1 }),
+      ]),
+      { page, limit }
+    );
+
+    return res.json(new ApiResponse(200, feed, "Feed fetched successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    } else {
+      console.error("Error Fetching Feed:", error);
+      throw new ApiError(500, "Internal Server Error while fetching feed");
+    }
+  }
+});
+
+export { followUser, unfollowUser, getFeed };
@@ -0,0 +1,175 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Project } from "../models/project.model.js";
+import { withProjectSlug } from "../utils/projectSlugs.js";
+import { recordActivity } from "../utils/activity.js";
+import { publish } from "../utils/eventBus.js";
+import {
+  fetchGithubRepos,
+  fetchRepoLanguages,
+  languagesToTechStack,
+  repoToProjectDraft,
+} from "../utils/github.js";
+
+const MAX_IMPORT = 20;
+
+const requireGithubId = (user) => {
+  if (!user.githubId) {
+    throw new ApiError(400, "Add your GitHub ID to your profile to import repositories");
+  }
+  return user.githubId;
+};
+
+// The user's projects made from these repositories, by repoId
+const importedProjects = async (user, repoIds) => {
+  const projects = await Project.find({ owners: user._id, repoId: { $in: repoIds } }).select(
+    "repoId name slug"
+  );
+  return new Map(projects.map((project) => [project.repoId, project]));
+};
+
+// Null when no stack was sent, null included, which leaves it to the languages
+const toTechStack = (value) => {
+  if (value === undefined || value === null) return null;
+
+  return (Array.isArray(value) ? value : String(value).split(","))
+    .map((tech) => String(tech).trim())
+    .filter(Boolean);
+};
+
+// Lists the user's GitHub repositories as pre-filled projects, marking the
+// ones already imported
+const listGithubRepos = asyncHandler(async (req, res) => {
+  try {
+    const githubId = requireGithubId(req.user);
+    const drafts = (await fetchGithubRepos(githubId)).map((repo) => repoToProjectDraft(repo));
+    const imported = await importedProjects(
+      req.user,
+      drafts.map((draft) => draft.repoId)
+    );
+
+    const repos = drafts.map((draft) => {
+      const project = imported.get(draft.repoId);
+      return {
+        ...draft,
+        importedProject: project ? { _id: project._id, name: project.name, slug: project.slug } : null,
+      };
+    });
+
+    return res.json(new ApiResponse(200, { githubId, repos }, "GitHub repositories fetched successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    } else {
+      console.error("Error Fetching GitHub Repositories:", error);
+      throw new ApiError(500, "Internal Server Error while fetching GitHub repositories");
+    }
+  }
+});
+
+// Creates a project from each selected repository. `repos` is a list of
+// `{ repoId }`, optionally with the name, description, domain or techStack
+// the user changed. Everything else comes from GitHub itself, and the tech
+// stack defaults to the repository's languages. Repositories the user has
+// already imported are skipped.
+const importGithubRepos = asyncHandler(async (req, res) => {
+  try {
+    const user = req.user;
+    const selected = req.body?.repos;
+
+    if (!Array.isArray(selected) || selected.length === 0) {
+      throw new ApiError(400, "Select at least one repository to import");
+    }
+    if (selected.length > MAX_IMPORT) {
+      throw new ApiError(400, `Up to ${MAX_IMPORT} repositories can be imported at once`);
+    }
+
+    const repos = new Map(
+      (await fetchGithubRepos(requireGithubId(user))).map((repo) => [String(repo.id), repo])
+    );
+    const choices = new Map(selected.map((choice) => [String(choice?.repoId), choice]));
+    for (const repoId of choices.keys()) {
+      if (!repos.has(repoId)) {
+        throw new ApiError(404, `Repository ${repoId} is not one of your GitHub repositories`);
+      }
+    }
+
+    const imported = await importedProjects(user, [...choices.keys()]);
+    const created = [];
+    const skipped = [];
+
+    // One at a time, so each slug is checked against the projects before it
+    for (const [repoId, choice] of choices) {
+      const repo = repos.get(repoId);
+      if (imported.has(repoId)) {
+        skipped.push({ repoId, name: repo.name, reason: "Already imported" });
+        continue;
+      }
+
+      let techStack = toTechStack(choice.techStack);
+      if (!techStack) {
+        // A repository without a language breakdown still gets its main language
+        const languages = await fetchRepoLanguages(repo).catch((error) => {
+          console.error(`Error fetching languages of ${repo.full_name}:`, error);
+          return null;
+        });
+        techStack = languagesToTechStack(languages, repo.language);
+      }
+
+      const draft = repoToProjectDraft(repo, techStack);
+      const name = typeof choice.name === "string" && choice.name.trim() ? choice.name.trim() : draft.name;
+
+      const project = new Project({
+        repoId,
+        name,
+        url: draft.url,
+        description: typeof choice.description === "string" ? choice.description.trim() : draft.description,
+        domain: typeof choice.domain === "string" ? choice.domain.trim() : "",
+        techStack: draft.techStack,
+        stars: draft.stars,
+        owners: [user._id],
+        ownerRoles: [{ user: user._id, role: "admin" }],
+        videos: [],
+        images: [],
+        thumbnail: "",
+      });
+      await withProjectSlug(project, () => project.save());
+      created.push(project);
+    }
+
+    if (created.length) {
+      user.projects.push(...created.map((project) => project._id));
+      await user.save();
+      await Promise.all(
+        created.map((project) =>
+          recordActivity({ actor: user._id, type: "projectAdded", project: project._id })
+        )
+      );
+      publish(`profile:${user._id}`, "projects.changed", {
+        projectIds: created.map((project) => project._id),
+      });
+    }
+
+    return res
+      .status(created.length ? 201 : 200)
+      .json(
+        new ApiResponse(
+          created.length ? 201 : 200,
+          { projects: created, skipped },
+          created.length
+            ? `${created.length} project${created.length === 1 ? "" : "s"} imported from GitHub`
+            : "No new repositories to import"
+        )
+      );
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    } else {
+      console.error("Error Importing GitHub Repositories:", error);
+      throw new ApiError(500, "Internal Server Error while importing GitHub repositories");
+    }
+  }
+});
+
+export { listGithubRepos, importGithubRepos };
@@ -0,0 +1,274 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { ProjectInvitation } from "../models/projectInvitation.model.js";
+import { Project } from "../models/project.model.js";
+import { User } from "../models/user.model.js";
+import { findProjectForAdmin } from "../utils/projectAccess.js";
+import { inviteToProject } from "../utils/projectInvitations.js";
+import { notify, projectLink } from "../utils/notifications.js";
+import { withProjectSlug } from "../utils/projectSlugs.js";
+import { publish } from "../utils/eventBus.js";
+
+const userLookup = (field) => [
+  {
+    $lookup: {
+      from: "users",
+      localField: field,
+      foreignField: "_id",
+      as: field,
+      pipeline: [{ $project: { username: 1, fullname: 1, profilePic: 1 } }],
+    },
+  },
+  { $unwind: { path: `$${field}`, preserveNullAndEmptyArrays: true } },
+];
+
+// Loads an invitation that is still waiting for an answer
+const findPendingInvitation = async (invitationId) => {
+  if (!isValidObjectId(invitationId)) {
+    throw new ApiError(400, "Invalid invitation ID");
+  }
+
+  const invitation = await ProjectInvitation.findById(invitationId);
+  if (!invitation) {
+    throw new ApiError(404, "Invitation not found");
+  }
+  if (invitation.status !== "pending") {
+    throw new ApiError(400, `This invitation has already been ${invitation.status}`);
+  }
+
+  return invitation;
+};
+
+const findOwnInvitation = async (invitationId, user) => {
+  const invitation = await findPendingInvitation(invitationId);
+
+  if (!invitation.invitee.equals(user._id)) {
+    throw new ApiError(403, "This invitation is for someone else");
+  }
+
+  return invitation;
+};
+
+const notifyInviter = async (invitation, project, invitee, answer) =>
+  notify({
+    recipient: invitation.inviter,
+    actor: invitee._id,
+    type: "invitationResponse",
+    text: `${invitee.fullname || invitee.username} ${answer} your invitation to co-own ${project.name}`,
+    link: await projectLink(project),
+    project: project._id,
+  });
+
+const inviteOwner = asyncHandler(async (req, res) => {
+  try {
+    const project = await findProjectForAdmin(req.params.projectId, req.user);
+    const { username, role } = req.body;
+
+    if (!username) {
+      throw new ApiError(400, "Username is required");
+    }
+
+    const invitee = await User.findOne({ username }).select("username fullname");
+    if (!invitee) {
+      throw new ApiError(404, `User with username ${username} not found`);
+    }
+
+    const invitation = await inviteToProject({
+      project,
+      inviter: req.user,
+      invitee,
+      role,
+    });
+
+    return res
+      .status(201)
+      .json(new ApiResponse(201, invitation, `${invitee.username} has been invited`));
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    } else {
+      console.error("Error Inviting Owner:", error);
+      throw new ApiError(500, "Internal Server Error while inviting owner");
+    }
+  }
+});
+
+// Invitations of a project that have not been answered yet, for its admins
+const getProjectInvitations = asyncHandler(async (req, res) => {
+  try {
+    const project = await findProjectForAdmin(req.params.projectId, req.user);
+
+    const invitations = await ProjectInvitation.aggregate([
+      { $match: { project: project._id, status: "pending" } },
+      { $sort: { createdAt: -1 } },
+      ...userLookup("invitee"),
+      ...userLookup("inviter"),
+    ]);
+
+    return res.json(
+      new ApiResponse(200, invitations, "Project invitations fetched successfully")
+    );
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    } else {
+      console.error("Error Fetching Project Invitations:", error);
+      throw new ApiError(500, "Internal Server Error while fetching invitations");
+    }
+  }
+});
+
+// The signed-in user's invitations waiting for an answer
+const getMyInvitations = asyncHandler(async (req, res) => {
+  try {
+    const invitations = await ProjectInvitation.aggregate([
+      { $match: { invitee: new mongoose.Types.ObjectId(req.user._id), status: "pending" } },
+      { $sort: { createdAt: -1 } },
+      ...userLookup("inviter"),
+      {
+        $lookup: {
+          from: "projects",
+          localField: "project",
+          foreignField: "_id",
+          as: "project",
+          pipeline: [{ $project: { name: 1, slug: 1, description: 1, thumbnail: 1 } }],
+        },
+      },
+      // Invitations to projects deleted in the meantime are left out
+      { $unwind: "$project" },
+    ]);
+
+    return res.json(new ApiResponse(200, invitations, "Invitations fetched successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    } else {
+      console.error("Error Fetching Invitations:", error);
+      throw new ApiError(500, "Internal Server Error while fetching invitations");
+    }
+  }
+});
+
+// Makes the invitee an owner with the role they were offered and lists the
+// project on their profile
+const acceptInvitation = asyncHandler(async (req, res) => {
+  try {
+    await findOwnInvitation(req.params.invitationId, req.user);
+
+    // Claimed before anything else changes, so of two concurrent accepts
+    // only one goes on to add the owner
+    const invitation = await ProjectInvitation.findOneAndUpdate(
+      { _id: req.params.invitationId, invitee: req.user._id, status: "pending" },
+      { $set: { status: "accepted", respondedAt: new Date() } },
+      { new: true }
+    );
+    if (!invitation) {
+      throw new ApiError(409, "This invitation has already been answered");
+    }
+
+    const project = await Project.findById(invitation.project);
+    if (!project) {
+      invitation.status = "cancelled";
+      await invitation.save();
+      throw new ApiError(404, "The project no longer exists");
+    }
+
+    // A project from before roles existed first gets explicit admin roles
+    if (!project.ownerRoles.length) {
+      await Project.updateOne(
+        { _id: project._id, ownerRoles: { $size: 0 } },
+        { $set: { ownerRoles: project.owners.map((owner) => ({ user: owner, role: "admin" })) } }
+      );
+    }
+
+    // The new owner may already have a project with this slug, and the
+    // unique owners + slug index only lets them in with a free one, so the
+    // slug is settled in the same update that adds them
+    if (!project.owners.some((owner) => owner.equals(req.user._id))) {
+      project.owners.push(req.user._id);
+    }
+    await withProjectSlug(project, () =>
+      Project.updateOne(
+        { _id: project._id, owners: { $ne: req.user._id } },
+        {
+          $addToSet: { owners: req.user._id },
+          $push: { ownerRoles: { user: req.user._id, role: invitation.role } },
+          $set: { slug: project.slug, previousSlugs: project.previousSlugs },
+        }
+      )
+    );
+
+    await User.findByIdAndUpdate(req.user._id, { $addToSet: { projects: project._id } });
+
+    await notifyInviter(invitation, project, req.user, "accepted");
+    publish(`profile:${req.user._id}`, "projects.changed", { projectId: project._id });
+    publish(`project:${project._id}`, "project.updated", { ownerId: req.user._id });
+
+    return res.json(
+      new ApiResponse(200, invitation, `You are now an owner of ${project.name}`)
+    );
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    } else {
+      console.error("Error Accepting Invitation:", error);
+      throw new ApiError(500, "Internal Server Error while accepting invitation");
+    }
+  }
+});
+
+const declineInvitation = asyncHandler(async (req, res) => {
+  try {
+    const invitation = await findOwnInvitation(req.params.invitationId, req.user);
+
+    invitation.status = "declined";
+    invitation.respondedAt = new Date();
+    await invitation.save();
+
+    const project = await Project.findById(invitation.project).select("name slug");
+    if (project) {
+      await notifyInviter(invitation, project, req.user, "declined");
+    }
+
+    return res.json(new ApiResponse(200, invitation, "Invitation declined"));
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    } else {
+      console.error("Error Declining Invitation:", error);
+      throw new ApiError(500, "Internal Server Error while declining invitation");
+    }
+  }
+});
+
+// Admins can take back an invitation nobody has answered yet
+const cancelInvitation = asyncHandler(async (req, res) => {
+  try {
+    const invitation = await findPendingInvitation(req.params.invitationId);
+    await findProjectForAdmin(invitation.project, req.user);
+
+    invitation.status = "cancelled";
+    invitation.respondedAt = new Date();
+    await invitation.save();
+
+    return res.json(new ApiResponse(200, invitation, "Invitation cancelled"));
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    } else {
+      console.error("Error Cancelling Invitation:", error);
+      throw new ApiError(500, "Internal Server Error while cancelling invitation");
+    }
+  }
+});
+
+export {
+  inviteOwner,
+  getProjectInvitations,
+  getMyInvitations,
+  acceptInvitation,
+  declineInvitation,
+  cancelInvitation,
+};
@@ -0,0 +1,81 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Job } from "../models/job.model.js";
+
+// The payload holds server-side temp paths, so it is never sent to clients
+const PUBLIC_JOB_FIELDS = {
+  type: 1,
+  status: 1,
+  attempts: 1,
+  maxAttempts: 1,
+  runAt: 1,
+  lastError: 1,
+  result: 1,
+  completedAt: 1,
+  createdAt: 1,
+  updatedAt: 1,
+};
+
+const getJobById = asyncHandler(async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    if (!isValidObjectId(jobId)) {
+      throw new ApiError(400, "Invalid job ID");
+    }
+
+    const job = await Job.findById(jobId).select({ ...PUBLIC_JOB_FIELDS, owner: 1 });
+
+    if (!job) {
+      throw new ApiError(404, "Job not found");
+    }
+
+    if (job.owner?.toString() !== req.user._id.toString()) {
+      throw new ApiError(403, "You are not allowed to view this job");
+    }
+
+    return res.json(new ApiResponse(200, job, "Job fetched successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    } else {
+      console.error("Error Fetching Job:", error);
+      throw new ApiError(500, "Internal Server Error while fetching job");
+    }
+  }
+});
+
+const getMyJobs = asyncHandler(async (req, res) => {
+  try {
+    const { status } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+    const match = { owner: new mongoose.Types.ObjectId(req.user._id) };
+    if (status) {
+      match.status = status;
+    }
+
+    const jobs = await Job.aggregatePaginate(
+      Job.aggregate([
+        { $match: match },
+        { $sort: { createdAt: -1 } },
+        { $project: PUBLIC_JOB_FIELDS },
+      ]),
+      { page, limit }
+    );
+
+    return res.json(new ApiResponse(200, jobs, "Jobs fetched successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    } else {
+      console.error("Error Fetching Jobs:", error);
+      throw new ApiError(500, "Internal Server Error while fetching jobs");
+    }
+  }
+});
+
+export { getJobById, getMyJobs };
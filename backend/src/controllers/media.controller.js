@@ -0,0 +1,23 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { localStorage } from "../utils/storage/local.storage.js";
+import { sendStoredFile } from "../utils/sendStoredFile.js";
+
+// Serves files written by the local storage driver
+const serveMedia = asyncHandler(async (req, res) => {
+  const key = req.params[0];
+
+  if (!key) {
+    throw new ApiError(404, "File not found");
+  }
+
+  try {
+    localStorage.resolve(key);
+  } catch (error) {
+    throw new ApiError(400, "Invalid file path");
+  }
+
+  await sendStoredFile(req, res, { driver: localStorage, key });
+});
+
+export { serveMedia };
@@ -0,0 +1,114 @@
+import { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Notification } from "../models/notification.model.js";
+
+// Newest first, with `unread=true` for only the unread ones. The unread count
+// is always included so the bell can show it without a second request.
+const getNotifications = asyncHandler(async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+    const match = { recipient: req.user._id };
+    if (req.query.unread === "true") {
+      match.isRead = false;
+    }
+
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.aggregatePaginate(
+        Notification.aggregate([
+          { $match: match },
+          { $sort: { createdAt: -1 } },
+          {
+            $lookup: {
+              from: "users",
+              localField: "actor",
+              foreignField: "_id",
+              as: "actor",
+              pipeline: [{ $project: { username: 1, fullname: 1, profilePic: 1 } }],
+            },
+          },
+          { $unwind: { path: "$actor", preserveNullAndEmptyArrays: true } },
+        ]),
+        { page, limit }
+      ),
+      Notification.countDocuments({ recipient: req.user._id, isRead: false }),
+    ]);
+
+    return res.json(
+      new ApiResponse(
+        200,
+        { ...notifications, unreadCount },
+        "Notifications fetched successfully"
+      )
+    );
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    } else {
+      console.error("Error Fetching Notifications:", error);
+      throw new ApiError(500, "Internal Server Error while fetching notifications");
+    }
+  }
+});
+
+const markNotificationRead = asyncHandler(async (req, res) => {
+  try {
+    const { notificationId } = req.params;
+
+    if (!isValidObjectId(notificationId)) {
+      throw new ApiError(400, "Invalid notification ID");
+    }
+
+    const notification = await Notification.findOne({
+      _id: notificationId,
+      recipient: req.user._id,
+    });
+    if (!notification) {
+      throw new ApiError(404, "Notification not found");
+    }
+
+    if (!notification.isRead) {
+      notification.isRead = true;
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    return res.json(new ApiResponse(200, notification, "Notification marked as read"));
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    } else {
+      console.error("Error Marking Notification Read:", error);
+      throw new ApiError(500, "Internal Server Error while updating notification");
+    }
+  }
+});
+
+const markAllNotificationsRead = asyncHandler(async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.user._id, isRead: false },
+      { $set: { isRead: true, readAt: new Date() } }
+    );
+
+    return res.json(
+      new ApiResponse(
+        200,
+        { updated: result.modifiedCount, unreadCount: 0 },
+        "All notifications marked as read"
+      )
+    );
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    } else {
+      console.error("Error Marking Notifications Read:", error);
+      throw new ApiError(500, "Internal Server Error while updating notifications");
+    }
+  }
+});
+
+export { getNotifications, markNotificationRead, markAllNotificationsRead };
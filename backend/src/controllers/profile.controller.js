@@ -2,6 +2,7 @@ import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { User } from "../models/user.model.js";
+import { getFollowStats } from "../utils/follows.js";
 
 const fetchProfileData = asyncHandler(async (req, res) => {
     try {
@@ -17,7 +18,11 @@ const fetchProfileData = asyncHandler(async (req, res) => {
 
         // console.log(user);
     
-        return res.status(200).json(new ApiResponse(200, user, "Found User"));
+        const followStats = await getFollowStats(user, req.user)
+
+        return res.status(200).json(
+            new ApiResponse(200, { ...user.toObject(), ...followStats }, "Found User")
+        );
     } catch (error) {
         if (error instanceof ApiError) {
             throw error
@@ -0,0 +1,671 @@
+import fs from "fs";
+import { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Project } from "../models/project.model.js";
+import { User } from "../models/user.model.js";
+import { Rating } from "../models/rating.model.js";
+import { Video } from "../models/video.model.js";
+import { ProjectInvitation } from "../models/projectInvitation.model.js";
+import { ProjectWatch } from "../models/projectWatch.model.js";
+import { refreshProjectRating } from "../utils/projectRatings.js";
+import {
+  canEditProject,
+  countAdmins,
+  ensureOwnerRoles,
+  findProjectForAdmin,
+  getOwnerRole,
+  isProjectOwner,
+  isWatchingProject,
+} from "../utils/projectAccess.js";
+import { inviteToProject, parseOwnerRole } from "../utils/projectInvitations.js";
+import { takeCompletedUploads, toIdList } from "../utils/uploadSessions.js";
+import { deleteStoredFile } from "../utils/storage/index.js";
+import { deleteVideoWithMedia } from "../utils/cascadeDelete.js";
+import { enqueueJob } from "../jobs/queue.js";
+import { PROJECT_MEDIA_JOB, toQueuedFile } from "../jobs/media.job.js";
+import { keepUploadedFiles } from "../middlewares/multer.middleware.js";
+import { notify, projectLink } from "../utils/notifications.js";
+import { withProjectSlug } from "../utils/projectSlugs.js";
+import { publish } from "../utils/eventBus.js";
+
+const findProject = async (projectId) => {
+  if (!isValidObjectId(projectId)) {
+    throw new ApiError(400, "Invalid project ID");
+  }
+
+  const project = await Project.findById(projectId).select(
+    "owners ratingAverage ratingCount"
+  );
+
+  if (!project) {
+    throw new ApiError(404, "Project not found");
+  }
+
+  return project;
+};
+
+const getProjectRating = asyncHandler(async (req, res) => {
+  try {
+    const project = await findProject(req.params.projectId);
+
+    const rating = req.user
+      ? await Rating.findOne({ project: project._id, user: req.user._id })
+      : null;
+
+    return res.json(
+      new ApiResponse(
+        200,
+        {
+          ratingAverage: project.ratingAverage,
+          ratingCount: project.ratingCount,
+          userRating: rating?.value ?? null,
+        },
+        "Project rating fetched successfully"
+      )
+    );
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    } else {
+      console.error("Error Fetching Project Rating:", error);
+      throw new ApiError(500, "Internal Server Error while fetching project rating");
+    }
+  }
+});
+
+// Creates the viewer's rating, or replaces it if they rated before
+const rateProject = asyncHandler(async (req, res) => {
+  try {
+    const project = await findProject(req.params.projectId);
+    const value = Number(req.body.value);
+
+    if (!Number.isFinite(value) || value < 0.5 || value > 5 || !Number.isInteger(value * 2)) {
+      throw new ApiError(400, "Rating must be between 0.5 and 5 in half-star steps");
+    }
+
+    if (isProjectOwner(project, req.user)) {
+      throw new ApiError(403, "You cannot rate your own project");
+    }
+
+    await Rating.findOneAndUpdate(
+      { project: project._id, user: req.user._id },
+      { value },
+      { upsert: true, runValidators: true }
+    );
+
+    const aggregate = await refreshProjectRating(project._id);
+    publish(`project:${project._id}`, "rating.changed", aggregate);
+
+    return res.json(
+      new ApiResponse(
+        200,
+        { ...aggregate, userRating: value },
+        "Project rated successfully"
+      )
+    );
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    } else {
+      console.error("Error Rating Project:", error);
+      throw new ApiError(500, "Internal Server Error while rating project");
+    }
+  }
+});
+
+const removeProjectRating = asyncHandler(async (req, res) => {
+  try {
+    const project = await findProject(req.params.projectId);
+
+    const rating = await Rating.findOneAndDelete({
+      project: project._id,
+      user: req.user._id,
+    });
+    if (!rating) {
+      throw new ApiError(404, "You have not rated this project");
+    }
+
+    const aggregate = await refreshProjectRating(project._id);
+    publish(`project:${project._id}`, "rating.changed", aggregate);
+
+    return res.json(
+      new ApiResponse(
+        200,
+        { ...aggregate, userRating: null },
+        "Project rating removed"
+      )
+    );
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    } else {
+      console.error("Error Removing Project Rating:", error);
+      throw new ApiError(500, "Internal Server Error while removing project rating");
+    }
+  }
+});
+
+const watchProject = asyncHandler(async (req, res) => {
+  try {
+    const project = await findProject(req.params.projectId);
+
+    await User.findByIdAndUpdate(req.user._id, {
+      $addToSet: { watchList: project._id },
+    });
+    // Dates the watch for the trending ranking; a repeated request keeps the first date
+    await ProjectWatch.updateOne(
+      { project: project._id, user: req.user._id },
+      { $setOnInsert: { project: project._id, user: req.user._id } },
+      { upsert: true }
+    );
+
+    return res.json(
+      new ApiResponse(200, { isWatching: true }, "Project added to your watch list")
+    );
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    } else {
+      console.error("Error Watching Project:", error);
+      throw new ApiError(500, "Internal Server Error while watching project");
+    }
+  }
+});
+
+const unwatchProject = asyncHandler(async (req, res) => {
+  try {
+    const { projectId } = req.params;
+
+    if (!isValidObjectId(projectId)) {
+      throw new ApiError(400, "Invalid project ID");
+    }
+
+    // No existence check, so entries of projects deleted meanwhile can be dropped
+    if (!isWatchingProject(req.user, projectId)) {
+      throw new ApiError(404, "This project is not on your watch list");
+    }
+
+    await User.findByIdAndUpdate(req.user._id, {
+      $pull: { watchList: projectId },
+    });
+    await ProjectWatch.deleteOne({ project: projectId, user: req.user._id });
+
+    return res.json(
+      new ApiResponse(200, { isWatching: false }, "Project removed from your watch list")
+    );
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    } else {
+      console.error("Error Unwatching Project:", error);
+      throw new ApiError(500, "Internal Server Error while unwatching project");
+    }
+  }
+});
+
+// Watched projects with what changed on them lately, most recently active first
+const getWatchList = asyncHandler(async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+    const projects = await Project.aggregatePaginate(
+      Project.aggregate([
+        { $match: { _id: { $in: req.user.watchList } } },
+        {
+          $lookup: {
+            from: "users",
+            localField: "owners",
+            foreignField: "_id",
+            as: "owners",
+            pipeline: [{ $project: { username: 1, fullname: 1, profilePic: 1 } }],
+          },
+        },
+        {
+          $lookup: {
+            from: "videos",
+            localField: "videos",
+            foreignField: "_id",
+            as: "latestVideo",
+            pipeline: [
+              { $sort: { createdAt: -1 } },
+              { $limit: 1 },
+              { $project: { title: 1, createdAt: 1 } },
+            ],
+          },
+        },
+        {
+          $lookup: {
+            from: "comments",
+            localField: "_id",
+            foreignField: "project",
+            as: "latestComment",
+            pipeline: [
+              { $match: { isHidden: false, isDeleted: false } },
+              { $sort: { createdAt: -1 } },
+              { $limit: 1 },
+              { $project: { body: 1, createdAt: 1 } },
+            ],
+          },
+        },
+        {
+          $addFields: {
+            latestVideo: { $first: "$latestVideo" },
+            latestComment: { $first: "$latestComment" },
+          },
+        },
+        {
+          $addFields: {
+            lastActivityAt: {
+              $max: ["$updatedAt", "$latestVideo.createdAt", "$latestComment.createdAt"],
+            },
+          },
+        },
+        { $sort: { lastActivityAt: -1 } },
+        {
+          $project: {
+            name: 1,
+            slug: 1,
+            thumbnail: 1,
+            description: 1,
+            owners: 1,
+            ratingAverage: 1,
+            ratingCount: 1,
+            updatedAt: 1,
+            latestVideo: 1,
+            latestComment: 1,
+            lastActivityAt: 1,
+          },
+        },
+      ]),
+      { page, limit }
+    );
+
+    return res.json(new ApiResponse(200, projects, "Watch list fetched successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    } else {
+      console.error("Error Fetching Watch List:", error);
+      throw new ApiError(500, "Internal Server Error while fetching watch list");
+    }
+  }
+});
+
+// The owner a route's `userId` refers to
+const findOwnerRole = (project, userId) => {
+  const ownerRole = isValidObjectId(userId)
+    ? project.ownerRoles.find((entry) => entry.user.toString() === userId)
+    : null;
+
+  if (!ownerRole) {
+    throw new ApiError(404, "This user is not an owner of the project");
+  }
+
+  return ownerRole;
+};
+
+// Takes the user off the project and the project off their profile
+const dropOwner = async (project, userId) => {
+  project.owners = project.owners.filter((owner) => owner.toString() !== userId.toString());
+  project.ownerRoles = project.ownerRoles.filter(
+    (entry) => entry.user.toString() !== userId.toString()
+  );
+  await project.save();
+
+  await User.findByIdAndUpdate(userId, { $pull: { projects: project._id } });
+
+  publish(`profile:${userId}`, "projects.changed", { projectId: project._id });
+  publish(`project:${project._id}`, "project.updated", { ownerId: userId });
+};
+
+const updateOwnerRole = asyncHandler(async (req, res) => {
+  try {
+    const project = await findProjectForAdmin(req.params.projectId, req.user);
+    ensureOwnerRoles(project);
+
+    const ownerRole = findOwnerRole(project, req.params.userId);
+    const role = parseOwnerRole(req.body.role);
+
+    if (ownerRole.role === "admin" && role !== "admin" && countAdmins(project) === 1) {
+      throw new ApiError(400, "A project needs an admin, make someone else admin first");
+    }
+
+    ownerRole.role = role;
+    await project.save();
+    publish(`project:${project._id}`, "project.updated", { ownerId: ownerRole.user });
+
+    return res.json(new ApiResponse(200, project.ownerRoles, "Owner role updated"));
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    } else {
+      console.error("Error Updating Owner Role:", error);
+      throw new ApiError(500, "Internal Server Error while updating owner role");
+    }
+  }
+});
+
+const removeOwner = asyncHandler(async (req, res) => {
+  try {
+    const project = await findProjectForAdmin(req.params.projectId, req.user);
+    ensureOwnerRoles(project);
+
+    const ownerRole = findOwnerRole(project, req.params.userId);
+    if (ownerRole.user.equals(req.user._id)) {
+      throw new ApiError(400, "Leave the project instead of removing yourself");
+    }
+
+    await dropOwner(project, ownerRole.user);
+
+    return res.json(new ApiResponse(200, project.ownerRoles, "Owner removed"));
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    } else {
+      console.error("Error Removing Owner:", error);
+      throw new ApiError(500, "Internal Server Error while removing owner");
+    }
+  }
+});
+
+// The last admin has to hand the project over before leaving it
+const leaveProject = asyncHandler(async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.projectId)) {
+      throw new ApiError(400, "Invalid project ID");
+    }
+
+    const project = await Project.findById(req.params.projectId).select("name slug owners ownerRoles");
+    if (!project) {
+      throw new ApiError(404, "Project not found");
+    }
+
+    const role = getOwnerRole(project, req.user);
+    if (!role) {
+      throw new ApiError(403, "You are not an owner of this project");
+    }
+    if (project.owners.length === 1) {
+      throw new ApiError(400, "You are the only owner, delete the project instead");
+    }
+
+    ensureOwnerRoles(project);
+    if (role === "admin" && countAdmins(project) === 1) {
+      throw new ApiError(400, "Transfer the project to another owner before leaving it");
+    }
+
+    await dropOwner(project, req.user._id);
+
+    return res.json(new ApiResponse(200, {}, `You left ${project.name}`));
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    } else {
+      console.error("Error Leaving Project:", error);
+      throw new ApiError(500, "Internal Server Error while leaving project");
+    }
+  }
+});
+
+// Makes another owner admin and steps the current admin down to editor
+const transferProject = asyncHandler(async (req, res) => {
+  try {
+    const project = await findProjectForAdmin(req.params.projectId, req.user);
+    ensureOwnerRoles(project);
+
+    const ownerRole = findOwnerRole(project, req.body.userId);
+    if (ownerRole.user.equals(req.user._id)) {
+      throw new ApiError(400, "You already own this project");
+    }
+
+    ownerRole.role = "admin";
+    findOwnerRole(project, req.user._id.toString()).role = "editor";
+    await project.save();
+
+    await notify({
+      recipient: ownerRole.user,
+      actor: req.user._id,
+      type: "ownerAdded",
+      text: `${req.user.fullname || req.user.username} made you the admin of ${project.name}`,
+      link: await projectLink(project),
+      project: project._id,
+    });
+    publish(`project:${project._id}`, "project.updated", { ownerId: ownerRole.user });
+
+    return res.json(new ApiResponse(200, project.ownerRoles, "Project transferred"));
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    } else {
+      console.error("Error Transferring Project:", error);
+      throw new ApiError(500, "Internal Server Error while transferring project");
+    }
+  }
+});
+
+const EDITABLE_TEXT_FIELDS = ["name", "url", "description", "domain", "repoId"];
+
+// `imageOrder` and `videoOrder` arrive as JSON arrays inside multipart forms.
+// They list the current media to keep, in their new order.
+const parseMediaOrder = (value, current, label) => {
+  let order = value;
+  if (typeof value === "string") {
+    try {
+      order = JSON.parse(value);
+    } catch {
+      throw new ApiError(400, `${label} must be a JSON array`);
+    }
+  }
+
+  const known = current.map(String);
+  if (
+    !Array.isArray(order) ||
+    new Set(order.map(String)).size !== order.length ||
+    order.some((item) => !known.includes(String(item)))
+  ) {
+    throw new ApiError(400, `${label} may only list the project's current ${label.replace("Order", "s")}`);
+  }
+
+  return order.map(String);
+};
+
+// Usernames of people to invite, leaving out current owners and anybody
+// with an invitation still open
+const findNewInvitees = async (project, usernames) => {
+  const list = [
+    ...new Set(
+      String(usernames)
+        .split(",")
+        .map((username) => username.trim())
+        .filter(Boolean)
+    ),
+  ];
+  if (!list.length) return [];
+
+  const users = await User.find({ username: { $in: list } }).select("username fullname");
+  const missing = list.find((username) => !users.some((user) => user.username === username));
+  if (missing) {
+    throw new ApiError(404, `Owner with username ${missing} not found`);
+  }
+
+  const invited = await ProjectInvitation.find({
+    project: project._id,
+    invitee: { $in: users.map((user) => user._id) },
+    status: "pending",
+  }).select("invitee");
+
+  return users.filter(
+    (user) =>
+      !isProjectOwner(project, user) &&
+      !invited.some((invitation) => invitation.invitee.equals(user._id))
+  );
+};
+
+// Changes the project's details in place. Media is added, removed and
+// reordered individually; new files go through the media job like on creation.
+const updateProject = asyncHandler(async (req, res) => {
+  // Received files are removed if the edit fails before the media job owns them
+  let unclaimedFiles = Object.values(req.files || {}).flat();
+
+  try {
+    if (!isValidObjectId(req.params.projectId)) {
+      throw new ApiError(400, "Invalid project ID");
+    }
+
+    const project = await Project.findById(req.params.projectId);
+    if (!project) {
+      throw new ApiError(404, "Project not found");
+    }
+    if (!canEditProject(project, req.user)) {
+      throw new ApiError(403, "Only project admins and editors can edit a project");
+    }
+
+    const body = req.body || {};
+
+    for (const field of EDITABLE_TEXT_FIELDS) {
+      if (body[field] === undefined) continue;
+
+      const value = String(body[field]).trim();
+      if (!value && field !== "repoId") {
+        throw new ApiError(400, `The project ${field} cannot be empty`);
+      }
+      project[field] = value;
+    }
+
+    if (body.techStack !== undefined) {
+      project.techStack = String(body.techStack)
+        .split(",")
+        .map((tech) => tech.trim())
+        .filter(Boolean);
+    }
+
+    // A new name gets a matching slug when saved, the old one keeps redirecting
+    const renamed = project.isModified("name");
+
+    let invitees = [];
+    if (body.ownersUsernames) {
+      if (getOwnerRole(project, req.user) !== "admin") {
+        throw new ApiError(403, "Only project admins can invite owners");
+      }
+      invitees = await findNewInvitees(project, body.ownersUsernames);
+    }
+
+    const videoUploadIds = toIdList(body.videoUploadIds);
+    const receivedFiles = ["thumbnail", "images", "videos"].flatMap(
+      (field) => req.files?.[field] || []
+    );
+
+    const changesMedia =
+      body.imageOrder !== undefined ||
+      body.videoOrder !== undefined ||
+      body.removeThumbnail === "true" ||
+      receivedFiles.length > 0 ||
+      videoUploadIds.length > 0;
+    if (changesMedia && project.mediaStatus === "pending") {
+      throw new ApiError(409, "Media is still being processed, try again once it is ready");
+    }
+
+    let removedImages = [];
+    if (body.imageOrder !== undefined) {
+      const images = parseMediaOrder(body.imageOrder, project.images, "imageOrder");
+      removedImages = project.images.filter((url) => !images.includes(url));
+      project.images = images;
+    }
+
+    let removedVideoIds = [];
+    if (body.videoOrder !== undefined) {
+      const videos = parseMediaOrder(body.videoOrder, project.videos, "videoOrder");
+      removedVideoIds = project.videos.filter((id) => !videos.includes(id.toString()));
+      project.videos = videos;
+    }
+
+    if (body.removeThumbnail === "true" && project.thumbnail) {
+      removedImages.push(project.thumbnail);
+      project.thumbnail = "";
+    }
+
+    // Taken only once the edit is known to be valid, a session can be used once
+    const uploadedVideos = await takeCompletedUploads(videoUploadIds, {
+      owner: req.user._id,
+      fieldname: "videos",
+    });
+    unclaimedFiles = [...unclaimedFiles, ...uploadedVideos];
+    const queuedFiles = [...receivedFiles, ...uploadedVideos].map(toQueuedFile);
+
+    const previousMediaStatus = project.mediaStatus;
+    if (queuedFiles.length) {
+      project.mediaStatus = "pending";
+    }
+
+    if (renamed) {
+      await withProjectSlug(project, () => project.save(), { fromName: true });
+    } else {
+      await project.save();
+    }
+
+    let job = null;
+    if (queuedFiles.length) {
+      try {
+        job = await enqueueJob(
+          PROJECT_MEDIA_JOB,
+          { projectId: project._id, owner: req.user._id, files: queuedFiles },
+          { owner: req.user._id }
+        );
+      } catch (error) {
+        // No job will ever finish the media, so the project must not stay pending
+        await Project.findByIdAndUpdate(project._id, { mediaStatus: previousMediaStatus });
+        throw error;
+      }
+      keepUploadedFiles(receivedFiles);
+    }
+    unclaimedFiles = [];
+
+    await Promise.all(removedImages.map((url) => deleteStoredFile({ url })));
+    const removedVideos = await Video.find({ _id: { $in: removedVideoIds } });
+    await Promise.all(removedVideos.map((video) => deleteVideoWithMedia(video)));
+
+    await Promise.all(
+      invitees.map((invitee) => inviteToProject({ project, inviter: req.user, invitee }))
+    );
+
+    publish(`project:${project._id}`, "project.updated", { projectId: project._id });
+    project.owners.forEach((owner) =>
+      publish(`profile:${owner}`, "projects.changed", { projectId: project._id })
+    );
+
+    return res
+      .status(job ? 202 : 200)
+      .json(
+        new ApiResponse(
+          job ? 202 : 200,
+          { project, jobId: job?._id || null },
+          job ? "Project updated, new media is being processed" : "Project updated successfully"
+        )
+      );
+  } catch (error) {
+    await Promise.all(unclaimedFiles.map((file) => fs.promises.rm(file.path, { force: true })));
+
+    if (error instanceof ApiError) {
+      throw error;
+    } else {
+      console.error("Error Updating Project:", error);
+      throw new ApiError(500, "Internal Server Error while updating project");
+    }
+  }
+});
+
+export {
+  getProjectRating,
+  rateProject,
+  removeProjectRating,
+  watchProject,
+  unwatchProject,
+  getWatchList,
+  updateOwnerRole,
+  removeOwner,
+  leaveProject,
+  transferProject,
+  updateProject,
+};
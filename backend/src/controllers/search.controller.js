@@ -0,0 +1,279 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Project } from "../models/project.model.js";
+import { User } from "../models/user.model.js";
+import { Certification } from "../models/certification.model.js";
+import { exactMatch, addHighlights } from "../utils/search.js";
+
+const MAX_QUERY_LENGTH = 100;
+const FACET_SIZE = 15;
+const RATING_THRESHOLDS = [4, 3, 2, 1];
+
+const toList = (value) =>
+  (Array.isArray(value) ? value : String(value ?? "").split(","))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+
+const parseDate = (value, label, endOfDay = false) => {
+  if (!value) return null;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ApiError(400, `${label} is not a valid date`);
+  }
+  // A bare yyyy-mm-dd "to" date includes that whole day
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
+const parseSearchQuery = (query) => {
+  const q = typeof query.q === "string" ? query.q.trim() : "";
+  if (q.length > MAX_QUERY_LENGTH) {
+    throw new ApiError(400, `Searches are limited to ${MAX_QUERY_LENGTH} characters`);
+  }
+
+  let minRating = null;
+  if (query.minRating !== undefined && query.minRating !== "") {
+    minRating = Number(query.minRating);
+    if (!Number.isFinite(minRating) || minRating < 0 || minRating > 5) {
+      throw new ApiError(400, "minRating must be between 0 and 5");
+    }
+  }
+
+  const filters = {
+    techStack: toList(query.techStack),
+    domain: typeof query.domain === "string" ? query.domain.trim() : "",
+    minRating,
+    from: parseDate(query.from, "from"),
+    to: parseDate(query.to, "to", true),
+  };
+
+  if (!q && !filters.techStack.length && !filters.domain && minRating === null && !filters.from && !filters.to) {
+    throw new ApiError(400, "Enter a search term or pick a filter");
+  }
+
+  return {
+    q,
+    filters,
+    page: Math.max(parseInt(query.page) || 1, 1),
+    limit: Math.min(Math.max(parseInt(query.limit) || 10, 1), 50),
+  };
+};
+
+const dateRange = ({ from, to }) => {
+  if (!from && !to) return null;
+  return { ...(from && { $gte: from }), ...(to && { $lte: to }) };
+};
+
+const countBy = (path) => [
+  { $unwind: `$${path}` },
+  { $match: { [path]: { $nin: [null, ""] } } },
+  { $group: { _id: { $toLower: `$${path}` }, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $limit: FACET_SIZE },
+  { $project: { _id: 0, value: "$_id", count: 1 } },
+];
+
+// Who lists a project or a certification, for linking to it
+const listedBy = (field) => [
+  {
+    $lookup: {
+      from: "users",
+      localField: "_id",
+      foreignField: field,
+      as: "listedBy",
+      pipeline: [{ $project: { username: 1 } }, { $limit: 1 }],
+    },
+  },
+  { $addFields: { username: { $first: "$listedBy.username" } } },
+];
+
+// What each result type searches, which filters apply to it, how its
+// results are shaped and which facets are counted. Filters that do not
+// apply to a type are ignored for it.
+const SEARCHES = {
+  projects: {
+    model: Project,
+    match: ({ techStack, domain, minRating, ...dates }) => ({
+      ...(techStack.length && { techStack: { $all: techStack.map(exactMatch) } }),
+      ...(domain && { domain: exactMatch(domain) }),
+      ...(minRating !== null && { ratingAverage: { $gte: minRating } }),
+      ...(dateRange(dates) && { createdAt: dateRange(dates) }),
+    }),
+    shape: [
+      ...listedBy("projects"),
+      {
+        $project: {
+          name: 1,
+          slug: 1,
+          thumbnail: 1,
+          description: 1,
+          domain: 1,
+          techStack: 1,
+          ratingAverage: 1,
+          ratingCount: 1,
+          createdAt: 1,
+          username: 1,
+          score: 1,
+        },
+      },
+    ],
+    facets: {
+      techStack: countBy("techStack"),
+      domain: countBy("domain"),
+      rating: [
+        {
+          $group: {
+            _id: null,
+            ...Object.fromEntries(
+              RATING_THRESHOLDS.map((stars) => [
+                stars,
+                { $sum: { $cond: [{ $gte: ["$ratingAverage", stars] }, 1, 0] } },
+              ])
+            ),
+          },
+        },
+      ],
+    },
+    highlight: ["name", "description", "techStack", "domain"],
+  },
+  users: {
+    model: User,
+    match: ({ techStack, domain, ...dates }) => ({
+      ...(techStack.length && { techStack: { $all: techStack.map(exactMatch) } }),
+      ...(domain && { domains: exactMatch(domain) }),
+      ...(dateRange(dates) && { createdAt: dateRange(dates) }),
+    }),
+    shape: [
+      {
+        $project: {
+          username: 1,
+          fullname: 1,
+          profilePic: 1,
+          position: 1,
+          techStack: 1,
+          domains: 1,
+          score: 1,
+        },
+      },
+    ],
+    facets: {
+      techStack: countBy("techStack"),
+      domain: countBy("domains"),
+    },
+    highlight: ["username", "fullname", "position", "techStack"],
+  },
+  certifications: {
+    model: Certification,
+    match: (dates) => (dateRange(dates) ? { issueDate: dateRange(dates) } : {}),
+    shape: [
+      ...listedBy("certifications"),
+      {
+        $project: {
+          title: 1,
+          issuer: 1,
+          description: 1,
+          issueDate: 1,
+          expiryDate: 1,
+          username: 1,
+          score: 1,
+        },
+      },
+    ],
+    facets: {
+      issuer: countBy("issuer"),
+    },
+    highlight: ["title", "issuer", "description"],
+  },
+};
+
+const SEARCH_TYPES = Object.keys(SEARCHES);
+
+const searchMatch = (search, { q, filters }) => ({
+  ...(q && { $text: { $search: q } }),
+  ...search.match(filters),
+});
+
+// Best matches first, newest first when only filtering
+const runSearch = async (search, params) => {
+  const { q, page, limit } = params;
+
+  const [result] = await search.model.aggregate([
+    { $match: searchMatch(search, params) },
+    ...(q ? [{ $addFields: { score: { $meta: "textScore" } } }] : []),
+    { $sort: q ? { score: -1, createdAt: -1 } : { createdAt: -1 } },
+    {
+      $facet: {
+        docs: [{ $skip: (page - 1) * limit }, { $limit: limit }, ...search.shape],
+        total: [{ $count: "count" }],
+        ...search.facets,
+      },
+    },
+  ]);
+
+  const { docs, total, ...facets } = result;
+  const totalDocs = total[0]?.count || 0;
+  const totalPages = Math.ceil(totalDocs / limit);
+
+  if (facets.rating) {
+    const counts = facets.rating[0] || {};
+    facets.rating = RATING_THRESHOLDS.map((stars) => ({ value: stars, count: counts[stars] || 0 }));
+  }
+
+  return {
+    results: {
+      docs: q ? addHighlights(docs, q, search.highlight) : docs,
+      totalDocs,
+      limit,
+      page,
+      totalPages,
+      hasPrevPage: page > 1,
+      hasNextPage: page < totalPages,
+    },
+    facets,
+  };
+};
+
+// Searches projects, users or certifications (`type`, projects by default)
+// with `q` and optional techStack, domain, minRating, from and to filters.
+// The counts of the other types are included for the result tabs.
+const globalSearch = asyncHandler(async (req, res) => {
+  try {
+    const type = req.query.type || "projects";
+    if (!SEARCH_TYPES.includes(type)) {
+      throw new ApiError(400, `type must be one of ${SEARCH_TYPES.join(", ")}`);
+    }
+
+    const params = parseSearchQuery(req.query);
+
+    const [{ results, facets }, ...otherCounts] = await Promise.all([
+      runSearch(SEARCHES[type], params),
+      ...SEARCH_TYPES.filter((other) => other !== type).map(async (other) => [
+        other,
+        await SEARCHES[other].model.countDocuments(searchMatch(SEARCHES[other], params)),
+      ]),
+    ]);
+
+    const counts = Object.fromEntries([[type, results.totalDocs], ...otherCounts]);
+
+    return res.json(
+      new ApiResponse(
+        200,
+        { query: params.q, type, filters: params.filters, results, facets, counts },
+        "Search results fetched successfully"
+      )
+    );
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    } else {
+      console.error("Error Searching:", error);
+      throw new ApiError(500, "Internal Server Error while searching");
+    }
+  }
+});
+
+export { globalSearch };
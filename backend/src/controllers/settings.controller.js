@@ -2,7 +2,9 @@ import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { User } from "../models/user.model.js";
-import { uploadFileToCloudinary } from "../utils/cloudinary.js";
+import { uploadFile, deleteStoredFile } from "../utils/storage/index.js";
+import { NOTIFICATION_TYPES } from "../models/notification.model.js";
+import { publish } from "../utils/eventBus.js";
 
 const changePassword = asyncHandler(async (req, res) => {
     try {
@@ -47,19 +49,19 @@ const changeUserSettings = asyncHandler(async (req, res) => {
             throw new ApiError(404, "User not found");
         }
 
-        const { username, fullname } = req.body;
+        const { username, fullname, position, description } = req.body;
         let profilePicUrl = "";
         let coverImgUrl = "";
 
         if (req.files && req.files.profilePic) {
             const profilePicLocalPath = req.files.profilePic[0].path;
-            const profilePic = await uploadFileToCloudinary(profilePicLocalPath);
+            const profilePic = await uploadFile(profilePicLocalPath, { folder: "profile" });
             profilePicUrl = profilePic?.url || "";
         }
 
         if (req.files && req.files.coverImg) {
             const coverImgLocalPath = req.files.coverImg[0].path;
-            const coverImg = await uploadFileToCloudinary(coverImgLocalPath);
+            const coverImg = await uploadFile(coverImgLocalPath, { folder: "cover" });
             coverImgUrl = coverImg?.url || "";
         }
 
@@ -68,6 +70,10 @@ const changeUserSettings = asyncHandler(async (req, res) => {
             throw new ApiError(404, "User not found");
         }
 
+        const replacedFiles = [];
+        if (profilePicUrl && userDoc.profilePic) replacedFiles.push(userDoc.profilePic);
+        if (coverImgUrl && userDoc.coverImg) replacedFiles.push(userDoc.coverImg);
+
         if (username) userDoc.username = username;
         if (profilePicUrl) userDoc.profilePic = profilePicUrl;
         if (coverImgUrl) userDoc.coverImg = coverImgUrl;
@@ -76,6 +82,10 @@ const changeUserSettings = asyncHandler(async (req, res) => {
         if (description) userDoc.description = description;
 
         await userDoc.save();
+
+        // Old images are only removed once the new ones are saved
+        await Promise.all(replacedFiles.map((url) => deleteStoredFile({ url })));
+        publish(`profile:${user._id}`, "profile.updated");
         return res.status(200).json(new ApiResponse(200, {}, "User settings changed successfully"));
     } catch (error) {
         console.error('Error changing settings:', error);
@@ -87,5 +97,60 @@ const changeUserSettings = asyncHandler(async (req, res) => {
     }
 });
 
+const getNotificationPreferences = asyncHandler(async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select("notificationPreferences");
+
+        return res.status(200).json(
+            new ApiResponse(200, user.notificationPreferences, "Notification preferences fetched")
+        );
+    } catch (error) {
+        console.error('Error fetching notification preferences:', error);
+        if (error instanceof ApiError) {
+            throw error;
+        } else {
+            throw new ApiError(500, 'Could not fetch notification preferences.');
+        }
+    }
+});
+
+// Only the types sent are changed, e.g. { newFollower: false }
+const updateNotificationPreferences = asyncHandler(async (req, res) => {
+    try {
+        const update = {};
+
+        for (const [type, enabled] of Object.entries(req.body || {})) {
+            if (!NOTIFICATION_TYPES.includes(type)) {
+                throw new ApiError(400, `Unknown notification type ${type}`);
+            }
+            if (typeof enabled !== "boolean") {
+                throw new ApiError(400, `Preference for ${type} must be true or false`);
+            }
+            update[`notificationPreferences.${type}`] = enabled;
+        }
+
+        const user = await User.findByIdAndUpdate(
+            req.user._id,
+            { $set: update },
+            { new: true }
+        ).select("notificationPreferences");
+
+        return res.status(200).json(
+            new ApiResponse(200, user.notificationPreferences, "Notification preferences updated")
+        );
+    } catch (error) {
+        console.error('Error updating notification preferences:', error);
+        if (error instanceof ApiError) {
+            throw error;
+        } else {
+            throw new ApiError(500, 'Could not update notification preferences.');
+        }
+    }
+});
 
-export {changePassword, changeUserSettings}
\ No newline at end of file
+export {
+    changePassword,
+    changeUserSettings,
+    getNotificationPreferences,
+    updateNotificationPreferences,
+}
\ No newline at end of file
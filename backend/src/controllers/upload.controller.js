@@ -0,0 +1,273 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { Transform } from "stream";
+import { pipeline } from "stream/promises";
+import { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { UploadSession } from "../models/uploadSession.model.js";
+import { UPLOAD_TEMP_DIR, uploadLimits } from "../utils/uploadSessions.js";
+import { sanitizeFilename } from "../utils/fileType.js";
+
+// Resumable uploads modelled on tus (https://tus.io): the client creates a
+// session, PATCHes chunks at the current offset with an optional
+// "Upload-Checksum: sha256 <base64>" header, and asks for the offset again
+// after a disconnect.
+
+const CHUNK_CONTENT_TYPES = ["application/offset+octet-stream", "application/octet-stream"];
+// A writer that died mid-chunk no longer blocks the session after this long
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+// tus' status code for a chunk whose checksum does not match
+const CHECKSUM_MISMATCH = 460;
+
+const sessionDetails = (session) => ({
+  uploadId: session._id,
+  filename: session.filename,
+  size: session.size,
+  offset: session.offset,
+  status: session.status,
+  chunkSize: uploadLimits().chunkSize,
+  expiresAt: session.expiresAt,
+});
+
+const setOffsetHeaders = (res, session) => {
+  res.set({
+    "Upload-Offset": String(session.offset),
+    "Upload-Length": String(session.size),
+    "Cache-Control": "no-store",
+  });
+};
+
+const findOwnedSession = async (uploadId, user) => {
+  if (!isValidObjectId(uploadId)) {
+    throw new ApiError(400, "Invalid upload ID");
+  }
+
+  const session = await UploadSession.findById(uploadId);
+
+  if (!session) {
+    throw new ApiError(404, "Upload not found");
+  }
+
+  if (session.owner.toString() !== user._id.toString()) {
+    throw new ApiError(403, "You are not allowed to access this upload");
+  }
+
+  return session;
+};
+
+const parseChecksum = (header) => {
+  if (!header) return null;
+
+  const [algorithm, digest] = header.trim().split(/\s+/);
+  if (algorithm !== "sha256" || !digest) {
+    throw new ApiError(400, "Only sha256 upload checksums are supported");
+  }
+  return digest;
+};
+
+// Counts and hashes chunk bytes on their way to disk, refusing oversized chunks
+const chunkMeter = (maxBytes) => {
+  const hash = crypto.createHash("sha256");
+  const meter = new Transform({
+    transform(chunk, encoding, callback) {
+      meter.bytes += chunk.length;
+      if (meter.bytes > maxBytes) {
+        callback(new ApiError(413, "Chunk is larger than allowed"));
+        return;
+      }
+      hash.update(chunk);
+      callback(null, chunk);
+    },
+  });
+
+  meter.bytes = 0;
+  meter.digest = () => hash.digest("base64");
+  return meter;
+};
+
+const createUpload = asyncHandler(async (req, res) => {
+  try {
+    const { filename, mimeType } = req.body;
+    const size = Number(req.body.size);
+    const { maxSize, ttlMs } = uploadLimits();
+
+    if (!filename || !Number.isInteger(size) || size <= 0) {
+      throw new ApiError(400, "filename and a positive size are required");
+    }
+
+    if (size > maxSize) {
+      throw new ApiError(413, `Uploads are limited to ${maxSize} bytes`);
+    }
+
+    await fs.promises.mkdir(UPLOAD_TEMP_DIR, { recursive: true });
+
+    const session = new UploadSession({
+      owner: req.user._id,
+      filename: sanitizeFilename(filename),
+      mimeType: mimeType || undefined,
+      size,
+      tempPath: "",
+      expiresAt: new Date(Date.now() + ttlMs),
+    });
+    session.tempPath = path.join(UPLOAD_TEMP_DIR, session._id.toString());
+
+    await fs.promises.writeFile(session.tempPath, "");
+    await session.save();
+
+    setOffsetHeaders(res, session);
+    return res
+      .status(201)
+      .location(`${req.baseUrl}/${session._id}`)
+      .json(new ApiResponse(201, sessionDetails(session), "Upload created"));
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    } else {
+      console.error("Error Creating Upload:", error);
+      throw new ApiError(500, "Internal Server Error while creating upload");
+    }
+  }
+});
+
+// Also answers HEAD, which is how tus clients ask where to resume
+const getUpload = asyncHandler(async (req, res) => {
+  try {
+    const session = await findOwnedSession(req.params.uploadId, req.user);
+
+    setOffsetHeaders(res, session);
+    return res.json(
+      new ApiResponse(200, sessionDetails(session), "Upload fetched successfully")
+    );
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    } else {
+      console.error("Error Fetching Upload:", error);
+      throw new ApiError(500, "Internal Server Error while fetching upload");
+    }
+  }
+});
+
+const uploadChunk = asyncHandler(async (req, res) => {
+  let session = null;
+  let offset = null;
+
+  try {
+    const contentType = (req.get("Content-Type") || "").split(";")[0].trim();
+    if (!CHUNK_CONTENT_TYPES.includes(contentType)) {
+      throw new ApiError(415, "Chunks must be sent as application/offset+octet-stream");
+    }
+
+    offset = Number(req.get("Upload-Offset"));
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new ApiError(400, "Upload-Offset header is required");
+    }
+
+    const expectedDigest = parseChecksum(req.get("Upload-Checksum"));
+    const existing = await findOwnedSession(req.params.uploadId, req.user);
+
+    if (existing.status !== "active") {
+      throw new ApiError(410, `Upload is ${existing.status}`);
+    }
+
+    if (existing.offset !== offset) {
+      setOffsetHeaders(res, existing);
+      throw new ApiError(409, `Upload-Offset must be ${existing.offset}`);
+    }
+
+    // Only one writer per session, and only at the offset it expects
+    session = await UploadSession.findOneAndUpdate(
+      {
+        _id: existing._id,
+        status: "active",
+        offset,
+        $or: [
+          { lockedAt: null },
+          { lockedAt: { $lt: new Date(Date.now() - LOCK_TIMEOUT_MS) } },
+        ],
+      },
+      { $set: { lockedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!session) {
+      throw new ApiError(409, "Another chunk is being written to this upload");
+    }
+
+    const meter = chunkMeter(
+      Math.min(uploadLimits().chunkSize, session.size - session.offset)
+    );
+
+    await pipeline(
+      req,
+      meter,
+      fs.createWriteStream(session.tempPath, { flags: "r+", start: offset })
+    );
+
+    if (expectedDigest && meter.digest() !== expectedDigest) {
+      throw new ApiError(CHECKSUM_MISMATCH, "Chunk checksum does not match");
+    }
+
+    const newOffset = offset + meter.bytes;
+    session = await UploadSession.findByIdAndUpdate(
+      session._id,
+      {
+        $set: {
+          offset: newOffset,
+          status: newOffset === session.size ? "completed" : "active",
+          expiresAt: new Date(Date.now() + uploadLimits().ttlMs),
+        },
+        $unset: { lockedAt: 1 },
+      },
+      { new: true }
+    );
+
+    setOffsetHeaders(res, session);
+    return res.json(
+      new ApiResponse(200, sessionDetails(session), "Chunk received")
+    );
+  } catch (error) {
+    // Whatever was written past the verified offset is thrown away
+    if (session) {
+      await fs.promises.truncate(session.tempPath, offset).catch(() => {});
+      await UploadSession.findByIdAndUpdate(session._id, {
+        $unset: { lockedAt: 1 },
+      }).catch(() => {});
+    }
+
+    if (error instanceof ApiError) {
+      throw error;
+    } else {
+      console.error("Error Uploading Chunk:", error);
+      throw new ApiError(500, "Internal Server Error while uploading chunk");
+    }
+  }
+});
+
+const abortUpload = asyncHandler(async (req, res) => {
+  try {
+    const session = await findOwnedSession(req.params.uploadId, req.user);
+
+    if (session.status === "consumed") {
+      throw new ApiError(409, "Upload has already been used");
+    }
+
+    session.status = "aborted";
+    await session.save();
+    await fs.promises.rm(session.tempPath, { force: true });
+
+    return res.json(new ApiResponse(200, {}, "Upload aborted"));
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    } else {
+      console.error("Error Aborting Upload:", error);
+      throw new ApiError(500, "Internal Server Error while aborting upload");
+    }
+  }
+});
+
+export { createUpload, getUpload, uploadChunk, abortUpload };
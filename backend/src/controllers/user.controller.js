@@ -1,7 +1,7 @@
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiError } from "../utils/ApiError.js";
 import { User } from "../models/user.model.js"; 
-import { uploadFileToCloudinary } from "../utils/cloudinary.js";
+import { uploadFile, deleteStoredFile } from "../utils/storage/index.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { isValidEmail, isValidGitHubId } from "../utils/validator.js";
 import jwt from "jsonwebtoken";
@@ -12,6 +12,27 @@ import { generateAccessTokenAndRefreshToken } from "../utils/generateAccessToken
 import { Project } from "../models/project.model.js";
 import nodemailer from "nodemailer";
 import { Certification } from "../models/certification.model.js";
+import { enqueueJob } from "../jobs/queue.js";
+import { PROJECT_MEDIA_JOB, toQueuedFile } from "../jobs/media.job.js";
+import { keepUploadedFiles } from "../middlewares/multer.middleware.js";
+import { takeCompletedUploads, toIdList } from "../utils/uploadSessions.js";
+import { withUserRatings } from "../utils/projectRatings.js";
+import { getOwnerRole, isWatchingProject } from "../utils/projectAccess.js";
+import { inviteToProject } from "../utils/projectInvitations.js";
+import {
+  parseCertificationDetails,
+  assertValidCertificationDates,
+} from "../utils/certificationDetails.js";
+import { recordActivity } from "../utils/activity.js";
+import { notify } from "../utils/notifications.js";
+import { publish } from "../utils/eventBus.js";
+import { escapeRegex, exactMatch } from "../utils/search.js";
+import { parseListOptions, paginateList } from "../utils/pagination.js";
+import { withProjectSlug, findProjectBySlug } from "../utils/projectSlugs.js";
+import {
+  deleteProjectWithMedia,
+  deleteCertificationWithMedia,
+} from "../utils/cascadeDelete.js";
 
 const registerUser = asyncHandler(async (req, res) => {
   try {
@@ -60,13 +81,13 @@ const registerUser = asyncHandler(async (req, res) => {
 
     if (req.files && req.files.profilePic) {
       const profilePicLocalPath = req.files.profilePic[0].path;
-      const profilePic = await uploadFileToCloudinary(profilePicLocalPath);
+      const profilePic = await uploadFile(profilePicLocalPath, { folder: "profile" });
       profilePicUrl = profilePic?.url || "";
     }
 
     if (req.files && req.files.coverImg) {
       const coverImgLocalPath = req.files.coverImg[0].path;
-      const coverImg = await uploadFileToCloudinary(coverImgLocalPath);
+      const coverImg = await uploadFile(coverImgLocalPath, { folder: "cover" });
       coverImgUrl = coverImg?.url || "";
     }
 
@@ -349,9 +370,15 @@ const addProject = asyncHandler(async (req, res) => {
       techStack,
       ownersUsernames,
     } = projectData;
-    const ownerUsernames = ownersUsernames
-      .split(",")
-      .map((username) => username.trim());
+    // Co-owners are invited and only become owners once they accept
+    const ownerUsernames = [
+      ...new Set(
+        (ownersUsernames || "")
+          .split(",")
+          .map((username) => username.trim())
+          .filter((username) => username && username !== user.username)
+      ),
+    ];
     const techStacks = techStack.split(",").map((tech) => tech.trim());
 
     // Validate required fields
@@ -360,15 +387,13 @@ const addProject = asyncHandler(async (req, res) => {
       !url ||
       !description ||
       !domain ||
-      !techStacks ||
-      !ownerUsernames
+      !techStacks
     ) {
       throw new ApiError(400, "Missing required project data");
     }
-    console.log(ownerUsernames);
 
-    // Find owners by usernames
-    const owners = await Promise.all(
+    // Find invited co-owners by usernames
+    const invitees = await Promise.all(
       ownerUsernames.map(async (ownerUsername) => {
         const user = await User.findOne({ username: ownerUsername });
         if (!user) {
@@ -382,73 +407,19 @@ const addProject = asyncHandler(async (req, res) => {
     );
 
 
-    let videosUrl = [];
-    let imagesUrl = [];
-    let thumbnailUrl = "";
-
-    // Handle video uploads
-    if (req.files && req.files.videos) {
-      const videos = req.files.videos;
-      videosUrl = await Promise.all(
-        videos.map(async (video) => {
-          let videoUrl = video.path;
-          let videoNew;
-          try {
-            videoNew = await uploadFileToCloudinary(videoUrl);
-          } catch (uploadError) {
-            throw new ApiError(
-              500,
-              `Error uploading video: ${uploadError.message}`
-            );
-          }
-          let videoPath = videoNew?.url || "";
-          return videoPath;
-        })
-      );
-    }
-    console.log("Reached1");
-
-    // Handle image uploads
-    if (req.files && req.files.images) {
-      const images = req.files.images;
-      imagesUrl = await Promise.all(
-        images.map(async (image) => {
-          let imageUrl = image.path;
-          let imageNew;
-          try {
-            imageNew = await uploadFileToCloudinary(imageUrl);
-          } catch (uploadError) {
-            throw new ApiError(
-              500,
-              `Error uploading image: ${uploadError.message}`
-            );
-          }
-          let imagePath = imageNew?.url || "";
-          return imagePath;
-        })
-      );
-    }
-    console.log("Reached2", req.files.thumbnail);
+    // Media is uploaded by a background job so large files don't time out the request
+    // Large videos can also arrive through resumable upload sessions
+    const uploadedVideos = await takeCompletedUploads(
+      toIdList(projectData.videoUploadIds),
+      { owner: user._id, fieldname: "videos" }
+    );
 
-    // Handle thumbnail upload
-    if (req.files && req.files.thumbnail) {
-      const thumbnail = req.files.thumbnail;
-      const thumbnailPath = thumbnail[0].path;
-      console.log("Path: ", thumbnailPath);
-      let thumbnailNew;
-      try {
-        thumbnailNew = await uploadFileToCloudinary(thumbnailPath);
-        console.log("Thumbnail new: ", thumbnailNew);
-      } catch (uploadError) {
-        console.log("Here is the error: ", uploadError);
-        throw new ApiError(
-          500,
-          `Error uploading thumbnail: ${uploadError.message}`
-        );
-      }
-      thumbnailUrl = thumbnailNew?.url || "";
-    }
-    console.log("Reached3");
+    const queuedFiles = [
+      ...["thumbnail", "images", "videos"].flatMap(
+        (field) => req.files?.[field] || []
+      ),
+      ...uploadedVideos,
+    ].map(toQueuedFile);
 
     const project = {
       name,
@@ -456,22 +427,51 @@ const addProject = asyncHandler(async (req, res) => {
       description,
       domain,
       techStack: techStacks,
-      owners,
-      videos: videosUrl,
-      images: imagesUrl,
-      thumbnail: thumbnailUrl,
+      owners: [user._id],
+      ownerRoles: [{ user: user._id, role: "admin" }],
+      videos: [],
+      images: [],
+      thumbnail: "",
+      mediaStatus: queuedFiles.length ? "pending" : "ready",
     };
-    console.log(project);
 
-    const newProject = await Project.create(project);
-    console.log("Reached 4");
+    const newProject = new Project(project);
+    await withProjectSlug(newProject, () => newProject.save());
     user.projects.push(newProject._id);
-    console.log("Reached 5");
     await user.save();
-    console.log("Reached 6");
+    await recordActivity({
+      actor: user._id,
+      type: "projectAdded",
+      project: newProject._id,
+    });
+    publish(`profile:${user._id}`, "projects.changed", { projectId: newProject._id });
+    await Promise.all(
+      invitees.map((invitee) =>
+        inviteToProject({ project: newProject, inviter: user, invitee })
+      )
+    );
+
+    let job = null;
+    if (queuedFiles.length) {
+      job = await enqueueJob(
+        PROJECT_MEDIA_JOB,
+        { projectId: newProject._id, owner: user._id, files: queuedFiles },
+        { owner: user._id }
+      );
+      keepUploadedFiles(Object.values(req.files || {}).flat());
+    }
+
     return res
-      .status(200)
-      .json(new ApiResponse(200, newProject, "New project added successfully"));
+      .status(job ? 202 : 200)
+      .json(
+        new ApiResponse(
+          job ? 202 : 200,
+          { project: newProject, jobId: job?._id || null },
+          job
+            ? "Project added, media is being processed"
+            : "New project added successfully"
+        )
+      );
   } catch (error) {
     if (error instanceof ApiError) {
       throw error;
@@ -503,12 +503,22 @@ const deleteProject = asyncHandler(async (req, res) => {
       );
     }
 
+    const project = await Project.findById(projectId);
+
+    // Co-owners list the project too, but only admins may delete it
+    if (project && getOwnerRole(project, user) !== "admin" && project.ownerRoles.length) {
+      throw new ApiError(403, "Only project admins can delete a project, you can leave it instead");
+    }
+
     user.projects.splice(projectIndex, 1);
     // console.log(user);
 
-    await Project.findByIdAndDelete(projectId);
+    if (project) {
+      await deleteProjectWithMedia(project);
+    }
 
     await user.save();
+    publish(`profile:${user._id}`, "projects.changed", { projectId });
 
     return res.json(
       new ApiResponse(200, user, "Project removed from user's projects successfully")
@@ -524,9 +534,29 @@ const deleteProject = asyncHandler(async (req, res) => {
   }
 });
 
+const PROJECT_SORTS = {
+  newest: { fields: { createdAt: -1 } },
+  oldest: { fields: { createdAt: 1 } },
+  name: { addFields: { _sortName: { $toLower: "$name" } }, fields: { _sortName: 1 } },
+  // Projects from before ratings and stars were stored have no such fields;
+  // cursors cannot compare a missing value, so they count as 0
+  rating: {
+    addFields: {
+      _sortRating: { $ifNull: ["$ratingAverage", 0] },
+      _sortRatingCount: { $ifNull: ["$ratingCount", 0] },
+    },
+    fields: { _sortRating: -1, _sortRatingCount: -1 },
+  },
+  stars: { addFields: { _sortStars: { $ifNull: ["$stars", 0] } }, fields: { _sortStars: -1 } },
+};
+
+// A page of the user's projects. Takes page or cursor, limit and sort, and
+// filters by domain, techStack (comma-separated, all must match) and q, a
+// part of the project name.
 const fetchUserProjects = asyncHandler(async (req, res) => {
   try {
     const { username } = req.params;
+    const { domain, techStack, q } = req.query;
 
     const user = await User.findOne({ username }).select(
       "-password -refreshToken"
@@ -536,37 +566,30 @@ const fetchUserProjects = asyncHandler(async (req, res) => {
       throw new ApiError(404, `Owner with username ${username} not found`);
     }
 
-    if (!user.projects || user.projects.length === 0) {
-      return res.json(
-        new ApiResponse(
-          200,
-          { projectObjects: [] },
-          "No projects found for this user"
-        )
-      );
-    }
+    const options = parseListOptions(req.query, PROJECT_SORTS, { defaultSort: "newest" });
+    const techStacks = String(techStack || "").split(",").map((item) => item.trim()).filter(Boolean);
 
-    const projectObjects = await Promise.all(
-      user.projects.map(async (projectId) => {
-        try {
-          return await Project.findById(projectId);
-        } catch (error) {
-          console.error(`Project with ID ${projectId} not found`, error);
-          return null;
-        }
-      })
-    );
+    const projects = await paginateList(Project, {
+      ...options,
+      match: {
+        _id: { $in: user.projects },
+        ...(domain && { domain: exactMatch(String(domain).trim()) }),
+        ...(techStacks.length && { techStack: { $all: techStacks.map(exactMatch) } }),
+        ...(q && { name: { $regex: escapeRegex(String(q).trim()), $options: "i" } }),
+      },
+    });
 
-    const validProjects = projectObjects.filter((project) => project !== null);
+    projects.docs = await withUserRatings(
+      projects.docs.map((project) => ({
+        ...project,
+        viewerRole: getOwnerRole(project, req.user),
+        isWatching: isWatchingProject(req.user, project._id),
+      })),
+      req.user
+    );
 
-    // console.log("Valid Projects: ", validProjects);
-    console.log("Projects fetched");
     return res.json(
-      new ApiResponse(
-        200,
-        { projectObjects: validProjects },
-        "User Projects Successfully fetched"
-      )
+      new ApiResponse(200, projects, "User Projects Successfully fetched")
     );
   } catch (error) {
     if (error instanceof ApiError) {
@@ -578,6 +601,8 @@ const fetchUserProjects = asyncHandler(async (req, res) => {
   }
 });
 
+// `projectName` is the project's slug. Old slugs and names still find the
+// project; the page then moves to the `slug` in the response.
 const fetchProject = asyncHandler(async (req, res) => {
   try {
     const { username, projectName } = req.params;
@@ -590,13 +615,19 @@ const fetchProject = asyncHandler(async (req, res) => {
       throw new ApiError(404, `Owner with username ${username} not found`);
     }
 
-    // console.log(user);
+    const projects = await Project.find({
+      _id: { $in: user.projects },
+      $or: [{ slug: projectName }, { previousSlugs: projectName }, { name: projectName }],
+    }).populate("videos");
+    const { project } = findProjectBySlug(projects, projectName);
 
-    const projectIds = user.projects;
+    if (!project) {
+      throw new ApiError(404, "Project not found");
+    }
 
-    const projects = await Project.find({ _id: { $in: projectIds } });
-    console.log("Project Name: ", username);
-    const project = projects.find((project) => project.name === projectName);
+    if (!project.slug) {
+      await withProjectSlug(project, () => project.save());
+    }
 
     const ownerObjects = await Promise.all(
       project.owners.map(async (ownerId) => {
@@ -609,11 +640,20 @@ const fetchProject = asyncHandler(async (req, res) => {
       })
     );
 
-    const validOwnerObjects = ownerObjects.filter((owner) => owner !== null);
-    const projectObject = {
-      ...project.toObject(), // Convert the Mongoose document to a plain object
-      owners: validOwnerObjects,
-    };
+    const validOwnerObjects = ownerObjects
+      .filter((owner) => owner !== null)
+      .map((owner) => ({ ...owner.toObject(), role: getOwnerRole(project, owner) }));
+    const [projectObject] = await withUserRatings(
+      [
+        {
+          ...project.toObject(), // Convert the Mongoose document to a plain object
+          owners: validOwnerObjects,
+          viewerRole: getOwnerRole(project, req.user),
+          isWatching: isWatchingProject(req.user, project._id),
+        },
+      ],
+      req.user
+    );
 
     // const validProjects = projectObjects.filter((project) => project !== null);
     console.log("Project fetched");
@@ -649,6 +689,13 @@ const sendEmail = asyncHandler(async (req, res) => {
 
     const { firstName, lastName, email, message } = req.body;
 
+    // Kept in the app as well, so the message is not lost if the email bounces
+    await notify({
+      recipient: user._id,
+      type: "contactMessage",
+      text: `${[firstName, lastName].filter(Boolean).join(" ")} (${email}) sent you a message: ${message}`,
+    });
+
     const transporter = nodemailer.createTransport({
       host: process.env.AUTH_SENDER_HOST,
       auth: {
@@ -697,24 +744,30 @@ const addCertification = asyncHandler(async (req, res) => {
       throw new ApiError(400, "Missing required certificate data");
     }
 
-    let certificateUrl = "";
+    const details = parseCertificationDetails(req.body);
+    assertValidCertificationDates(details);
+
+    // An image or a PDF, the upload policy checks which
+    const certificateImg = req.files?.certificateImg?.[0];
+    if (!certificateImg) {
+      throw new ApiError(400, "A certificate image or PDF is required");
+    }
 
-    if (req.files && req.files.certificateImg) {
-      const certificateImg = req.files.certificateImg[0];
-      const certificateImgPath = certificateImg.path;
+    let certificateUrl = "";
 
-      try {
-        const uploadedCertificate = await uploadFileToCloudinary(certificateImgPath);
-        certificateUrl = uploadedCertificate.url || "";
-      } catch (uploadError) {
-        throw new ApiError(500, `Error uploading certificate: ${uploadError.message}`);
-      }
+    try {
+      const uploadedCertificate = await uploadFile(certificateImg.path, {
+        folder: "certificates",
+      });
+      certificateUrl = uploadedCertificate?.url || "";
+    } catch (uploadError) {
+      throw new ApiError(500, `Error uploading certificate: ${uploadError.message}`);
     }
 
     const certificate = {
-      title,
-      description,
+      ...details,
       certificateImg: certificateUrl,
+      certificateMimeType: certificateImg.mimetype,
     };
 
     const newCertificate = await Certification.create(certificate);
@@ -722,6 +775,14 @@ const addCertification = asyncHandler(async (req, res) => {
     user.certifications.push(newCertificate._id);
   
     await user.save();
+    await recordActivity({
+      actor: user._id,
+      type: "certificationAdded",
+      certification: newCertificate._id,
+    });
+    publish(`profile:${user._id}`, "certifications.changed", {
+      certificationId: newCertificate._id,
+    });
     const newUser = await User.findById(user._id)
     return res.status(200).json(new ApiResponse(200, newCertificate, "New certificate added successfully"));
   } catch (error) {
@@ -733,9 +794,32 @@ const addCertification = asyncHandler(async (req, res) => {
   }
 });
 
+// Certifications without an expiry date sort after every dated one
+const NEVER_EXPIRES = new Date("9999-12-31T00:00:00Z");
+
+const CERTIFICATION_SORTS = {
+  // By issue date; undated ones by when they were added
+  newest: {
+    addFields: { _sortDate: { $ifNull: ["$issueDate", "$createdAt"] } },
+    fields: { _sortDate: -1 },
+  },
+  oldest: {
+    addFields: { _sortDate: { $ifNull: ["$issueDate", "$createdAt"] } },
+    fields: { _sortDate: 1 },
+  },
+  expiring: {
+    addFields: { _sortExpiry: { $ifNull: ["$expiryDate", NEVER_EXPIRES] } },
+    fields: { _sortExpiry: 1 },
+  },
+  title: { addFields: { _sortTitle: { $toLower: "$title" } }, fields: { _sortTitle: 1 } },
+};
+
+// A page of the user's certifications. Takes page or cursor, limit and sort,
+// and filters by issuer and status (active or expired).
 const fetchCertifications = asyncHandler(async (req, res) => {
   try {
     const { username } = req.params;
+    const { issuer, status } = req.query;
 
     const user = await User.findOne({ username }).select(
       "-password -refreshToken"
@@ -745,12 +829,23 @@ const fetchCertifications = asyncHandler(async (req, res) => {
       throw new ApiError(404, `Owner with username ${username} not found`);
     }
 
-    // console.log(user);
+    if (status && !["active", "expired"].includes(status)) {
+      throw new ApiError(400, "status must be active or expired");
+    }
+
+    const options = parseListOptions(req.query, CERTIFICATION_SORTS, { defaultSort: "newest" });
+    const now = new Date();
 
-    const certificationIds = user.certifications;
+    const certificates = await paginateList(Certification, {
+      ...options,
+      match: {
+        _id: { $in: user.certifications },
+        ...(issuer && { issuer: exactMatch(String(issuer).trim()) }),
+        ...(status === "active" && { $or: [{ expiryDate: null }, { expiryDate: { $gt: now } }] }),
+        ...(status === "expired" && { expiryDate: { $lte: now } }),
+      },
+    });
 
-    const certificates = await Certification.find({_id : { $in:  certificationIds}})
-    console.log("Ceertificates fetched");
     return res.json(
       new ApiResponse(200, certificates, "Certificates successfully fetched")
     );
@@ -787,9 +882,12 @@ const deleteCertification = asyncHandler(async (req, res) => {
     }
 
     user.certifications.splice(certificationIndex, 1);
-    console.log(user);
-    await Certification.findByIdAndDelete(certificationId);
+    const certification = await Certification.findById(certificationId);
+    if (certification) {
+      await deleteCertificationWithMedia(certification);
+    }
     await user.save();
+    publish(`profile:${user._id}`, "certifications.changed", { certificationId });
 
     return res.json(
       new ApiResponse(200, user, "Certification removed from user's certifications successfully")
@@ -819,15 +917,24 @@ const addResume = asyncHandler(async (req, res) => {
       const resumePath = resume.path;
       
       try {
-        const uploadedResume = await uploadFileToCloudinary(resumePath);
-        resumeUrl = uploadedResume.url || "";
+        const uploadedResume = await uploadFile(resumePath, { folder: "resumes" });
+        resumeUrl = uploadedResume?.url || "";
       } catch (uploadError) {
         throw new ApiError(500, `Error uploading resume: ${uploadError.message}`);
       }
     }
 
+    const previousResume = user.resume;
     user.resume = resumeUrl
     await user.save();
+
+    if (previousResume && previousResume !== resumeUrl) {
+      await deleteStoredFile({ url: previousResume });
+    }
+    if (resumeUrl) {
+      await recordActivity({ actor: user._id, type: "resumeUpdated" });
+    }
+    publish(`profile:${user._id}`, "profile.updated");
     const newUser = await User.findById(user._id)
     console.log(newUser)
     return res.status(200).json(new ApiResponse(200, newUser, "Resume updated successfully"));
@@ -849,7 +956,7 @@ const searchUsers = asyncHandler(async (req, res) => {
     }
 
     const users = await User.find({
-      username: { $regex: new RegExp(username, 'i') } // Case-insensitive search
+      username: { $regex: new RegExp(escapeRegex(username), 'i') } // Case-insensitive search
     });
 
     if(users.length === 0) {
@@ -0,0 +1,302 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Video } from "../models/video.model.js";
+import { Project } from "../models/project.model.js";
+import { User } from "../models/user.model.js";
+import {
+  uploadFile,
+  getStorage,
+  deleteStoredFile,
+} from "../utils/storage/index.js";
+import { sendStoredFile } from "../utils/sendStoredFile.js";
+import { deleteVideoWithMedia } from "../utils/cascadeDelete.js";
+import { enqueueJob } from "../jobs/queue.js";
+import { TRANSCODE_JOB } from "../jobs/transcode.job.js";
+import { VIDEO_UPLOAD_JOB, toQueuedFile } from "../jobs/media.job.js";
+import { keepUploadedFiles } from "../middlewares/multer.middleware.js";
+import { takeCompletedUploads } from "../utils/uploadSessions.js";
+import { publish } from "../utils/eventBus.js";
+import { canEditProject } from "../utils/projectAccess.js";
+
+const findOwnedVideo = async (videoId, user) => {
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video ID");
+  }
+
+  const video = await Video.findById(videoId);
+
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  if (video.owner?.toString() !== user._id.toString()) {
+    throw new ApiError(403, "You are not allowed to modify this video");
+  }
+
+  return video;
+};
+
+const uploadVideo = asyncHandler(async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user) {
+      throw new ApiError(404, "User not found");
+    }
+
+    const { title, description, projectId, uploadId } = req.body;
+
+    if (!req.files?.videoFile && !uploadId) {
+      throw new ApiError(400, "Video file is required");
+    }
+
+    let project = null;
+    if (projectId) {
+      if (!isValidObjectId(projectId)) {
+        throw new ApiError(400, "Invalid project ID");
+      }
+
+      project = await Project.findById(projectId);
+      if (!project) {
+        throw new ApiError(404, "Project not found");
+      }
+
+      if (!canEditProject(project, user)) {
+        throw new ApiError(403, "Only project admins and editors can add videos");
+      }
+    }
+
+    // A finished resumable upload stands in for the multipart video file
+    const [videoFile] = req.files?.videoFile
+      ? req.files.videoFile
+      : await takeCompletedUploads([uploadId], {
+          owner: user._id,
+          fieldname: "videoFile",
+        });
+
+    const queuedFiles = [videoFile, req.files?.thumbnail?.[0]]
+      .filter(Boolean)
+      .map(toQueuedFile);
+
+    const job = await enqueueJob(
+      VIDEO_UPLOAD_JOB,
+      {
+        files: queuedFiles,
+        owner: user._id,
+        projectId: project?._id,
+        title,
+        description,
+      },
+      { owner: user._id }
+    );
+    keepUploadedFiles(Object.values(req.files || {}).flat());
+
+    return res
+      .status(202)
+      .json(new ApiResponse(202, { jobId: job._id }, "Video upload queued"));
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    } else {
+      console.error("Error Uploading Video:", error);
+      throw new ApiError(500, "Internal Server Error while uploading video");
+    }
+  }
+});
+
+const getVideoById = asyncHandler(async (req, res) => {
+  try {
+    const { videoId } = req.params;
+
+    if (!isValidObjectId(videoId)) {
+      throw new ApiError(400, "Invalid video ID");
+    }
+
+    const video = await Video.findById(videoId).populate(
+      "owner",
+      "username fullname profilePic"
+    );
+
+    if (!video) {
+      throw new ApiError(404, "Video not found");
+    }
+
+    return res.json(new ApiResponse(200, video, "Video successfully fetched"));
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    } else {
+      console.error("Error Fetching Video:", error);
+      throw new ApiError(500, "Error Fetching Video");
+    }
+  }
+});
+
+const getOwnerVideos = asyncHandler(async (req, res) => {
+  try {
+    const { username } = req.params;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+    const user = await User.findOne({ username }).select("_id");
+
+    if (!user) {
+      throw new ApiError(404, `Owner with username ${username} not found`);
+    }
+
+    const aggregate = Video.aggregate([
+      { $match: { owner: new mongoose.Types.ObjectId(user._id) } },
+      { $sort: { createdAt: -1 } },
+    ]);
+
+    const videos = await Video.aggregatePaginate(aggregate, { page, limit });
+
+    return res.json(
+      new ApiResponse(200, videos, "Owner videos successfully fetched")
+    );
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    } else {
+      console.error("Error Fetching Owner Videos:", error);
+      throw new ApiError(500, "Error Fetching Owner Videos");
+    }
+  }
+});
+
+const updateVideo = asyncHandler(async (req, res) => {
+  try {
+    const video = await findOwnedVideo(req.params.videoId, req.user);
+    const { title, description } = req.body;
+    let previousThumbnail = "";
+
+    if (title?.trim()) video.title = title;
+    if (description !== undefined) video.description = description;
+
+    if (req.files && req.files.thumbnail) {
+      const thumbnail = await uploadFile(req.files.thumbnail[0].path, {
+        folder: "thumbnails",
+      });
+      if (!thumbnail?.url) {
+        throw new ApiError(500, "Error uploading thumbnail");
+      }
+      previousThumbnail = video.thumbnail;
+      video.thumbnail = thumbnail.url;
+    }
+
+    await video.save();
+
+    if (previousThumbnail) {
+      await deleteStoredFile({ url: previousThumbnail });
+    }
+
+    if (video.project) {
+      publish(`project:${video.project}`, "project.updated", { videoId: video._id });
+    }
+
+    return res.json(new ApiResponse(200, video, "Video updated successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    } else {
+      console.error("Error Updating Video:", error);
+      throw new ApiError(500, "Error Updating Video");
+    }
+  }
+});
+
+const deleteVideo = asyncHandler(async (req, res) => {
+  try {
+    const video = await findOwnedVideo(req.params.videoId, req.user);
+
+    if (video.project) {
+      await Project.findByIdAndUpdate(video.project, {
+        $pull: { videos: video._id },
+      });
+    }
+
+    await deleteVideoWithMedia(video);
+
+    if (video.project) {
+      publish(`project:${video.project}`, "project.updated", { videoId: video._id });
+    }
+
+    return res.json(new ApiResponse(200, {}, "Video deleted successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    } else {
+      console.error("Error Deleting Video:", error);
+      throw new ApiError(500, "Error Deleting Video");
+    }
+  }
+});
+
+// Re-runs HLS transcoding, e.g. after a failure
+const retranscodeVideo = asyncHandler(async (req, res) => {
+  try {
+    const video = await findOwnedVideo(req.params.videoId, req.user);
+
+    if (["pending", "processing"].includes(video.processingStatus)) {
+      throw new ApiError(409, "Video is already being processed");
+    }
+
+    video.processingStatus = "pending";
+    await video.save();
+    const job = await enqueueJob(
+      TRANSCODE_JOB,
+      { videoId: video._id },
+      { owner: req.user._id, maxAttempts: 2 }
+    );
+
+    return res
+      .status(202)
+      .json(new ApiResponse(202, { video, jobId: job._id }, "Video queued for transcoding"));
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    } else {
+      console.error("Error Queueing Transcode:", error);
+      throw new ApiError(500, "Error Queueing Transcode");
+    }
+  }
+});
+
+// Serves the video file with HTTP Range support so the <video> element can seek
+const streamVideo = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video ID");
+  }
+
+  const video = await Video.findById(videoId).select(
+    "videoFile storageDriver storageKey mimeType"
+  );
+
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  // Cloudinary already handles range requests itself
+  if (video.storageDriver === "cloudinary" || !video.storageKey) {
+    return res.redirect(302, video.videoFile);
+  }
+
+  await sendStoredFile(req, res, {
+    driver: getStorage(video.storageDriver),
+    key: video.storageKey,
+    contentType: video.mimeType,
+  });
+});
+
+export {
+  uploadVideo,
+  getVideoById,
+  getOwnerVideos,
+  updateVideo,
+  deleteVideo,
+  streamVideo,
+  retranscodeVideo,
+};
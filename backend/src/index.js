@@ -1,17 +1,36 @@
 import connect_database from "./db/index.js"
 import dotenv from "dotenv"
 import { app } from "./app.js"
+import { scheduleStorageGc } from "./jobs/storageGc.job.js"
+import { startJobs } from "./jobs/index.js"
+import { scheduleUploadCleanup } from "./jobs/uploadCleanup.job.js"
+import { backfillProjectSlugs } from "./utils/projectSlugs.js"
+import { backfillProjectVideos } from "./utils/legacyVideos.js"
+import { checkSecrets } from "./utils/secrets.js"
 
 dotenv.config({
     path: "./.env"
 })
 
+checkSecrets()
+
 
 connect_database()
 .then(() => {
     app.listen(process.env.PORT || 8000, () => {
         console.log(`Server running at port: ${process.env.PORT}`);
     })
+    scheduleStorageGc()
+    scheduleUploadCleanup()
+    startJobs().catch((error) => {
+        console.log(`Job worker failed to start: ${error}`);
+    })
+    backfillProjectSlugs().catch((error) => {
+        console.log(`Giving projects slugs failed: ${error}`);
+    })
+    backfillProjectVideos().catch((error) => {
+        console.log(`Turning legacy project videos into Video documents failed: ${error}`);
+    })
 })
 .catch((error) => {
     console.log(`MongoDB connection failed: ${error}`);
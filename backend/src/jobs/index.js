@@ -0,0 +1,31 @@
+import { registerJobHandler, startJobWorker } from "./queue.js";
+import { TRANSCODE_JOB, transcodeVideo } from "./transcode.job.js";
+import { VIDEO_METADATA_JOB, extractVideoMetadata } from "./videoMetadata.job.js";
+import {
+  PROJECT_MEDIA_JOB,
+  VIDEO_UPLOAD_JOB,
+  processProjectMedia,
+  onProjectMediaFailed,
+  processVideoUpload,
+  onVideoUploadFailed,
+} from "./media.job.js";
+
+export const startJobs = async () => {
+  registerJobHandler(PROJECT_MEDIA_JOB, processProjectMedia, {
+    concurrency: 2,
+    onFailed: onProjectMediaFailed,
+  });
+  registerJobHandler(VIDEO_UPLOAD_JOB, processVideoUpload, {
+    concurrency: 2,
+    onFailed: onVideoUploadFailed,
+  });
+  registerJobHandler(VIDEO_METADATA_JOB, (payload) => extractVideoMetadata(payload.videoId), {
+    concurrency: 1,
+  });
+  // ffmpeg is CPU bound, one encode at a time
+  registerJobHandler(TRANSCODE_JOB, (payload) => transcodeVideo(payload.videoId), {
+    concurrency: 1,
+  });
+
+  await startJobWorker();
+};
@@ -0,0 +1,173 @@
+import fs from "fs";
+import { Job } from "../models/job.model.js";
+import { Project } from "../models/project.model.js";
+import { uploadFile, deleteStoredFile } from "../utils/storage/index.js";
+import { createVideoFromFile } from "../utils/createVideoFromFile.js";
+import { recordActivity } from "../utils/activity.js";
+import { publish } from "../utils/eventBus.js";
+
+export const PROJECT_MEDIA_JOB = "processProjectMedia";
+export const VIDEO_UPLOAD_JOB = "processVideoUpload";
+
+// The parts of a multer file a job needs after the request is gone
+export const toQueuedFile = (file) => ({
+  field: file.fieldname,
+  path: file.path,
+  originalname: file.originalname,
+  mimetype: file.mimetype,
+  size: file.size,
+  done: false,
+});
+
+// Progress is saved after every step so a retry skips what already succeeded
+const saveProgress = async (job) => {
+  await Job.findByIdAndUpdate(job._id, { $set: { payload: job.payload } });
+};
+
+const markFileDone = async (job, file) => {
+  file.done = true;
+  await saveProgress(job);
+};
+
+const removeTempFiles = async (files = []) => {
+  await Promise.all(
+    files
+      .filter((file) => !file.done && file.path)
+      .map((file) => fs.promises.rm(file.path, { force: true }))
+  );
+};
+
+export const processProjectMedia = async (payload, job) => {
+  const project = await Project.findById(payload.projectId);
+
+  if (!project) {
+    await removeTempFiles(payload.files);
+    return { skipped: true };
+  }
+
+  for (const file of payload.files) {
+    if (file.done) continue;
+
+    // A file uploaded on an earlier attempt only needs adding to the project
+    if (file.field === "videos" && !file.videoId) {
+      const video = await createVideoFromFile({
+        file,
+        owner: payload.owner,
+        project: project._id,
+        description: project.description,
+        keepLocalFileOnError: true,
+      });
+      if (!video) {
+        throw new Error(`Error uploading video ${file.originalname}`);
+      }
+      file.videoId = video._id;
+      await saveProgress(job);
+    } else if (file.field !== "videos" && !file.url) {
+      const stored = await uploadFile(file.path, {
+        folder: file.field === "thumbnail" ? "thumbnails" : "images",
+        keepLocalFileOnError: true,
+      });
+      if (!stored) {
+        throw new Error(`Error uploading ${file.field} ${file.originalname}`);
+      }
+      file.url = stored.url;
+      await saveProgress(job);
+    }
+
+    let replacedThumbnail = null;
+    if (file.field === "videos") {
+      if (!project.videos.some((id) => String(id) === String(file.videoId))) {
+        project.videos.push(file.videoId);
+      }
+    } else if (file.field === "thumbnail") {
+      // Editing a project can replace the thumbnail it already had
+      if (project.thumbnail !== file.url) {
+        replacedThumbnail = project.thumbnail;
+        project.thumbnail = file.url;
+      }
+    } else if (!project.images.includes(file.url)) {
+      project.images.push(file.url);
+    }
+
+    await project.save();
+    if (replacedThumbnail) {
+      await deleteStoredFile({ url: replacedThumbnail });
+    }
+    await markFileDone(job, file);
+    publish(`project:${project._id}`, "project.updated", { projectId: project._id });
+  }
+
+  project.mediaStatus = "ready";
+  await project.save();
+
+  publish(`project:${project._id}`, "project.updated", { projectId: project._id });
+  project.owners.forEach((owner) =>
+    publish(`profile:${owner}`, "projects.changed", { projectId: project._id })
+  );
+
+  return { projectId: project._id, videos: project.videos, images: project.images };
+};
+
+export const onProjectMediaFailed = async (payload) => {
+  await Project.findByIdAndUpdate(payload.projectId, { mediaStatus: "failed" });
+  publish(`project:${payload.projectId}`, "project.updated", { projectId: payload.projectId });
+  await removeTempFiles(payload.files);
+};
+
+export const processVideoUpload = async (payload, job) => {
+  const [videoFile, thumbnailFile] = payload.files;
+
+  if (thumbnailFile && !thumbnailFile.done) {
+    const thumbnail = await uploadFile(thumbnailFile.path, {
+      folder: "thumbnails",
+      keepLocalFileOnError: true,
+    });
+    if (!thumbnail) {
+      throw new Error(`Error uploading thumbnail ${thumbnailFile.originalname}`);
+    }
+    payload.thumbnailUrl = thumbnail.url;
+    await markFileDone(job, thumbnailFile);
+  }
+
+  // A retry after the video was created only has to attach it
+  if (!payload.videoId) {
+    const video = await createVideoFromFile({
+      file: videoFile,
+      owner: payload.owner,
+      project: payload.projectId,
+      title: payload.title,
+      description: payload.description,
+      thumbnail: payload.thumbnailUrl || "",
+      keepLocalFileOnError: true,
+    });
+
+    if (!video) {
+      throw new Error(`Error uploading video ${videoFile.originalname}`);
+    }
+    payload.videoId = video._id;
+    await markFileDone(job, videoFile);
+  }
+
+  if (payload.projectId) {
+    await Project.findByIdAndUpdate(payload.projectId, {
+      $addToSet: { videos: payload.videoId },
+    });
+    publish(`project:${payload.projectId}`, "project.updated", {
+      projectId: payload.projectId,
+    });
+  }
+
+  await recordActivity({
+    actor: payload.owner,
+    type: "videoAdded",
+    video: payload.videoId,
+    project: payload.projectId,
+  });
+
+  return { videoId: payload.videoId };
+};
+
+export const onVideoUploadFailed = async (payload) => {
+  await removeTempFiles(payload.files);
+};
+
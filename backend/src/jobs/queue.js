@@ -0,0 +1,179 @@
+import os from "os";
+import { Job } from "../models/job.model.js";
+
+// A small persistent job queue on top of MongoDB. Jobs survive restarts,
+// are retried with exponential backoff and run with bounded concurrency.
+
+const handlers = new Map();
+const runningByType = new Map();
+const workerId = `${os.hostname()}:${process.pid}`;
+
+let pollTimer = null;
+let isPolling = false;
+let runningCount = 0;
+let workerOptions = null;
+
+// `concurrency` limits how many jobs of this type run at once on this worker;
+// `onFailed(payload, error)` runs once after the final attempt fails
+export const registerJobHandler = (type, handler, { concurrency = 1, onFailed } = {}) => {
+  handlers.set(type, { handler, concurrency, onFailed });
+  runningByType.set(type, 0);
+};
+
+export const enqueueJob = async (type, payload = {}, { owner, maxAttempts, delayMs = 0 } = {}) => {
+  return await Job.create({
+    type,
+    payload,
+    owner,
+    maxAttempts,
+    runAt: new Date(Date.now() + delayMs),
+  });
+};
+
+const lockTimeout = () => Number(process.env.JOB_LOCK_TIMEOUT_MS || 30 * 60 * 1000);
+
+const backoffDelay = (attempts) =>
+  Math.min(
+    Number(process.env.JOB_BACKOFF_MS || 5000) * 2 ** (attempts - 1),
+    60 * 60 * 1000
+  );
+
+// Atomically moves one due job of a type with free capacity to "running"
+const claimJob = async () => {
+  const availableTypes = [...handlers.entries()]
+    .filter(([type, { concurrency }]) => runningByType.get(type) < concurrency)
+    .map(([type]) => type);
+
+  if (!availableTypes.length) return null;
+
+  return await Job.findOneAndUpdate(
+    { status: "pending", runAt: { $lte: new Date() }, type: { $in: availableTypes } },
+    {
+      $set: { status: "running", lockedAt: new Date(), lockedBy: workerId },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+// Renews the lock of a running job so releaseStaleJobs only takes back jobs
+// whose worker is gone, however long a transcode takes
+const startHeartbeat = (job) => {
+  const timer = setInterval(() => {
+    Job.updateOne(
+      { _id: job._id, status: "running", lockedBy: workerId },
+      { $set: { lockedAt: new Date() } }
+    ).catch((error) => console.error(`Heartbeat for job ${job._id} failed:`, error));
+  }, lockTimeout() / 3);
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+const runJob = async (job) => {
+  const { handler, onFailed } = handlers.get(job.type);
+  const stopHeartbeat = startHeartbeat(job);
+
+  try {
+    const result = await handler(job.payload, job);
+
+    await Job.findByIdAndUpdate(job._id, {
+      $set: { status: "completed", result, completedAt: new Date() },
+      $unset: { lockedAt: 1, lockedBy: 1 },
+    });
+  } catch (error) {
+    const isFinalAttempt = job.attempts >= job.maxAttempts;
+    console.error(
+      `Job ${job.type} (${job._id}) failed on attempt ${job.attempts}/${job.maxAttempts}:`,
+      error
+    );
+
+    // If this write fails too the lock expires and releaseStaleJobs takes the job back
+    await Job.findByIdAndUpdate(job._id, {
+      $set: {
+        status: isFinalAttempt ? "failed" : "pending",
+        lastError: error.message,
+        runAt: new Date(Date.now() + backoffDelay(job.attempts)),
+        // Handlers may record partial progress in the payload for the next attempt
+        payload: job.payload,
+      },
+      $unset: { lockedAt: 1, lockedBy: 1 },
+    }).catch((updateError) =>
+      console.error(`Recording the failure of job ${job._id} failed:`, updateError)
+    );
+
+    if (isFinalAttempt && onFailed) {
+      await Promise.resolve(onFailed(job.payload, error)).catch((hookError) =>
+        console.error(`onFailed hook for job ${job._id} failed:`, hookError)
+      );
+    }
+  } finally {
+    stopHeartbeat();
+  }
+};
+
+// Claims as many jobs as the concurrency limits allow
+const poll = async () => {
+  if (isPolling) return;
+  isPolling = true;
+
+  try {
+    while (runningCount < workerOptions.concurrency) {
+      const job = await claimJob();
+      if (!job) return;
+
+      runningCount++;
+      runningByType.set(job.type, runningByType.get(job.type) + 1);
+
+      runJob(job).finally(() => {
+        runningCount--;
+        runningByType.set(job.type, runningByType.get(job.type) - 1);
+        // Pick up follow-up work without waiting for the next tick
+        if (pollTimer) poll().catch(() => {});
+      });
+    }
+  } finally {
+    isPolling = false;
+  }
+};
+
+// Jobs locked by a worker that crashed are handed back to the queue, unless
+// that was their last attempt; a job that keeps killing its worker stops there
+const releaseStaleJobs = async () => {
+  const stale = { status: "running", lockedAt: { $lt: new Date(Date.now() - lockTimeout()) } };
+  const release = { $unset: { lockedAt: 1, lockedBy: 1 } };
+
+  await Job.updateMany(
+    { ...stale, $expr: { $gte: ["$attempts", "$maxAttempts"] } },
+    { ...release, $set: { status: "failed", lastError: "The worker running the job stopped" } }
+  );
+  await Job.updateMany(
+    { ...stale, $expr: { $lt: ["$attempts", "$maxAttempts"] } },
+    { ...release, $set: { status: "pending" } }
+  );
+};
+
+export const startJobWorker = async ({
+  concurrency = Number(process.env.JOB_CONCURRENCY || 2),
+  pollInterval = Number(process.env.JOB_POLL_INTERVAL_MS || 2000),
+} = {}) => {
+  if (pollTimer) return;
+
+  workerOptions = { concurrency };
+  await releaseStaleJobs();
+
+  let ticks = 0;
+  pollTimer = setInterval(() => {
+    ticks++;
+    const tick = ticks % 30 === 0 ? releaseStaleJobs().then(poll) : poll();
+    tick.catch((error) => console.error("Job worker poll failed:", error));
+  }, pollInterval);
+  pollTimer.unref();
+
+  console.log(`Job worker ${workerId} started (concurrency ${concurrency})`);
+};
+
+export const stopJobWorker = () => {
+  clearInterval(pollTimer);
+  pollTimer = null;
+};
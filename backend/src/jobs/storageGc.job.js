@@ -0,0 +1,108 @@
+import { pathToFileURL } from "url";
+import mongoose from "mongoose";
+import { User } from "../models/user.model.js";
+import { Project } from "../models/project.model.js";
+import { Certification } from "../models/certification.model.js";
+import { Video } from "../models/video.model.js";
+import { getStorage } from "../utils/storage/index.js";
+
+const HOUR = 60 * 60 * 1000;
+
+// Every stored key the database still points at, for the given driver
+const collectReferencedKeys = async (driver) => {
+  const keys = new Set();
+  const addUrl = (url) => {
+    const key = url && driver.keyFromUrl(url);
+    if (key) keys.add(key);
+  };
+
+  for await (const user of User.find().select("profilePic coverImg resume").lean()) {
+    [user.profilePic, user.coverImg, user.resume].forEach(addUrl);
+  }
+
+  for await (const project of Project.find().select("thumbnail images").lean()) {
+    [project.thumbnail, ...(project.images || [])].forEach(addUrl);
+  }
+
+  for await (const certification of Certification.find().select("certificateImg").lean()) {
+    addUrl(certification.certificateImg);
+  }
+
+  for await (const video of Video.find().lean()) {
+    if (video.storageDriver === driver.name) {
+      [video.storageKey, ...(video.hlsKeys || [])]
+        .filter(Boolean)
+        .forEach((key) => keys.add(key));
+    }
+    [video.videoFile, video.thumbnail, video.previewSprite?.url].forEach(addUrl);
+  }
+
+  return keys;
+};
+
+// Compares what the active storage driver holds against database references.
+// Files younger than the grace period are skipped so in-flight uploads survive.
+export const collectStorageGarbage = async ({
+  purge = false,
+  gracePeriodMs = 24 * HOUR,
+} = {}) => {
+  const driver = getStorage();
+  const referencedKeys = await collectReferencedKeys(driver);
+  const cutoff = Date.now() - gracePeriodMs;
+
+  const orphans = [];
+  let scanned = 0;
+  let purged = 0;
+
+  for await (const file of driver.list()) {
+    scanned++;
+    if (referencedKeys.has(file.key)) continue;
+    if (new Date(file.lastModified).getTime() > cutoff) continue;
+
+    orphans.push(file);
+
+    if (purge) {
+      try {
+        await driver.delete(file.key);
+        purged++;
+      } catch (error) {
+        console.error(`Storage GC could not delete ${file.key}:`, error);
+      }
+    }
+  }
+
+  console.log(
+    `Storage GC (${driver.name}): scanned ${scanned}, orphaned ${orphans.length}, purged ${purged}`
+  );
+
+  return { driver: driver.name, scanned, orphans, purged };
+};
+
+// STORAGE_GC_INTERVAL_HOURS=0 turns the periodic run off,
+// STORAGE_GC_PURGE=true deletes orphans instead of only reporting them
+export const scheduleStorageGc = () => {
+  const intervalHours = Number(process.env.STORAGE_GC_INTERVAL_HOURS ?? 24);
+  if (!intervalHours) return null;
+
+  const run = () =>
+    collectStorageGarbage({ purge: process.env.STORAGE_GC_PURGE === "true" }).catch(
+      (error) => console.log(`Storage GC failed: ${error}`)
+    );
+
+  const timer = setInterval(run, intervalHours * HOUR);
+  timer.unref();
+  return timer;
+};
+
+// Allows a one-off run: `npm run storage-gc -- --purge`
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const { default: connect_database } = await import("../db/index.js");
+  await connect_database();
+
+  const { orphans } = await collectStorageGarbage({
+    purge: process.argv.includes("--purge"),
+  });
+  orphans.forEach((file) => console.log(`orphan: ${file.key} (${file.size} bytes)`));
+
+  await mongoose.disconnect();
+}
@@ -0,0 +1,213 @@
+import fs from "fs";
+import os from "os";
+import crypto from "crypto";
+import path from "path";
+import { pipeline } from "stream/promises";
+import { Readable } from "stream";
+import { Video } from "../models/video.model.js";
+import { getStorage, uploadFile, deleteStoredFile } from "../utils/storage/index.js";
+import { runFfmpeg, probeVideo } from "../utils/ffmpeg.js";
+import { publish } from "../utils/eventBus.js";
+
+export const TRANSCODE_JOB = "transcodeVideo";
+
+export const HLS_LADDER = [
+  { name: "360p", height: 360, videoBitrate: 800000, audioBitrate: 96000 },
+  { name: "720p", height: 720, videoBitrate: 2800000, audioBitrate: 128000 },
+  { name: "1080p", height: 1080, videoBitrate: 5000000, audioBitrate: 192000 },
+];
+
+const SEGMENT_SECONDS = 6;
+
+export const isTranscodingEnabled = () => process.env.HLS_TRANSCODING !== "false";
+
+// Never upscale; tiny sources still get the lowest rung at their own height
+const pickRenditions = ({ width, height }) => {
+  const rungs = HLS_LADDER.filter((rung) => rung.height <= height);
+  const selected = rungs.length
+    ? rungs
+    : [{ ...HLS_LADDER[0], height: height - (height % 2) || HLS_LADDER[0].height }];
+
+  return selected.map((rung) => ({
+    ...rung,
+    width: width && height ? Math.round((width * rung.height) / height / 2) * 2 : 0,
+  }));
+};
+
+// Gives ffmpeg a local path to read from, downloading remote originals first
+export const getLocalSource = async (video, workDir) => {
+  if (video.storageDriver === "local" && video.storageKey) {
+    return getStorage("local").resolve(video.storageKey);
+  }
+
+  const sourcePath = path.join(workDir, `source${path.extname(video.storageKey || video.videoFile) || ".mp4"}`);
+  let source;
+
+  if (video.storageKey) {
+    source = await getStorage(video.storageDriver).get(video.storageKey);
+  } else {
+    const response = await fetch(video.videoFile);
+    if (!response.ok) {
+      throw new Error(`Could not download ${video.videoFile}`);
+    }
+    source = Readable.fromWeb(response.body);
+  }
+
+  await pipeline(source, fs.createWriteStream(sourcePath));
+  return sourcePath;
+};
+
+const encodeRendition = (sourcePath, outputDir, rendition) =>
+  runFfmpeg([
+    "-i", sourcePath,
+    "-vf", `scale=-2:${rendition.height}`,
+    "-c:v", "libx264",
+    "-preset", "veryfast",
+    "-profile:v", "main",
+    "-b:v", String(rendition.videoBitrate),
+    "-maxrate", String(Math.round(rendition.videoBitrate * 1.07)),
+    "-bufsize", String(rendition.videoBitrate * 2),
+    "-g", String(SEGMENT_SECONDS * 30),
+    "-sc_threshold", "0",
+    "-c:a", "aac",
+    "-b:a", String(rendition.audioBitrate),
+    "-ac", "2",
+    "-f", "hls",
+    "-hls_time", String(SEGMENT_SECONDS),
+    "-hls_playlist_type", "vod",
+    "-hls_segment_filename", path.join(outputDir, "segment_%03d.ts"),
+    path.join(outputDir, "index.m3u8"),
+  ]);
+
+// Replaces every URI line in a playlist using the given mapping
+const rewritePlaylist = (playlist, uriFor) =>
+  playlist
+    .split("\n")
+    .map((line) => (line && !line.startsWith("#") ? uriFor(line.trim()) : line))
+    .join("\n");
+
+// Uploads a generated file under the HLS prefix and remembers its key
+const storeFile = async (localPath, { driver, key, storedKeys }) => {
+  const stored = await uploadFile(localPath, { driver, key });
+  if (!stored) {
+    throw new Error(`Could not store ${key}`);
+  }
+  storedKeys.push(stored.key);
+  return stored;
+};
+
+// Produces an HLS ladder with a master playlist and records it on the video.
+// Segments live next to the original upload, under "<original key>/hls/<run>/".
+// Each run writes under its own prefix, so a failed re-transcode never
+// overwrites the files the video still plays from.
+export const transcodeVideo = async (videoId) => {
+  const video = await Video.findById(videoId);
+  if (!video) return;
+
+  const driver = video.storageDriver;
+  const hlsPrefix = `${(video.storageKey || `videos/${video._id}`).replace(/\.[^/.]+$/, "")}/hls/${crypto.randomUUID()}`;
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "transcode-"));
+  const storedKeys = [];
+
+  video.processingStatus = "processing";
+  video.processingError = undefined;
+  await video.save();
+
+  try {
+    const sourcePath = await getLocalSource(video, workDir);
+    const renditions = pickRenditions(await probeVideo(sourcePath));
+    const storedRenditions = [];
+
+    for (const rendition of renditions) {
+      const outputDir = path.join(workDir, rendition.name);
+      await fs.promises.mkdir(outputDir);
+      await encodeRendition(sourcePath, outputDir, rendition);
+
+      const playlistPath = path.join(outputDir, "index.m3u8");
+      const playlist = await fs.promises.readFile(playlistPath, "utf8");
+      const segmentUrls = {};
+
+      for (const segment of await fs.promises.readdir(outputDir)) {
+        if (!segment.endsWith(".ts")) continue;
+
+        const stored = await storeFile(path.join(outputDir, segment), {
+          driver,
+          key: `${hlsPrefix}/${rendition.name}/${segment}`,
+          storedKeys,
+        });
+        segmentUrls[segment] = stored.url;
+      }
+
+      await fs.promises.writeFile(
+        playlistPath,
+        rewritePlaylist(playlist, (uri) => segmentUrls[uri] || uri)
+      );
+      const storedPlaylist = await storeFile(playlistPath, {
+        driver,
+        key: `${hlsPrefix}/${rendition.name}/index.m3u8`,
+        storedKeys,
+      });
+
+      storedRenditions.push({
+        name: rendition.name,
+        width: rendition.width,
+        height: rendition.height,
+        bandwidth: rendition.videoBitrate + rendition.audioBitrate,
+        playlist: storedPlaylist.url,
+      });
+    }
+
+    const masterPath = path.join(workDir, "master.m3u8");
+    const masterPlaylist = [
+      "#EXTM3U",
+      "#EXT-X-VERSION:3",
+      ...storedRenditions.flatMap((rendition) => [
+        `#EXT-X-STREAM-INF:BANDWIDTH=${rendition.bandwidth}` +
+          (rendition.width ? `,RESOLUTION=${rendition.width}x${rendition.height}` : ""),
+        rendition.playlist,
+      ]),
+      "",
+    ].join("\n");
+
+    await fs.promises.writeFile(masterPath, masterPlaylist);
+    const storedMaster = await storeFile(masterPath, {
+      driver,
+      key: `${hlsPrefix}/master.m3u8`,
+      storedKeys,
+    });
+
+    // A previous run's output is replaced, not accumulated
+    const staleKeys = video.hlsKeys.filter((key) => !storedKeys.includes(key));
+
+    video.renditions = storedRenditions;
+    video.hlsPlaylist = storedMaster.url;
+    video.hlsKeys = storedKeys;
+    video.processingStatus = "ready";
+    await video.save();
+
+    if (video.project) {
+      publish(`project:${video.project}`, "project.updated", { videoId: video._id });
+    }
+
+    await Promise.all(staleKeys.map((key) => deleteStoredFile({ driver, key })));
+  } catch (error) {
+    console.error(`Transcoding video ${videoId} failed:`, error);
+
+    // Whatever the saved video points at stays, even if this run got that far
+    const saved = await Video.findById(videoId).select("hlsKeys");
+    const referencedKeys = new Set(saved?.hlsKeys || []);
+    await Promise.all(
+      storedKeys
+        .filter((key) => !referencedKeys.has(key))
+        .map((key) => deleteStoredFile({ driver, key }))
+    );
+    await Video.findByIdAndUpdate(videoId, {
+      processingStatus: "failed",
+      processingError: error.message,
+    });
+
+    throw error;
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+};
@@ -0,0 +1,31 @@
+import fs from "fs";
+import { UploadSession } from "../models/uploadSession.model.js";
+
+const HOUR = 60 * 60 * 1000;
+
+// Drops sessions that were abandoned or never used, along with their partial files
+export const removeExpiredUploads = async () => {
+  const expired = await UploadSession.find({
+    status: { $in: ["active", "completed"] },
+    expiresAt: { $lt: new Date() },
+  });
+
+  for (const session of expired) {
+    await fs.promises.rm(session.tempPath, { force: true });
+    session.status = "aborted";
+    await session.save();
+  }
+
+  return expired.length;
+};
+
+export const scheduleUploadCleanup = () => {
+  const run = () =>
+    removeExpiredUploads().catch((error) =>
+      console.log(`Upload cleanup failed: ${error}`)
+    );
+
+  const timer = setInterval(run, HOUR);
+  timer.unref();
+  return timer;
+};
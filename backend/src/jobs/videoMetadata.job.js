@@ -0,0 +1,155 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Video } from "../models/video.model.js";
+import { Project } from "../models/project.model.js";
+import { uploadFile, deleteStoredFile } from "../utils/storage/index.js";
+import { runFfmpeg, probeVideo } from "../utils/ffmpeg.js";
+import { getLocalSource } from "./transcode.job.js";
+import { publish } from "../utils/eventBus.js";
+
+export const VIDEO_METADATA_JOB = "extractVideoMetadata";
+
+const POSTER_MAX_WIDTH = 1280;
+const SPRITE_FRAME_WIDTH = 160;
+const SPRITE_MAX_FRAMES = 100;
+const SPRITE_COLUMNS = 10;
+
+const evenDimension = (value) => Math.max(2, Math.round(value / 2) * 2);
+
+// Grabs a frame a little way in, the very first one is often black
+const extractPoster = (sourcePath, outputPath, { duration, width }) =>
+  runFfmpeg([
+    "-ss", String(Math.min(duration * 0.1, 10)),
+    "-i", sourcePath,
+    "-frames:v", "1",
+    "-vf", `scale=${Math.min(width, POSTER_MAX_WIDTH)}:-2`,
+    "-q:v", "3",
+    outputPath,
+  ]);
+
+// Evenly spaced frames tiled into a single image for scrub-bar hover previews
+const planSprite = ({ duration, width, height }) => {
+  const interval = Math.max(1, Math.ceil(duration / SPRITE_MAX_FRAMES));
+  const count = Math.max(1, Math.min(SPRITE_MAX_FRAMES, Math.floor(duration / interval)));
+  const columns = Math.min(SPRITE_COLUMNS, count);
+
+  return {
+    interval,
+    count,
+    columns,
+    rows: Math.ceil(count / columns),
+    width: SPRITE_FRAME_WIDTH,
+    height: evenDimension((SPRITE_FRAME_WIDTH * height) / width),
+  };
+};
+
+const extractSprite = (sourcePath, outputPath, sprite) =>
+  runFfmpeg([
+    "-i", sourcePath,
+    "-vf",
+    `fps=1/${sprite.interval},scale=${sprite.width}:${sprite.height},tile=${sprite.columns}x${sprite.rows}`,
+    "-frames:v", "1",
+    "-q:v", "5",
+    outputPath,
+  ]);
+
+// Stores a generated image next to the original upload
+const storeImage = async (localPath, { driver, key }) => {
+  const stored = await uploadFile(localPath, { driver, key });
+  if (!stored) {
+    throw new Error(`Could not store ${key}`);
+  }
+  return stored;
+};
+
+// Fills in duration, resolution and codecs from ffprobe, generates a poster
+// frame when the uploader gave no thumbnail and a preview sprite sheet.
+// A project without a thumbnail gets its own copy of the poster.
+export const extractVideoMetadata = async (videoId) => {
+  const video = await Video.findById(videoId);
+  if (!video) return { skipped: true };
+
+  const driver = video.storageDriver;
+  const basePath = (video.storageKey || `videos/${video._id}`).replace(/\.[^/.]+$/, "");
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "metadata-"));
+  const update = {};
+
+  try {
+    const sourcePath = await getLocalSource(video, workDir);
+    const metadata = await probeVideo(sourcePath);
+
+    update.duration = metadata.duration;
+    update.width = metadata.width;
+    update.height = metadata.height;
+    update.videoCodec = metadata.videoCodec;
+    update.audioCodec = metadata.audioCodec;
+
+    // Audio-only uploads have nothing to draw
+    if (metadata.width && metadata.height && metadata.duration) {
+      const posterPath = path.join(workDir, "poster.jpg");
+      await extractPoster(sourcePath, posterPath, metadata);
+
+      const project = video.project
+        ? await Project.findById(video.project).select("thumbnail")
+        : null;
+
+      if (project && !project.thumbnail) {
+        const projectPosterPath = path.join(workDir, "project-poster.jpg");
+        await fs.promises.copyFile(posterPath, projectPosterPath);
+
+        const projectPoster = await uploadFile(projectPosterPath, { folder: "thumbnails" });
+        if (projectPoster) {
+          // Another video of the same project may have been first
+          const { modifiedCount } = await Project.updateOne(
+            { _id: project._id, thumbnail: { $in: [null, ""] } },
+            { thumbnail: projectPoster.url }
+          );
+          if (!modifiedCount) {
+            await deleteStoredFile({ url: projectPoster.url });
+          }
+        }
+      }
+
+      if (!video.thumbnail) {
+        const poster = await storeImage(posterPath, { driver, key: `${basePath}/poster.jpg` });
+        update.thumbnail = poster.url;
+      }
+
+      const sprite = planSprite(metadata);
+      const spritePath = path.join(workDir, "sprite.jpg");
+      await extractSprite(sourcePath, spritePath, sprite);
+
+      const storedSprite = await storeImage(spritePath, { driver, key: `${basePath}/sprite.jpg` });
+      update.previewSprite = { url: storedSprite.url, ...sprite };
+    }
+
+    // Only the extracted fields are written, so a concurrent edit of the
+    // title or a transcode finishing in the meantime is not overwritten
+    await Video.findByIdAndUpdate(videoId, { $set: update });
+
+    if (video.project) {
+      publish(`project:${video.project}`, "project.updated", { videoId: video._id });
+    }
+
+    if (video.previewSprite?.url && video.previewSprite.url !== update.previewSprite?.url) {
+      await deleteStoredFile({ url: video.previewSprite.url });
+    }
+
+    return {
+      duration: update.duration,
+      width: update.width,
+      height: update.height,
+    };
+  } catch (error) {
+    console.error(`Extracting metadata for video ${videoId} failed:`, error);
+
+    for (const url of [update.thumbnail, update.previewSprite?.url].filter(Boolean)) {
+      await deleteStoredFile({ url });
+    }
+
+    throw error;
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+};
@@ -31,3 +31,24 @@ export const verifyTokens = asyncHandler(async (req, _, next) => {
     throw new ApiError(401, error?.message || "Invalid Access");
   }
 });
+
+// Identifies the user when a valid token is present but lets anonymous
+// requests through, for endpoints that behave the same for everyone
+export const optionalAuth = asyncHandler(async (req, _, next) => {
+  const token =
+    req.cookies?.accessToken ||
+    req.header("Authorization")?.replace("Bearer ", "");
+
+  if (token) {
+    try {
+      const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
+      req.user = await User.findById(decodedToken._id).select(
+        "-password -refreshToken"
+      );
+    } catch (error) {
+      req.user = null;
+    }
+  }
+
+  next();
+});
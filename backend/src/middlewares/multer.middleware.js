@@ -1,13 +1,115 @@
 import multer from "multer"
+import fs from "fs"
+import path from "path"
+import crypto from "crypto"
+import { ApiError } from "../utils/ApiError.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+import { FILE_POLICIES, validateFile } from "../utils/uploadPolicies.js"
 
-const storage = multer.diskStorage({
-    destination: function (req, file, cb) {
-      cb(null, './public/temp')
+const TEMP_DIR = "./public/temp"
+
+// Writes each file to TEMP_DIR and stops it as soon as it passes its own
+// field's size limit, so a profile picture cannot stream a video-sized body
+// to disk before validation rejects it
+const storage = {
+    _handleFile(req, file, cb) {
+      const maxSize = FILE_POLICIES[file.fieldname]?.maxSize ?? 0
+      // Random names so concurrent uploads of the same file never collide
+      const filename = `${Date.now()}-${crypto.randomUUID()}`
+      const filePath = path.join(TEMP_DIR, filename)
+
+      fs.promises.mkdir(TEMP_DIR, { recursive: true }).then(() => {
+        const output = fs.createWriteStream(filePath)
+        let size = 0
+        let failed = false
+
+        // The rest of the file is read and dropped so the request can finish
+        const fail = (error) => {
+          if (failed) return
+          failed = true
+          file.stream.unpipe(output)
+          file.stream.resume()
+          output.once("close", () => fs.promises.rm(filePath, { force: true }).finally(() => cb(error)))
+          output.destroy()
+        }
+
+        file.stream.on("data", (chunk) => {
+          size += chunk.length
+          if (size > maxSize) fail(new multer.MulterError("LIMIT_FILE_SIZE", file.fieldname))
+        })
+        file.stream.on("error", fail)
+        output.on("error", fail)
+        output.on("finish", () => {
+          if (!failed) cb(null, { destination: TEMP_DIR, filename, path: filePath, size })
+        })
+        file.stream.pipe(output)
+      }, cb)
+    },
+    _removeFile(req, file, cb) {
+      fs.promises.rm(file.path, { force: true }).then(() => cb(null), cb)
+    },
+  }
+
+const toApiError = (error) => {
+  if (error instanceof ApiError) return error
+
+  if (error instanceof multer.MulterError) {
+    if (error.code === "LIMIT_FILE_SIZE") {
+      return new ApiError(413, `${error.field} file is too large`)
+    }
+    if (error.code === "LIMIT_UNEXPECTED_FILE") {
+      return new ApiError(400, `Too many files or unexpected field: ${error.field}`)
+    }
+    return new ApiError(400, error.message)
+  }
+
+  console.error("Error receiving upload:", error)
+  return new ApiError(500, "Internal Server Error while receiving upload")
+}
+
+const removeFiles = (files) =>
+  Promise.all(
+    files.filter((file) => file.path).map((file) => fs.promises.rm(file.path, { force: true }))
+  )
+
+// Files handed to a background job outlive the request; any other temp file
+// is removed once the response is done, whether the handler used it or failed
+export const keepUploadedFiles = (files) => {
+  for (const file of files) file.keep = true
+}
+
+// Accepts multipart uploads for the given fields, e.g. uploadFields("videos", "images")
+export const uploadFields = (...fieldNames) => {
+  const policies = fieldNames.map((name) => ({ name, ...FILE_POLICIES[name] }))
+  const receive = multer({
+    storage,
+    limits: {
+      fileSize: Math.max(...policies.map((policy) => policy.maxSize)),
+      files: policies.reduce((total, policy) => total + policy.maxCount, 0),
     },
-    filename: function (req, file, cb) {
-      cb(null, file.originalname)
+  }).fields(policies.map(({ name, maxCount }) => ({ name, maxCount })))
+
+  return asyncHandler(async (req, res, next) => {
+    try {
+      await new Promise((resolve, reject) =>
+        receive(req, res, (error) => (error ? reject(error) : resolve()))
+      )
+
+      for (const file of Object.values(req.files || {}).flat()) {
+        await validateFile(file)
+      }
+    } catch (error) {
+      // Nothing from a rejected request is kept around
+      await removeFiles(Object.values(req.files || {}).flat())
+      throw toApiError(error)
     }
+
+    res.once("close", () => {
+      removeFiles(Object.values(req.files || {}).flat().filter((file) => !file.keep)).catch(
+        (error) => console.error("Error removing uploaded temp files:", error)
+      )
+    })
+
+    next()
   })
-  
-export const upload = multer({ storage: storage})
-  
\ No newline at end of file
+}
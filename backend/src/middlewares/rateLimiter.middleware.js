@@ -6,3 +6,10 @@ export const limiter = rateLimit({
 	message: 'Too many OTP verification attempts from this IP, please try again after 15 minutes'
 });
 
+
+
+export const telemetryLimiter = rateLimit({
+	windowMs: 60 * 1000, // 1 minute
+	limit: 120, // a few players heartbeating at once from one IP
+	message: 'Too many playback events from this IP, please slow down'
+});
@@ -0,0 +1,43 @@
+import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+export const ACTIVITY_TYPES = [
+    "projectAdded",
+    "certificationAdded",
+    "videoAdded",
+    "resumeUpdated",
+];
+
+// Something a user did that their followers see in their feed
+const activitySchema = new Schema({
+    actor: {
+        type: mongoose.Schema.ObjectId,
+        ref: "User",
+        required: true,
+    },
+    type: {
+        type: String,
+        enum: ACTIVITY_TYPES,
+        required: true,
+    },
+    project: {
+        type: mongoose.Schema.ObjectId,
+        ref: "Project",
+    },
+    video: {
+        type: mongoose.Schema.ObjectId,
+        ref: "Video",
+    },
+    certification: {
+        type: mongoose.Schema.ObjectId,
+        ref: "Certification",
+    },
+}, {
+    timestamps: true,
+});
+
+activitySchema.index({ actor: 1, createdAt: -1 });
+
+activitySchema.plugin(mongooseAggregatePaginate);
+
+export const Activity = mongoose.model("Activity", activitySchema);
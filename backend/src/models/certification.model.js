@@ -2,9 +2,12 @@ import mongoose, { Schema } from "mongoose";
 
 const certificationSchema = new Schema({
     certificateImg: {
-        type: String, // cloudinary
+        type: String, // image or PDF, see certificateMimeType
         required: true,
     },
+    certificateMimeType: {
+        type: String,
+    },
     title: {
         type: String, 
         required: true,
@@ -13,6 +16,30 @@ const certificationSchema = new Schema({
         type: String, 
         required: true,
     },
+    issuer: {
+        type: String,
+        trim: true,
+    },
+    issueDate: {
+        type: Date,
+    },
+    expiryDate: {
+        type: Date, // unset for certifications that never expire
+    },
+    credentialId: {
+        type: String,
+        trim: true,
+    },
+    verificationUrl: {
+        type: String, // where the issuer confirms the credential
+    },
+}, {
+    timestamps: true,
 });
 
+certificationSchema.index(
+    { title: "text", issuer: "text", description: "text" },
+    { name: "certification_search", weights: { title: 10, issuer: 5, description: 1 } }
+);
+
 export const Certification = mongoose.model("Certification", certificationSchema);
@@ -0,0 +1,69 @@
+import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+const commentSchema = new Schema({
+    project: {
+        type: mongoose.Schema.ObjectId,
+        ref: "Project",
+        required: true,
+    },
+    author: {
+        type: mongoose.Schema.ObjectId,
+        ref: "User",
+        required: true,
+    },
+    thread: {
+        type: mongoose.Schema.ObjectId,
+        ref: "Comment", // the top-level comment a reply belongs to, unset on top-level comments
+        default: null,
+    },
+    parent: {
+        type: mongoose.Schema.ObjectId,
+        ref: "Comment", // the comment being answered, for "replying to" context
+        default: null,
+    },
+    video: {
+        type: mongoose.Schema.ObjectId,
+        ref: "Video", // set when the comment is a note on a moment of a project video
+        default: null,
+    },
+    timestamp: {
+        type: Number, // playback position the note refers to, in seconds
+        min: 0,
+        default: null,
+    },
+    body: {
+        type: String,
+        trim: true,
+        maxlength: 2000,
+    },
+    replyCount: {
+        type: Number, // only maintained on top-level comments
+        default: 0,
+    },
+    isPinned: {
+        type: Boolean,
+        default: false,
+    },
+    isHidden: {
+        type: Boolean, // hidden by a project owner, only owners still see it
+        default: false,
+    },
+    isDeleted: {
+        type: Boolean, // removed by its author but kept so replies stay in context
+        default: false,
+    },
+    editedAt: {
+        type: Date,
+    },
+}, {
+    timestamps: true,
+});
+
+commentSchema.index({ project: 1, thread: 1, isPinned: -1, createdAt: -1 });
+commentSchema.index({ thread: 1, createdAt: 1 });
+commentSchema.index({ video: 1, timestamp: 1 });
+
+commentSchema.plugin(mongooseAggregatePaginate);
+
+export const Comment = mongoose.model("Comment", commentSchema);
@@ -0,0 +1,21 @@
+import mongoose, { Schema } from "mongoose";
+
+const followSchema = new Schema({
+    follower: {
+        type: mongoose.Schema.ObjectId,
+        ref: "User",
+        required: true,
+    },
+    following: {
+        type: mongoose.Schema.ObjectId,
+        ref: "User",
+        required: true,
+    },
+}, {
+    timestamps: true,
+});
+
+followSchema.index({ follower: 1, following: 1 }, { unique: true });
+followSchema.index({ following: 1 });
+
+export const Follow = mongoose.model("Follow", followSchema);
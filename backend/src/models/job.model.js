@@ -0,0 +1,59 @@
+import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+const jobSchema = new Schema({
+    type: {
+        type: String,
+        required: true,
+    },
+    payload: {
+        type: Schema.Types.Mixed,
+        default: {},
+    },
+    status: {
+        type: String,
+        enum: ["pending", "running", "completed", "failed"],
+        default: "pending",
+    },
+    attempts: {
+        type: Number,
+        default: 0,
+    },
+    maxAttempts: {
+        type: Number,
+        default: 5,
+    },
+    runAt: {
+        type: Date,
+        default: Date.now,
+    },
+    lockedAt: {
+        type: Date,
+    },
+    lockedBy: {
+        type: String, // worker id
+    },
+    lastError: {
+        type: String,
+    },
+    result: {
+        type: Schema.Types.Mixed,
+    },
+    completedAt: {
+        type: Date,
+    },
+    owner: {
+        type: mongoose.Schema.ObjectId,
+        ref: "User",
+        index: true,
+    },
+}, {
+    timestamps: true,
+    minimize: false,
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+
+jobSchema.plugin(mongooseAggregatePaginate);
+
+export const Job = mongoose.model("Job", jobSchema);
@@ -0,0 +1,61 @@
+import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+export const NOTIFICATION_TYPES = [
+    "ownerAdded", // made admin of a project
+    "contactMessage",
+    "newFollower",
+    "projectComment",
+    "commentReply",
+    "projectInvitation",
+    "invitationResponse",
+];
+
+const notificationSchema = new Schema({
+    recipient: {
+        type: mongoose.Schema.ObjectId,
+        ref: "User",
+        required: true,
+    },
+    actor: {
+        type: mongoose.Schema.ObjectId,
+        ref: "User", // unset for anonymous senders such as the contact form
+    },
+    type: {
+        type: String,
+        enum: NOTIFICATION_TYPES,
+        required: true,
+    },
+    text: {
+        type: String,
+        required: true,
+        maxlength: 500,
+    },
+    link: {
+        type: String, // frontend path the notification opens
+    },
+    project: {
+        type: mongoose.Schema.ObjectId,
+        ref: "Project",
+    },
+    comment: {
+        type: mongoose.Schema.ObjectId,
+        ref: "Comment",
+    },
+    isRead: {
+        type: Boolean,
+        default: false,
+    },
+    readAt: {
+        type: Date,
+    },
+}, {
+    timestamps: true,
+});
+
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, isRead: 1 });
+
+notificationSchema.plugin(mongooseAggregatePaginate);
+
+export const Notification = mongoose.model("Notification", notificationSchema);
@@ -1,11 +1,23 @@
 import mongoose, {Schema} from "mongoose";
 import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
 
+// admin: manages owners and can delete the project, editor: changes its
+// content, viewer: sees owner-only data such as analytics
+export const OWNER_ROLES = ["admin", "editor", "viewer"];
+
 const projectSchema = new Schema({
     name: {
         type: String,
         required: true,
     },
+    slug: {
+        type: String, // URL name, unique among each owner's projects
+    },
+    previousSlugs: [
+        {
+            type: String, // kept after renames so old links still redirect
+        }
+    ],
     repoId: {
         type: String, // Github API
     },
@@ -19,7 +31,8 @@ const projectSchema = new Schema({
     ],
     videos: [
         {
-            type: String,
+            type: mongoose.Schema.ObjectId,
+            ref: "Video",
         }
     ],
     url: {
@@ -41,16 +54,57 @@ const projectSchema = new Schema({
         type: Number,
         default: 0,
     }, 
+    ratingAverage: {
+        type: Number, // kept in sync with the Rating collection
+        default: 0,
+    },
+    ratingCount: {
+        type: Number,
+        default: 0,
+    },
+    mediaStatus: {
+        type: String,
+        enum: ["pending", "ready", "failed"],
+        default: "ready",
+    },
     owners: [
         {
             type: mongoose.Schema.ObjectId,
-            ref: "User",
+            ref: "User", // every owner who accepted, whatever their role
+        }
+    ],
+    ownerRoles: [
+        {
+            _id: false,
+            user: {
+                type: mongoose.Schema.ObjectId,
+                ref: "User",
+                required: true,
+            },
+            role: {
+                type: String,
+                enum: OWNER_ROLES,
+                default: "editor",
+            },
         }
     ]
 }, {
     timestamps: true,
 })
 
+// No owner has two projects with one slug. Projects from before slugs have
+// none until backfillProjectSlugs gives them one.
+projectSchema.index(
+    { owners: 1, slug: 1 },
+    { unique: true, partialFilterExpression: { slug: { $gt: "" } } }
+)
+
+// Global search, names count the most
+projectSchema.index(
+    { name: "text", techStack: "text", domain: "text", description: "text" },
+    { name: "project_search", weights: { name: 10, techStack: 5, domain: 3, description: 1 } }
+)
+
 projectSchema.plugin(mongooseAggregatePaginate)
 
 export const Project = mongoose.model("Project", projectSchema) 
\ No newline at end of file
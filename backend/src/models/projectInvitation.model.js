@@ -0,0 +1,44 @@
+import mongoose, { Schema } from "mongoose";
+import { OWNER_ROLES } from "./project.model.js";
+
+const projectInvitationSchema = new Schema({
+    project: {
+        type: mongoose.Schema.ObjectId,
+        ref: "Project",
+        required: true,
+    },
+    inviter: {
+        type: mongoose.Schema.ObjectId,
+        ref: "User",
+        required: true,
+    },
+    invitee: {
+        type: mongoose.Schema.ObjectId,
+        ref: "User",
+        required: true,
+    },
+    role: {
+        type: String,
+        enum: OWNER_ROLES,
+        default: "editor", // given to the invitee on acceptance
+    },
+    status: {
+        type: String,
+        enum: ["pending", "accepted", "declined", "cancelled"],
+        default: "pending",
+    },
+    respondedAt: {
+        type: Date,
+    },
+}, {
+    timestamps: true,
+});
+
+// A user can only have one open invitation per project
+projectInvitationSchema.index(
+    { project: 1, invitee: 1 },
+    { unique: true, partialFilterExpression: { status: "pending" } }
+);
+projectInvitationSchema.index({ invitee: 1, status: 1, createdAt: -1 });
+
+export const ProjectInvitation = mongoose.model("ProjectInvitation", projectInvitationSchema);
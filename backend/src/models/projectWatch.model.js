@@ -0,0 +1,23 @@
+import mongoose, { Schema } from "mongoose";
+
+// When a user added a project to their watch list. User.watchList stays the
+// list itself; these dates feed the trending ranking on the explore page.
+const projectWatchSchema = new Schema({
+    project: {
+        type: mongoose.Schema.ObjectId,
+        ref: "Project",
+        required: true,
+    },
+    user: {
+        type: mongoose.Schema.ObjectId,
+        ref: "User",
+        required: true,
+    },
+}, {
+    timestamps: true,
+});
+
+projectWatchSchema.index({ project: 1, user: 1 }, { unique: true });
+projectWatchSchema.index({ project: 1, createdAt: -1 });
+
+export const ProjectWatch = mongoose.model("ProjectWatch", projectWatchSchema);
@@ -0,0 +1,31 @@
+import mongoose, { Schema } from "mongoose";
+
+const ratingSchema = new Schema({
+    project: {
+        type: mongoose.Schema.ObjectId,
+        ref: "Project",
+        required: true,
+    },
+    user: {
+        type: mongoose.Schema.ObjectId,
+        ref: "User",
+        required: true,
+    },
+    value: {
+        type: Number, // 0.5 to 5 in half-star steps
+        required: true,
+        min: 0.5,
+        max: 5,
+        validate: {
+            validator: (value) => Number.isInteger(value * 2),
+            message: "Ratings go in half-star steps",
+        },
+    },
+}, {
+    timestamps: true,
+});
+
+// One rating per user and project; rating again edits it
+ratingSchema.index({ project: 1, user: 1 }, { unique: true });
+
+export const Rating = mongoose.model("Rating", ratingSchema);
@@ -0,0 +1,48 @@
+import mongoose, { Schema } from "mongoose";
+
+const uploadSessionSchema = new Schema({
+    owner: {
+        type: mongoose.Schema.ObjectId,
+        ref: "User",
+        required: true,
+        index: true,
+    },
+    filename: {
+        type: String,
+        required: true,
+    },
+    mimeType: {
+        type: String,
+        default: "application/octet-stream",
+    },
+    size: {
+        type: Number, // bytes the client announced
+        required: true,
+    },
+    offset: {
+        type: Number, // bytes received and verified so far
+        default: 0,
+    },
+    tempPath: {
+        type: String, // chunks are appended here until the upload is complete
+        required: true,
+    },
+    status: {
+        type: String,
+        enum: ["active", "completed", "consumed", "aborted"],
+        default: "active",
+    },
+    lockedAt: {
+        type: Date, // set while a chunk is being written
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+}, {
+    timestamps: true,
+});
+
+uploadSessionSchema.index({ status: 1, expiresAt: 1 });
+
+export const UploadSession = mongoose.model("UploadSession", uploadSessionSchema);
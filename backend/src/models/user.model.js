@@ -72,6 +72,16 @@ const userSchema = new Schema({
     refreshToken: {
         type: String
     },
+    notificationPreferences: {
+        // false turns off in-app notifications of that type
+        ownerAdded: { type: Boolean, default: true },
+        contactMessage: { type: Boolean, default: true },
+        newFollower: { type: Boolean, default: true },
+        projectComment: { type: Boolean, default: true },
+        commentReply: { type: Boolean, default: true },
+        projectInvitation: { type: Boolean, default: true },
+        invitationResponse: { type: Boolean, default: true },
+    },
     description: {
         type: String
     },
@@ -116,6 +126,12 @@ const userSchema = new Schema({
     timestamps: true,
 })
 
+// Global search, see search.controller
+userSchema.index(
+    { username: "text", fullname: "text", position: "text", techStack: "text", domains: "text" },
+    { name: "user_search", weights: { username: 10, fullname: 10, position: 3, techStack: 3, domains: 3 } }
+)
+
 userSchema.pre("save", async function(next) {
     if (!this.isModified("password")) return next();
   
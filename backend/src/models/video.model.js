@@ -3,24 +3,59 @@ import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
 
 const videoSchema = new Schema({
     videoFile: {
-        type: String, // cloudinary
+        type: String, // cloudinary, or the stream endpoint for other drivers
         required: true,
     },
+    storageDriver: {
+        type: String,
+        enum: ["cloudinary", "local", "s3"],
+        default: "cloudinary",
+    },
+    storageKey: {
+        type: String, // key inside the storage driver
+    },
+    mimeType: {
+        type: String,
+    },
+    size: {
+        type: Number, // bytes
+    },
     thumbnail: {
         type: String, // cloudinary
-        required: true,
     },
     title: {
         type: String, 
         required: true,
+        trim: true,
     },
     description: {
         type: String,
-        required: true,
+        default: "",
     },
     duration: {
-        type: Number, // cloudinary
-        required: true,
+        type: Number, // seconds
+        default: 0,
+    },
+    width: {
+        type: Number, // pixels, from ffprobe
+    },
+    height: {
+        type: Number,
+    },
+    videoCodec: {
+        type: String,
+    },
+    audioCodec: {
+        type: String,
+    },
+    previewSprite: {
+        url: String, // one image holding a grid of evenly spaced frames
+        interval: Number, // seconds between frames
+        count: Number,
+        columns: Number,
+        rows: Number,
+        width: Number, // size of a single frame
+        height: Number,
     },
     views: {
         type: Number,
@@ -30,9 +65,39 @@ const videoSchema = new Schema({
         type: Number,
         default: 0,
     },
+    processingStatus: {
+        type: String,
+        enum: ["none", "pending", "processing", "ready", "failed"],
+        default: "none",
+    },
+    processingError: {
+        type: String,
+    },
+    hlsPlaylist: {
+        type: String, // master playlist URL
+    },
+    renditions: [
+        {
+            name: String,
+            width: Number,
+            height: Number,
+            bandwidth: Number,
+            playlist: String,
+        }
+    ],
+    hlsKeys: [
+        {
+            type: String, // every playlist and segment, for cleanup
+        }
+    ],
     owner: {
         type: mongoose.Schema.ObjectId,
         ref: "User",
+        index: true,
+    },
+    project: {
+        type: mongoose.Schema.ObjectId,
+        ref: "Project",
     }
 }, {
     timestamps: true,
@@ -40,4 +105,4 @@ const videoSchema = new Schema({
 
 videoSchema.plugin(mongooseAggregatePaginate)
 
-export const Video = mongoose.model("Video", videoSchema)
\ No newline at end of file
+export const Video = mongoose.model("Video", videoSchema)
@@ -0,0 +1,59 @@
+import mongoose, { Schema } from "mongoose";
+
+// One document per playback session of a video
+const videoViewSchema = new Schema({
+    video: {
+        type: mongoose.Schema.ObjectId,
+        ref: "Video",
+        required: true,
+    },
+    project: {
+        type: mongoose.Schema.ObjectId,
+        ref: "Project",
+    },
+    viewer: {
+        type: mongoose.Schema.ObjectId,
+        ref: "User", // only for signed-in viewers
+    },
+    sessionId: {
+        type: String, // generated by the player for every page load
+        required: true,
+    },
+    ipHash: {
+        type: String, // salted hash, the raw address is never stored
+    },
+    watchTime: {
+        type: Number, // seconds actually played
+        default: 0,
+    },
+    maxPosition: {
+        type: Number, // furthest point reached, in seconds
+        default: 0,
+    },
+    lastPosition: {
+        type: Number, // where the viewer was when the session went quiet
+        default: 0,
+    },
+    duration: {
+        type: Number,
+        default: 0,
+    },
+    counted: {
+        type: Boolean, // added to Video.views
+        default: false,
+    },
+    deduplicated: {
+        type: Boolean, // a recent view from the same viewer was already counted
+        default: false,
+    },
+    countedAt: {
+        type: Date,
+    },
+}, {
+    timestamps: true,
+});
+
+videoViewSchema.index({ video: 1, sessionId: 1 }, { unique: true });
+videoViewSchema.index({ video: 1, createdAt: -1 });
+
+export const VideoView = mongoose.model("VideoView", videoViewSchema);
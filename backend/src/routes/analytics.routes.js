@@ -0,0 +1,23 @@
+import { Router } from "express";
+import {
+  recordPlayback,
+  getVideoAnalytics,
+  getProjectAnalytics,
+} from "../controllers/analytics.controller.js";
+import { verifyTokens, optionalAuth } from "../middlewares/auth.middleware.js";
+import { telemetryLimiter } from "../middlewares/rateLimiter.middleware.js";
+
+const analyticsRouter = Router();
+
+// Players report progress here; anonymous viewers count too
+analyticsRouter.post(
+  "/videos/:videoId/playback",
+  telemetryLimiter,
+  optionalAuth,
+  recordPlayback
+);
+
+analyticsRouter.get("/videos/:videoId", verifyTokens, getVideoAnalytics);
+analyticsRouter.get("/projects/:projectId", verifyTokens, getProjectAnalytics);
+
+export default analyticsRouter;
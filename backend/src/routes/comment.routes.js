@@ -0,0 +1,21 @@
+import { Router } from "express";
+import {
+  getCommentReplies,
+  updateComment,
+  deleteComment,
+  moderateComment,
+} from "../controllers/comment.controller.js";
+import { verifyTokens, optionalAuth } from "../middlewares/auth.middleware.js";
+
+const commentRouter = Router();
+
+commentRouter.route("/:commentId/replies").get(optionalAuth, getCommentReplies);
+
+commentRouter
+  .route("/:commentId")
+  .patch(verifyTokens, updateComment)
+  .delete(verifyTokens, deleteComment);
+
+commentRouter.route("/:commentId/moderation").patch(verifyTokens, moderateComment);
+
+export default commentRouter;
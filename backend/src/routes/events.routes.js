@@ -0,0 +1,9 @@
+import { Router } from "express";
+import { streamEvents } from "../controllers/events.controller.js";
+import { optionalAuth } from "../middlewares/auth.middleware.js";
+
+const eventsRouter = Router();
+
+eventsRouter.route("/").get(optionalAuth, streamEvents);
+
+export default eventsRouter;
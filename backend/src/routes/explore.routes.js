@@ -0,0 +1,14 @@
+import { Router } from "express";
+import {
+  getTrendingProjects,
+  getNewestProjects,
+  getCollections,
+} from "../controllers/explore.controller.js";
+
+const exploreRouter = Router();
+
+exploreRouter.route("/trending").get(getTrendingProjects);
+exploreRouter.route("/newest").get(getNewestProjects);
+exploreRouter.route("/collections").get(getCollections);
+
+export default exploreRouter;
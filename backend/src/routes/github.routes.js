@@ -0,0 +1,10 @@
+import { Router } from "express";
+import { listGithubRepos, importGithubRepos } from "../controllers/github.controller.js";
+import { verifyTokens } from "../middlewares/auth.middleware.js";
+
+const githubRouter = Router();
+
+githubRouter.route("/repos").get(verifyTokens, listGithubRepos);
+githubRouter.route("/import").post(verifyTokens, importGithubRepos);
+
+export default githubRouter;
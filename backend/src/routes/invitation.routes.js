@@ -0,0 +1,19 @@
+import { Router } from "express";
+import {
+  getMyInvitations,
+  acceptInvitation,
+  declineInvitation,
+  cancelInvitation,
+} from "../controllers/invitation.controller.js";
+import { verifyTokens } from "../middlewares/auth.middleware.js";
+
+const invitationRouter = Router();
+
+invitationRouter.use(verifyTokens);
+
+invitationRouter.route("/").get(getMyInvitations);
+invitationRouter.route("/:invitationId").delete(cancelInvitation);
+invitationRouter.route("/:invitationId/accept").post(acceptInvitation);
+invitationRouter.route("/:invitationId/decline").post(declineInvitation);
+
+export default invitationRouter;
@@ -0,0 +1,12 @@
+import { Router } from "express";
+import { getJobById, getMyJobs } from "../controllers/job.controller.js";
+import { verifyTokens } from "../middlewares/auth.middleware.js";
+
+const jobRouter = Router();
+
+jobRouter.use(verifyTokens);
+
+jobRouter.get("/", getMyJobs);
+jobRouter.get("/:jobId", getJobById);
+
+export default jobRouter;
@@ -0,0 +1,8 @@
+import { Router } from "express";
+import { serveMedia } from "../controllers/media.controller.js";
+
+const mediaRouter = Router();
+
+mediaRouter.get("/*", serveMedia);
+
+export default mediaRouter;
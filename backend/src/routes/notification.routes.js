@@ -0,0 +1,17 @@
+import { Router } from "express";
+import {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+} from "../controllers/notification.controller.js";
+import { verifyTokens } from "../middlewares/auth.middleware.js";
+
+const notificationRouter = Router();
+
+notificationRouter.use(verifyTokens);
+
+notificationRouter.route("/").get(getNotifications);
+notificationRouter.route("/read-all").post(markAllNotificationsRead);
+notificationRouter.route("/:notificationId/read").patch(markNotificationRead);
+
+export default notificationRouter;
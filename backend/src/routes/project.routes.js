@@ -0,0 +1,63 @@
+import { Router } from "express";
+import {
+  getProjectRating,
+  rateProject,
+  removeProjectRating,
+  watchProject,
+  unwatchProject,
+  getWatchList,
+  updateOwnerRole,
+  removeOwner,
+  leaveProject,
+  transferProject,
+  updateProject,
+} from "../controllers/projects.controllers.js";
+import {
+  getProjectComments,
+  addComment,
+} from "../controllers/comment.controller.js";
+import {
+  inviteOwner,
+  getProjectInvitations,
+} from "../controllers/invitation.controller.js";
+import { verifyTokens, optionalAuth } from "../middlewares/auth.middleware.js";
+import { uploadFields } from "../middlewares/multer.middleware.js";
+
+const projectRouter = Router();
+
+projectRouter.route("/watching").get(verifyTokens, getWatchList);
+
+projectRouter
+  .route("/:projectId")
+  .patch(verifyTokens, uploadFields("videos", "images", "thumbnail"), updateProject);
+
+projectRouter
+  .route("/:projectId/watch")
+  .put(verifyTokens, watchProject)
+  .delete(verifyTokens, unwatchProject);
+
+projectRouter
+  .route("/:projectId/rating")
+  .get(optionalAuth, getProjectRating)
+  .put(verifyTokens, rateProject)
+  .delete(verifyTokens, removeProjectRating);
+
+projectRouter
+  .route("/:projectId/comments")
+  .get(optionalAuth, getProjectComments)
+  .post(verifyTokens, addComment);
+
+projectRouter
+  .route("/:projectId/invitations")
+  .get(verifyTokens, getProjectInvitations)
+  .post(verifyTokens, inviteOwner);
+
+projectRouter
+  .route("/:projectId/owners/:userId")
+  .patch(verifyTokens, updateOwnerRole)
+  .delete(verifyTokens, removeOwner);
+
+projectRouter.route("/:projectId/leave").post(verifyTokens, leaveProject);
+projectRouter.route("/:projectId/transfer").post(verifyTokens, transferProject);
+
+export default projectRouter;
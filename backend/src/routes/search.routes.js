@@ -0,0 +1,8 @@
+import { Router } from "express";
+import { globalSearch } from "../controllers/search.controller.js";
+
+const searchRouter = Router();
+
+searchRouter.route("/").get(globalSearch);
+
+export default searchRouter;
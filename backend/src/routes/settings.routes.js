@@ -1,7 +1,12 @@
 import { Router } from "express";
-import { changePassword, changeUserSettings } from "../controllers/settings.controller.js";
+import {
+    changePassword,
+    changeUserSettings,
+    getNotificationPreferences,
+    updateNotificationPreferences,
+} from "../controllers/settings.controller.js";
 import { verifyTokens } from "../middlewares/auth.middleware.js";
-import { upload } from "../middlewares/multer.middleware.js";
+import { uploadFields } from "../middlewares/multer.middleware.js";
 
 const settingsRouter = Router()
 
@@ -10,17 +15,11 @@ const settingsRouter = Router()
 
 settingsRouter.route("/change-user-settings").post(
     verifyTokens,
-    upload.fields([
-        {
-            name: "profilePic",
-            maxCount: 1,
-        },
-        { 
-            name: "coverImg",
-            maxCount: 1,
-        },
-    ]),
+    uploadFields("profilePic", "coverImg"),
     changeUserSettings
 )
 settingsRouter.route('/change-password').post(verifyTokens, changePassword)
+settingsRouter.route('/notification-preferences')
+    .get(verifyTokens, getNotificationPreferences)
+    .patch(verifyTokens, updateNotificationPreferences)
 export default settingsRouter
\ No newline at end of file
@@ -0,0 +1,22 @@
+import { Router } from "express";
+import {
+  createUpload,
+  getUpload,
+  uploadChunk,
+  abortUpload,
+} from "../controllers/upload.controller.js";
+import { verifyTokens } from "../middlewares/auth.middleware.js";
+
+const uploadRouter = Router();
+
+uploadRouter.use(verifyTokens);
+
+uploadRouter.post("/", createUpload);
+
+uploadRouter
+  .route("/:uploadId")
+  .get(getUpload)
+  .patch(uploadChunk)
+  .delete(abortUpload);
+
+export default uploadRouter;
@@ -16,25 +16,22 @@ import {
   addResume,
   searchUsers,
 } from "../controllers/user.controller.js";
-import { upload } from "../middlewares/multer.middleware.js";
-import { verifyTokens } from "../middlewares/auth.middleware.js";
+import { uploadFields } from "../middlewares/multer.middleware.js";
+import { verifyTokens, optionalAuth } from "../middlewares/auth.middleware.js";
 import { limiter } from "../middlewares/rateLimiter.middleware.js";
 import { otpAuth } from "../middlewares/otpAuth.middleware.js";
 import { fetchProject } from "../controllers/user.controller.js";
+import { updateCertification } from "../controllers/certification.controller.js";
+import {
+  followUser,
+  unfollowUser,
+  getFeed,
+} from "../controllers/follow.controller.js";
 
 const userRouter = Router();
 
 userRouter.route("/register").post(
-  upload.fields([
-    {
-      name: "profilePic",
-      maxCount: 1,
-    },
-    {
-      name: "coverImg",
-      maxCount: 1,
-    },
-  ]),
+  uploadFields("profilePic", "coverImg"),
   registerUser
 );
 
@@ -48,16 +45,12 @@ userRouter.route("/fetch-user-data").post(verifyTokens, fetchUserData);
 
 userRouter.route("/add-project").post(
   verifyTokens,
-  upload.fields([
-    { name: "videos", maxCount: 3 },
-    { name: "images", maxCount: 8 },
-    { name: "thumbnail", maxCount: 1 },
-  ]),
+  uploadFields("videos", "images", "thumbnail"),
   addProject
 );
 
-userRouter.get("/:username/projects", fetchUserProjects);
-userRouter.get("/:username/projects/:projectName", fetchProject);
+userRouter.get("/:username/projects", optionalAuth, fetchUserProjects);
+userRouter.get("/:username/projects/:projectName", optionalAuth, fetchProject);
 userRouter.post(
   "/:username/projects/deleteProject",
   verifyTokens,
@@ -74,19 +67,31 @@ userRouter.post("/:username/contact", sendEmail);
 userRouter.post(
   "/:username/certifications/add-certificate",
   verifyTokens,
-  upload.fields([{ name: "certificateImg", maxCount: 1 }]),
+  uploadFields("certificateImg"),
   addCertification
 );
 
 userRouter.get("/:username/certifications", fetchCertifications);
+userRouter.patch(
+  "/:username/certifications/:certificationId",
+  verifyTokens,
+  uploadFields("certificateImg"),
+  updateCertification
+);
 
 userRouter.post(
   "/:username/add-resume",
   verifyTokens,
-  upload.fields([{ name: "resume", maxCount: 1 }]),
+  uploadFields("resume"),
   addResume
 );
 
 userRouter.get("/search", searchUsers)
 
+userRouter.get("/feed", verifyTokens, getFeed);
+userRouter
+  .route("/:username/follow")
+  .put(verifyTokens, followUser)
+  .delete(verifyTokens, unfollowUser);
+
 export default userRouter;
@@ -0,0 +1,36 @@
+import { Router } from "express";
+import {
+  uploadVideo,
+  getVideoById,
+  getOwnerVideos,
+  updateVideo,
+  deleteVideo,
+  streamVideo,
+  retranscodeVideo,
+} from "../controllers/video.controller.js";
+import { uploadFields } from "../middlewares/multer.middleware.js";
+import { verifyTokens } from "../middlewares/auth.middleware.js";
+
+const videoRouter = Router();
+
+videoRouter.route("/").post(
+  verifyTokens,
+  uploadFields("videoFile", "thumbnail"),
+  uploadVideo
+);
+
+videoRouter.get("/owner/:username", getOwnerVideos);
+videoRouter.get("/:videoId/stream", streamVideo);
+videoRouter.post("/:videoId/transcode", verifyTokens, retranscodeVideo);
+
+videoRouter
+  .route("/:videoId")
+  .get(getVideoById)
+  .patch(
+    verifyTokens,
+    uploadFields("thumbnail"),
+    updateVideo
+  )
+  .delete(verifyTokens, deleteVideo);
+
+export default videoRouter;
@@ -0,0 +1,11 @@
+import { Activity } from "../models/activity.model.js";
+
+// Records an entry for the actor's followers. A failure here is only logged,
+// the action that triggered it has already succeeded.
+export const recordActivity = async ({ actor, type, project, video, certification }) => {
+  try {
+    await Activity.create({ actor, type, project, video, certification });
+  } catch (error) {
+    console.error(`Error recording ${type} activity:`, error);
+  }
+};
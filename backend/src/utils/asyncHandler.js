@@ -2,11 +2,12 @@ const asyncHandler = (func) => async (req, res, next) => {
     try {
         await func(req, res, next)
     } catch(error) {
-        res.status(error.code || 500).json({
+        if (res.headersSent) return next(error)
+        res.status(error.statusCode || 500).json({
             success: false,
             message: error.message
         })
     }
 }
 
-export {asyncHandler}
\ No newline at end of file
+export {asyncHandler}
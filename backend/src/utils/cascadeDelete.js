@@ -0,0 +1,89 @@
+import { Video } from "../models/video.model.js";
+import { Project } from "../models/project.model.js";
+import { Certification } from "../models/certification.model.js";
+import { User } from "../models/user.model.js";
+import { VideoView } from "../models/videoView.model.js";
+import { Rating } from "../models/rating.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Activity } from "../models/activity.model.js";
+import { Notification } from "../models/notification.model.js";
+import { ProjectInvitation } from "../models/projectInvitation.model.js";
+import { ProjectWatch } from "../models/projectWatch.model.js";
+import { deleteStoredFile } from "./storage/index.js";
+import { publish } from "./eventBus.js";
+
+// Removes a Video document together with its stored file, thumbnail and previews
+export const deleteVideoWithMedia = async (video) => {
+  await Video.findByIdAndDelete(video._id);
+  await VideoView.deleteMany({ video: video._id });
+  await Activity.deleteMany({ video: video._id });
+  // Notes on the video stay in the project discussion, without their anchor
+  await Comment.updateMany(
+    { video: video._id },
+    { $set: { video: null, timestamp: null } }
+  );
+
+  if (video.storageKey) {
+    await deleteStoredFile({ driver: video.storageDriver, key: video.storageKey });
+  } else {
+    await deleteStoredFile({ url: video.videoFile });
+  }
+
+  if (video.thumbnail) {
+    await deleteStoredFile({ url: video.thumbnail });
+  }
+
+  if (video.previewSprite?.url) {
+    await deleteStoredFile({ url: video.previewSprite.url });
+  }
+
+  await Promise.all(
+    (video.hlsKeys || []).map((key) =>
+      deleteStoredFile({ driver: video.storageDriver, key })
+    )
+  );
+};
+
+// Removes a project, its videos and images, and every reference users hold to it
+export const deleteProjectWithMedia = async (project) => {
+  const videos = await Video.find({ _id: { $in: project.videos } });
+  await Promise.all(videos.map((video) => deleteVideoWithMedia(video)));
+
+  await Promise.all(
+    [project.thumbnail, ...project.images]
+      .filter(Boolean)
+      .map((url) => deleteStoredFile({ url }))
+  );
+
+  await User.updateMany(
+    { $or: [{ projects: project._id }, { watchList: project._id }] },
+    { $pull: { projects: project._id, watchList: project._id } }
+  );
+
+  await Rating.deleteMany({ project: project._id });
+  await Comment.deleteMany({ project: project._id });
+  await Activity.deleteMany({ project: project._id });
+  await Notification.deleteMany({ project: project._id });
+  await ProjectInvitation.deleteMany({ project: project._id });
+  await ProjectWatch.deleteMany({ project: project._id });
+  await Project.findByIdAndDelete(project._id);
+
+  publish(`project:${project._id}`, "project.deleted", { projectId: project._id });
+  project.owners.forEach((owner) =>
+    publish(`profile:${owner}`, "projects.changed", { projectId: project._id })
+  );
+};
+
+export const deleteCertificationWithMedia = async (certification) => {
+  await User.updateMany(
+    { certifications: certification._id },
+    { $pull: { certifications: certification._id } }
+  );
+
+  await Certification.findByIdAndDelete(certification._id);
+  await Activity.deleteMany({ certification: certification._id });
+
+  if (certification.certificateImg) {
+    await deleteStoredFile({ url: certification.certificateImg });
+  }
+};
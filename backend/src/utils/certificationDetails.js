@@ -0,0 +1,73 @@
+import { ApiError } from "./ApiError.js";
+
+const MAX_TEXT_LENGTH = 200;
+
+const parseDate = (value, label) => {
+  if (value === "" || value === null) return null;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ApiError(400, `${label} is not a valid date`);
+  }
+  return date;
+};
+
+const parseUrl = (value) => {
+  if (!value) return "";
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new ApiError(400, "Verification URL is not a valid URL");
+  }
+  if (!["http:", "https:"].includes(url.protocol)) {
+    throw new ApiError(400, "Verification URL must start with http:// or https://");
+  }
+  return url.toString();
+};
+
+// Reads a certification form. Fields that were not sent are left out, so the
+// result can be applied to an existing certification; empty optional fields
+// clear them.
+export const parseCertificationDetails = (body = {}) => {
+  const details = {};
+
+  for (const field of ["title", "description"]) {
+    if (body[field] === undefined) continue;
+
+    details[field] = String(body[field]).trim();
+    if (!details[field]) {
+      throw new ApiError(400, `Certificate ${field} cannot be empty`);
+    }
+  }
+
+  for (const field of ["issuer", "credentialId"]) {
+    if (body[field] === undefined) continue;
+
+    details[field] = String(body[field]).trim();
+    if (details[field].length > MAX_TEXT_LENGTH) {
+      throw new ApiError(400, `Certificate ${field} is limited to ${MAX_TEXT_LENGTH} characters`);
+    }
+  }
+
+  if (body.issueDate !== undefined) {
+    details.issueDate = parseDate(body.issueDate, "Issue date");
+  }
+  if (body.expiryDate !== undefined) {
+    details.expiryDate = parseDate(body.expiryDate, "Expiry date");
+  }
+  if (body.verificationUrl !== undefined) {
+    details.verificationUrl = parseUrl(String(body.verificationUrl).trim());
+  }
+
+  return details;
+};
+
+// Run on the certification once the details are applied, so a new expiry
+// date is also checked against an issue date saved earlier
+export const assertValidCertificationDates = ({ issueDate, expiryDate }) => {
+  if (issueDate && expiryDate && expiryDate < issueDate) {
+    throw new ApiError(400, "The expiry date cannot be before the issue date");
+  }
+};
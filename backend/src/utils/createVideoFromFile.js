@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+import { Video } from "../models/video.model.js";
+import { uploadFile } from "./storage/index.js";
+import { enqueueJob } from "../jobs/queue.js";
+import { TRANSCODE_JOB, isTranscodingEnabled } from "../jobs/transcode.job.js";
+import { VIDEO_METADATA_JOB } from "../jobs/videoMetadata.job.js";
+import path from "path";
+
+// Uploads a multer video file and stores it as a Video document.
+// Returns null when the upload itself fails so callers can decide whether to abort.
+export const createVideoFromFile = async ({
+  file,
+  owner,
+  project,
+  title,
+  description = "",
+  thumbnail = "",
+  keepLocalFileOnError = false,
+}) => {
+  const videoId = new mongoose.Types.ObjectId();
+  const stored = await uploadFile(file.path, {
+    folder: "videos",
+    keepLocalFileOnError,
+  });
+
+  if (!stored) {
+    return null;
+  }
+
+  const video = await Video.create({
+    _id: videoId,
+    // Cloudinary serves ranges itself, other drivers go through our stream endpoint
+    videoFile:
+      stored.driver === "cloudinary"
+        ? stored.url
+        : `/api/v1/videos/${videoId}/stream`,
+    storageDriver: stored.driver,
+    storageKey: stored.key,
+    mimeType: file.mimetype?.startsWith("video/")
+      ? file.mimetype
+      : stored.contentType,
+    size: stored.size,
+    duration: stored.duration || 0,
+    thumbnail,
+    title: title || path.parse(file.originalname).name,
+    description,
+    owner,
+    project,
+    processingStatus: isTranscodingEnabled() ? "pending" : "none",
+  });
+
+  await enqueueJob(VIDEO_METADATA_JOB, { videoId: video._id }, { owner, maxAttempts: 2 });
+
+  if (isTranscodingEnabled()) {
+    await enqueueJob(TRANSCODE_JOB, { videoId: video._id }, { owner, maxAttempts: 2 });
+  }
+
+  return video;
+};
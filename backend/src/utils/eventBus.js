@@ -0,0 +1,22 @@
+import { EventEmitter } from "events";
+
+// In-process pub/sub for realtime updates. Channels are "user:<id>" (private
+// to that user), "profile:<userId>" and "project:<projectId>". Events only
+// reach clients connected to this server process.
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+export const publish = (channel, type, payload = {}) => {
+  bus.emit(channel, { type, payload, at: new Date().toISOString() });
+};
+
+// Returns a function that removes the listener from every channel again
+export const subscribe = (channels, listener) => {
+  const handlers = channels.map((channel) => {
+    const handler = (event) => listener(channel, event);
+    bus.on(channel, handler);
+    return [channel, handler];
+  });
+
+  return () => handlers.forEach(([channel, handler]) => bus.off(channel, handler));
+};
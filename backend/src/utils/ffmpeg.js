@@ -0,0 +1,58 @@
+import { spawn } from "child_process";
+
+const MAX_OUTPUT = 64 * 1024;
+
+// Runs a command and resolves with its output; ffmpeg is chatty on stderr,
+// so only the tail is kept for error messages
+const run = (command, args) =>
+  new Promise((resolve, reject) => {
+    const child = spawn(command, args);
+    let stdout = "";
+    let stderr = "";
+
+    child.stdout.on("data", (chunk) => {
+      stdout += chunk;
+    });
+    child.stderr.on("data", (chunk) => {
+      stderr = (stderr + chunk).slice(-MAX_OUTPUT);
+    });
+
+    child.on("error", reject);
+    child.on("close", (code) => {
+      if (code === 0) {
+        resolve({ stdout, stderr });
+      } else {
+        reject(new Error(`${command} exited with code ${code}: ${stderr.slice(-500)}`));
+      }
+    });
+  });
+
+export const runFfmpeg = (args) =>
+  run(process.env.FFMPEG_PATH || "ffmpeg", ["-hide_banner", "-y", ...args]);
+
+export const runFfprobe = (args) =>
+  run(process.env.FFPROBE_PATH || "ffprobe", ["-v", "error", ...args]);
+
+// Returns duration (seconds), resolution and codecs of a media file
+export const probeVideo = async (filePath) => {
+  const { stdout } = await runFfprobe([
+    "-print_format",
+    "json",
+    "-show_format",
+    "-show_streams",
+    filePath,
+  ]);
+
+  const { format = {}, streams = [] } = JSON.parse(stdout);
+  const videoStream = streams.find((stream) => stream.codec_type === "video");
+  const audioStream = streams.find((stream) => stream.codec_type === "audio");
+
+  return {
+    duration: Number(format.duration) || Number(videoStream?.duration) || 0,
+    width: videoStream?.width || 0,
+    height: videoStream?.height || 0,
+    videoCodec: videoStream?.codec_name || "",
+    audioCodec: audioStream?.codec_name || "",
+    bitRate: Number(format.bit_rate) || 0,
+  };
+};
@@ -0,0 +1,70 @@
+import fs from "fs";
+
+// Magic numbers of the formats we accept. The client's Content-Type and file
+// extension are never trusted, only the leading bytes of the file itself.
+const SIGNATURES = [
+  { mime: "image/jpeg", ext: ".jpg", bytes: [0xff, 0xd8, 0xff] },
+  { mime: "image/png", ext: ".png", bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mime: "image/gif", ext: ".gif", ascii: "GIF87a" },
+  { mime: "image/gif", ext: ".gif", ascii: "GIF89a" },
+  { mime: "image/webp", ext: ".webp", ascii: "RIFF", at: 0, and: { ascii: "WEBP", at: 8 } },
+  { mime: "video/x-msvideo", ext: ".avi", ascii: "RIFF", at: 0, and: { ascii: "AVI ", at: 8 } },
+  { mime: "application/pdf", ext: ".pdf", ascii: "%PDF-" },
+  { mime: "video/webm", ext: ".webm", bytes: [0x1a, 0x45, 0xdf, 0xa3] },
+  { mime: "video/ogg", ext: ".ogv", ascii: "OggS" },
+];
+
+// ISO base media files (mp4, mov, avif, heic) share "ftyp" and differ by brand
+const FTYP_BRANDS = {
+  avif: { mime: "image/avif", ext: ".avif" },
+  avis: { mime: "image/avif", ext: ".avif" },
+  heic: { mime: "image/heic", ext: ".heic" },
+  heix: { mime: "image/heic", ext: ".heic" },
+  mif1: { mime: "image/heic", ext: ".heic" },
+  "qt  ": { mime: "video/quicktime", ext: ".mov" },
+};
+
+const HEADER_LENGTH = 16;
+
+const matches = (header, { bytes, ascii, at = 0 }) => {
+  const expected = bytes ? Buffer.from(bytes) : Buffer.from(ascii, "latin1");
+  return header.subarray(at, at + expected.length).equals(expected);
+};
+
+// Returns { mime, ext } for a recognised file, or null
+export const sniffFileType = async (filePath) => {
+  const handle = await fs.promises.open(filePath, "r");
+  let header;
+  try {
+    const buffer = Buffer.alloc(HEADER_LENGTH);
+    const { bytesRead } = await handle.read(buffer, 0, HEADER_LENGTH, 0);
+    header = buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+
+  if (matches(header, { ascii: "ftyp", at: 4 })) {
+    const brand = header.subarray(8, 12).toString("latin1");
+    return FTYP_BRANDS[brand] || { mime: "video/mp4", ext: ".mp4" };
+  }
+
+  const signature = SIGNATURES.find(
+    (candidate) => matches(header, candidate) && (!candidate.and || matches(header, candidate.and))
+  );
+
+  return signature ? { mime: signature.mime, ext: signature.ext } : null;
+};
+
+// Keeps user-supplied names safe to log, store and show: no directories,
+// control characters or characters that are reserved on common filesystems
+export const sanitizeFilename = (name = "") => {
+  const cleaned = String(name)
+    .split(/[\\/]/)
+    .pop()
+    .replace(/[\u0000-\u001f\u007f<>:"|?*]/g, "_")
+    .replace(/^\.+/, "")
+    .trim()
+    .slice(-255);
+
+  return cleaned || "file";
+};
@@ -0,0 +1,12 @@
+import { Follow } from "../models/follow.model.js";
+
+// Follower and following counts of a user, and whether the viewer follows them
+export const getFollowStats = async (user, viewer) => {
+  const [followerCount, followingCount, isFollowing] = await Promise.all([
+    Follow.countDocuments({ following: user._id }),
+    Follow.countDocuments({ follower: user._id }),
+    viewer ? Follow.exists({ follower: viewer._id, following: user._id }) : null,
+  ]);
+
+  return { followerCount, followingCount, isFollowing: Boolean(isFollowing) };
+};
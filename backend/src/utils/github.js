@@ -0,0 +1,85 @@
+import { ApiError } from "./ApiError.js";
+
+// Point GITHUB_API_BASE_URL at a local stub in development. GITHUB_TOKEN is
+// optional and only raises the rate limit.
+const apiBaseUrl = () =>
+  (process.env.GITHUB_API_BASE_URL || "https://api.github.com").replace(/\/+$/, "");
+
+const PER_PAGE = 100;
+const MAX_REPO_PAGES = 5;
+// Languages making up less of a repo than this are left out of its tech stack
+const MIN_LANGUAGE_SHARE = 0.05;
+
+const githubGet = async (path) => {
+  let response;
+  try {
+    response = await fetch(`${apiBaseUrl()}${path}`, {
+      headers: {
+        Accept: "application/vnd.github+json",
+        ...(process.env.GITHUB_TOKEN && { Authorization: `Bearer ${process.env.GITHUB_TOKEN}` }),
+      },
+    });
+  } catch (error) {
+    console.error("Error reaching GitHub:", error);
+    throw new ApiError(502, "Could not reach GitHub");
+  }
+
+  if (response.status === 404) {
+    throw new ApiError(404, "GitHub user or repository not found");
+  }
+  if (
+    response.status === 429 ||
+    (response.status === 403 && response.headers.get("x-ratelimit-remaining") === "0")
+  ) {
+    throw new ApiError(429, "GitHub rate limit reached, try again later");
+  }
+  if (!response.ok) {
+    throw new ApiError(502, `GitHub responded with ${response.status}`);
+  }
+
+  return response.json();
+};
+
+// The user's public repositories, most recently pushed first
+export const fetchGithubRepos = async (githubId) => {
+  const repos = [];
+  for (let page = 1; page <= MAX_REPO_PAGES; page += 1) {
+    const batch = await githubGet(
+      `/users/${encodeURIComponent(githubId)}/repos?type=owner&sort=pushed&per_page=${PER_PAGE}&page=${page}`
+    );
+    repos.push(...batch);
+    if (batch.length < PER_PAGE) break;
+  }
+  return repos;
+};
+
+// Bytes of code per language, e.g. { JavaScript: 51234, CSS: 2048 }
+export const fetchRepoLanguages = (repo) =>
+  githubGet(`/repos/${repo.full_name.split("/").map(encodeURIComponent).join("/")}/languages`);
+
+// The languages that make up a real share of the repo, largest first, with
+// its primary language when the breakdown is unavailable
+export const languagesToTechStack = (languages, primary) => {
+  const entries = Object.entries(languages || {});
+  const total = entries.reduce((sum, [, bytes]) => sum + bytes, 0);
+
+  const stack = entries
+    .filter(([, bytes]) => total && bytes / total >= MIN_LANGUAGE_SHARE)
+    .sort((a, b) => b[1] - a[1])
+    .map(([language]) => language);
+
+  return stack.length ? stack : primary ? [primary] : [];
+};
+
+// The project fields a repository pre-fills
+export const repoToProjectDraft = (repo, techStack = languagesToTechStack(null, repo.language)) => ({
+  repoId: String(repo.id),
+  name: repo.name,
+  description: repo.description || "",
+  url: repo.html_url,
+  techStack,
+  stars: repo.stargazers_count || 0,
+  fork: Boolean(repo.fork),
+  archived: Boolean(repo.archived),
+  pushedAt: repo.pushed_at,
+});
@@ -0,0 +1,53 @@
+import path from "path";
+import { Project } from "../models/project.model.js";
+import { Video } from "../models/video.model.js";
+
+// "https://res.cloudinary.com/demo/video/upload/v1/intro.mp4" -> "intro"
+const titleFromUrl = (url, fallback) => {
+  try {
+    return path.parse(new URL(url).pathname).name || fallback;
+  } catch (error) {
+    return fallback;
+  }
+};
+
+// Projects from before videos were Video documents list the Cloudinary URLs
+// themselves, which no longer cast to the schema. Those are read straight
+// from the collection and each URL becomes a Video of the project. A URL
+// that already has its Video, e.g. from an interrupted run, reuses it.
+export const backfillProjectVideos = async () => {
+  const projects = await Project.collection
+    .find({ videos: { $type: "string" } })
+    .project({ name: 1, owners: 1, videos: 1 })
+    .toArray();
+
+  for (const project of projects) {
+    const videoIds = [];
+
+    for (const entry of project.videos) {
+      if (typeof entry !== "string") {
+        videoIds.push(entry);
+        continue;
+      }
+
+      const video =
+        (await Video.findOne({ project: project._id, videoFile: entry }).select("_id")) ||
+        (await Video.create({
+          videoFile: entry,
+          storageDriver: "cloudinary",
+          title: titleFromUrl(entry, project.name),
+          owner: project.owners?.[0],
+          project: project._id,
+        }));
+      videoIds.push(video._id);
+    }
+
+    // Only if nobody changed the list meanwhile; a later run picks it up otherwise
+    await Project.collection.updateOne(
+      { _id: project._id, videos: project.videos },
+      { $set: { videos: videoIds } }
+    );
+  }
+
+  return projects.length;
+};
@@ -0,0 +1,46 @@
+import { Notification } from "../models/notification.model.js";
+import { User } from "../models/user.model.js";
+import { publish } from "./eventBus.js";
+
+const truncate = (text, length) =>
+  text.length > length ? `${text.slice(0, length - 1)}…` : text;
+
+// Creates an in-app notification unless the recipient turned that type off or
+// caused the event themselves. Failures are only logged so they never break
+// the action that triggered them.
+export const notify = async ({ recipient, actor, type, text, link, project, comment }) => {
+  try {
+    if (actor && actor.toString() === recipient.toString()) {
+      return null;
+    }
+
+    const user = await User.findById(recipient).select("notificationPreferences");
+    if (!user || user.notificationPreferences?.[type] === false) {
+      return null;
+    }
+
+    const notification = await Notification.create({
+      recipient,
+      actor,
+      type,
+      text: truncate(text, 500),
+      link,
+      project,
+      comment,
+    });
+
+    publish(`user:${recipient}`, "notification", notification);
+    return notification;
+  } catch (error) {
+    console.error(`Error creating ${type} notification:`, error);
+    return null;
+  }
+};
+
+// Frontend path of a project page; any owner listing the project will do
+export const projectLink = async (project) => {
+  const creator = await User.findOne({ projects: project._id }).select("username");
+  return creator
+    ? `/user/${creator.username}/projects/${encodeURIComponent(project.slug || project.name)}`
+    : undefined;
+};
@@ -0,0 +1,112 @@
+import mongoose from "mongoose";
+import { ApiError } from "./ApiError.js";
+
+const { EJSON } = mongoose.mongo.BSON;
+
+const MAX_LIMIT = 50;
+
+// Cursors carry the sort values of the last document a page ended on, as
+// Extended JSON so dates and ObjectIds survive the round trip
+const encodeCursor = (sortName, values) =>
+  Buffer.from(EJSON.stringify({ sort: sortName, values })).toString("base64url");
+
+const decodeCursor = (cursor, sortName) => {
+  let decoded;
+  try {
+    decoded = EJSON.parse(Buffer.from(String(cursor), "base64url").toString());
+  } catch {
+    throw new ApiError(400, "Invalid cursor");
+  }
+  if (!Array.isArray(decoded?.values)) {
+    throw new ApiError(400, "Invalid cursor");
+  }
+  if (decoded.sort !== sortName) {
+    throw new ApiError(400, "The cursor was issued for a different sort order");
+  }
+  return decoded;
+};
+
+// Reads `page`, `limit`, `sort` and `cursor` from a query string. `sorts`
+// maps the accepted sort names to `{ fields, addFields }`, see paginateList.
+export const parseListOptions = (query, sorts, { defaultSort, defaultLimit = 10 }) => {
+  const sortName = query.sort || defaultSort;
+  if (!Object.hasOwn(sorts, sortName)) {
+    throw new ApiError(400, `sort must be one of ${Object.keys(sorts).join(", ")}`);
+  }
+
+  return {
+    sortName,
+    sort: sorts[sortName],
+    page: Math.max(parseInt(query.page) || 1, 1),
+    limit: Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), MAX_LIMIT),
+    cursor: query.cursor ? decodeCursor(query.cursor, sortName) : null,
+  };
+};
+
+// Documents strictly after `values` in the given sort order
+const afterCursor = (sortFields, values) => {
+  const keys = Object.keys(sortFields);
+
+  return {
+    $or: keys.map((key, index) => ({
+      ...Object.fromEntries(keys.slice(0, index).map((previous, i) => [previous, values[i]])),
+      [key]: { [sortFields[key] > 0 ? "$gt" : "$lt"]: values[index] },
+    })),
+  };
+};
+
+// Lists the documents matching `match` a page at a time, by `page` number or
+// by the `cursor` of the previous page. `sort.addFields` can compute sort
+// keys, which should never be null so cursors compare cleanly; they are
+// removed from the results. `stages` run on the page's documents only and
+// must keep the sort fields.
+export const paginateList = async (
+  model,
+  { match, sort, sortName, page, limit, cursor, stages = [] }
+) => {
+  const sortFields = { ...sort.fields, _id: Object.values(sort.fields)[0] };
+
+  const [result] = await model.aggregate([
+    { $match: match },
+    ...(sort.addFields ? [{ $addFields: sort.addFields }] : []),
+    {
+      $facet: {
+        total: [{ $count: "count" }],
+        docs: [
+          ...(cursor ? [{ $match: afterCursor(sortFields, cursor.values) }] : []),
+          { $sort: sortFields },
+          ...(cursor ? [] : [{ $skip: (page - 1) * limit }]),
+          { $limit: limit + 1 }, // one extra to tell whether another page follows
+          ...stages,
+        ],
+      },
+    },
+  ]);
+
+  const total = result.total[0]?.count || 0;
+  const hasNextPage = result.docs.length > limit;
+  const docs = result.docs.slice(0, limit);
+  const last = docs[docs.length - 1];
+
+  const nextCursor = hasNextPage
+    ? encodeCursor(sortName, Object.keys(sortFields).map((key) => last[key]))
+    : null;
+
+  for (const doc of docs) {
+    for (const field of Object.keys(sort.addFields || {})) {
+      delete doc[field];
+    }
+  }
+
+  return {
+    docs,
+    total,
+    limit,
+    page: cursor ? null : page,
+    pages: Math.ceil(total / limit),
+    hasNextPage,
+    nextPage: !cursor && hasNextPage ? page + 1 : null,
+    nextCursor,
+    sort: sortName,
+  };
+};
@@ -0,0 +1,68 @@
+import { isValidObjectId } from "mongoose";
+import { Project } from "../models/project.model.js";
+import { ApiError } from "./ApiError.js";
+
+// Whether the user is one of the project's owners; works with populated and
+// unpopulated `owners`
+export const isProjectOwner = (project, user) =>
+  Boolean(
+    project &&
+      user &&
+      project.owners.some(
+        (owner) => (owner._id || owner).toString() === user._id.toString()
+      )
+  );
+
+// The owner's role on the project, null for anybody else. Projects created
+// before roles existed have no `ownerRoles` and treat every owner as an admin.
+export const getOwnerRole = (project, user) => {
+  if (!isProjectOwner(project, user)) {
+    return null;
+  }
+  if (!project.ownerRoles?.length) {
+    return "admin";
+  }
+
+  const entry = project.ownerRoles.find(
+    (ownerRole) => ownerRole.user.toString() === user._id.toString()
+  );
+  return entry?.role || "editor";
+};
+
+// Admins and editors may change the project's content
+export const canEditProject = (project, user) =>
+  ["admin", "editor"].includes(getOwnerRole(project, user));
+
+// Gives a project from before roles existed explicit roles, so changing one
+// owner's role does not demote everybody else
+export const ensureOwnerRoles = (project) => {
+  if (!project.ownerRoles.length) {
+    project.ownerRoles = project.owners.map((owner) => ({ user: owner, role: "admin" }));
+  }
+};
+
+export const countAdmins = (project) =>
+  project.ownerRoles.filter((ownerRole) => ownerRole.role === "admin").length;
+
+// Loads a project whose owners and invitations the user wants to manage
+export const findProjectForAdmin = async (projectId, user) => {
+  if (!isValidObjectId(projectId)) {
+    throw new ApiError(400, "Invalid project ID");
+  }
+
+  const project = await Project.findById(projectId).select("name slug owners ownerRoles");
+  if (!project) {
+    throw new ApiError(404, "Project not found");
+  }
+  if (getOwnerRole(project, user) !== "admin") {
+    throw new ApiError(403, "Only project admins can manage owners");
+  }
+
+  return project;
+};
+
+// Whether the project is on the user's watch list
+export const isWatchingProject = (user, projectId) =>
+  Boolean(
+    user?.watchList?.some((id) => id.toString() === projectId.toString())
+  );
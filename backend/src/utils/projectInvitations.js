@@ -0,0 +1,47 @@
+import { ProjectInvitation } from "../models/projectInvitation.model.js";
+import { OWNER_ROLES } from "../models/project.model.js";
+import { ApiError } from "./ApiError.js";
+import { isProjectOwner } from "./projectAccess.js";
+import { notify } from "./notifications.js";
+
+export const parseOwnerRole = (role = "editor") => {
+  if (!OWNER_ROLES.includes(role)) {
+    throw new ApiError(400, `Role must be one of ${OWNER_ROLES.join(", ")}`);
+  }
+  return role;
+};
+
+// Invites `invitee` to co-own the project; they only become an owner once
+// they accept
+export const inviteToProject = async ({ project, inviter, invitee, role = "editor" }) => {
+  if (isProjectOwner(project, invitee)) {
+    throw new ApiError(400, `${invitee.username} already owns this project`);
+  }
+
+  const pending = await ProjectInvitation.exists({
+    project: project._id,
+    invitee: invitee._id,
+    status: "pending",
+  });
+  if (pending) {
+    throw new ApiError(409, `${invitee.username} has already been invited`);
+  }
+
+  const invitation = await ProjectInvitation.create({
+    project: project._id,
+    inviter: inviter._id,
+    invitee: invitee._id,
+    role: parseOwnerRole(role),
+  });
+
+  await notify({
+    recipient: invitee._id,
+    actor: inviter._id,
+    type: "projectInvitation",
+    text: `${inviter.fullname || inviter.username} invited you to co-own ${project.name} as ${invitation.role}`,
+    link: `/user/${invitee.username}/invitations`,
+    project: project._id,
+  });
+
+  return invitation;
+};
@@ -0,0 +1,37 @@
+import { Rating } from "../models/rating.model.js";
+import { Project } from "../models/project.model.js";
+
+// Recomputes a project's aggregate from its ratings rather than adjusting it
+// incrementally, so concurrent edits can never leave it drifting
+export const refreshProjectRating = async (projectId) => {
+  const [aggregate] = await Rating.aggregate([
+    { $match: { project: projectId } },
+    { $group: { _id: null, average: { $avg: "$value" }, count: { $sum: 1 } } },
+  ]);
+
+  const ratingAverage = aggregate ? Math.round(aggregate.average * 100) / 100 : 0;
+  const ratingCount = aggregate?.count || 0;
+
+  await Project.findByIdAndUpdate(projectId, { ratingAverage, ratingCount });
+  return { ratingAverage, ratingCount };
+};
+
+// Adds `userRating` (or null) to plain project objects for the signed-in viewer
+export const withUserRatings = async (projects, user) => {
+  if (!user) {
+    return projects.map((project) => ({ ...project, userRating: null }));
+  }
+
+  const ratings = await Rating.find({
+    user: user._id,
+    project: { $in: projects.map((project) => project._id) },
+  });
+  const valueByProject = new Map(
+    ratings.map((rating) => [rating.project.toString(), rating.value])
+  );
+
+  return projects.map((project) => ({
+    ...project,
+    userRating: valueByProject.get(project._id.toString()) ?? null,
+  }));
+};
@@ -0,0 +1,100 @@
+import { Project } from "../models/project.model.js";
+
+const MAX_SLUG_LENGTH = 60;
+const MAX_SLUG_ATTEMPTS = 5;
+
+// "My App / v2!" -> "my-app-v2"
+export const slugify = (name) =>
+  String(name || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "") // accents
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/^-+|-+$/g, "") || "project";
+
+// Slugs and old slugs of the other projects any of the owners has, which
+// the project's own slug must not clash with
+const takenSlugs = async (project) => {
+  const others = await Project.find({
+    _id: { $ne: project._id },
+    owners: { $in: project.owners },
+  }).select("slug previousSlugs");
+
+  return new Set(others.flatMap((other) => [other.slug, ...(other.previousSlugs || [])]));
+};
+
+// Gives the project a slug from its name, numbered when an owner already
+// uses it. The current slug is kept unless `fromName` asks for one matching
+// a new name or it clashes, e.g. after a co-owner joined. A replaced slug is
+// remembered for redirects. Writes go through withProjectSlug.
+export const assignProjectSlug = async (project, { fromName = false } = {}) => {
+  const taken = await takenSlugs(project);
+
+  if (project.slug && !fromName && !taken.has(project.slug)) {
+    return project.slug;
+  }
+
+  const base = slugify(project.name);
+  let slug = base;
+  for (let n = 2; taken.has(slug); n += 1) {
+    slug = `${base}-${n}`;
+  }
+
+  if (project.slug && project.slug !== slug && !project.previousSlugs.includes(project.slug)) {
+    project.previousSlugs.push(project.slug);
+  }
+  // Renaming back to an earlier name takes its slug back
+  project.previousSlugs = project.previousSlugs.filter((previous) => previous !== slug);
+  project.slug = slug;
+
+  return slug;
+};
+
+const isSlugClash = (error) => error?.code === 11000 && Boolean(error.keyPattern?.slug);
+
+// Assigns the project a slug and runs `write`, which stores it. Two requests
+// can pick the same free slug at once; the unique owners + slug index
+// refuses the later write, which then tries again with the next free slug.
+export const withProjectSlug = async (project, write, { fromName = false } = {}) => {
+  const { slug } = project;
+  const previousSlugs = [...(project.previousSlugs || [])];
+
+  for (let attempt = 1; ; attempt += 1) {
+    await assignProjectSlug(project, { fromName });
+    try {
+      return await write();
+    } catch (error) {
+      if (!isSlugClash(error) || attempt === MAX_SLUG_ATTEMPTS) throw error;
+      // The refused slug was never stored, so it is no earlier slug either
+      project.slug = slug;
+      project.previousSlugs = [...previousSlugs];
+    }
+  }
+};
+
+// The project a project URL names among a user's projects: by slug, by an
+// earlier slug, or by name for links made before projects had slugs.
+// `moved` tells the caller to redirect to the current slug.
+export const findProjectBySlug = (projects, param) => {
+  const current = projects.find((project) => project.slug === param);
+  if (current) return { project: current, moved: false };
+
+  const project =
+    projects.find((project) => project.previousSlugs?.includes(param)) ||
+    projects.find((project) => project.name === param);
+
+  return { project, moved: Boolean(project) };
+};
+
+// Gives projects created before slugs existed one, oldest first so the
+// original of two same-named projects keeps the plain slug
+export const backfillProjectSlugs = async () => {
+  const projects = await Project.find({ slug: { $in: [null, ""] } }).sort({ createdAt: 1 });
+
+  for (const project of projects) {
+    await withProjectSlug(project, () => project.save());
+  }
+
+  return projects.length;
+};
@@ -0,0 +1,83 @@
+// Makes user input safe to embed in a RegExp
+export const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Matches a whole value case-insensitively, e.g. a tech stack entry
+export const exactMatch = (value) => new RegExp(`^${escapeRegex(value)}$`, "i");
+
+const SNIPPET_LENGTH = 160;
+const SNIPPET_LEAD = 40;
+
+// The words a text search looks for, without quotes, negated words and
+// stop-word sized fragments
+const searchTerms = (query) =>
+  [
+    ...new Set(
+      query
+        .toLowerCase()
+        .split(/\s+/)
+        .filter((word) => word && !word.startsWith("-"))
+        .map((word) => word.replace(/[^\p{L}\p{N}+#.]/gu, ""))
+        .filter((word) => word.length > 1)
+    ),
+  ];
+
+// Splits `text` into segments flagged with `match` wherever a word starts
+// with one of the searched terms, so the client can render them without
+// injecting HTML. Long text is cut down to a snippet around the first match.
+// Returns null when nothing matches.
+const highlightText = (text, pattern) => {
+  if (!text) return null;
+
+  pattern.lastIndex = 0;
+  const first = pattern.exec(text);
+  if (!first) return null;
+
+  let start = 0;
+  let end = text.length;
+  if (text.length > SNIPPET_LENGTH) {
+    start = Math.max(0, first.index - SNIPPET_LEAD);
+    end = Math.min(text.length, start + SNIPPET_LENGTH);
+  }
+  const snippet = text.slice(start, end);
+
+  const segments = [];
+  let cursor = 0;
+  pattern.lastIndex = 0;
+  for (const match of snippet.matchAll(pattern)) {
+    if (match.index > cursor) {
+      segments.push({ text: snippet.slice(cursor, match.index), match: false });
+    }
+    segments.push({ text: match[0], match: true });
+    cursor = match.index + match[0].length;
+  }
+  if (cursor < snippet.length) {
+    segments.push({ text: snippet.slice(cursor), match: false });
+  }
+
+  if (start > 0) segments.unshift({ text: "…", match: false });
+  if (end < text.length) segments.push({ text: "…", match: false });
+
+  return segments;
+};
+
+// Highlighted segments of the given fields of every document, keyed by field.
+// Array fields such as techStack are joined into one line.
+export const addHighlights = (docs, query, fields) => {
+  const terms = searchTerms(query);
+  if (!terms.length) return docs;
+
+  const pattern = new RegExp(
+    `(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegex).join("|")})[\\p{L}\\p{N}]*`,
+    "giu"
+  );
+
+  return docs.map((doc) => {
+    const highlights = {};
+    for (const field of fields) {
+      const value = Array.isArray(doc[field]) ? doc[field].join(", ") : doc[field];
+      const segments = highlightText(value, pattern);
+      if (segments) highlights[field] = segments;
+    }
+    return { ...doc, highlights };
+  });
+};
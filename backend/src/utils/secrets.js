@@ -0,0 +1,18 @@
+// The value of the first of the given environment variables that is set.
+// Hashing with an empty key would make the hashes easy to reverse, so a
+// missing secret is an error rather than a fallback.
+const requireSecret = (...names) => {
+  const name = names.find((candidate) => process.env[candidate]);
+  if (!name) {
+    throw new Error(`Missing secret: set ${names.join(" or ")}`);
+  }
+  return process.env[name];
+};
+
+export const viewHashSecret = () => requireSecret("VIEW_HASH_SECRET", "ACCESS_TOKEN_SECRET");
+
+// Run at startup so a missing secret stops the server, not the first request
+// that needs it
+export const checkSecrets = () => {
+  viewHashSecret();
+};
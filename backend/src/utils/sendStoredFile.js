@@ -0,0 +1,66 @@
+import { pipeline } from "stream";
+import { ApiError } from "./ApiError.js";
+
+// Sends a stored file with HTTP Range support so <video> elements can seek.
+// Meant to be called from inside an asyncHandler.
+export const sendStoredFile = async (req, res, { driver, key, contentType }) => {
+  let fileStat;
+  try {
+    fileStat = await driver.stat(key);
+  } catch (error) {
+    throw new ApiError(404, "File not found in storage");
+  }
+
+  const { size, etag, lastModified } = fileStat;
+
+  res.set({
+    "Accept-Ranges": "bytes",
+    "ETag": etag,
+    "Last-Modified": new Date(lastModified).toUTCString(),
+    "Cache-Control": "public, max-age=0, must-revalidate",
+  });
+
+  if (req.get("If-None-Match") === etag) {
+    return res.status(304).end();
+  }
+
+  // A stale If-Range means the client's partial copy is outdated, so send everything
+  const ifRange = req.get("If-Range");
+  const ranges =
+    req.get("Range") && (!ifRange || ifRange === etag)
+      ? req.range(size, { combine: true })
+      : undefined;
+
+  if (ranges === -1) {
+    res.set("Content-Range", `bytes */${size}`);
+    throw new ApiError(416, "Requested range not satisfiable");
+  }
+
+  res.set("Content-Type", contentType || fileStat.contentType);
+
+  let start = 0;
+  let end = size - 1;
+
+  // Malformed or multi-range requests fall back to the full file
+  if (Array.isArray(ranges) && ranges.type === "bytes" && ranges.length === 1) {
+    start = ranges[0].start;
+    end = ranges[0].end;
+    res.status(206).set("Content-Range", `bytes ${start}-${end}/${size}`);
+  } else {
+    res.status(200);
+  }
+
+  res.set("Content-Length", String(end - start + 1));
+
+  if (req.method === "HEAD" || size === 0) {
+    return res.end();
+  }
+
+  const fileStream = await driver.get(key, { start, end });
+
+  pipeline(fileStream, res, (error) => {
+    if (error && error.code !== "ERR_STREAM_PREMATURE_CLOSE") {
+      console.error("Error Streaming File:", error);
+    }
+  });
+};
@@ -0,0 +1,146 @@
+import { v2 as cloudinary } from "cloudinary";
+import { Readable } from "stream";
+import path from "path";
+
+// Cloudinary keys carry the resource type so assets can be deleted later,
+// e.g. "image/profile/abc123" or "raw/resumes/cv.pdf"
+const splitKey = (key) => {
+  const [resourceType, ...rest] = key.split("/");
+  return { resourceType, publicId: rest.join("/") };
+};
+
+// Everything this app uploads lives under one root folder, so listing and
+// garbage collection never touch assets of other apps sharing the account
+const rootFolder = () => (process.env.CLOUDINARY_FOLDER || "media_stream").replace(/^\/+|\/+$/g, "");
+
+// The upload folder for a put. Explicit keys can be derived from an earlier
+// Cloudinary key, which already starts with the resource type and the root.
+const folderFor = ({ folder, key }) => {
+  const root = rootFolder();
+  const dir = (key ? path.posix.dirname(key) : folder).replace(/^(image|video|raw)\//, "");
+
+  if (dir === "." || !dir) return `${root}/misc`;
+  return dir === root || dir.startsWith(`${root}/`) ? dir : `${root}/${dir}`;
+};
+
+class CloudinaryStorage {
+  constructor() {
+    this.name = "cloudinary";
+    this.isConfigured = false;
+  }
+
+  // Configured lazily so env vars loaded after import are still picked up
+  client() {
+    if (!this.isConfigured) {
+      cloudinary.config({
+        cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+        api_key: process.env.CLOUDINARY_API_KEY,
+        api_secret: process.env.CLOUDINARY_API_SECRET,
+      });
+      this.isConfigured = true;
+    }
+    return cloudinary;
+  }
+
+  // Cloudinary picks its own public ids, so only the folder of an explicit key is kept
+  async put(localPath, { folder = "misc", key } = {}) {
+    const response = await this.client().uploader.upload(localPath, {
+      resource_type: "auto",
+      folder: folderFor({ folder, key }),
+    });
+
+    return {
+      key: `${response.resource_type}/${response.public_id}`,
+      url: response.url,
+      size: response.bytes,
+      contentType: `${response.resource_type}/${response.format}`,
+      duration: response.duration,
+    };
+  }
+
+  async stat(key) {
+    const response = await fetch(this.urlFor(key), { method: "HEAD" });
+
+    if (!response.ok) {
+      throw new Error(`Cloudinary asset ${key} not found`);
+    }
+
+    return {
+      size: Number(response.headers.get("content-length")),
+      lastModified: new Date(response.headers.get("last-modified") || Date.now()),
+      contentType: response.headers.get("content-type"),
+      etag: response.headers.get("etag"),
+    };
+  }
+
+  async get(key, { start, end } = {}) {
+    const headers = {};
+    if (start !== undefined) {
+      headers.Range = `bytes=${start}-${end ?? ""}`;
+    }
+
+    const response = await fetch(this.urlFor(key), { headers });
+
+    if (!response.ok) {
+      throw new Error(`Cloudinary asset ${key} not found`);
+    }
+
+    return Readable.fromWeb(response.body);
+  }
+
+  async delete(key) {
+    const { resourceType, publicId } = splitKey(key);
+    await this.client().uploader.destroy(publicId, {
+      resource_type: resourceType,
+      invalidate: true,
+    });
+  }
+
+  // Only the assets under the app's root folder
+  async *list() {
+    for (const resourceType of ["image", "video", "raw"]) {
+      let nextCursor;
+
+      do {
+        const response = await this.client().api.resources({
+          resource_type: resourceType,
+          type: "upload",
+          prefix: `${rootFolder()}/`,
+          max_results: 500,
+          next_cursor: nextCursor,
+        });
+
+        for (const resource of response.resources) {
+          yield {
+            key: `${resourceType}/${resource.public_id}`,
+            size: resource.bytes,
+            lastModified: new Date(resource.created_at),
+          };
+        }
+
+        nextCursor = response.next_cursor;
+      } while (nextCursor);
+    }
+  }
+
+  urlFor(key) {
+    const { resourceType, publicId } = splitKey(key);
+    return this.client().url(publicId, { resource_type: resourceType });
+  }
+
+  keyFromUrl(url) {
+    // http://res.cloudinary.com/<cloud>/<resource_type>/upload/v123/<public_id>.<ext>
+    const match = url?.match(
+      /res\.cloudinary\.com\/[^/]+\/(image|video|raw)\/upload\/(?:v\d+\/)?([^?]+)/
+    );
+    if (!match) return null;
+
+    const [, resourceType, publicPath] = match;
+    const publicId =
+      resourceType === "raw" ? publicPath : publicPath.replace(/\.[^/.]+$/, "");
+
+    return `${resourceType}/${publicId}`;
+  }
+}
+
+export const cloudinaryStorage = new CloudinaryStorage();
@@ -0,0 +1,79 @@
+import fs from "fs";
+import { localStorage } from "./local.storage.js";
+import { cloudinaryStorage } from "./cloudinary.storage.js";
+import { s3Storage } from "./s3.storage.js";
+
+// Every driver implements the same interface:
+//   put(localPath, { folder, key }) -> { key, url, size, contentType }
+//   get(key, { start, end }) -> Readable
+//   stat(key) -> { size, lastModified, contentType, etag }
+//   delete(key)
+//   list() -> async iterable of { key, size, lastModified }
+//   urlFor(key) / keyFromUrl(url)
+const drivers = {
+  local: localStorage,
+  cloudinary: cloudinaryStorage,
+  s3: s3Storage,
+};
+
+// STORAGE_DRIVER picks the backend; without it we use Cloudinary when an
+// account is configured and the local disk otherwise
+const getStorage = (driverName) => {
+  const name =
+    driverName ||
+    process.env.STORAGE_DRIVER ||
+    (process.env.CLOUDINARY_CLOUD_NAME ? "cloudinary" : "local");
+
+  const driver = drivers[name];
+  if (!driver) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  return driver;
+};
+
+// Uploads a temp file (e.g. from multer) to the active driver and returns null
+// if the upload fails. The temp file is removed unless `keepLocalFileOnError`
+// is set, which lets queued jobs retry the same file.
+const uploadFile = async (localPath, options = {}) => {
+  if (!localPath) return null;
+
+  const driver = getStorage(options.driver);
+
+  try {
+    const stored = await driver.put(localPath, options);
+    await fs.promises.rm(localPath, { force: true });
+    return { ...stored, driver: driver.name };
+  } catch (error) {
+    console.log(`File uploading to ${driver.name} storage unsuccessful: ${error}`);
+    if (!options.keepLocalFileOnError) {
+      await fs.promises.rm(localPath, { force: true });
+    }
+    return null;
+  }
+};
+
+// Finds which driver produced a stored URL, so it can be deleted later
+const resolveStoredUrl = (url) => {
+  for (const driver of Object.values(drivers)) {
+    const key = driver.keyFromUrl(url);
+    if (key) return { driver, key };
+  }
+  return null;
+};
+
+// Best-effort removal of a stored asset; failures are logged, never thrown,
+// since the garbage collector will pick up anything left behind
+const deleteStoredFile = async ({ url, driver, key }) => {
+  try {
+    const target = key ? { driver: getStorage(driver), key } : resolveStoredUrl(url);
+    if (!target) return false;
+
+    await target.driver.delete(target.key);
+    return true;
+  } catch (error) {
+    console.error(`Error deleting stored file ${key || url}:`, error);
+    return false;
+  }
+};
+
+export { getStorage, uploadFile, resolveStoredUrl, deleteStoredFile, drivers };
@@ -0,0 +1,131 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+const MIME_TYPES = {
+  ".mp4": "video/mp4",
+  ".m4v": "video/mp4",
+  ".webm": "video/webm",
+  ".ogv": "video/ogg",
+  ".ogg": "video/ogg",
+  ".mov": "video/quicktime",
+  ".mkv": "video/x-matroska",
+  ".m3u8": "application/vnd.apple.mpegurl",
+  ".ts": "video/mp2t",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".pdf": "application/pdf",
+};
+
+const getMimeType = (filePath) =>
+  MIME_TYPES[path.extname(filePath).toLowerCase()] || "application/octet-stream";
+
+const MEDIA_ROUTE = "/api/v1/media";
+
+// Stores files on the local disk under a root directory.
+// Keys are relative, forward-slash separated paths such as "videos/<uuid>.mp4".
+// Files are served back through the media route (see media.routes.js).
+class LocalStorage {
+  constructor(rootDir) {
+    this.name = "local";
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  resolve(key) {
+    const filePath = path.resolve(this.rootDir, key);
+
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return filePath;
+  }
+
+  // Moves a temp file (e.g. from multer) into the store and returns its key
+  async put(localPath, { folder = "misc", key } = {}) {
+    const storageKey =
+      key ||
+      `${folder}/${crypto.randomUUID()}${path.extname(localPath).toLowerCase()}`;
+    const destination = this.resolve(storageKey);
+
+    await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+
+    try {
+      await fs.promises.rename(localPath, destination);
+    } catch (error) {
+      // rename fails across devices, fall back to copy + unlink
+      if (error.code !== "EXDEV") throw error;
+      await fs.promises.copyFile(localPath, destination);
+      await fs.promises.unlink(localPath);
+    }
+
+    const { size } = await fs.promises.stat(destination);
+
+    return {
+      key: storageKey,
+      url: this.urlFor(storageKey),
+      size,
+      contentType: getMimeType(storageKey),
+    };
+  }
+
+  async stat(key) {
+    const stats = await fs.promises.stat(this.resolve(key));
+
+    return {
+      size: stats.size,
+      lastModified: stats.mtime,
+      contentType: getMimeType(key),
+      etag: `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`,
+    };
+  }
+
+  // `end` is inclusive, matching HTTP byte ranges
+  async get(key, { start, end } = {}) {
+    return fs.createReadStream(this.resolve(key), { start, end });
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+
+  // Yields { key, size, lastModified } for every stored file
+  async *list() {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(this.rootDir, { recursive: true });
+    } catch (error) {
+      if (error.code === "ENOENT") return;
+      throw error;
+    }
+
+    for (const entry of entries) {
+      const stats = await fs.promises.stat(path.join(this.rootDir, entry));
+      if (!stats.isFile()) continue;
+
+      yield {
+        key: entry.split(path.sep).join("/"),
+        size: stats.size,
+        lastModified: stats.mtime,
+      };
+    }
+  }
+
+  urlFor(key) {
+    return `${MEDIA_ROUTE}/${key}`;
+  }
+
+  keyFromUrl(url) {
+    const prefix = `${MEDIA_ROUTE}/`;
+    if (!url?.startsWith(prefix)) return null;
+    return url.slice(prefix.length).split("?")[0];
+  }
+}
+
+export const localStorage = new LocalStorage(
+  process.env.LOCAL_STORAGE_DIR || "./storage"
+);
+export { LocalStorage, getMimeType };
@@ -0,0 +1,149 @@
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+} from "@aws-sdk/client-s3";
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { getMimeType } from "./local.storage.js";
+
+// Every key this app writes starts with one prefix, so listing and garbage
+// collection never touch objects of other apps sharing the bucket
+const keyPrefix = () => (process.env.S3_KEY_PREFIX || "media_stream").replace(/^\/+|\/+$/g, "");
+
+// Explicit keys can be derived from an earlier S3 key, which already has the prefix
+const withPrefix = (key) => {
+  const prefix = keyPrefix();
+  return key.startsWith(`${prefix}/`) ? key : `${prefix}/${key}`;
+};
+
+// Works with AWS S3 and S3-compatible servers such as MinIO (set S3_ENDPOINT
+// and S3_FORCE_PATH_STYLE=true for the latter)
+class S3Storage {
+  constructor() {
+    this.name = "s3";
+    this.s3Client = null;
+  }
+
+  get bucket() {
+    return process.env.S3_BUCKET;
+  }
+
+  client() {
+    if (!this.s3Client) {
+      this.s3Client = new S3Client({
+        region: process.env.S3_REGION || "us-east-1",
+        endpoint: process.env.S3_ENDPOINT || undefined,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+        credentials: process.env.S3_ACCESS_KEY_ID
+          ? {
+              accessKeyId: process.env.S3_ACCESS_KEY_ID,
+              secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+            }
+          : undefined,
+      });
+    }
+    return this.s3Client;
+  }
+
+  async put(localPath, { folder = "misc", key } = {}) {
+    const storageKey = withPrefix(
+      key || `${folder}/${crypto.randomUUID()}${path.extname(localPath).toLowerCase()}`
+    );
+    const { size } = await fs.promises.stat(localPath);
+    const contentType = getMimeType(storageKey);
+
+    await this.client().send(
+      new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: storageKey,
+        Body: fs.createReadStream(localPath),
+        ContentLength: size,
+        ContentType: contentType,
+      })
+    );
+
+    await fs.promises.unlink(localPath);
+
+    return { key: storageKey, url: this.urlFor(storageKey), size, contentType };
+  }
+
+  async stat(key) {
+    const response = await this.client().send(
+      new HeadObjectCommand({ Bucket: this.bucket, Key: key })
+    );
+
+    return {
+      size: response.ContentLength,
+      lastModified: response.LastModified,
+      contentType: response.ContentType || getMimeType(key),
+      etag: response.ETag,
+    };
+  }
+
+  async get(key, { start, end } = {}) {
+    const response = await this.client().send(
+      new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        Range: start !== undefined ? `bytes=${start}-${end ?? ""}` : undefined,
+      })
+    );
+
+    return response.Body;
+  }
+
+  async delete(key) {
+    await this.client().send(
+      new DeleteObjectCommand({ Bucket: this.bucket, Key: key })
+    );
+  }
+
+  async *list() {
+    let continuationToken;
+
+    do {
+      const response = await this.client().send(
+        new ListObjectsV2Command({
+          Bucket: this.bucket,
+          Prefix: `${keyPrefix()}/`,
+          ContinuationToken: continuationToken,
+        })
+      );
+
+      for (const object of response.Contents || []) {
+        yield {
+          key: object.Key,
+          size: object.Size,
+          lastModified: object.LastModified,
+        };
+      }
+
+      continuationToken = response.NextContinuationToken;
+    } while (continuationToken);
+  }
+
+  urlFor(key) {
+    if (process.env.S3_PUBLIC_URL) {
+      return `${process.env.S3_PUBLIC_URL.replace(/\/$/, "")}/${key}`;
+    }
+
+    if (process.env.S3_ENDPOINT) {
+      return `${process.env.S3_ENDPOINT.replace(/\/$/, "")}/${this.bucket}/${key}`;
+    }
+
+    return `https://${this.bucket}.s3.${process.env.S3_REGION || "us-east-1"}.amazonaws.com/${key}`;
+  }
+
+  keyFromUrl(url) {
+    const base = this.urlFor("");
+    if (!url?.startsWith(base)) return null;
+    return decodeURIComponent(url.slice(base.length).split("?")[0]);
+  }
+}
+
+export const s3Storage = new S3Storage();
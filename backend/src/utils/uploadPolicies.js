@@ -0,0 +1,59 @@
+import fs from "fs";
+import path from "path";
+import { ApiError } from "./ApiError.js";
+import { sniffFileType, sanitizeFilename } from "./fileType.js";
+
+const MB = 1024 * 1024;
+
+const IMAGE_TYPES = ["image/jpeg", "image/png", "image/gif", "image/webp", "image/avif"];
+const VIDEO_TYPES = ["video/mp4", "video/quicktime", "video/webm", "video/ogg"];
+const PDF_TYPES = ["application/pdf"];
+
+const maxVideoSize = Number(process.env.UPLOAD_MAX_VIDEO_SIZE_BYTES || 500 * MB);
+
+// What each upload field accepts. Types are checked against the file's magic
+// bytes, not the name or Content-Type the client sent.
+export const FILE_POLICIES = {
+  profilePic: { types: IMAGE_TYPES, maxSize: 5 * MB, maxCount: 1 },
+  coverImg: { types: IMAGE_TYPES, maxSize: 10 * MB, maxCount: 1 },
+  thumbnail: { types: IMAGE_TYPES, maxSize: 5 * MB, maxCount: 1 },
+  images: { types: IMAGE_TYPES, maxSize: 10 * MB, maxCount: 8 },
+  videos: { types: VIDEO_TYPES, maxSize: maxVideoSize, maxCount: 3 },
+  videoFile: { types: VIDEO_TYPES, maxSize: maxVideoSize, maxCount: 1 },
+  certificateImg: { types: [...IMAGE_TYPES, ...PDF_TYPES], maxSize: 10 * MB, maxCount: 1 },
+  resume: { types: PDF_TYPES, maxSize: 10 * MB, maxCount: 1 },
+};
+
+const describeTypes = (types) => types.map((type) => type.split("/")[1]).join(", ");
+
+// Checks a received temp file against its field's policy and renames it with
+// the extension of its real type, which is what storage drivers derive
+// Content-Type from
+export const validateFile = async (file, fieldName = file.fieldname) => {
+  const policy = FILE_POLICIES[fieldName];
+  const name = sanitizeFilename(file.originalname);
+
+  if (!policy) {
+    throw new ApiError(400, `Unexpected file field ${fieldName}`);
+  }
+
+  if (file.size > policy.maxSize) {
+    throw new ApiError(413, `${name} is larger than ${Math.round(policy.maxSize / MB)} MB`);
+  }
+
+  const type = await sniffFileType(file.path);
+  if (!type || !policy.types.includes(type.mime)) {
+    throw new ApiError(415, `${name} must be one of: ${describeTypes(policy.types)}`);
+  }
+
+  const typedPath = `${file.path.replace(/\.[^/.]*$/, "")}${type.ext}`;
+  if (typedPath !== file.path) {
+    await fs.promises.rename(file.path, typedPath);
+  }
+
+  file.path = typedPath;
+  file.filename = path.basename(typedPath);
+  file.originalname = name;
+  file.mimetype = type.mime;
+  return file;
+};
@@ -0,0 +1,72 @@
+import fs from "fs";
+import { isValidObjectId } from "mongoose";
+import { UploadSession } from "../models/uploadSession.model.js";
+import { ApiError } from "./ApiError.js";
+import { validateFile } from "./uploadPolicies.js";
+
+export const UPLOAD_TEMP_DIR = "./public/temp/uploads";
+
+export const uploadLimits = () => ({
+  maxSize: Number(process.env.UPLOAD_MAX_SIZE_BYTES || 2 * 1024 * 1024 * 1024),
+  chunkSize: Number(process.env.UPLOAD_CHUNK_SIZE_BYTES || 5 * 1024 * 1024),
+  ttlMs: Number(process.env.UPLOAD_SESSION_TTL_HOURS || 24) * 60 * 60 * 1000,
+});
+
+// Multipart fields arrive as a string for one value and an array for several
+export const toIdList = (value) =>
+  [].concat(value || []).flatMap((id) => String(id).split(",")).map((id) => id.trim()).filter(Boolean);
+
+// Turns finished upload sessions into multer-shaped files so the media jobs
+// can treat them like any other upload. Each session can be used only once.
+export const takeCompletedUploads = async (uploadIds, { owner, fieldname }) => {
+  if (uploadIds.some((uploadId) => !isValidObjectId(uploadId))) {
+    throw new ApiError(400, "Invalid upload ID");
+  }
+
+  const sessions = await UploadSession.find({ _id: { $in: uploadIds }, owner });
+  const pending = sessions.find((session) => session.status !== "completed");
+
+  if (sessions.length !== new Set(uploadIds).size) {
+    throw new ApiError(404, "Upload not found");
+  }
+  if (pending) {
+    throw new ApiError(409, `Upload ${pending.filename} is not complete`);
+  }
+
+  const files = [];
+  for (const session of sessions) {
+    const claimed = await UploadSession.findOneAndUpdate(
+      { _id: session._id, status: "completed" },
+      { $set: { status: "consumed" } }
+    );
+    if (!claimed) {
+      // The sessions claimed so far can still be used by another request
+      await UploadSession.updateMany(
+        { _id: { $in: files.map((file) => file.sessionId) }, status: "consumed" },
+        { $set: { status: "completed" } }
+      );
+      throw new ApiError(409, `Upload ${session.filename} was already used`);
+    }
+
+    files.push({
+      fieldname,
+      path: session.tempPath,
+      originalname: session.filename,
+      mimetype: session.mimeType,
+      size: session.size,
+      sessionId: session._id,
+    });
+  }
+
+  // Chunked uploads get the same type and size checks as multipart ones
+  try {
+    for (const file of files) {
+      await validateFile(file);
+    }
+  } catch (error) {
+    await Promise.all(files.map((file) => fs.promises.rm(file.path, { force: true })));
+    throw error;
+  }
+
+  return files;
+};
@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { objectId, query, callHandler } from "./helpers.js";
+import { Video } from "../src/models/video.model.js";
+import { VideoView } from "../src/models/videoView.model.js";
+import { recordPlayback } from "../src/controllers/analytics.controller.js";
+
+const video = { _id: objectId(), project: objectId(), duration: 120 };
+
+// Both the upsert and the guarded claim after it answer with the session's view
+const stubViews = (t, { watchTime, duplicate = false }) => {
+  const view = {
+    _id: objectId(),
+    video: video._id,
+    sessionId: "s1",
+    ipHash: "h",
+    watchTime,
+    duration: 120,
+    counted: false,
+    deduplicated: false,
+  };
+  t.mock.method(Video, "findById", () => query(video));
+  t.mock.method(VideoView, "exists", async () => (duplicate ? { _id: objectId() } : null));
+  const updates = t.mock.method(VideoView, "findOneAndUpdate", async () => view);
+  const increment = t.mock.method(Video, "findByIdAndUpdate", async () => video);
+  return { updates, increment };
+};
+
+const play = (body) =>
+  callHandler(recordPlayback, {
+    params: { videoId: String(video._id) },
+    body: { sessionId: "s1", ...body },
+    ip: "203.0.113.7",
+  });
+
+test("recordPlayback counts a view once enough has been watched", async (t) => {
+  const { updates, increment } = stubViews(t, { watchTime: 8 });
+
+  const { status, body } = await play({ watched: 500, position: 8 });
+
+  assert.equal(status, 200);
+  assert.equal(body.data.counted, true);
+  const upsert = updates.mock.calls[0].arguments[1];
+  assert.equal(upsert.$inc.watchTime, 60);
+  assert.match(upsert.$setOnInsert.ipHash, /^[0-9a-f]{64}$/);
+  assert.notEqual(upsert.$setOnInsert.ipHash, "203.0.113.7");
+  assert.deepEqual(increment.mock.calls[0].arguments, [video._id, { $inc: { views: 1 } }]);
+});
+
+test("a short or repeated playback is not counted", async (t) => {
+  const short = stubViews(t, { watchTime: 2 });
+  assert.equal((await play({ watched: 2 })).body.data.counted, false);
+  assert.equal(short.updates.mock.callCount(), 1);
+
+  const repeat = stubViews(t, { watchTime: 10, duplicate: true });
+  assert.equal((await play({ watched: 10 })).body.data.counted, false);
+  assert.deepEqual(repeat.updates.mock.calls[1].arguments[1], { $set: { deduplicated: true } });
+  assert.equal(repeat.increment.mock.callCount(), 0);
+});
+
+test("recordPlayback needs a session and a known video", async (t) => {
+  const missingSession = await callHandler(recordPlayback, {
+    params: { videoId: String(video._id) },
+    body: {},
+  });
+  assert.equal(missingSession.status, 400);
+  assert.equal(missingSession.body.message, "A sessionId is required");
+
+  t.mock.method(Video, "findById", () => query(null));
+  assert.equal((await play({ watched: 10 })).status, 404);
+});
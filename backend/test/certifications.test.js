@@ -0,0 +1,86 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { objectId, callHandler } from "./helpers.js";
+
+const rootDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "certifications-test-"));
+process.env.LOCAL_STORAGE_DIR = path.join(rootDir, "storage");
+
+const { Certification } = await import("../src/models/certification.model.js");
+const { localStorage } = await import("../src/utils/storage/local.storage.js");
+const { updateCertification } = await import("../src/controllers/certification.controller.js");
+
+after(async () => {
+  await fs.promises.rm(rootDir, { recursive: true, force: true });
+});
+
+const writeTemp = async (name, data) => {
+  const tempPath = path.join(rootDir, `${Date.now()}-${name}`);
+  await fs.promises.writeFile(tempPath, data);
+  return tempPath;
+};
+
+const stubCertification = async (t, fields = {}) => {
+  const previous = await localStorage.put(await writeTemp("old.png", "png"), {
+    folder: "certificates",
+  });
+  const certification = new Certification({
+    title: "Cloud Practitioner",
+    description: "Fundamentals",
+    certificateImg: previous.url,
+    issueDate: new Date("2024-03-01"),
+    ...fields,
+  });
+  t.mock.method(Certification, "findById", async () => certification);
+  const save = t.mock.method(certification, "save", async () => certification);
+  const user = { _id: objectId(), certifications: [certification._id] };
+  return { certification, previous, save, user };
+};
+
+test("updateCertification applies the details and replaces the file", async (t) => {
+  const { certification, previous, user } = await stubCertification(t);
+  const pdf = { path: await writeTemp("cert.pdf", "%PDF-1.4"), mimetype: "application/pdf" };
+
+  const { status, body } = await callHandler(updateCertification, {
+    user,
+    params: { certificationId: String(certification._id) },
+    body: {
+      issuer: "  AWS  ",
+      expiryDate: "2027-03-01",
+      verificationUrl: "https://example.com/verify/1",
+    },
+    files: { certificateImg: [pdf] },
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.data.issuer, "AWS");
+  assert.equal(body.data.certificateMimeType, "application/pdf");
+  assert.match(certification.certificateImg, /^\/api\/v1\/media\/certificates\/[\w-]+\.pdf$/);
+  assert.equal(fs.existsSync(localStorage.resolve(previous.key)), false);
+});
+
+test("updateCertification refuses bad dates and other users' certifications", async (t) => {
+  const { certification, previous, save, user } = await stubCertification(t);
+  const request = (body, requester = user) =>
+    callHandler(updateCertification, {
+      user: requester,
+      params: { certificationId: String(certification._id) },
+      body,
+    });
+
+  // Checked against the issue date saved earlier
+  const beforeIssue = await request({ expiryDate: "2023-01-01" });
+  assert.equal(beforeIssue.status, 400);
+  assert.equal(beforeIssue.body.message, "The expiry date cannot be before the issue date");
+
+  const badUrl = await request({ verificationUrl: "javascript:alert(1)" });
+  assert.equal(badUrl.status, 400);
+
+  const notMine = await request({ title: "Mine" }, { _id: objectId(), certifications: [] });
+  assert.equal(notMine.status, 404);
+
+  assert.equal(save.mock.callCount(), 0);
+  assert.ok(fs.existsSync(localStorage.resolve(previous.key)));
+});
@@ -0,0 +1,163 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { objectId, query, callHandler } from "./helpers.js";
+import { Comment } from "../src/models/comment.model.js";
+import { Project } from "../src/models/project.model.js";
+import { User } from "../src/models/user.model.js";
+import { Notification } from "../src/models/notification.model.js";
+import { Video } from "../src/models/video.model.js";
+import {
+  addComment,
+  getCommentReplies,
+  moderateComment,
+} from "../src/controllers/comment.controller.js";
+
+const editor = { _id: objectId(), username: "ed" };
+const viewer = { _id: objectId(), username: "viewer", fullname: "Vi Ewer" };
+const project = {
+  _id: objectId(),
+  name: "Demo",
+  slug: "demo",
+  owners: [editor._id],
+  ownerRoles: [{ user: editor._id, role: "editor" }],
+  videos: [],
+};
+
+const newComment = (fields = {}) =>
+  new Comment({ project: project._id, author: editor._id, body: "First!", ...fields });
+
+// Everything addComment touches around the new comment itself
+const stubAddComment = (t, comments = []) => {
+  t.mock.method(Project, "findById", () => query(project));
+  t.mock.method(Comment, "findById", async (id) =>
+    comments.find((comment) => comment._id.equals(id)) || null
+  );
+  const create = t.mock.method(Comment, "create", async (fields) => {
+    const comment = new Comment(fields);
+    t.mock.method(comment, "populate", async () => comment);
+    return comment;
+  });
+  const replyCount = t.mock.method(Comment, "findByIdAndUpdate", async () => null);
+  t.mock.method(User, "findOne", () => query({ username: "ed" }));
+  t.mock.method(User, "findById", () => query({ notificationPreferences: {} }));
+  const notifications = t.mock.method(Notification, "create", async (fields) => fields);
+  return { create, replyCount, notifications };
+};
+
+const post = (body) =>
+  callHandler(addComment, { user: viewer, params: { projectId: String(project._id) }, body });
+
+test("a reply joins its thread and notifies the comment's author", async (t) => {
+  const parent = newComment();
+  const { replyCount, notifications } = stubAddComment(t, [parent]);
+
+  const { status, body } = await post({ body: "  Nice work  ", parentId: String(parent._id) });
+
+  assert.equal(status, 201);
+  assert.equal(body.data.body, "Nice work");
+  assert.equal(String(body.data.thread), String(parent._id));
+  assert.deepEqual(replyCount.mock.calls[0].arguments[1], { $inc: { replyCount: 1 } });
+
+  const [notification] = notifications.mock.calls[0].arguments;
+  assert.equal(notification.recipient, editor._id);
+  assert.equal(notification.type, "commentReply");
+  assert.equal(notification.link, "/user/ed/projects/demo");
+});
+
+test("empty comments and replies to hidden ones are refused", async (t) => {
+  const hidden = newComment({ isHidden: true });
+  const { create } = stubAddComment(t, [hidden]);
+
+  const empty = await post({ body: "   " });
+  assert.equal(empty.status, 400);
+  assert.equal(empty.body.message, "Comment cannot be empty");
+
+  const reply = await post({ body: "Hm", parentId: String(hidden._id) });
+  assert.equal(reply.status, 400);
+  assert.equal(reply.body.message, "This comment can no longer be replied to");
+  assert.equal(create.mock.callCount(), 0);
+});
+
+test("the replies of a hidden thread are only readable by moderators", async (t) => {
+  const hidden = newComment({ isHidden: true });
+  t.mock.method(Comment, "findById", async () => hidden);
+  t.mock.method(Project, "findById", () => query(project));
+  const paginate = t.mock.method(Comment, "aggregatePaginate", async () => ({ docs: [] }));
+
+  const request = (user) =>
+    callHandler(getCommentReplies, { user, params: { commentId: String(hidden._id) } });
+
+  const asViewer = await request(viewer);
+  assert.equal(asViewer.status, 404);
+  assert.equal(asViewer.body.message, "Comment not found");
+  assert.equal(paginate.mock.callCount(), 0);
+
+  const asEditor = await request(editor);
+  assert.equal(asEditor.status, 200);
+  const [match] = paginate.mock.calls[0].arguments[0].pipeline();
+  assert.deepEqual(match, { $match: { thread: hidden._id } });
+});
+
+test("moderation flags only take true or false", async (t) => {
+  const comment = newComment({ isHidden: true });
+  t.mock.method(Comment, "findById", async () => comment);
+  t.mock.method(Project, "findById", () => query(project));
+  const save = t.mock.method(comment, "save", async () => comment);
+
+  const moderate = (body) =>
+    callHandler(moderateComment, { user: editor, params: { commentId: String(comment._id) }, body });
+
+  const shown = await moderate({ isHidden: "false", isPinned: true });
+  assert.equal(shown.status, 200);
+  assert.equal(comment.isHidden, false);
+  assert.equal(comment.isPinned, true);
+
+  const unclear = await moderate({ isHidden: "no" });
+  assert.equal(unclear.status, 400);
+  assert.equal(unclear.body.message, "isHidden must be true or false");
+  assert.equal(comment.isHidden, false);
+  assert.equal(save.mock.callCount(), 1);
+});
+
+// Adds a video to the project for the length of one test
+const stubProjectVideo = (t, fields) => {
+  const video = { _id: objectId(), ...fields };
+  project.videos = [video._id];
+  t.after(() => {
+    project.videos = [];
+  });
+  t.mock.method(Video, "findById", () => query(video));
+  return video;
+};
+
+test("a video note is anchored to a rounded moment of a project video", async (t) => {
+  const video = stubProjectVideo(t, { duration: 90 });
+  const { create } = stubAddComment(t);
+
+  const { status, body } = await post({
+    body: "Love this bit",
+    videoId: String(video._id),
+    timestamp: "42.37",
+  });
+
+  assert.equal(status, 201);
+  assert.equal(String(body.data.video), String(video._id));
+  assert.equal(body.data.timestamp, 42.4);
+  assert.equal(create.mock.calls[0].arguments[0].thread, null);
+});
+
+test("a video note must point inside a video of the project", async (t) => {
+  const video = stubProjectVideo(t, { duration: 90 });
+  const { create } = stubAddComment(t);
+
+  const pastTheEnd = await post({ body: "Hm", videoId: String(video._id), timestamp: 91 });
+  assert.equal(pastTheEnd.status, 400);
+  assert.equal(pastTheEnd.body.message, "The timestamp is past the end of the video");
+
+  const missingTime = await post({ body: "Hm", videoId: String(video._id) });
+  assert.equal(missingTime.body.message, "A timestamp in seconds is required for video comments");
+
+  const otherVideo = await post({ body: "Hm", videoId: String(objectId()), timestamp: 1 });
+  assert.equal(otherVideo.body.message, "The video does not belong to this project");
+  assert.equal(create.mock.callCount(), 0);
+});
@@ -0,0 +1,81 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { objectId } from "./helpers.js";
+import { publish } from "../src/utils/eventBus.js";
+import { streamEvents } from "../src/controllers/events.controller.js";
+
+const user = { _id: objectId() };
+const projectChannel = `project:${objectId()}`;
+
+let server;
+let baseUrl;
+
+before(() => {
+  const app = express();
+  // Stands in for the optional authentication of the real route
+  app.get("/events", (req, res, next) => {
+    if (req.query.signedIn) req.user = user;
+    next();
+  }, streamEvents);
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+// Reads data events off the stream until `count` have arrived
+const readEvents = async (response, count) => {
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  const events = [];
+  let buffer = "";
+
+  while (events.length < count) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += value;
+
+    const blocks = buffer.split("\n\n");
+    buffer = blocks.pop();
+    for (const block of blocks) {
+      const data = block.split("\n").find((line) => line.startsWith("data: "));
+      if (data) events.push(JSON.parse(data.slice(6)));
+    }
+  }
+
+  return events;
+};
+
+test("a stream delivers its public channels and the user's own as me", async (t) => {
+  const controller = new AbortController();
+  t.after(() => controller.abort());
+
+  const response = await fetch(`${baseUrl}/events?channels=${projectChannel}&signedIn=1`, {
+    signal: controller.signal,
+  });
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get("content-type"), /^text\/event-stream/);
+
+  const received = readEvents(response, 3);
+  // Published once the stream is subscribed, i.e. after its headers were sent
+  publish(projectChannel, "comments.changed", { commentId: "c1" });
+  publish(`user:${user._id}`, "notification", { text: "hi" });
+  publish(`user:${objectId()}`, "notification", { text: "not for you" });
+
+  const [ready, comment, notification] = await received;
+  assert.deepEqual(ready.payload, { signedIn: true });
+  assert.equal(comment.channel, projectChannel);
+  assert.deepEqual(comment.payload, { commentId: "c1" });
+  assert.equal(notification.channel, "me");
+  assert.equal(notification.payload.text, "hi");
+});
+
+test("private and unknown channels cannot be followed", async () => {
+  for (const channel of [`user:${user._id}`, "project:nope"]) {
+    const response = await fetch(`${baseUrl}/events?channels=${channel}`);
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).message, `Unknown channel ${channel}`);
+  }
+});
@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { callHandler } from "./helpers.js";
+import { Project } from "../src/models/project.model.js";
+import {
+  getTrendingProjects,
+  getNewestProjects,
+  getCollections,
+} from "../src/controllers/explore.controller.js";
+
+const page = { docs: [{ name: "Demo" }], totalDocs: 1, page: 1 };
+
+test("trending projects are ranked by score within a collection", async (t) => {
+  const paginate = t.mock.method(Project, "aggregatePaginate", async () => page);
+
+  const { status, body } = await callHandler(getTrendingProjects, {
+    query: { techStack: " C++ ", limit: "500" },
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.message, "Trending projects fetched successfully");
+  const [aggregate, options] = paginate.mock.calls[0].arguments;
+  const [{ $match }, watches, score, sort] = aggregate.pipeline();
+  assert.deepEqual($match, { techStack: /^C\+\+$/i });
+  assert.equal(watches.$lookup.from, "projectwatches");
+  assert.ok(score.$addFields.trendingScore);
+  assert.deepEqual(sort, { $sort: { trendingScore: -1, createdAt: -1, _id: -1 } });
+  assert.deepEqual(options, { page: 1, limit: 50 });
+});
+
+test("newest projects are listed by creation date", async (t) => {
+  const paginate = t.mock.method(Project, "aggregatePaginate", async () => page);
+
+  await callHandler(getNewestProjects, { query: { domain: "Web Development", page: "2" } });
+
+  const [aggregate, options] = paginate.mock.calls[0].arguments;
+  const [{ $match }, sort] = aggregate.pipeline();
+  assert.deepEqual($match, { domain: /^Web Development$/i });
+  assert.deepEqual(sort, { $sort: { createdAt: -1, _id: -1 } });
+  assert.deepEqual(options, { page: 2, limit: 12 });
+});
+
+test("pages and limits below 1 are clamped", async (t) => {
+  const paginate = t.mock.method(Project, "aggregatePaginate", async () => page);
+
+  await callHandler(getNewestProjects, { query: { page: "-1", limit: "-5" } });
+
+  assert.deepEqual(paginate.mock.calls[0].arguments[1], { page: 1, limit: 1 });
+});
+
+test("a failing listing answers with a 500", async (t) => {
+  t.mock.method(console, "error", () => {});
+  t.mock.method(Project, "aggregatePaginate", async () => {
+    throw new Error("connection lost");
+  });
+
+  const trending = await callHandler(getTrendingProjects);
+  assert.equal(trending.status, 500);
+  assert.equal(trending.body.message, "Internal Server Error while fetching trending projects");
+
+  t.mock.method(Project, "aggregate", async () => {
+    throw new Error("connection lost");
+  });
+  const collections = await callHandler(getCollections);
+  assert.equal(collections.status, 500);
+});
+
+test("collections are the largest domains and tech stacks", async (t) => {
+  const aggregate = t.mock.method(Project, "aggregate", async () => [
+    { domains: [{ value: "Web", count: 3 }], techStacks: [] },
+  ]);
+
+  const { status, body } = await callHandler(getCollections);
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.data.domains, [{ value: "Web", count: 3 }]);
+  const [{ $facet }] = aggregate.mock.calls[0].arguments[0];
+  assert.deepEqual($facet.domains[0], { $unwind: "$domain" });
+  assert.deepEqual($facet.techStacks.at(-2), { $limit: 12 });
+});
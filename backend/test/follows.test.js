@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { objectId, query, callHandler } from "./helpers.js";
+import { User } from "../src/models/user.model.js";
+import { Follow } from "../src/models/follow.model.js";
+import { Notification } from "../src/models/notification.model.js";
+import { followUser, unfollowUser } from "../src/controllers/follow.controller.js";
+
+const me = { _id: objectId(), username: "me", fullname: "Me Myself" };
+const ada = { _id: objectId(), username: "ada" };
+
+const stubFollows = (t, { isNew = true } = {}) => {
+  t.mock.method(User, "findOne", ({ username }) =>
+    query([me, ada].find((user) => user.username === username))
+  );
+  const upsert = t.mock.method(Follow, "updateOne", async () => ({
+    upsertedCount: isNew ? 1 : 0,
+  }));
+  t.mock.method(Follow, "countDocuments", async ({ following }) => (following ? 3 : 1));
+  t.mock.method(Follow, "exists", async () => ({ _id: objectId() }));
+  t.mock.method(User, "findById", () => query({ notificationPreferences: {} }));
+  const notifications = t.mock.method(Notification, "create", async (fields) => fields);
+  return { upsert, notifications };
+};
+
+const follow = (username) => callHandler(followUser, { user: me, params: { username } });
+
+test("following a user counts once and notifies them the first time", async (t) => {
+  const { upsert, notifications } = stubFollows(t);
+
+  const { status, body } = await follow("ada");
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.data, { followerCount: 3, followingCount: 1, isFollowing: true });
+  assert.deepEqual(upsert.mock.calls[0].arguments[0], { follower: me._id, following: ada._id });
+  const [notification] = notifications.mock.calls[0].arguments;
+  assert.equal(notification.recipient, ada._id);
+  assert.equal(notification.type, "newFollower");
+  assert.equal(notification.text, "Me Myself started following you");
+});
+
+test("following again does not notify twice", async (t) => {
+  const { notifications } = stubFollows(t, { isNew: false });
+
+  assert.equal((await follow("ada")).status, 200);
+  assert.equal(notifications.mock.callCount(), 0);
+});
+
+test("nobody can follow themselves or a missing user", async (t) => {
+  const { upsert } = stubFollows(t);
+
+  const self = await follow("me");
+  assert.equal(self.status, 400);
+  assert.equal(self.body.message, "You cannot follow yourself");
+
+  const missing = await follow("ghost");
+  assert.equal(missing.status, 404);
+  assert.equal(upsert.mock.callCount(), 0);
+});
+
+test("unfollowing someone not followed is a 404", async (t) => {
+  stubFollows(t);
+  t.mock.method(Follow, "findOneAndDelete", async () => null);
+
+  const { status, body } = await callHandler(unfollowUser, {
+    user: me,
+    params: { username: "ada" },
+  });
+
+  assert.equal(status, 404);
+  assert.equal(body.message, "You are not following ada");
+});
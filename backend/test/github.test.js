@@ -0,0 +1,136 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { objectId, query, callHandler } from "./helpers.js";
+import { Project } from "../src/models/project.model.js";
+import { Activity } from "../src/models/activity.model.js";
+import { listGithubRepos, importGithubRepos } from "../src/controllers/github.controller.js";
+
+const repos = [
+  {
+    id: 101,
+    name: "dashboard",
+    full_name: "ada/dashboard",
+    description: "Charts",
+    html_url: "https://github.com/ada/dashboard",
+    language: "TypeScript",
+    stargazers_count: 7,
+  },
+  {
+    id: 102,
+    name: "notes",
+    full_name: "ada/notes",
+    description: null,
+    html_url: "https://github.com/ada/notes",
+    language: "Go",
+    stargazers_count: 0,
+  },
+];
+const languages = { TypeScript: 9000, CSS: 900, Shell: 100 };
+
+// A stand-in for the GitHub API; "limited" answers like an exhausted rate limit
+let server;
+before(async () => {
+  server = http.createServer((req, res) => {
+    const send = (status, body, headers = {}) => {
+      res.writeHead(status, { "Content-Type": "application/json", ...headers });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.url.startsWith("/users/ada/repos")) return send(200, repos);
+    if (req.url.startsWith("/users/limited/")) {
+      return send(403, { message: "API rate limit exceeded" }, { "x-ratelimit-remaining": "0" });
+    }
+    if (req.url === "/repos/ada/dashboard/languages") return send(200, languages);
+    return send(404, { message: "Not Found" });
+  });
+  await new Promise((resolve) => server.listen(0, resolve));
+  process.env.GITHUB_API_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+const newUser = (t, githubId = "ada") => {
+  const user = { _id: objectId(), githubId, projects: [] };
+  user.save = t.mock.fn(async () => user);
+  return user;
+};
+
+// importedProjects asks about repoIds, the slug check about other projects
+const stubProjects = (t, imported = []) => {
+  t.mock.method(Project, "find", (filter) => query(filter.repoId ? imported : []));
+  t.mock.method(Activity, "create", async (fields) => fields);
+  return t.mock.method(Project.prototype, "save", async function () {
+    return this;
+  });
+};
+
+test("listGithubRepos drafts projects and marks imported ones", async (t) => {
+  const imported = { _id: objectId(), repoId: "102", name: "notes", slug: "notes" };
+  stubProjects(t, [imported]);
+
+  const { status, body } = await callHandler(listGithubRepos, { user: newUser(t) });
+
+  assert.equal(status, 200);
+  const [dashboard, notes] = body.data.repos;
+  assert.deepEqual(dashboard.techStack, ["TypeScript"]);
+  assert.equal(dashboard.importedProject, null);
+  assert.equal(notes.importedProject.slug, "notes");
+});
+
+test("importGithubRepos creates projects and skips imported repositories", async (t) => {
+  stubProjects(t, [{ _id: objectId(), repoId: "102", name: "notes", slug: "notes" }]);
+  const user = newUser(t);
+
+  const { status, body } = await callHandler(importGithubRepos, {
+    user,
+    body: {
+      repos: [
+        { repoId: 101, name: "  Dashboard  ", domain: "Web Development", techStack: null },
+        { repoId: "102" },
+      ],
+    },
+  });
+
+  assert.equal(status, 201);
+  assert.equal(body.message, "1 project imported from GitHub");
+  const [project] = body.data.projects;
+  assert.equal(project.name, "Dashboard");
+  assert.equal(project.slug, "dashboard");
+  assert.equal(project.repoId, "101");
+  assert.equal(project.stars, 7);
+  // A null stack is no stack, so it comes from the languages; Shell is too small a share
+  assert.deepEqual(project.techStack, ["TypeScript", "CSS"]);
+  assert.deepEqual(body.data.skipped, [
+    { repoId: "102", name: "notes", reason: "Already imported" },
+  ]);
+  assert.deepEqual(user.projects.map(String), [String(project._id)]);
+  assert.equal(user.save.mock.callCount(), 1);
+});
+
+test("importGithubRepos only imports the user's own repositories", async (t) => {
+  const save = stubProjects(t);
+
+  const unknown = await callHandler(importGithubRepos, {
+    user: newUser(t),
+    body: { repos: [{ repoId: 999 }] },
+  });
+  assert.equal(unknown.status, 404);
+  assert.equal(unknown.body.message, "Repository 999 is not one of your GitHub repositories");
+
+  const limited = await callHandler(importGithubRepos, {
+    user: newUser(t, "limited"),
+    body: { repos: [{ repoId: 101 }] },
+  });
+  assert.equal(limited.status, 429);
+  assert.equal(limited.body.message, "GitHub rate limit reached, try again later");
+
+  const noGithub = await callHandler(importGithubRepos, {
+    user: newUser(t, ""),
+    body: { repos: [{ repoId: 101 }] },
+  });
+  assert.equal(noGithub.status, 400);
+  assert.equal(save.mock.callCount(), 0);
+});
@@ -0,0 +1,92 @@
+import fs from "fs";
+import path from "path";
+import mongoose from "mongoose";
+
+// Secrets the signing helpers refuse to run without
+process.env.ACCESS_TOKEN_SECRET ||= "test-secret";
+
+// No database runs in tests; a model call that was not stubbed fails at
+// once instead of waiting for a connection
+mongoose.set("bufferCommands", false);
+
+export const objectId = () => new mongoose.Types.ObjectId();
+
+// A stand-in for a mongoose query: chainable like one, awaiting gives `value`
+// and iterating with for await goes through it like a cursor
+export const query = (value) => {
+  const chain = {
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+    async *[Symbol.asyncIterator]() {
+      yield* value || [];
+    },
+  };
+  for (const method of ["select", "sort", "lean", "populate", "limit", "skip"]) {
+    chain[method] = () => chain;
+  }
+  return chain;
+};
+
+// Runs an asyncHandler-wrapped controller with a fake request and resolves
+// with the status code and JSON body it answered with
+export const callHandler = (handler, req = {}) =>
+  new Promise((resolve, reject) => {
+    const res = {
+      statusCode: 200,
+      headersSent: false,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      set() {
+        return this;
+      },
+      json(body) {
+        this.headersSent = true;
+        resolve({ status: this.statusCode, body });
+        return this;
+      },
+    };
+
+    // Filled in place, so a stream passed as the request stays one
+    const request = Object.assign(req, {
+      params: {},
+      query: {},
+      body: {},
+      headers: {},
+      get: () => undefined,
+      ...req,
+    });
+    handler(request, res, reject);
+  });
+
+// Stand-ins for ffprobe and ffmpeg, installed into `dir` and picked up via
+// FFPROBE_PATH and FFMPEG_PATH. The probe reports a 12.5s 720p source. The
+// encoder writes a one-segment playlist for .m3u8 outputs and a placeholder
+// file otherwise, and fails when its output path contains FAKE_FFMPEG_FAIL.
+export const installFakeMediaTools = async (dir) => {
+  await fs.promises.mkdir(dir, { recursive: true });
+  await fs.promises.writeFile(
+    path.join(dir, "ffprobe"),
+    `#!/bin/sh
+echo '{"format":{"duration":"12.5"},"streams":[{"codec_type":"video","codec_name":"h264","width":1280,"height":720},{"codec_type":"audio","codec_name":"aac"}]}'
+`,
+    { mode: 0o755 }
+  );
+  await fs.promises.writeFile(
+    path.join(dir, "ffmpeg"),
+    `#!/bin/sh
+for last; do :; done
+case "$last" in
+  *"\${FAKE_FFMPEG_FAIL:-//}"*) echo "encoder exploded" >&2; exit 1 ;;
+  *.m3u8)
+    printf 'segment' > "$(dirname "$last")/segment_000.ts"
+    printf '#EXTM3U\\n#EXTINF:6.0,\\nsegment_000.ts\\n#EXT-X-ENDLIST\\n' > "$last" ;;
+  *) printf 'image' > "$last" ;;
+esac
+`,
+    { mode: 0o755 }
+  );
+
+  process.env.FFPROBE_PATH = path.join(dir, "ffprobe");
+  process.env.FFMPEG_PATH = path.join(dir, "ffmpeg");
+};
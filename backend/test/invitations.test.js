@@ -0,0 +1,107 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { objectId, query, callHandler } from "./helpers.js";
+import { Project } from "../src/models/project.model.js";
+import { ProjectInvitation } from "../src/models/projectInvitation.model.js";
+import { User } from "../src/models/user.model.js";
+import { Notification } from "../src/models/notification.model.js";
+import { acceptInvitation } from "../src/controllers/invitation.controller.js";
+
+const inviter = { _id: objectId(), username: "ada" };
+const invitee = { _id: objectId(), username: "bob" };
+
+// A project and an invitation kept in memory, with the conditional updates
+// acceptInvitation relies on applied the way MongoDB would
+const stubStore = (t) => {
+  const project = {
+    _id: objectId(),
+    name: "Demo",
+    slug: "demo",
+    owners: [inviter._id],
+    ownerRoles: [{ user: inviter._id, role: "admin" }],
+  };
+  const invitation = new ProjectInvitation({
+    project: project._id,
+    inviter: inviter._id,
+    invitee: invitee._id,
+    role: "editor",
+  });
+
+  // A fresh copy per read, as two requests would each load their own
+  t.mock.method(ProjectInvitation, "findById", async () =>
+    ProjectInvitation.hydrate(invitation.toObject())
+  );
+  t.mock.method(ProjectInvitation, "findOneAndUpdate", async (filter, { $set }) => {
+    if (invitation.status !== filter.status) return null;
+    Object.assign(invitation, $set);
+    return invitation;
+  });
+
+  t.mock.method(Project, "findById", async () => new Project(project));
+  const addOwner = t.mock.method(Project, "updateOne", async (filter, update) => {
+    if (project.owners.some((owner) => owner.equals(filter.owners.$ne))) {
+      return { modifiedCount: 0 };
+    }
+    project.owners.push(update.$addToSet.owners);
+    project.ownerRoles.push(update.$push.ownerRoles);
+    return { modifiedCount: 1 };
+  });
+  t.mock.method(Project, "find", () => query([]));
+  t.mock.method(Project.prototype, "save", async function () {
+    return this;
+  });
+
+  const listProject = t.mock.method(User, "findByIdAndUpdate", async () => invitee);
+  t.mock.method(User, "findOne", () => query(inviter));
+  t.mock.method(User, "findById", () => query({ notificationPreferences: {} }));
+  const notifications = t.mock.method(Notification, "create", async (fields) => fields);
+
+  return { project, invitation, addOwner, listProject, notifications };
+};
+
+const accept = (invitation, user = invitee) =>
+  callHandler(acceptInvitation, { user, params: { invitationId: String(invitation._id) } });
+
+test("accepting an invitation makes the invitee an owner with the offered role", async (t) => {
+  const { project, invitation, addOwner, listProject, notifications } = stubStore(t);
+
+  const { status, body } = await accept(invitation);
+
+  assert.equal(status, 200);
+  assert.equal(body.message, "You are now an owner of Demo");
+  assert.equal(invitation.status, "accepted");
+  assert.deepEqual(project.owners, [inviter._id, invitee._id]);
+  assert.deepEqual(project.ownerRoles.at(-1), { user: invitee._id, role: "editor" });
+  // The slug is settled in the update that adds the owner
+  assert.equal(addOwner.mock.calls[0].arguments[1].$set.slug, "demo");
+  assert.deepEqual(listProject.mock.calls[0].arguments[1], { $addToSet: { projects: project._id } });
+  assert.equal(notifications.mock.calls[0].arguments[0].type, "invitationResponse");
+});
+
+test("two concurrent accepts add the owner only once", async (t) => {
+  const { project, invitation, addOwner } = stubStore(t);
+
+  const results = await Promise.all([accept(invitation), accept(invitation)]);
+
+  assert.deepEqual(results.map(({ status }) => status).sort(), [200, 409]);
+  assert.equal(
+    results.find(({ status }) => status === 409).body.message,
+    "This invitation has already been answered"
+  );
+  assert.equal(addOwner.mock.callCount(), 1);
+  assert.deepEqual(project.owners, [inviter._id, invitee._id]);
+});
+
+test("only the invitee can accept, and only while it is pending", async (t) => {
+  const { project, invitation, addOwner } = stubStore(t);
+
+  const stranger = await accept(invitation, { _id: objectId() });
+  assert.equal(stranger.status, 403);
+
+  await accept(invitation);
+  const again = await accept(invitation);
+  assert.equal(again.status, 400);
+  assert.equal(again.body.message, "This invitation has already been accepted");
+  assert.equal(addOwner.mock.callCount(), 1);
+  assert.equal(project.owners.length, 2);
+});
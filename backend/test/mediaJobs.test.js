@@ -0,0 +1,100 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { objectId } from "./helpers.js";
+
+const rootDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "media-jobs-test-"));
+process.env.LOCAL_STORAGE_DIR = path.join(rootDir, "storage");
+
+const { Job } = await import("../src/models/job.model.js");
+const { Project } = await import("../src/models/project.model.js");
+const { Video } = await import("../src/models/video.model.js");
+const { Activity } = await import("../src/models/activity.model.js");
+const { processProjectMedia, processVideoUpload } = await import("../src/jobs/media.job.js");
+
+after(async () => {
+  await fs.promises.rm(rootDir, { recursive: true, force: true });
+});
+
+// A queued file as toQueuedFile leaves it, backed by a real temp file
+const queuedFile = async (field, name) => {
+  const filePath = path.join(rootDir, `${Date.now()}-${name}`);
+  await fs.promises.writeFile(filePath, name);
+  return { field, path: filePath, originalname: name, mimetype: "image/png", size: 1, done: false };
+};
+
+// Keeps a copy of every payload the job saves as progress
+const stubProgress = (t) => {
+  const saved = [];
+  t.mock.method(Job, "findByIdAndUpdate", async (id, update) => {
+    saved.push(structuredClone(update.$set.payload));
+    return null;
+  });
+  return saved;
+};
+
+test("an image stored before the project save failed is not uploaded again", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const project = new Project({ name: "Demo", owners: [objectId()] });
+  t.mock.method(Project, "findById", async () => project);
+  const save = t.mock.method(project, "save", async () => {
+    throw new Error("connection lost");
+  });
+  const saved = stubProgress(t);
+  const payload = { projectId: project._id, files: [await queuedFile("images", "a.png")] };
+  const job = { _id: objectId(), payload };
+
+  await assert.rejects(processProjectMedia(payload, job), /connection lost/);
+
+  const [file] = payload.files;
+  assert.match(file.url, /^\/api\/v1\/media\/images\//);
+  assert.equal(saved.at(-1).files[0].url, file.url);
+  assert.equal(file.done, false);
+  assert.equal(fs.existsSync(file.path), false, "the upload consumed the temp file");
+
+  save.mock.mockImplementation(async () => project);
+  await processProjectMedia(payload, job);
+
+  assert.deepEqual(project.images, [file.url]);
+  assert.equal(project.mediaStatus, "ready");
+  assert.equal(file.done, true);
+});
+
+test("a failed thumbnail upload fails the video upload job", async (t) => {
+  t.mock.method(console, "log", () => {});
+  stubProgress(t);
+  const create = t.mock.method(Video, "create", async (fields) => fields);
+  const thumbnail = await queuedFile("thumbnail", "missing.png");
+  await fs.promises.rm(thumbnail.path);
+  const payload = { owner: objectId(), files: [await queuedFile("video", "clip.mp4"), thumbnail] };
+
+  await assert.rejects(
+    processVideoUpload(payload, { _id: objectId(), payload }),
+    /Error uploading thumbnail missing\.png/
+  );
+  assert.equal(create.mock.callCount(), 0);
+});
+
+test("a video upload retried after the video was created only attaches it", async (t) => {
+  stubProgress(t);
+  const create = t.mock.method(Video, "create", async (fields) => fields);
+  const attach = t.mock.method(Project, "findByIdAndUpdate", async () => null);
+  const activity = t.mock.method(Activity, "create", async (fields) => fields);
+  const videoId = objectId();
+  const video = await queuedFile("video", "clip.mp4");
+  const payload = {
+    owner: objectId(),
+    projectId: objectId(),
+    videoId,
+    files: [{ ...video, done: true }],
+  };
+
+  const result = await processVideoUpload(payload, { _id: objectId(), payload });
+
+  assert.equal(result.videoId, videoId);
+  assert.equal(create.mock.callCount(), 0);
+  assert.deepEqual(attach.mock.calls[0].arguments[1], { $addToSet: { videos: videoId } });
+  assert.equal(activity.mock.calls[0].arguments[0].video, videoId);
+});
@@ -0,0 +1,89 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import express from "express";
+import "./helpers.js";
+import { uploadFields, keepUploadedFiles } from "../src/middlewares/multer.middleware.js";
+
+// Temp files land in ./public/temp, so the tests run from a scratch directory
+const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "multer-test-"));
+const originalDir = process.cwd();
+const tempDir = path.join(workDir, "public", "temp");
+
+const PNG_HEADER = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const MB = 1024 * 1024;
+
+let server;
+let baseUrl;
+
+before(() => {
+  process.chdir(workDir);
+
+  const app = express();
+  app.post("/upload", uploadFields("profilePic", "videos"), (req, res) => {
+    const files = Object.values(req.files || {}).flat();
+    // ?keep=1 stands for a handler that hands the files to a job
+    if (req.query.keep) keepUploadedFiles(files);
+    res.json(files.map(({ fieldname, mimetype, size, path }) => ({ fieldname, mimetype, size, path })));
+  });
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.close();
+  process.chdir(originalDir);
+  await fs.promises.rm(workDir, { recursive: true, force: true });
+});
+
+const upload = (field, data, filename, search = "") => {
+  const form = new FormData();
+  form.append(field, new Blob([data]), filename);
+  return fetch(`${baseUrl}/upload${search}`, { method: "POST", body: form });
+};
+
+const tempFiles = async () => (await fs.promises.readdir(tempDir).catch(() => [])).sort();
+
+// The response can arrive before the server has seen it close
+const settled = () => new Promise((resolve) => setTimeout(resolve, 50));
+
+test("an image within its field's limit is received and typed", async () => {
+  const response = await upload("profilePic", Buffer.concat([PNG_HEADER, Buffer.alloc(64)]), "me");
+
+  assert.equal(response.status, 200);
+  const [file] = await response.json();
+  assert.equal(file.mimetype, "image/png");
+  assert.equal(file.size, 72);
+  assert.match(file.path, /\.png$/);
+
+  // The handler did not keep it, so it goes with the response
+  await settled();
+  assert.deepEqual(await tempFiles(), []);
+});
+
+test("files a handler keeps outlive the response", async () => {
+  const response = await upload("profilePic", Buffer.concat([PNG_HEADER, Buffer.alloc(64)]), "me", "?keep=1");
+
+  const [file] = await response.json();
+  await settled();
+  assert.deepEqual(await tempFiles(), [path.basename(file.path)]);
+  await fs.promises.rm(path.join(workDir, file.path));
+});
+
+test("a file over its own field's limit is cut off and removed", async () => {
+  // Well under the videos limit multer itself enforces, but not a profile picture
+  const response = await upload("profilePic", Buffer.concat([PNG_HEADER, Buffer.alloc(5 * MB)]), "me.png");
+
+  assert.equal(response.status, 413);
+  assert.equal((await response.json()).message, "profilePic file is too large");
+  assert.deepEqual(await tempFiles(), []);
+});
+
+test("a file of the wrong type is rejected and removed", async () => {
+  const response = await upload("profilePic", "just text", "me.png");
+
+  assert.equal(response.status, 415);
+  assert.deepEqual(await tempFiles(), []);
+});
@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { objectId, query, callHandler } from "./helpers.js";
+import { User } from "../src/models/user.model.js";
+import { Notification } from "../src/models/notification.model.js";
+import { notify } from "../src/utils/notifications.js";
+import { subscribe } from "../src/utils/eventBus.js";
+import { markNotificationRead } from "../src/controllers/notification.controller.js";
+import { updateNotificationPreferences } from "../src/controllers/settings.controller.js";
+
+const recipient = objectId();
+const actor = objectId();
+const event = { recipient, actor, type: "projectComment", text: "Ada commented on Demo: hi" };
+
+test("notify stores the notification and pushes it to the recipient", async (t) => {
+  t.mock.method(User, "findById", () => query({ notificationPreferences: { newFollower: false } }));
+  const create = t.mock.method(Notification, "create", async (fields) => ({
+    _id: objectId(),
+    ...fields,
+  }));
+  const pushed = [];
+  t.after(subscribe([`user:${recipient}`], (channel, { type }) => pushed.push(type)));
+
+  const notification = await notify(event);
+
+  assert.equal(notification.type, "projectComment");
+  assert.equal(create.mock.calls[0].arguments[0].recipient, recipient);
+  assert.deepEqual(pushed, ["notification"]);
+});
+
+test("notify skips turned-off types and the user's own actions", async (t) => {
+  t.mock.method(User, "findById", () =>
+    query({ notificationPreferences: { projectComment: false } })
+  );
+  const create = t.mock.method(Notification, "create", async (fields) => fields);
+
+  assert.equal(await notify(event), null);
+  assert.equal(await notify({ ...event, actor: recipient }), null);
+  assert.equal(create.mock.callCount(), 0);
+});
+
+test("markNotificationRead marks only the user's own notifications", async (t) => {
+  const notification = new Notification({ ...event, isRead: false });
+  t.mock.method(notification, "save", async () => notification);
+  t.mock.method(Notification, "findOne", async (filter) =>
+    filter.recipient === recipient && notification._id.equals(filter._id) ? notification : null
+  );
+
+  const own = await callHandler(markNotificationRead, {
+    user: { _id: recipient },
+    params: { notificationId: String(notification._id) },
+  });
+  assert.equal(own.status, 200);
+  assert.equal(own.body.data.isRead, true);
+  assert.ok(own.body.data.readAt);
+
+  const someoneElses = await callHandler(markNotificationRead, {
+    user: { _id: actor },
+    params: { notificationId: String(notification._id) },
+  });
+  assert.equal(someoneElses.status, 404);
+});
+
+test("updateNotificationPreferences changes only known types", async (t) => {
+  const update = t.mock.method(User, "findByIdAndUpdate", () =>
+    query({ notificationPreferences: { newFollower: false } })
+  );
+  t.mock.method(console, "error", () => {});
+
+  const changed = await callHandler(updateNotificationPreferences, {
+    user: { _id: recipient },
+    body: { newFollower: false },
+  });
+  assert.equal(changed.status, 200);
+  assert.deepEqual(update.mock.calls[0].arguments[1], {
+    $set: { "notificationPreferences.newFollower": false },
+  });
+
+  const unknown = await callHandler(updateNotificationPreferences, {
+    user: { _id: recipient },
+    body: { everything: false },
+  });
+  assert.equal(unknown.status, 400);
+  assert.equal(unknown.body.message, "Unknown notification type everything");
+  assert.equal(update.mock.callCount(), 1);
+});
@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { objectId, query, callHandler } from "./helpers.js";
+import { User } from "../src/models/user.model.js";
+import { Project } from "../src/models/project.model.js";
+import { fetchUserProjects } from "../src/controllers/user.controller.js";
+
+const owner = { _id: objectId(), username: "ada", projects: [objectId(), objectId(), objectId()] };
+
+// Projects as the aggregation hands them back, sort keys included
+const ratedProject = (index, name, rating, count) => ({
+  _id: owner.projects[index],
+  name,
+  owners: [owner._id],
+  _sortRating: rating,
+  _sortRatingCount: count,
+});
+const rated = [ratedProject(0, "A", 4.5, 2), ratedProject(1, "B", 0, 0), ratedProject(2, "C", 0, 0)];
+
+const list = (queryString) =>
+  callHandler(fetchUserProjects, { params: { username: "ada" }, query: queryString });
+
+test("projects are paged by cursor, unrated ones sorting as 0", async (t) => {
+  t.mock.method(User, "findOne", () => query(owner));
+  const aggregate = t.mock.method(Project, "aggregate", async () => [
+    { total: [{ count: 3 }], docs: rated.slice(0, 2).map((doc) => ({ ...doc })) },
+  ]);
+
+  const first = await list({ sort: "rating", limit: "1" });
+
+  assert.equal(first.status, 200);
+  assert.deepEqual(first.body.data.docs.map((doc) => doc.name), ["A"]);
+  assert.equal(first.body.data.docs[0]._sortRating, undefined);
+  assert.equal(first.body.data.hasNextPage, true);
+  assert.ok(first.body.data.nextCursor);
+
+  const [, addFields] = aggregate.mock.calls[0].arguments[0];
+  assert.deepEqual(addFields.$addFields._sortRating, { $ifNull: ["$ratingAverage", 0] });
+
+  aggregate.mock.mockImplementation(async () => [
+    { total: [{ count: 3 }], docs: rated.slice(1).map((doc) => ({ ...doc })) },
+  ]);
+  const second = await list({ sort: "rating", limit: "1", cursor: first.body.data.nextCursor });
+
+  assert.equal(second.status, 200);
+  assert.equal(second.body.data.page, null);
+  const [, , { $facet }] = aggregate.mock.calls[1].arguments[0];
+  const [after] = $facet.docs;
+  assert.deepEqual(after.$match.$or[0], { _sortRating: { $lt: 4.5 } });
+  assert.deepEqual(after.$match.$or[2]._id, { $lt: owner.projects[0] });
+});
+
+test("unknown sorts and foreign or broken cursors are rejected", async (t) => {
+  t.mock.method(User, "findOne", () => query(owner));
+  t.mock.method(Project, "aggregate", async () => [
+    { total: [{ count: 3 }], docs: rated.map((doc) => ({ ...doc })) },
+  ]);
+
+  const badSort = await list({ sort: "random" });
+  assert.equal(badSort.status, 400);
+  assert.equal(badSort.body.message, "sort must be one of newest, oldest, name, rating, stars");
+
+  const broken = await list({ cursor: "not-a-cursor" });
+  assert.equal(broken.status, 400);
+  assert.equal(broken.body.message, "Invalid cursor");
+
+  const { nextCursor } = (await list({ sort: "rating", limit: "1" })).body.data;
+  const foreign = await list({ sort: "newest", cursor: nextCursor });
+  assert.equal(foreign.status, 400);
+  assert.equal(foreign.body.message, "The cursor was issued for a different sort order");
+});
@@ -0,0 +1,104 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { objectId, query, callHandler } from "./helpers.js";
+import { User } from "../src/models/user.model.js";
+import { Project } from "../src/models/project.model.js";
+import { slugify, assignProjectSlug, withProjectSlug } from "../src/utils/projectSlugs.js";
+import { fetchProject } from "../src/controllers/user.controller.js";
+
+test("slugify keeps lowercase letters and digits", () => {
+  assert.equal(slugify("My App / v2!"), "my-app-v2");
+  assert.equal(slugify("Café Crème"), "cafe-creme");
+  assert.equal(slugify("!!!"), "project");
+  assert.equal(slugify("x".repeat(80)).length, 60);
+});
+
+test("assignProjectSlug numbers a slug an owner already uses", async (t) => {
+  const others = [{ slug: "demo" }, { slug: "demo-2", previousSlugs: ["demo-3"] }];
+  const find = t.mock.method(Project, "find", () => query(others));
+  const project = new Project({ name: "Demo", owners: [objectId()] });
+
+  assert.equal(await assignProjectSlug(project), "demo-4");
+  assert.deepEqual(find.mock.calls[0].arguments[0].owners, { $in: project.owners });
+
+  // A rename keeps the old slug for redirects, renaming back takes it back
+  project.name = "Other";
+  assert.equal(await assignProjectSlug(project, { fromName: true }), "other");
+  assert.deepEqual(project.previousSlugs, ["demo-4"]);
+  project.name = "Demo";
+  assert.equal(await assignProjectSlug(project, { fromName: true }), "demo-4");
+  assert.deepEqual(project.previousSlugs, ["other"]);
+});
+
+test("withProjectSlug moves on when another project took the slug meanwhile", async (t) => {
+  const others = [];
+  t.mock.method(Project, "find", () => query([...others]));
+  const project = new Project({ name: "Demo", slug: "old", owners: [objectId()] });
+  const clash = Object.assign(new Error("E11000 duplicate key error"), {
+    code: 11000,
+    keyPattern: { owners: 1, slug: 1 },
+  });
+  // A concurrent request stores "demo" between our check and our write
+  let writes = 0;
+  const write = t.mock.fn(async () => {
+    writes += 1;
+    if (writes === 1) {
+      others.push({ slug: "demo" });
+      throw clash;
+    }
+    return project;
+  });
+
+  await withProjectSlug(project, write, { fromName: true });
+
+  assert.equal(write.mock.callCount(), 2);
+  assert.equal(project.slug, "demo-2");
+  assert.deepEqual(project.previousSlugs, ["old"]);
+
+  // Other failures are not retried
+  const failing = t.mock.fn(async () => {
+    throw new Error("connection lost");
+  });
+  await assert.rejects(withProjectSlug(project, failing), /connection lost/);
+  assert.equal(failing.mock.callCount(), 1);
+});
+
+test("fetchProject finds a project by an old slug and names the current one", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const owner = new User({ username: "ada", email: "ada@example.com", fullname: "Ada" });
+  const project = new Project({
+    name: "Demo Two",
+    slug: "demo-two",
+    previousSlugs: ["demo"],
+    owners: [owner._id],
+  });
+  owner.projects = [project._id];
+  t.mock.method(User, "findOne", () => query(owner));
+  t.mock.method(User, "findById", () => query(owner));
+  const find = t.mock.method(Project, "find", () => query([project]));
+
+  const { status, body } = await callHandler(fetchProject, {
+    params: { username: "ada", projectName: "demo" },
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.data.slug, "demo-two");
+  assert.equal(body.data.owners[0].role, "admin");
+  assert.deepEqual(find.mock.calls[0].arguments[0].$or, [
+    { slug: "demo" },
+    { previousSlugs: "demo" },
+    { name: "demo" },
+  ]);
+});
+
+test("fetchProject 404s for projects the user does not list", async (t) => {
+  t.mock.method(User, "findOne", () => query({ _id: objectId(), projects: [] }));
+  t.mock.method(Project, "find", () => query([]));
+
+  const { status, body } = await callHandler(fetchProject, {
+    params: { username: "ada", projectName: "someone-elses" },
+  });
+
+  assert.equal(status, 404);
+  assert.equal(body.message, "Project not found");
+});
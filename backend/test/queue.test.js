@@ -0,0 +1,162 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { objectId } from "./helpers.js";
+import { Job } from "../src/models/job.model.js";
+import { registerJobHandler, startJobWorker, stopJobWorker } from "../src/jobs/queue.js";
+
+// The worker's timers are unref'd so they never hold a server open; this
+// keeps the test process alive while a test waits on them
+let keepAlive;
+beforeEach((t) => {
+  t.mock.method(console, "log", () => {});
+  keepAlive = setInterval(() => {}, 1000);
+});
+afterEach(() => {
+  stopJobWorker();
+  clearInterval(keepAlive);
+});
+
+// Hands out each job once, as the atomic claim would, and resolves with the
+// update the worker writes when it is done with a job
+const stubQueue = (t, jobs) => {
+  const queue = [...jobs];
+  t.mock.method(Job, "updateMany", async () => ({ modifiedCount: 0 }));
+  t.mock.method(Job, "findOneAndUpdate", async (filter) =>
+    queue.length && filter.type.$in.includes(queue[0].type) ? queue.shift() : null
+  );
+
+  return new Promise((resolve) => {
+    t.mock.method(Job, "findByIdAndUpdate", async (id, update) => {
+      resolve({ id, update });
+      return null;
+    });
+  });
+};
+
+const newJob = (type, fields = {}) => ({
+  _id: objectId(),
+  type,
+  payload: { videoId: "v1" },
+  attempts: 1,
+  maxAttempts: 3,
+  ...fields,
+});
+
+test("a claimed job runs its handler and is marked completed", async (t) => {
+  const job = newJob("queue-test-ok");
+  const handler = t.mock.fn(async (payload) => ({ seen: payload.videoId }));
+  registerJobHandler("queue-test-ok", handler);
+  const finished = stubQueue(t, [job]);
+
+  await startJobWorker({ concurrency: 1, pollInterval: 5 });
+  const { id, update } = await finished;
+
+  assert.equal(id, job._id);
+  assert.equal(handler.mock.calls[0].arguments[0], job.payload);
+  assert.equal(update.$set.status, "completed");
+  assert.deepEqual(update.$set.result, { seen: "v1" });
+});
+
+test("a failing job goes back to pending with a backoff until its last attempt", async (t) => {
+  t.mock.method(console, "error", () => {});
+  const onFailed = t.mock.fn();
+  registerJobHandler(
+    "queue-test-fail",
+    async () => {
+      throw new Error("boom");
+    },
+    { onFailed }
+  );
+
+  const retried = stubQueue(t, [newJob("queue-test-fail", { attempts: 1 })]);
+  const startedAt = Date.now();
+  await startJobWorker({ concurrency: 1, pollInterval: 5 });
+  const { update } = await retried;
+  stopJobWorker();
+
+  assert.equal(update.$set.status, "pending");
+  assert.equal(update.$set.lastError, "boom");
+  assert.ok(update.$set.runAt.getTime() >= startedAt + 5000);
+  assert.equal(onFailed.mock.callCount(), 0);
+
+  const failed = stubQueue(t, [newJob("queue-test-fail", { attempts: 3 })]);
+  await startJobWorker({ concurrency: 1, pollInterval: 5 });
+  assert.equal((await failed).update.$set.status, "failed");
+  // The hook runs right after the final update
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(onFailed.mock.callCount(), 1);
+  assert.equal(onFailed.mock.calls[0].arguments[1].message, "boom");
+});
+
+test("a long-running job keeps renewing its lock", async (t) => {
+  process.env.JOB_LOCK_TIMEOUT_MS = "30";
+  t.after(() => {
+    delete process.env.JOB_LOCK_TIMEOUT_MS;
+  });
+
+  let finishJob;
+  registerJobHandler(
+    "queue-test-slow",
+    () =>
+      new Promise((resolve) => {
+        finishJob = resolve;
+      })
+  );
+  const job = newJob("queue-test-slow");
+  const finished = stubQueue(t, [job]);
+  const heartbeat = t.mock.method(Job, "updateOne", async () => ({ modifiedCount: 1 }));
+
+  await startJobWorker({ concurrency: 1, pollInterval: 5 });
+  await new Promise((resolve) => setTimeout(resolve, 100));
+
+  assert.ok(heartbeat.mock.callCount() >= 2);
+  const [filter, update] = heartbeat.mock.calls[0].arguments;
+  assert.equal(filter._id, job._id);
+  assert.equal(filter.status, "running");
+  assert.ok(update.$set.lockedAt instanceof Date);
+
+  finishJob();
+  await finished;
+  const beats = heartbeat.mock.callCount();
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.equal(heartbeat.mock.callCount(), beats);
+});
+
+test("stale jobs go back to the queue unless they are out of attempts", async (t) => {
+  stubQueue(t, []);
+
+  await startJobWorker({ concurrency: 1, pollInterval: 1000 });
+
+  const [[exhausted, failed], [retryable, pending]] = Job.updateMany.mock.calls.map(
+    (call) => call.arguments
+  );
+  assert.deepEqual(exhausted.$expr, { $gte: ["$attempts", "$maxAttempts"] });
+  assert.equal(failed.$set.status, "failed");
+  assert.deepEqual(retryable.$expr, { $lt: ["$attempts", "$maxAttempts"] });
+  assert.equal(pending.$set.status, "pending");
+  assert.equal(exhausted.status, "running");
+  assert.ok(exhausted.lockedAt.$lt instanceof Date);
+});
+
+test("a failure that cannot be recorded is logged and frees the worker", async (t) => {
+  const errors = t.mock.method(console, "error", () => {});
+  registerJobHandler("queue-test-unrecorded", async () => {
+    throw new Error("boom");
+  });
+  const jobs = [newJob("queue-test-unrecorded"), newJob("queue-test-unrecorded")];
+  stubQueue(t, jobs);
+  const update = t.mock.method(Job, "findByIdAndUpdate", async () => {
+    throw new Error("connection lost");
+  });
+
+  await startJobWorker({ concurrency: 1, pollInterval: 5 });
+  await new Promise((resolve) => setTimeout(resolve, 100));
+
+  // Both jobs ran one after the other on the single slot
+  assert.equal(update.mock.callCount(), 2);
+  assert.ok(
+    errors.mock.calls.some(({ arguments: [message] }) =>
+      message.startsWith(`Recording the failure of job ${jobs[0]._id} failed`)
+    )
+  );
+});
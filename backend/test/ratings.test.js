@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { objectId, query, callHandler } from "./helpers.js";
+import { Project } from "../src/models/project.model.js";
+import { Rating } from "../src/models/rating.model.js";
+import { subscribe } from "../src/utils/eventBus.js";
+import { rateProject } from "../src/controllers/projects.controllers.js";
+
+const user = { _id: objectId() };
+const project = { _id: objectId(), owners: [objectId()] };
+
+const rate = (value, rater = user) =>
+  callHandler(rateProject, {
+    user: rater,
+    params: { projectId: String(project._id) },
+    body: { value },
+  });
+
+test("rateProject stores the rating and refreshes the project's average", async (t) => {
+  t.mock.method(Project, "findById", () => query(project));
+  const upsert = t.mock.method(Rating, "findOneAndUpdate", async () => ({}));
+  t.mock.method(Rating, "aggregate", async () => [{ average: 11 / 3, count: 3 }]);
+  const refresh = t.mock.method(Project, "findByIdAndUpdate", async () => project);
+  const events = [];
+  t.after(subscribe([`project:${project._id}`], (channel, event) => events.push(event)));
+
+  const { status, body } = await rate("4.5");
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.data, { ratingAverage: 3.67, ratingCount: 3, userRating: 4.5 });
+  assert.deepEqual(upsert.mock.calls[0].arguments.slice(0, 2), [
+    { project: project._id, user: user._id },
+    { value: 4.5 },
+  ]);
+  assert.deepEqual(refresh.mock.calls[0].arguments[1], { ratingAverage: 3.67, ratingCount: 3 });
+  assert.equal(events[0].type, "rating.changed");
+});
+
+test("rateProject only takes half-star steps, and not from owners", async (t) => {
+  t.mock.method(Project, "findById", () => query(project));
+  const upsert = t.mock.method(Rating, "findOneAndUpdate", async () => ({}));
+
+  for (const value of [0, 4.3, 6, "five"]) {
+    const { status, body } = await rate(value);
+    assert.equal(status, 400);
+    assert.equal(body.message, "Rating must be between 0.5 and 5 in half-star steps");
+  }
+
+  const own = await rate(5, { _id: project.owners[0] });
+  assert.equal(own.status, 403);
+  assert.equal(upsert.mock.callCount(), 0);
+});
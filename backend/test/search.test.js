@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { callHandler } from "./helpers.js";
+import { Project } from "../src/models/project.model.js";
+import { User } from "../src/models/user.model.js";
+import { Certification } from "../src/models/certification.model.js";
+import { escapeRegex, addHighlights } from "../src/utils/search.js";
+import { globalSearch } from "../src/controllers/search.controller.js";
+
+test("addHighlights marks words starting with a searched term", () => {
+  const [doc] = addHighlights(
+    [{ name: "React Dashboard", techStack: ["Node.js", "Reactive"], domain: "Web" }],
+    'react -vue "node.js"',
+    ["name", "techStack", "domain"]
+  );
+
+  assert.deepEqual(doc.highlights.name, [
+    { text: "React", match: true },
+    { text: " Dashboard", match: false },
+  ]);
+  assert.deepEqual(doc.highlights.techStack, [
+    { text: "Node.js", match: true },
+    { text: ", ", match: false },
+    { text: "Reactive", match: true },
+  ]);
+  assert.equal(doc.highlights.domain, undefined);
+  assert.equal(escapeRegex("c++ (v2)"), "c\\+\\+ \\(v2\\)");
+});
+
+test("globalSearch searches one type and counts the others", async (t) => {
+  const aggregate = t.mock.method(Project, "aggregate", async () => [
+    {
+      docs: [{ name: "React Dashboard", techStack: ["React"] }],
+      total: [{ count: 1 }],
+      techStack: [{ value: "react", count: 1 }],
+      domain: [],
+      rating: [{ _id: null, 4: 1, 3: 1, 2: 1, 1: 1 }],
+    },
+  ]);
+  t.mock.method(User, "countDocuments", async () => 2);
+  const certifications = t.mock.method(Certification, "countDocuments", async () => 0);
+
+  const { status, body } = await callHandler(globalSearch, {
+    query: { q: "react", techStack: "React", minRating: "3" },
+  });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.data.counts, { projects: 1, users: 2, certifications: 0 });
+  assert.equal(body.data.results.docs[0].highlights.name[0].text, "React");
+  assert.deepEqual(body.data.facets.rating[0], { value: 4, count: 1 });
+
+  const [{ $match }] = aggregate.mock.calls[0].arguments[0];
+  assert.deepEqual($match.$text, { $search: "react" });
+  assert.deepEqual($match.ratingAverage, { $gte: 3 });
+  // minRating means nothing to certifications, so it is not applied to them
+  assert.deepEqual(certifications.mock.calls[0].arguments[0], { $text: { $search: "react" } });
+});
+
+test("globalSearch rejects unknown types and empty searches", async () => {
+  const unknown = await callHandler(globalSearch, { query: { q: "react", type: "videos" } });
+  assert.equal(unknown.status, 400);
+  assert.equal(unknown.body.message, "type must be one of projects, users, certifications");
+
+  const empty = await callHandler(globalSearch, { query: { q: "  " } });
+  assert.equal(empty.status, 400);
+  assert.equal(empty.body.message, "Enter a search term or pick a filter");
+
+  const badRating = await callHandler(globalSearch, { query: { minRating: "7" } });
+  assert.equal(badRating.status, 400);
+});
@@ -0,0 +1,62 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import express from "express";
+import "./helpers.js";
+
+const rootDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "storage-test-"));
+process.env.LOCAL_STORAGE_DIR = rootDir;
+
+const { localStorage } = await import("../src/utils/storage/local.storage.js");
+const { uploadFile } = await import("../src/utils/storage/index.js");
+const { default: mediaRouter } = await import("../src/routes/media.routes.js");
+
+let server;
+let baseUrl;
+
+const writeTemp = async (name, data) => {
+  const tempPath = path.join(os.tmpdir(), `${Date.now()}-${name}`);
+  await fs.promises.writeFile(tempPath, data);
+  return tempPath;
+};
+
+before(() => {
+  const app = express();
+  app.use("/api/v1/media", mediaRouter);
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.close();
+  await fs.promises.rm(rootDir, { recursive: true, force: true });
+});
+
+test("uploadFile moves a temp file into local storage", async () => {
+  const tempPath = await writeTemp("photo.png", "png bytes");
+
+  const stored = await uploadFile(tempPath, { driver: "local", folder: "images" });
+
+  assert.equal(stored.driver, "local");
+  assert.match(stored.key, /^images\/[\w-]+\.png$/);
+  assert.equal(stored.url, `/api/v1/media/${stored.key}`);
+  assert.equal(localStorage.keyFromUrl(stored.url), stored.key);
+  assert.equal(fs.existsSync(tempPath), false);
+
+  const response = await fetch(`${baseUrl}${stored.url}`);
+  assert.equal(response.status, 200);
+  assert.equal(await response.text(), "png bytes");
+});
+
+test("keys outside the storage root are refused", async () => {
+  await localStorage.put(await writeTemp("a.png", "png"), { key: "images/a.png" });
+
+  const traversal = await fetch(`${baseUrl}/api/v1/media/images/..%2F..%2Fetc%2Fpasswd`);
+  assert.equal(traversal.status, 400);
+  assert.equal((await traversal.json()).message, "Invalid file path");
+
+  const missing = await fetch(`${baseUrl}/api/v1/media/images/b.png`);
+  assert.equal(missing.status, 404);
+});
@@ -0,0 +1,122 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { query } from "./helpers.js";
+
+const rootDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "storage-gc-test-"));
+process.env.LOCAL_STORAGE_DIR = rootDir;
+process.env.STORAGE_DRIVER = "local";
+
+const { localStorage } = await import("../src/utils/storage/local.storage.js");
+const { cloudinaryStorage } = await import("../src/utils/storage/cloudinary.storage.js");
+const { s3Storage } = await import("../src/utils/storage/s3.storage.js");
+const { deleteStoredFile } = await import("../src/utils/storage/index.js");
+const { collectStorageGarbage } = await import("../src/jobs/storageGc.job.js");
+const { User } = await import("../src/models/user.model.js");
+const { Project } = await import("../src/models/project.model.js");
+const { Certification } = await import("../src/models/certification.model.js");
+const { Video } = await import("../src/models/video.model.js");
+
+after(() => fs.promises.rm(rootDir, { recursive: true, force: true }));
+
+const store = async (folder) => {
+  const tempPath = path.join(os.tmpdir(), `${Date.now()}-${Math.random()}.png`);
+  await fs.promises.writeFile(tempPath, "png");
+  return localStorage.put(tempPath, { folder });
+};
+
+// The database points at `urls` through a profile picture and a project image
+const stubReferences = (t, [profilePic, image]) => {
+  t.mock.method(User, "find", () => query([{ profilePic }]));
+  t.mock.method(Project, "find", () => query([{ images: [image] }]));
+  t.mock.method(Certification, "find", () => query([]));
+  t.mock.method(Video, "find", () => query([]));
+};
+
+test("deleteStoredFile removes the file a stored URL points at", async () => {
+  const stored = await store("profile");
+
+  assert.equal(await deleteStoredFile({ url: stored.url }), true);
+  assert.equal(fs.existsSync(localStorage.resolve(stored.key)), false);
+  assert.equal(await deleteStoredFile({ url: "https://example.com/elsewhere.png" }), false);
+});
+
+test("garbage collection purges only unreferenced files", async (t) => {
+  const profilePic = await store("profile");
+  const image = await store("images");
+  const orphan = await store("images");
+  stubReferences(t, [profilePic.url, image.url]);
+
+  const report = await collectStorageGarbage({ purge: true, gracePeriodMs: 0 });
+
+  assert.deepEqual(report.orphans.map((file) => file.key), [orphan.key]);
+  assert.equal(report.purged, 1);
+  assert.equal(fs.existsSync(localStorage.resolve(orphan.key)), false);
+  assert.equal(fs.existsSync(localStorage.resolve(image.key)), true);
+});
+
+test("garbage collection spares young files and only reports without purge", async (t) => {
+  const orphan = await store("images");
+  stubReferences(t, [null, null]);
+
+  const young = await collectStorageGarbage({ purge: true });
+  assert.equal(young.orphans.some((file) => file.key === orphan.key), false);
+
+  const dryRun = await collectStorageGarbage({ gracePeriodMs: 0 });
+  assert.ok(dryRun.orphans.some((file) => file.key === orphan.key));
+  assert.equal(dryRun.purged, 0);
+  assert.equal(fs.existsSync(localStorage.resolve(orphan.key)), true);
+});
+
+test("Cloudinary uploads and listings stay inside the app's root folder", async (t) => {
+  const folders = [];
+  const prefixes = [];
+  t.mock.method(cloudinaryStorage, "client", () => ({
+    uploader: {
+      upload: async (localPath, { folder }) => {
+        folders.push(folder);
+        return { resource_type: "image", public_id: `${folder}/abc`, bytes: 3, format: "png", url: "" };
+      },
+    },
+    api: {
+      resources: async ({ prefix }) => {
+        prefixes.push(prefix);
+        return { resources: [] };
+      },
+    },
+  }));
+
+  await cloudinaryStorage.put("/tmp/a.png", { folder: "profile" });
+  await cloudinaryStorage.put("/tmp/a.ts", { key: "video/media_stream/videos/abc/hls/360p/0.ts" });
+  for await (const file of cloudinaryStorage.list()) assert.fail(`unexpected ${file.key}`);
+
+  assert.deepEqual(folders, ["media_stream/profile", "media_stream/videos/abc/hls/360p"]);
+  assert.deepEqual(prefixes, ["media_stream/", "media_stream/", "media_stream/"]);
+});
+
+test("S3 uploads and listings stay under the app's key prefix", async (t) => {
+  const commands = [];
+  t.mock.method(s3Storage, "client", () => ({
+    send: async (command) => {
+      commands.push(command.input);
+      // Read like a real upload, before put removes the temp file
+      for await (const chunk of command.input.Body || []) assert.ok(chunk);
+      return { Contents: [] };
+    },
+  }));
+  const upload = async (options) => {
+    const tempPath = path.join(os.tmpdir(), `${Date.now()}-${Math.random()}.png`);
+    await fs.promises.writeFile(tempPath, "png");
+    return s3Storage.put(tempPath, options);
+  };
+
+  const uploaded = await upload({ folder: "profile" });
+  const derived = await upload({ key: "media_stream/videos/abc/poster.png" });
+  for await (const file of s3Storage.list()) assert.fail(`unexpected ${file.key}`);
+
+  assert.match(uploaded.key, /^media_stream\/profile\/[\w-]+\.png$/);
+  assert.equal(derived.key, "media_stream/videos/abc/poster.png");
+  assert.equal(commands.at(-1).Prefix, "media_stream/");
+});
@@ -0,0 +1,77 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import express from "express";
+import { objectId, query, callHandler } from "./helpers.js";
+
+const rootDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "streaming-test-"));
+process.env.LOCAL_STORAGE_DIR = rootDir;
+
+const { Video } = await import("../src/models/video.model.js");
+const { streamVideo } = await import("../src/controllers/video.controller.js");
+
+const content = Buffer.from("0123456789abcdefghij");
+const video = new Video({
+  title: "Clip",
+  videoFile: "/api/v1/videos/clip/stream",
+  storageDriver: "local",
+  storageKey: "videos/clip.mp4",
+  mimeType: "video/mp4",
+});
+let server;
+let baseUrl;
+
+before(async () => {
+  await fs.promises.mkdir(path.join(rootDir, "videos"));
+  await fs.promises.writeFile(path.join(rootDir, "videos/clip.mp4"), content);
+
+  const app = express();
+  app.get("/videos/:videoId/stream", streamVideo);
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}/videos/${video._id}/stream`;
+});
+
+after(async () => {
+  server.close();
+  await fs.promises.rm(rootDir, { recursive: true, force: true });
+});
+
+test("a Range request gets the requested bytes with 206", async (t) => {
+  t.mock.method(Video, "findById", () => query(video));
+
+  const response = await fetch(baseUrl, { headers: { Range: "bytes=5-9" } });
+
+  assert.equal(response.status, 206);
+  assert.equal(response.headers.get("content-range"), `bytes 5-9/${content.length}`);
+  assert.equal(response.headers.get("content-type"), "video/mp4");
+  assert.equal(await response.text(), "56789");
+});
+
+test("a request without Range gets the whole file", async (t) => {
+  t.mock.method(Video, "findById", () => query(video));
+
+  const response = await fetch(baseUrl);
+
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get("accept-ranges"), "bytes");
+  assert.equal(await response.text(), content.toString());
+});
+
+test("a range past the end of the file is rejected with 416", async (t) => {
+  t.mock.method(Video, "findById", () => query(video));
+
+  const response = await fetch(baseUrl, { headers: { Range: "bytes=100-200" } });
+
+  assert.equal(response.status, 416);
+  assert.equal(response.headers.get("content-range"), `bytes */${content.length}`);
+});
+
+test("streamVideo 404s for an unknown video", async (t) => {
+  t.mock.method(Video, "findById", () => query(null));
+
+  const { status } = await callHandler(streamVideo, { params: { videoId: String(objectId()) } });
+
+  assert.equal(status, 404);
+});
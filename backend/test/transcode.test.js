@@ -0,0 +1,100 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { objectId, query, installFakeMediaTools } from "./helpers.js";
+
+const rootDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "transcode-test-"));
+process.env.LOCAL_STORAGE_DIR = path.join(rootDir, "storage");
+
+await installFakeMediaTools(path.join(rootDir, "bin"));
+
+const { Video } = await import("../src/models/video.model.js");
+const { localStorage } = await import("../src/utils/storage/local.storage.js");
+const { transcodeVideo } = await import("../src/jobs/transcode.job.js");
+
+after(async () => {
+  await fs.promises.rm(rootDir, { recursive: true, force: true });
+});
+
+const storedFiles = async (prefix) => {
+  const keys = [];
+  for await (const { key } of localStorage.list()) {
+    if (key.startsWith(prefix)) keys.push(key);
+  }
+  return keys.sort();
+};
+
+const newVideo = (t, storageKey) => {
+  const video = new Video({
+    title: "Demo",
+    owner: objectId(),
+    videoFile: `/api/v1/media/${storageKey}`,
+    storageDriver: "local",
+    storageKey,
+  });
+  t.mock.method(Video, "findById", () => query(video));
+  t.mock.method(video, "save", async () => video);
+  return video;
+};
+
+test("transcodeVideo stores an HLS ladder no taller than the source", async (t) => {
+  const video = newVideo(t, "videos/ok.mp4");
+
+  await transcodeVideo(video._id);
+
+  assert.equal(video.processingStatus, "ready");
+  assert.deepEqual(
+    video.renditions.map(({ name, width, height }) => ({ name, width, height })),
+    [
+      { name: "360p", width: 640, height: 360 },
+      { name: "720p", width: 1280, height: 720 },
+    ]
+  );
+  const [, run] = video.hlsPlaylist.match(/^\/api\/v1\/media\/videos\/ok\/hls\/([\w-]+)\/master\.m3u8$/);
+  const prefix = `videos/ok/hls/${run}`;
+  assert.deepEqual(await storedFiles("videos/ok/hls/"), [...video.hlsKeys].sort());
+
+  const master = await fs.promises.readFile(localStorage.resolve(`${prefix}/master.m3u8`), "utf8");
+  assert.ok(master.includes(`BANDWIDTH=896000,RESOLUTION=640x360\n/api/v1/media/${prefix}/360p/index.m3u8`));
+
+  const playlist = await fs.promises.readFile(localStorage.resolve(`${prefix}/720p/index.m3u8`), "utf8");
+  assert.ok(playlist.split("\n").includes(`/api/v1/media/${prefix}/720p/segment_000.ts`));
+});
+
+test("a failed encode marks the video failed and removes what was stored", async (t) => {
+  process.env.FAKE_FFMPEG_FAIL = "/720p/";
+  t.after(() => {
+    delete process.env.FAKE_FFMPEG_FAIL;
+  });
+  t.mock.method(console, "error", () => {});
+  const video = newVideo(t, "videos/broken.mp4");
+  const update = t.mock.method(Video, "findByIdAndUpdate", async () => null);
+
+  await assert.rejects(transcodeVideo(video._id), /encoder exploded/);
+
+  const [id, changes] = update.mock.calls[0].arguments;
+  assert.equal(id, video._id);
+  assert.equal(changes.processingStatus, "failed");
+  assert.match(changes.processingError, /ffmpeg exited with code 1/);
+  assert.deepEqual(await storedFiles("videos/broken/"), []);
+});
+
+test("a failed re-transcode keeps the files the video still plays from", async (t) => {
+  t.mock.method(console, "error", () => {});
+  const video = newVideo(t, "videos/again.mp4");
+  t.mock.method(Video, "findByIdAndUpdate", async () => null);
+  await transcodeVideo(video._id);
+  const { hlsPlaylist } = video;
+  const keys = [...video.hlsKeys].sort();
+
+  process.env.FAKE_FFMPEG_FAIL = "/720p/";
+  t.after(() => {
+    delete process.env.FAKE_FFMPEG_FAIL;
+  });
+  await assert.rejects(transcodeVideo(video._id), /encoder exploded/);
+
+  assert.equal(video.hlsPlaylist, hlsPlaylist);
+  assert.deepEqual(await storedFiles("videos/again/"), keys);
+});
@@ -0,0 +1,147 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { objectId, query, callHandler } from "./helpers.js";
+import { Project } from "../src/models/project.model.js";
+import { Video } from "../src/models/video.model.js";
+import { Job } from "../src/models/job.model.js";
+import { UploadSession } from "../src/models/uploadSession.model.js";
+import { updateProject } from "../src/controllers/projects.controllers.js";
+
+const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "update-project-test-"));
+const editor = { _id: objectId() };
+
+after(async () => {
+  await fs.promises.rm(tempDir, { recursive: true, force: true });
+});
+
+const stubProject = (t, fields = {}) => {
+  const project = new Project({
+    name: "Demo",
+    slug: "demo",
+    url: "https://example.com",
+    description: "A demo",
+    owners: [editor._id],
+    ownerRoles: [{ user: editor._id, role: "editor" }],
+    images: ["/api/v1/media/images/a.png", "/api/v1/media/images/b.png"],
+    ...fields,
+  });
+  t.mock.method(Project, "findById", async () => project);
+  t.mock.method(Project, "find", () => query([]));
+  t.mock.method(Video, "find", async () => []);
+  t.mock.method(UploadSession, "find", () => query([]));
+  const save = t.mock.method(project, "save", async () => project);
+  return { project, save };
+};
+
+// A received image as multer leaves it in the temp directory
+const receivedImage = async () => {
+  const filePath = path.join(tempDir, `${Date.now()}-${Math.random()}.png`);
+  await fs.promises.writeFile(filePath, "png");
+  return {
+    fieldname: "images",
+    path: filePath,
+    originalname: "c.png",
+    mimetype: "image/png",
+    size: 3,
+  };
+};
+
+const update = (project, body, files) =>
+  callHandler(updateProject, {
+    user: editor,
+    params: { projectId: String(project._id) },
+    body,
+    files,
+  });
+
+test("updateProject renames, reorders and queues new media", async (t) => {
+  const { project, save } = stubProject(t);
+  const create = t.mock.method(Job, "create", async (job) => ({ _id: objectId(), ...job }));
+  const image = await receivedImage();
+
+  const { status, body } = await update(
+    project,
+    {
+      name: "Demo Two",
+      techStack: "React, Node ,",
+      imageOrder: JSON.stringify(["/api/v1/media/images/b.png"]),
+    },
+    { images: [image] }
+  );
+
+  assert.equal(status, 202);
+  assert.ok(body.data.jobId);
+  assert.equal(project.slug, "demo-two");
+  assert.deepEqual(project.previousSlugs, ["demo"]);
+  assert.deepEqual(project.techStack, ["React", "Node"]);
+  assert.deepEqual(project.images, ["/api/v1/media/images/b.png"]);
+  assert.equal(project.mediaStatus, "pending");
+  assert.equal(save.mock.callCount(), 1);
+
+  const [job] = create.mock.calls[0].arguments;
+  assert.deepEqual(job.payload.files.map((file) => file.path), [image.path]);
+  assert.ok(fs.existsSync(image.path), "the media job owns the file now");
+  assert.equal(image.keep, true);
+});
+
+test("an edit refused while media is pending uses no upload and keeps no file", async (t) => {
+  const { project, save } = stubProject(t, { mediaStatus: "pending" });
+  const findSessions = t.mock.method(UploadSession, "find", () => query([]));
+  const image = await receivedImage();
+
+  const { status, body } = await update(
+    project,
+    { videoUploadIds: String(objectId()) },
+    { images: [image] }
+  );
+
+  assert.equal(status, 409);
+  assert.equal(body.message, "Media is still being processed, try again once it is ready");
+  assert.equal(findSessions.mock.callCount(), 0);
+  assert.equal(save.mock.callCount(), 0);
+  assert.equal(fs.existsSync(image.path), false);
+});
+
+test("an invalid edit is rejected before anything changes", async (t) => {
+  const { project, save } = stubProject(t);
+  const image = await receivedImage();
+
+  const unknownImage = await update(
+    project,
+    { imageOrder: JSON.stringify(["/api/v1/media/images/elsewhere.png"]) },
+    { images: [image] }
+  );
+  assert.equal(unknownImage.status, 400);
+  assert.equal(fs.existsSync(image.path), false);
+
+  const emptyName = await update(project, { name: "  " });
+  assert.equal(emptyName.status, 400);
+  assert.equal(emptyName.body.message, "The project name cannot be empty");
+
+  const stranger = await callHandler(updateProject, {
+    user: { _id: objectId() },
+    params: { projectId: String(project._id) },
+    body: { name: "Mine" },
+  });
+  assert.equal(stranger.status, 403);
+  assert.equal(save.mock.callCount(), 0);
+});
+
+test("media that cannot be queued leaves the project's media status as it was", async (t) => {
+  t.mock.method(console, "error", () => {});
+  const { project } = stubProject(t, { mediaStatus: "ready" });
+  t.mock.method(Job, "create", async () => {
+    throw new Error("connection lost");
+  });
+  const reset = t.mock.method(Project, "findByIdAndUpdate", async () => null);
+  const image = await receivedImage();
+
+  const { status } = await update(project, {}, { images: [image] });
+
+  assert.equal(status, 500);
+  assert.deepEqual(reset.mock.calls[0].arguments, [project._id, { mediaStatus: "ready" }]);
+  assert.equal(fs.existsSync(image.path), false);
+});
@@ -0,0 +1,134 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Readable } from "stream";
+import { objectId, query, callHandler } from "./helpers.js";
+import { UploadSession } from "../src/models/uploadSession.model.js";
+import { takeCompletedUploads } from "../src/utils/uploadSessions.js";
+import { uploadChunk } from "../src/controllers/upload.controller.js";
+
+const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "uploads-test-"));
+const owner = objectId();
+// Enough of an mp4 header for the type sniffing
+const MP4_HEADER = Buffer.concat([Buffer.from([0, 0, 0, 24]), Buffer.from("ftypisom")]);
+
+after(async () => {
+  await fs.promises.rm(tempDir, { recursive: true, force: true });
+});
+
+const newSession = async (fields = {}) => {
+  const session = new UploadSession({
+    owner,
+    filename: "clip.mp4",
+    size: MP4_HEADER.length,
+    offset: 0,
+    status: "completed",
+    tempPath: "",
+    expiresAt: new Date(Date.now() + 60000),
+    ...fields,
+  });
+  session.tempPath = path.join(tempDir, String(session._id));
+  await fs.promises.writeFile(session.tempPath, session.status === "active" ? "" : MP4_HEADER);
+  return session;
+};
+
+test("takeCompletedUploads claims finished sessions as typed files", async (t) => {
+  const session = await newSession();
+  t.mock.method(UploadSession, "find", () => query([session]));
+  const claim = t.mock.method(UploadSession, "findOneAndUpdate", async () => session);
+
+  const [file] = await takeCompletedUploads([String(session._id)], { owner, fieldname: "videos" });
+
+  assert.deepEqual(claim.mock.calls[0].arguments.slice(0, 2), [
+    { _id: session._id, status: "completed" },
+    { $set: { status: "consumed" } },
+  ]);
+  assert.equal(file.fieldname, "videos");
+  assert.equal(file.mimetype, "video/mp4");
+  assert.equal(file.path, `${session.tempPath}.mp4`);
+  assert.ok(fs.existsSync(file.path));
+});
+
+test("takeCompletedUploads gives back its claims when a session was already used", async (t) => {
+  const first = await newSession();
+  const second = await newSession({ filename: "other.mp4" });
+  t.mock.method(UploadSession, "find", () => query([first, second]));
+  t.mock.method(UploadSession, "findOneAndUpdate", async (filter) =>
+    filter._id === first._id ? first : null
+  );
+  const release = t.mock.method(UploadSession, "updateMany", async () => ({ modifiedCount: 1 }));
+
+  await assert.rejects(
+    takeCompletedUploads([String(first._id), String(second._id)], { owner, fieldname: "videos" }),
+    { statusCode: 409, message: "Upload other.mp4 was already used" }
+  );
+
+  const [filter, update] = release.mock.calls[0].arguments;
+  assert.deepEqual(filter._id.$in, [first._id]);
+  assert.deepEqual(update, { $set: { status: "completed" } });
+});
+
+test("takeCompletedUploads rejects unknown and unfinished uploads", async (t) => {
+  const active = await newSession({ status: "active" });
+  t.mock.method(UploadSession, "find", () => query([active]));
+
+  await assert.rejects(
+    takeCompletedUploads([String(active._id), String(objectId())], { owner, fieldname: "videos" }),
+    { statusCode: 404 }
+  );
+  await assert.rejects(takeCompletedUploads([String(active._id)], { owner, fieldname: "videos" }), {
+    statusCode: 409,
+    message: "Upload clip.mp4 is not complete",
+  });
+});
+
+const chunkRequest = (session, chunk, headers) =>
+  Object.assign(Readable.from([chunk]), {
+    user: { _id: owner },
+    params: { uploadId: String(session._id) },
+    get: (name) =>
+      ({ "Content-Type": "application/offset+octet-stream", "Upload-Offset": "0", ...headers })[name],
+  });
+
+const sha256 = (data) => `sha256 ${crypto.createHash("sha256").update(data).digest("base64")}`;
+
+test("uploadChunk writes a verified chunk and completes the upload", async (t) => {
+  const session = await newSession({ status: "active" });
+  t.mock.method(UploadSession, "findById", async () => session);
+  t.mock.method(UploadSession, "findOneAndUpdate", async () => session);
+  const update = t.mock.method(UploadSession, "findByIdAndUpdate", async (id, { $set }) => ({
+    ...session.toObject(),
+    ...$set,
+  }));
+
+  const { status, body } = await callHandler(
+    uploadChunk,
+    chunkRequest(session, MP4_HEADER, { "Upload-Checksum": sha256(MP4_HEADER) })
+  );
+
+  assert.equal(status, 200);
+  assert.equal(body.data.offset, MP4_HEADER.length);
+  assert.equal(body.data.status, "completed");
+  assert.deepEqual(update.mock.calls[0].arguments[1].$unset, { lockedAt: 1 });
+  assert.deepEqual(await fs.promises.readFile(session.tempPath), MP4_HEADER);
+});
+
+test("uploadChunk discards a chunk whose checksum does not match", async (t) => {
+  const session = await newSession({ status: "active" });
+  t.mock.method(UploadSession, "findById", async () => session);
+  t.mock.method(UploadSession, "findOneAndUpdate", async () => session);
+  const unlock = t.mock.method(UploadSession, "findByIdAndUpdate", async () => session);
+
+  const { status, body } = await callHandler(
+    uploadChunk,
+    chunkRequest(session, MP4_HEADER, { "Upload-Checksum": sha256("something else") })
+  );
+
+  assert.equal(status, 460);
+  assert.equal(body.message, "Chunk checksum does not match");
+  assert.deepEqual(unlock.mock.calls[0].arguments[1], { $unset: { lockedAt: 1 } });
+  assert.equal((await fs.promises.stat(session.tempPath)).size, 0);
+});
@@ -0,0 +1,107 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { objectId, query, callHandler } from "./helpers.js";
+import { Video } from "../src/models/video.model.js";
+import { Job } from "../src/models/job.model.js";
+import { Project } from "../src/models/project.model.js";
+import { backfillProjectVideos } from "../src/utils/legacyVideos.js";
+import { uploadVideo, getVideoById, updateVideo } from "../src/controllers/video.controller.js";
+
+const user = { _id: objectId() };
+const videoFile = { fieldname: "videoFile", path: "/tmp/clip.mp4", originalname: "clip.mp4", mimetype: "video/mp4", size: 10 };
+
+test("uploadVideo queues the file for processing", async (t) => {
+  const create = t.mock.method(Job, "create", async (job) => ({ _id: objectId(), ...job }));
+
+  const { status, body } = await callHandler(uploadVideo, {
+    user,
+    body: { title: "Demo" },
+    files: { videoFile: [videoFile] },
+  });
+
+  assert.equal(status, 202);
+  assert.ok(body.data.jobId);
+  const [job] = create.mock.calls[0].arguments;
+  assert.equal(job.type, "processVideoUpload");
+  assert.equal(job.payload.title, "Demo");
+  assert.deepEqual(job.payload.files.map((file) => file.path), ["/tmp/clip.mp4"]);
+});
+
+test("uploadVideo needs a video file or a finished upload", async () => {
+  const { status, body } = await callHandler(uploadVideo, { user, body: { title: "Demo" } });
+
+  assert.equal(status, 400);
+  assert.equal(body.message, "Video file is required");
+});
+
+test("getVideoById returns the video and 404s for unknown ids", async (t) => {
+  const video = new Video({ title: "Demo", owner: user._id, videoFile: "/api/v1/media/videos/a.mp4" });
+  t.mock.method(Video, "findById", (id) => query(String(id) === String(video._id) ? video : null));
+
+  const found = await callHandler(getVideoById, { params: { videoId: String(video._id) } });
+  assert.equal(found.status, 200);
+  assert.equal(found.body.data.title, "Demo");
+
+  const missing = await callHandler(getVideoById, { params: { videoId: String(objectId()) } });
+  assert.equal(missing.status, 404);
+
+  const invalid = await callHandler(getVideoById, { params: { videoId: "nope" } });
+  assert.equal(invalid.status, 400);
+});
+
+test("updateVideo is limited to the video's owner", async (t) => {
+  const video = new Video({ title: "Demo", owner: objectId(), videoFile: "/api/v1/media/videos/a.mp4" });
+  t.mock.method(Video, "findById", () => query(video));
+  const save = t.mock.method(video, "save", async () => video);
+
+  const { status } = await callHandler(updateVideo, {
+    user,
+    params: { videoId: String(video._id) },
+    body: { title: "Renamed" },
+  });
+
+  assert.equal(status, 403);
+  assert.equal(save.mock.callCount(), 0);
+});
+
+test("legacy video URLs of a project become Video documents", async (t) => {
+  const project = {
+    _id: objectId(),
+    name: "Demo",
+    owners: [user._id],
+    videos: ["https://res.cloudinary.com/demo/video/upload/v1/intro.mp4", objectId()],
+  };
+  const find = t.mock.method(Project.collection, "find", () => ({
+    project: () => ({ toArray: async () => [project] }),
+  }));
+  t.mock.method(Video, "findOne", () => query(null));
+  const create = t.mock.method(Video, "create", async (fields) => new Video(fields));
+  const update = t.mock.method(Project.collection, "updateOne", async () => ({ modifiedCount: 1 }));
+
+  assert.equal(await backfillProjectVideos(), 1);
+
+  assert.deepEqual(find.mock.calls[0].arguments[0], { videos: { $type: "string" } });
+  const [fields] = create.mock.calls[0].arguments;
+  assert.equal(fields.title, "intro");
+  assert.equal(fields.project, project._id);
+  const [filter, { $set }] = update.mock.calls[0].arguments;
+  assert.equal(filter.videos, project.videos);
+  assert.equal($set.videos.length, 2);
+  assert.equal($set.videos[1], project.videos[1]);
+});
+
+test("a legacy URL that already has its Video is not created twice", async (t) => {
+  const existing = new Video({ title: "intro", videoFile: "https://example.com/intro.mp4" });
+  const project = { _id: objectId(), name: "Demo", owners: [], videos: [existing.videoFile] };
+  t.mock.method(Project.collection, "find", () => ({
+    project: () => ({ toArray: async () => [project] }),
+  }));
+  t.mock.method(Video, "findOne", () => query(existing));
+  const create = t.mock.method(Video, "create", async (fields) => fields);
+  const update = t.mock.method(Project.collection, "updateOne", async () => ({ modifiedCount: 1 }));
+
+  await backfillProjectVideos();
+
+  assert.equal(create.mock.callCount(), 0);
+  assert.deepEqual(update.mock.calls[0].arguments[1], { $set: { videos: [existing._id] } });
+});
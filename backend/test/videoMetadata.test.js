@@ -0,0 +1,78 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { objectId, query, installFakeMediaTools } from "./helpers.js";
+
+const rootDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "metadata-test-"));
+process.env.LOCAL_STORAGE_DIR = path.join(rootDir, "storage");
+
+await installFakeMediaTools(path.join(rootDir, "bin"));
+
+const { Video } = await import("../src/models/video.model.js");
+const { Project } = await import("../src/models/project.model.js");
+const { localStorage } = await import("../src/utils/storage/local.storage.js");
+const { extractVideoMetadata } = await import("../src/jobs/videoMetadata.job.js");
+
+after(async () => {
+  await fs.promises.rm(rootDir, { recursive: true, force: true });
+});
+
+const newVideo = (t, fields) => {
+  const video = new Video({
+    title: "Demo",
+    owner: objectId(),
+    storageDriver: "local",
+    ...fields,
+  });
+  video.videoFile = `/api/v1/media/${video.storageKey}`;
+  t.mock.method(Video, "findById", async () => video);
+  return video;
+};
+
+test("extractVideoMetadata records the probe and stores a poster and sprite", async (t) => {
+  const project = { _id: objectId(), thumbnail: "" };
+  const video = newVideo(t, { storageKey: "videos/demo.mp4", project: project._id });
+  t.mock.method(Project, "findById", () => query(project));
+  const claimThumbnail = t.mock.method(Project, "updateOne", async () => ({ modifiedCount: 1 }));
+  const update = t.mock.method(Video, "findByIdAndUpdate", async () => video);
+
+  const result = await extractVideoMetadata(video._id);
+
+  assert.deepEqual(result, { duration: 12.5, width: 1280, height: 720 });
+  const { $set } = update.mock.calls[0].arguments[1];
+  assert.equal($set.videoCodec, "h264");
+  assert.equal($set.audioCodec, "aac");
+  assert.equal($set.thumbnail, "/api/v1/media/videos/demo/poster.jpg");
+  assert.deepEqual($set.previewSprite, {
+    url: "/api/v1/media/videos/demo/sprite.jpg",
+    interval: 1,
+    count: 12,
+    columns: 10,
+    rows: 2,
+    width: 160,
+    height: 90,
+  });
+  assert.ok(fs.existsSync(localStorage.resolve("videos/demo/sprite.jpg")));
+
+  // The project had no thumbnail, so it gets its own copy of the poster
+  const [filter, change] = claimThumbnail.mock.calls[0].arguments;
+  assert.equal(filter._id, project._id);
+  assert.match(change.thumbnail, /^\/api\/v1\/media\/thumbnails\/[\w-]+\.jpg$/);
+});
+
+test("a failed extraction writes nothing and removes the stored poster", async (t) => {
+  process.env.FAKE_FFMPEG_FAIL = "sprite.jpg";
+  t.after(() => {
+    delete process.env.FAKE_FFMPEG_FAIL;
+  });
+  t.mock.method(console, "error", () => {});
+  const video = newVideo(t, { storageKey: "videos/broken.mp4" });
+  const update = t.mock.method(Video, "findByIdAndUpdate", async () => video);
+
+  await assert.rejects(extractVideoMetadata(video._id), /encoder exploded/);
+
+  assert.equal(update.mock.callCount(), 0);
+  assert.equal(fs.existsSync(localStorage.resolve("videos/broken/poster.jpg")), false);
+});
@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { objectId, query, callHandler } from "./helpers.js";
+import { Project } from "../src/models/project.model.js";
+import { ProjectWatch } from "../src/models/projectWatch.model.js";
+import { User } from "../src/models/user.model.js";
+import { watchProject, unwatchProject } from "../src/controllers/projects.controllers.js";
+
+const project = { _id: objectId(), owners: [objectId()] };
+
+test("watchProject adds the project to the watch list once", async (t) => {
+  const user = { _id: objectId(), watchList: [] };
+  t.mock.method(Project, "findById", () => query(project));
+  const addToList = t.mock.method(User, "findByIdAndUpdate", async () => user);
+  const dateWatch = t.mock.method(ProjectWatch, "updateOne", async () => ({ upsertedCount: 1 }));
+
+  const { status, body } = await callHandler(watchProject, {
+    user,
+    params: { projectId: String(project._id) },
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.data.isWatching, true);
+  assert.deepEqual(addToList.mock.calls[0].arguments[1], { $addToSet: { watchList: project._id } });
+  const [filter, update, options] = dateWatch.mock.calls[0].arguments;
+  assert.deepEqual(filter, { project: project._id, user: user._id });
+  assert.ok(update.$setOnInsert);
+  assert.deepEqual(options, { upsert: true });
+});
+
+test("watching needs a valid project and unwatching one on the list", async (t) => {
+  const user = { _id: objectId(), watchList: [] };
+  const removeFromList = t.mock.method(User, "findByIdAndUpdate", async () => user);
+
+  const invalid = await callHandler(watchProject, { user, params: { projectId: "nope" } });
+  assert.equal(invalid.status, 400);
+
+  t.mock.method(Project, "findById", () => query(null));
+  const missing = await callHandler(watchProject, {
+    user,
+    params: { projectId: String(objectId()) },
+  });
+  assert.equal(missing.status, 404);
+
+  const notWatching = await callHandler(unwatchProject, {
+    user,
+    params: { projectId: String(project._id) },
+  });
+  assert.equal(notWatching.status, 404);
+  assert.equal(notWatching.body.message, "This project is not on your watch list");
+  assert.equal(removeFromList.mock.callCount(), 0);
+});
+
+test("unwatchProject drops entries even of deleted projects", async (t) => {
+  const goneId = objectId();
+  const user = { _id: objectId(), watchList: [goneId] };
+  const removeFromList = t.mock.method(User, "findByIdAndUpdate", async () => user);
+  const forget = t.mock.method(ProjectWatch, "deleteOne", async () => ({ deletedCount: 1 }));
+
+  const { status, body } = await callHandler(unwatchProject, {
+    user,
+    params: { projectId: String(goneId) },
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.data.isWatching, false);
+  assert.deepEqual(removeFromList.mock.calls[0].arguments[1], { $pull: { watchList: String(goneId) } });
+  assert.equal(forget.mock.callCount(), 1);
+});
@@ -0,0 +1,78 @@
+import { EVENT_ENDPOINTS } from "../services/apiService";
+
+// Batches subscription changes made during a single render pass into one reconnect
+const RECONNECT_DELAY_MS = 100;
+
+// channel -> Set of handlers. "me" is the signed-in user's private channel and
+// is always delivered by the server, so it never has to be requested.
+const handlers = new Map();
+let source = null;
+let openChannels = "";
+let reconnectTimer = null;
+
+const requestedChannels = () =>
+  [...handlers.keys()].filter((channel) => channel !== "me").sort().join(",");
+
+const dispatch = (message) => {
+  let event;
+  try {
+    event = JSON.parse(message.data);
+  } catch {
+    return;
+  }
+
+  handlers.get(event.channel)?.forEach((handler) => handler(event));
+};
+
+// Keeps a single EventSource open for the channels somebody listens to.
+// The accessToken cookie goes along, so the server knows who is connected.
+const connect = () => {
+  reconnectTimer = null;
+  const channels = requestedChannels();
+
+  if (!handlers.size) {
+    source?.close();
+    source = null;
+    openChannels = "";
+    return;
+  }
+
+  if (source && channels === openChannels && source.readyState !== EventSource.CLOSED) {
+    return;
+  }
+
+  source?.close();
+  openChannels = channels;
+  source = new EventSource(
+    `${EVENT_ENDPOINTS.STREAM_EVENTS}?channels=${encodeURIComponent(channels)}`,
+    { withCredentials: true }
+  );
+  source.onmessage = dispatch;
+};
+
+const scheduleConnect = () => {
+  if (!reconnectTimer) {
+    reconnectTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+  }
+};
+
+// Calls `handler` with every { type, payload, at, channel } event pushed on
+// `channel` and returns a function that stops listening
+const subscribe = (channel, handler) => {
+  if (!handlers.has(channel)) {
+    handlers.set(channel, new Set());
+  }
+  handlers.get(channel).add(handler);
+  scheduleConnect();
+
+  return () => {
+    const channelHandlers = handlers.get(channel);
+    channelHandlers?.delete(handler);
+    if (channelHandlers && !channelHandlers.size) {
+      handlers.delete(channel);
+    }
+    scheduleConnect();
+  };
+};
+
+export { subscribe };
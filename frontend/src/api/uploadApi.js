@@ -0,0 +1,100 @@
+import axios from "axios";
+import { UPLOAD_ENDPOINTS } from "../services/apiService";
+
+const MAX_RETRIES = 8;
+
+// Upload ids are remembered per file so a reload or dropped connection resumes
+const storageKey = (file) =>
+  `upload:${file.name}:${file.size}:${file.lastModified}`;
+
+const uploadUrl = (endpoint, uploadId) => endpoint.replace(":uploadId", uploadId);
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const sha256 = async (blob) => {
+  const digest = await crypto.subtle.digest("SHA-256", await blob.arrayBuffer());
+  return btoa(String.fromCharCode(...new Uint8Array(digest)));
+};
+
+// Returns the server's view of a remembered upload, or a fresh one
+const openSession = async (file) => {
+  const savedId = localStorage.getItem(storageKey(file));
+
+  if (savedId) {
+    try {
+      const res = await axios.get(uploadUrl(UPLOAD_ENDPOINTS.FETCH_UPLOAD, savedId), {
+        withCredentials: true,
+      });
+      // Consumed or aborted sessions cannot be reused
+      if (["active", "completed"].includes(res.data.data.status)) {
+        return res.data.data;
+      }
+    } catch (error) {
+      console.warn("Saved upload could not be resumed, starting over:", error);
+    }
+    localStorage.removeItem(storageKey(file));
+  }
+
+  const res = await axios.post(
+    UPLOAD_ENDPOINTS.CREATE_UPLOAD,
+    { filename: file.name, size: file.size, mimeType: file.type },
+    { withCredentials: true }
+  );
+  localStorage.setItem(storageKey(file), res.data.data.uploadId);
+  return res.data.data;
+};
+
+// Sends a file in checksummed chunks, resuming from the server's offset after
+// any failure. Resolves with the upload id once every byte has arrived; the
+// id stays remembered until forgetUpload so a failed submit can reuse it.
+const uploadFileInChunks = async (file, { onProgress } = {}) => {
+  let session = null;
+  let retries = 0;
+
+  for (;;) {
+    try {
+      // (Re)learn the offset on start and after every failure
+      if (!session) {
+        session = await openSession(file);
+      }
+      if (session.offset >= session.size) break;
+
+      const chunk = file.slice(session.offset, session.offset + session.chunkSize);
+      const offset = session.offset;
+      onProgress?.(offset / session.size);
+
+      const res = await axios.patch(
+        uploadUrl(UPLOAD_ENDPOINTS.UPLOAD_CHUNK, session.uploadId),
+        chunk,
+        {
+          headers: {
+            "Content-Type": "application/offset+octet-stream",
+            "Upload-Offset": String(offset),
+            "Upload-Checksum": `sha256 ${await sha256(chunk)}`,
+          },
+          withCredentials: true,
+          onUploadProgress: (event) =>
+            onProgress?.((offset + event.loaded) / file.size),
+        }
+      );
+      session = res.data.data;
+      retries = 0;
+    } catch (error) {
+      const status = error.response?.status;
+      if ([400, 403, 413, 415].includes(status) || retries >= MAX_RETRIES) {
+        throw error;
+      }
+
+      retries++;
+      session = null;
+      await wait(Math.min(1000 * 2 ** retries, 30000));
+    }
+  }
+
+  onProgress?.(1);
+  return session.uploadId;
+};
+
+const forgetUpload = (file) => localStorage.removeItem(storageKey(file));
+
+export { uploadFileInChunks, forgetUpload };
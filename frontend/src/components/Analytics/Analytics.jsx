@@ -0,0 +1,189 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import useFetchAllData from "../../hooks/useFetchAllData.jsx";
+import { ANALYTICS_ENDPOINTS, USER_ENDPOINTS } from "../../services/apiService";
+import ViewsChart from "./ViewsChart/ViewsChart";
+import DropOffChart from "./DropOffChart/DropOffChart";
+
+const RANGES = [7, 30, 90];
+
+const formatWatchTime = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.round((seconds % 3600) / 60);
+  return hours ? `${hours}h ${minutes}m` : `${minutes}m`;
+};
+
+function Totals({ totals }) {
+  const cards = [
+    ["Views", totals.views],
+    ["Unique viewers", totals.uniqueViewers],
+    ["Watch time", formatWatchTime(totals.watchTime)],
+    ["Avg. completion", `${Math.round((totals.avgCompletion || 0) * 100)}%`],
+  ];
+
+  return (
+    <div className="grid grid-cols-4 gap-4 w-full">
+      {cards.map(([label, value]) => (
+        <div key={label} className="border-2 rounded-md p-4 text-center">
+          <p className="text-sm text-gray-600">{label}</p>
+          <p className="text-2xl font-semibold text-text-blue">{value}</p>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function Analytics() {
+  const { loading, isUserAuthenticated, username } = useFetchAllData();
+  const [projects, setProjects] = useState(undefined);
+  const [projectId, setProjectId] = useState("");
+  const [days, setDays] = useState(30);
+  const [analytics, setAnalytics] = useState(null);
+  const [error, setError] = useState(null);
+
+  // The project picker lists every project by name, fetched a page at a time
+  // with the list cursor rather than the page the projects tab shows
+  useEffect(() => {
+    if (!username) return;
+    let cancelled = false;
+
+    const fetchProjectList = async () => {
+      try {
+        const list = [];
+        let cursor = null;
+        do {
+          const response = await axios.get(
+            USER_ENDPOINTS.FETCH_USER_PROJECTS.replace(":username", username),
+            { params: { limit: 50, sort: "name", ...(cursor && { cursor }) } }
+          );
+          const { docs, nextCursor } = response.data.data;
+          list.push(...docs);
+          cursor = nextCursor;
+        } while (cursor && !cancelled);
+
+        if (!cancelled) setProjects(list);
+      } catch (error) {
+        console.error("Error fetching projects:", error);
+        if (!cancelled) setProjects([]);
+      }
+    };
+
+    fetchProjectList();
+    return () => {
+      cancelled = true;
+    };
+  }, [username]);
+
+  useEffect(() => {
+    if (!projectId && projects?.length) {
+      setProjectId(projects[0]._id);
+    }
+  }, [projects, projectId]);
+
+  useEffect(() => {
+    if (!projectId || !isUserAuthenticated) return;
+
+    const fetchAnalytics = async () => {
+      try {
+        setError(null);
+        const response = await axios.get(
+          ANALYTICS_ENDPOINTS.FETCH_PROJECT_ANALYTICS.replace(":projectId", projectId),
+          { params: { days }, withCredentials: true }
+        );
+        setAnalytics(response.data.data);
+      } catch (error) {
+        console.error("Error fetching analytics:", error);
+        setError(error.response?.data?.message || "Could not load analytics");
+      }
+    };
+
+    fetchAnalytics();
+  }, [projectId, days, isUserAuthenticated]);
+
+  if (loading || projects === undefined) {
+    return <p>Loading...</p>;
+  }
+
+  if (!isUserAuthenticated) {
+    return <p className="p-5">Only the owner of this profile can see its analytics.</p>;
+  }
+
+  if (!projects?.length) {
+    return <p className="p-5">Add a project to start collecting video analytics.</p>;
+  }
+
+  return (
+    <div className="h-full w-full bg-home-white flex flex-col items-center text-black p-5">
+      <div className="w-3/5 flex flex-col gap-8">
+        <div className="flex justify-between items-center">
+          <h1 className="text-4xl font-bold text-text-blue">Analytics</h1>
+          <div className="flex gap-3">
+            <select
+              value={projectId}
+              onChange={(e) => setProjectId(e.target.value)}
+              className="border-2 rounded px-3 py-1"
+            >
+              {projects.map((project) => (
+                <option key={project._id} value={project._id}>
+                  {project.name}
+                </option>
+              ))}
+            </select>
+            <select
+              value={days}
+              onChange={(e) => setDays(Number(e.target.value))}
+              className="border-2 rounded px-3 py-1"
+            >
+              {RANGES.map((range) => (
+                <option key={range} value={range}>
+                  Last {range} days
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {error && <p className="text-button-red">{error}</p>}
+
+        {analytics && (
+          <>
+            <Totals totals={analytics.totals} />
+
+            <div>
+              <h2 className="text-xl font-bold mb-3">Views over time</h2>
+              <ViewsChart series={analytics.viewsOverTime} />
+            </div>
+
+            {analytics.videos.length === 0 && (
+              <p className="text-gray-600">This project has no videos yet.</p>
+            )}
+
+            {analytics.videos.map(({ video, totals, viewsOverTime, dropOff }) => (
+              <div key={video._id} className="border-2 rounded-md p-5 flex flex-col gap-4">
+                <div className="flex justify-between items-center">
+                  <h3 className="text-lg font-semibold">{video.title}</h3>
+                  <span className="text-sm text-gray-600">
+                    {video.views} views all time
+                  </span>
+                </div>
+                <Totals totals={totals} />
+                <div className="flex gap-8">
+                  <div className="w-1/2">
+                    <h4 className="font-semibold mb-2">Views</h4>
+                    <ViewsChart series={viewsOverTime} height="h-24" />
+                  </div>
+                  <div className="w-1/2">
+                    <h4 className="font-semibold mb-2">Where viewers stopped</h4>
+                    <DropOffChart dropOff={dropOff} />
+                  </div>
+                </div>
+              </div>
+            ))}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Analytics;
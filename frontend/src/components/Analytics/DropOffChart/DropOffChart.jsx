@@ -0,0 +1,31 @@
+import React from "react";
+
+// How many sessions stopped in each 5% stretch of the video
+function DropOffChart({ dropOff }) {
+  if (!dropOff.length) {
+    return <p className="text-sm text-gray-600">No drop-offs recorded yet.</p>;
+  }
+
+  const maxSessions = Math.max(...dropOff.map((bucket) => bucket.sessions));
+
+  return (
+    <div className="flex flex-col gap-1 w-full">
+      {dropOff.map((bucket) => (
+        <div key={bucket.from} className="flex items-center gap-2 text-xs">
+          <span className="w-20 text-right text-gray-600">
+            {Math.round(bucket.from * 100)}-{Math.round(bucket.to * 100)}%
+          </span>
+          <div className="flex-1 bg-gray-200 rounded h-3">
+            <div
+              className="bg-text-blue rounded h-3"
+              style={{ width: `${(bucket.sessions / maxSessions) * 100}%` }}
+            ></div>
+          </div>
+          <span className="w-8">{bucket.sessions}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default DropOffChart;
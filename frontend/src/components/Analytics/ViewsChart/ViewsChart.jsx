@@ -0,0 +1,27 @@
+import React from "react";
+
+// Daily views as a simple bar chart; hovering a bar shows the exact numbers
+function ViewsChart({ series, height = "h-40" }) {
+  const maxViews = Math.max(1, ...series.map((point) => point.views));
+
+  return (
+    <div className="w-full">
+      <div className={`flex items-end gap-px w-full ${height} border-b border-gray-400`}>
+        {series.map((point) => (
+          <div
+            key={point.date}
+            title={`${point.date}: ${point.views} views, ${Math.round(point.watchTime / 60)} min watched`}
+            className="flex-1 bg-button-red hover:bg-text-blue transition-colors"
+            style={{ height: `${(point.views / maxViews) * 100}%`, minHeight: point.views ? 2 : 0 }}
+          ></div>
+        ))}
+      </div>
+      <div className="flex justify-between text-xs text-gray-600 mt-1">
+        <span>{series[0]?.date}</span>
+        <span>{series[series.length - 1]?.date}</span>
+      </div>
+    </div>
+  );
+}
+
+export default ViewsChart;
@@ -1,17 +1,40 @@
 import React, { useState } from "react";
 import { useForm } from "react-hook-form";
 import axios from "axios";
+import { useParams } from "react-router-dom";
 import { IoArrowBackCircleSharp } from "react-icons/io5";
 import { USER_ENDPOINTS } from "../../../services/apiService";
 
-function AddCertification({ setAddCertificationVisible }) {
+const OPTIONAL_FIELDS = ["issuer", "issueDate", "expiryDate", "credentialId", "verificationUrl"];
+
+// yyyy-mm-dd for date inputs
+const toDateInput = (value) => (value ? value.slice(0, 10) : "");
+
+// Adds a certification, or edits `certification` when one is given
+function AddCertification({ setAddCertificationVisible, certification = null }) {
+  const isEditing = Boolean(certification);
+  const { username } = useParams();
   const [isSubmitting, setIsSubmitting] = useState(false); // Add loading state
+  const [message, setMessage] = useState("");
 
   const {
     register,
     handleSubmit,
+    getValues,
     formState: { errors },
-  } = useForm();
+  } = useForm({
+    defaultValues: certification
+      ? {
+          title: certification.title,
+          description: certification.description,
+          issuer: certification.issuer || "",
+          issueDate: toDateInput(certification.issueDate),
+          expiryDate: toDateInput(certification.expiryDate),
+          credentialId: certification.credentialId || "",
+          verificationUrl: certification.verificationUrl || "",
+        }
+      : {},
+  });
 
   const handlebackButton = () => {
     setAddCertificationVisible(false);
@@ -23,18 +46,35 @@ function AddCertification({ setAddCertificationVisible }) {
     const formData = new FormData();
     formData.append("title", data.title);
     formData.append("description", data.description);
-    formData.append("certificateImg", data.certificateImg[0]);
+    OPTIONAL_FIELDS.forEach((field) => formData.append(field, data[field] || ""));
+    if (data.certificateImg?.[0]) {
+      formData.append("certificateImg", data.certificateImg[0]);
+    }
 
     try {
-      const res = await axios.post(USER_ENDPOINTS.ADD_CERTIFICATION, formData, {
+      setMessage("");
+      const res = await axios({
+        method: isEditing ? "patch" : "post",
+        url: isEditing
+          ? USER_ENDPOINTS.UPDATE_CERTIFICATION.replace(":username", username).replace(
+              ":certificationId",
+              certification._id
+            )
+          : USER_ENDPOINTS.ADD_CERTIFICATION,
+        data: formData,
         headers: {
           "Content-Type": "multipart/form-data",
         },
         withCredentials: true,
       });
-      console.log("Certification added:", res.data);
+      if (isEditing) {
+        setAddCertificationVisible(false);
+      } else {
+        setMessage(res.data.message);
+      }
     } catch (error) {
-      console.error("Error adding certification:", error);
+      console.error("Error saving certification:", error);
+      setMessage(error.response?.data?.message || "Could not save the certification");
     } finally {
       setIsSubmitting(false);
     }
@@ -44,7 +84,7 @@ function AddCertification({ setAddCertificationVisible }) {
     <div className="flex justify-center items-center h-full w-full bg-home-white p-10">
       <div className="w-1/3 p-8 rounded-lg shadow-lg relative">
         <h1 className="text-3xl font-semibold text-text-blue mb-6 text-center">
-          Add Certification
+          {isEditing ? "Edit Certification" : "Add Certification"}
         </h1>
         <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
           <div>
@@ -81,18 +121,90 @@ function AddCertification({ setAddCertificationVisible }) {
             )}
           </div>
 
+          <div className="flex gap-4">
+            <div className="w-1/2">
+              <label className="block text-home-black mb-2" htmlFor="issuer">
+                Issuer
+              </label>
+              <input
+                id="issuer"
+                type="text"
+                {...register("issuer")}
+                className="w-full px-3 py-2 shadow-sm border-2 shadow-text-blue rounded-lg focus:outline-none focus:border-text-blue"
+              />
+            </div>
+            <div className="w-1/2">
+              <label className="block text-home-black mb-2" htmlFor="credentialId">
+                Credential ID
+              </label>
+              <input
+                id="credentialId"
+                type="text"
+                {...register("credentialId")}
+                className="w-full px-3 py-2 shadow-sm border-2 shadow-text-blue rounded-lg focus:outline-none focus:border-text-blue"
+              />
+            </div>
+          </div>
+
+          <div className="flex gap-4">
+            <div className="w-1/2">
+              <label className="block text-home-black mb-2" htmlFor="issueDate">
+                Issue Date
+              </label>
+              <input
+                id="issueDate"
+                type="date"
+                {...register("issueDate")}
+                className="w-full px-3 py-2 shadow-sm border-2 shadow-text-blue rounded-lg focus:outline-none focus:border-text-blue"
+              />
+            </div>
+            <div className="w-1/2">
+              <label className="block text-home-black mb-2" htmlFor="expiryDate">
+                Expiry Date
+              </label>
+              <input
+                id="expiryDate"
+                type="date"
+                {...register("expiryDate", {
+                  validate: (value) =>
+                    !value ||
+                    !getValues("issueDate") ||
+                    value >= getValues("issueDate") ||
+                    "Expiry date cannot be before the issue date",
+                })}
+                className="w-full px-3 py-2 shadow-sm border-2 shadow-text-blue rounded-lg focus:outline-none focus:border-text-blue"
+              />
+              {errors.expiryDate && (
+                <p className="text-red-500 text-sm">{errors.expiryDate.message}</p>
+              )}
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-home-black mb-2" htmlFor="verificationUrl">
+              Verification URL
+            </label>
+            <input
+              id="verificationUrl"
+              type="url"
+              {...register("verificationUrl")}
+              className="w-full px-3 py-2 shadow-sm border-2 shadow-text-blue rounded-lg focus:outline-none focus:border-text-blue"
+            />
+          </div>
+
           <div>
             <label
               className="block text-home-black mb-2"
               htmlFor="certificateImg"
             >
-              Certificate Image
+              {isEditing ? "Replace Certificate (image or PDF)" : "Certificate (image or PDF)"}
             </label>
             <input
               id="certificateImg"
               type="file"
+              accept="image/*,application/pdf"
               {...register("certificateImg", {
-                required: "Certificate image is required",
+                required: isEditing ? false : "Certificate image or PDF is required",
               })}
               className="w-full px-3 py-2 shadow-sm border-2 shadow-text-blue rounded-lg focus:outline-none focus:border-text-blue"
             />
@@ -108,8 +220,9 @@ function AddCertification({ setAddCertificationVisible }) {
             disabled={isSubmitting} // Disable button while submitting
             className="w-full py-2 bg-button-red text-home-white rounded-lg hover:bg-home-white hover:text-button-red hover:border-button-red border-2 transition-colors duration-300 ease-in-out"
           >
-            {isSubmitting ? "Adding..." : "Add Certificate"} {/* Show loading text */}
+            {isSubmitting ? "Saving..." : isEditing ? "Save Changes" : "Add Certificate"}
           </button>
+          {message && <p className="text-sm text-center text-text-blue">{message}</p>}
         </form>
         <button
           className="w-10 h-10 rounded-full border-2 top-2 left-2 absolute text-button-red hover:bg-button-red hover:text-home-white transition-colors duration-300 ease-in-out"
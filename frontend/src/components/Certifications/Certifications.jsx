@@ -1,26 +1,88 @@
 import React, { useState } from "react";
+import ReactPaginate from "react-paginate";
 import AddCertification from "./AddCertification/AddCertification";
 import { USER_ENDPOINTS } from "../../services/apiService";
 import axios from "axios";
-import { MdOutlineDeleteOutline } from "react-icons/md";
+import { MdOutlineDeleteOutline, MdOutlineEdit } from "react-icons/md";
 import ConfirmationPopup from "../Projects/ProjectCards/ConfirmationPopup/ConfirmationPopup";
 import NoCertificationCard from "./NoCertification/NoCertificationCard";
 import useFetchAllData from "../../hooks/useFetchAllData";
-import { useSelector } from "react-redux";
+import { useDispatch, useSelector } from "react-redux";
+import { fetchCertificates } from "../../redux/certificates/certificatesThunks";
+
+const DAY = 24 * 60 * 60 * 1000;
+const EXPIRING_SOON_DAYS = 30;
+
+const SORT_OPTIONS = [
+  { value: "newest", label: "Newest first" },
+  { value: "oldest", label: "Oldest first" },
+  { value: "expiring", label: "Expiring soonest" },
+  { value: "title", label: "Title" },
+];
+
+const STATUS_OPTIONS = [
+  { value: "", label: "All" },
+  { value: "active", label: "Active" },
+  { value: "expired", label: "Expired" },
+];
+
+const formatDate = (value) =>
+  new Date(value).toLocaleDateString(undefined, { year: "numeric", month: "short", day: "numeric" });
+
+const isPdf = (cert) =>
+  cert.certificateMimeType === "application/pdf" || /\.pdf($|\?)/i.test(cert.certificateImg || "");
+
+// Expired, expiring within a month, or still valid; nothing when it never expires
+function ExpiryBadge({ expiryDate }) {
+  if (!expiryDate) return null;
+
+  const daysLeft = (new Date(expiryDate).getTime() - Date.now()) / DAY;
+  const [label, style] =
+    daysLeft < 0
+      ? ["Expired", "bg-red-100 text-red-700"]
+      : daysLeft <= EXPIRING_SOON_DAYS
+      ? ["Expires soon", "bg-yellow-100 text-yellow-700"]
+      : ["Valid", "bg-green-100 text-green-700"];
+
+  return (
+    <span className={`ml-2 px-2 py-0.5 rounded-full text-xs font-medium ${style}`}>
+      {label}
+    </span>
+  );
+}
 
 function Certifications() {
   const [addCertificationVisible, setAddCertificationVisible] = useState(false);
+  const [editingCert, setEditingCert] = useState(null);
   const [selectedCert, setSelectedCert] = useState(null);
   const [isPopupOpen, setIsPopupOpen] = useState(false);
   const [hoveredCert, setHoveredCert] = useState(null);
 
+  const dispatch = useDispatch();
   const { loading, error, isUserAuthenticated, username } = useFetchAllData();
   const certifications = useSelector((state) => state.certificates?.certificates);
+  const pagination = useSelector((state) => state.certificates?.pagination);
+  const query = useSelector((state) => state.certificates?.query);
+
+  const updateQuery = (changes) => {
+    dispatch(fetchCertificates({ username, ...changes }));
+  };
 
   const handleAddCertification = () => {
+    setEditingCert(null);
     setAddCertificationVisible(true);
   };
 
+  const handleEditCertification = (cert) => {
+    setEditingCert(cert);
+    setAddCertificationVisible(true);
+  };
+
+  const closeCertificationForm = (visible) => {
+    setAddCertificationVisible(visible);
+    if (!visible) setEditingCert(null);
+  };
+
   const handleCertClick = (cert) => {
     setSelectedCert(cert);
   };
@@ -51,13 +113,18 @@ function Certifications() {
     return <p className="text-red-500">{error}</p>;
   }
 
-  const displayCert = selectedCert || hoveredCert;
+  // Looked up again so edits pushed by the server show up in the open panel
+  const displayCert =
+    certifications?.find((cert) => cert._id === (selectedCert || hoveredCert)?._id) ||
+    selectedCert ||
+    hoveredCert;
 
-  if (certifications && certifications.length === 0) {
+  // Only an empty profile gets the placeholder, not an empty filter
+  if (certifications && certifications.length === 0 && !query?.status) {
     return (
       <div>
         {addCertificationVisible ? (
-          <AddCertification setAddCertificationVisible={setAddCertificationVisible} />
+          <AddCertification setAddCertificationVisible={closeCertificationForm} />
         ) : (
           <div>
             <NoCertificationCard setAddCertificationVisible={setAddCertificationVisible} isUserAuthenticated={isUserAuthenticated} />
@@ -79,34 +146,130 @@ function Certifications() {
   return (
     <div className="my-8 w-full h-full flex flex-col md:flex-row justify-center items-start">
       {addCertificationVisible ? (
-        <AddCertification setAddCertificationVisible={setAddCertificationVisible} />
+        <AddCertification
+          setAddCertificationVisible={closeCertificationForm}
+          certification={editingCert}
+        />
       ) : (
         <div className={`h-full w-1/2 border-2 border-gray-300 flex flex-col md:flex-row rounded-lg shadow-lg transition-all duration-300`}>
           <div className="w-1/2 flex flex-col gap-6 p-6 bg-gray-100 border-r border-gray-300">
-            <h1 className="text-4xl font-bold text-text-blue mb-4">Certifications</h1>
+            <h1 className="text-4xl font-bold text-text-blue">Certifications</h1>
+            <div className="flex gap-2 mb-2">
+              <select
+                value={query?.sort || "newest"}
+                onChange={(e) => updateQuery({ sort: e.target.value, page: 1 })}
+                className="px-2 py-1 border-2 rounded-lg text-text-blue bg-home-white focus:outline-none focus:border-text-blue"
+              >
+                {SORT_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+              <select
+                value={query?.status || ""}
+                onChange={(e) => updateQuery({ status: e.target.value, page: 1 })}
+                className="px-2 py-1 border-2 rounded-lg text-text-blue bg-home-white focus:outline-none focus:border-text-blue"
+              >
+                {STATUS_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {certifications?.length === 0 && (
+              <p className="text-gray-500">No certifications match this filter.</p>
+            )}
             {certifications && certifications.map((cert) => (
               <button
                 key={cert._id}
-                className={`w-full text-left p-2 text-base bg-gray-100 shadow-gray-100 shadow-md rounded-lg mb-2 font-semibold text-text-blue transition-colors duration-300 ease-in-out ${selectedCert === cert || hoveredCert === cert ? 'bg-gray-200 text-button-red' : ''}`}
+                className={`w-full text-left p-2 text-base bg-gray-100 shadow-gray-100 shadow-md rounded-lg mb-2 font-semibold text-text-blue transition-colors duration-300 ease-in-out ${displayCert?._id === cert._id ? 'bg-gray-200 text-button-red' : ''}`}
                 onClick={() => handleCertClick(cert)}
                 onMouseEnter={() => setHoveredCert(cert)}
                 onMouseLeave={() => setHoveredCert(null)}
               >
                 {cert.title}
+                <ExpiryBadge expiryDate={cert.expiryDate} />
               </button>
             ))}
+            <ReactPaginate
+              breakLabel="..."
+              nextLabel=">"
+              onPageChange={(event) => updateQuery({ page: event.selected + 1 })}
+              pageRangeDisplayed={3}
+              pageCount={pagination?.pages || 0}
+              forcePage={pagination?.page ? pagination.page - 1 : undefined}
+              previousLabel="<"
+              renderOnZeroPageCount={null}
+              containerClassName="flex justify-center gap-2 mt-auto"
+              pageClassName="border-2 w-8 rounded text-center border-black hover:underline"
+              previousClassName="border-2 w-8 rounded text-center border-black hover:underline"
+              nextClassName="border-2 w-8 rounded text-center border-black hover:underline"
+              activeClassName="bg-black text-white"
+            />
           </div>
           <div className="w-full flex flex-col p-6 bg-home-white relative">
             {displayCert ? (
               <div className="flex flex-col">
-                <h2 className="text-3xl font-semibold text-text-blue">{displayCert.title}</h2>
+                <h2 className="text-3xl font-semibold text-text-blue">
+                  {displayCert.title}
+                  <ExpiryBadge expiryDate={displayCert.expiryDate} />
+                </h2>
+                {displayCert.issuer && (
+                  <p className="text-gray-600 mt-1">Issued by {displayCert.issuer}</p>
+                )}
                 <p className="text-gray-700 mt-3 text-lg">{displayCert.description}</p>
-                {displayCert.certificateImg && (
-                  <img
-                    src={displayCert.certificateImg}
-                    alt={displayCert.title}
-                    className="mt-4 max-w-full rounded-lg shadow-md w-full h-full"
-                  />
+                <div className="mt-3 text-sm text-gray-600 flex flex-col gap-1">
+                  {displayCert.issueDate && <span>Issued {formatDate(displayCert.issueDate)}</span>}
+                  {displayCert.expiryDate && (
+                    <span>
+                      {new Date(displayCert.expiryDate) < new Date() ? "Expired" : "Expires"}{" "}
+                      {formatDate(displayCert.expiryDate)}
+                    </span>
+                  )}
+                  {displayCert.credentialId && <span>Credential ID: {displayCert.credentialId}</span>}
+                  {displayCert.verificationUrl && (
+                    <a
+                      href={displayCert.verificationUrl}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-text-blue hover:underline"
+                    >
+                      Verify credential
+                    </a>
+                  )}
+                </div>
+                {displayCert.certificateImg &&
+                  (isPdf(displayCert) ? (
+                    <object
+                      data={displayCert.certificateImg}
+                      type="application/pdf"
+                      className="mt-4 w-full h-[32rem] rounded-lg shadow-md"
+                    >
+                      <a
+                        href={displayCert.certificateImg}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="text-text-blue hover:underline"
+                      >
+                        Open certificate (PDF)
+                      </a>
+                    </object>
+                  ) : (
+                    <img
+                      src={displayCert.certificateImg}
+                      alt={displayCert.title}
+                      className="mt-4 max-w-full rounded-lg shadow-md w-full h-full"
+                    />
+                  ))}
+                {isUserAuthenticated && (
+                  <button
+                    className="rounded text-black text-start text-3xl bg-home-white hover:border-text-blue border-2 px-3 py-1 absolute right-20 bottom-4 transition-colors duration-300 ease-in-out"
+                    onClick={() => handleEditCertification(displayCert)}
+                  >
+                    <MdOutlineEdit />
+                  </button>
                 )}
                 {isUserAuthenticated && (
                   <button
@@ -0,0 +1,207 @@
+import React, { useCallback, useEffect, useState } from "react";
+import axios from "axios";
+import TimeAgo from "javascript-time-ago";
+import en from "javascript-time-ago/locale/en";
+import { Link } from "react-router-dom";
+import { EXPLORE_ENDPOINTS } from "../../services/apiService";
+import projectPath from "../../utils/projectPath";
+
+TimeAgo.addLocale(en);
+const timeAgo = new TimeAgo("en-US");
+
+const LISTINGS = [
+  { key: "trending", label: "Trending", endpoint: EXPLORE_ENDPOINTS.FETCH_TRENDING },
+  { key: "newest", label: "Newest", endpoint: EXPLORE_ENDPOINTS.FETCH_NEWEST },
+];
+
+function ExploreCard({ project }) {
+  const owner = project.owners[0];
+  const title = owner ? (
+    <Link
+      to={projectPath(owner.username, project)}
+      className="text-xl font-bold hover:underline"
+    >
+      {project.name}
+    </Link>
+  ) : (
+    <h2 className="text-xl font-bold">{project.name}</h2>
+  );
+
+  return (
+    <div className="flex flex-col border-2 rounded-lg overflow-hidden bg-white shadow-sm">
+      {project.thumbnail ? (
+        <img className="h-40 w-full object-cover" src={project.thumbnail} alt="" />
+      ) : (
+        <div className="h-40 w-full bg-gray-200" />
+      )}
+      <div className="flex flex-col gap-2 p-4">
+        {title}
+        <p className="text-sm text-gray-600">
+          by {project.owners.map((o) => o.fullname || o.username).join(", ")} ·{" "}
+          {timeAgo.format(new Date(project.createdAt))}
+        </p>
+        {project.description && (
+          <p className="text-sm line-clamp-2">{project.description}</p>
+        )}
+        <div className="flex flex-wrap gap-1">
+          {project.domain && (
+            <span className="text-xs text-white bg-text-blue px-2 py-0.5 rounded">
+              {project.domain}
+            </span>
+          )}
+          {project.techStack.map((tech) => (
+            <span key={tech} className="text-xs border px-2 py-0.5 rounded">
+              {tech}
+            </span>
+          ))}
+        </div>
+        <p className="text-xs text-gray-500 flex gap-3">
+          {project.stars > 0 && <span>{project.stars} GitHub stars</span>}
+          {project.ratingCount > 0 && (
+            <span>★ {project.ratingAverage.toFixed(1)} ({project.ratingCount})</span>
+          )}
+          {project.recentWatchCount > 0 && (
+            <span>{project.recentWatchCount} new watchers this month</span>
+          )}
+        </p>
+      </div>
+    </div>
+  );
+}
+
+function CollectionChips({ title, collections, selected, onSelect }) {
+  if (!collections?.length) {
+    return null;
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <span className="text-sm font-semibold text-gray-600 w-24">{title}</span>
+      {collections.map((collection) => (
+        <button
+          key={collection.value}
+          className={`text-sm border-2 rounded-full px-3 py-0.5 ${
+            selected === collection.value
+              ? "bg-text-blue text-white border-text-blue"
+              : "hover:border-text-blue"
+          }`}
+          onClick={() => onSelect(selected === collection.value ? null : collection.value)}
+        >
+          {collection.value} ({collection.count})
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// Public listing of trending and newest projects, optionally narrowed to one
+// domain or tech stack collection
+function Explore() {
+  const [listing, setListing] = useState(LISTINGS[0]);
+  const [collection, setCollection] = useState(null); // { field, value }
+  const [collections, setCollections] = useState(null);
+  const [projects, setProjects] = useState([]);
+  const [nextPage, setNextPage] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    axios
+      .get(EXPLORE_ENDPOINTS.FETCH_COLLECTIONS)
+      .then((response) => setCollections(response.data.data))
+      .catch((error) => console.error("Error fetching collections:", error));
+  }, []);
+
+  const loadProjects = useCallback(
+    async (page) => {
+      try {
+        setError(null);
+        const response = await axios.get(listing.endpoint, {
+          params: { page, ...(collection && { [collection.field]: collection.value }) },
+        });
+        const { docs, nextPage } = response.data.data;
+        setProjects((current) => (page === 1 ? docs : [...current, ...docs]));
+        setNextPage(nextPage);
+      } catch (error) {
+        console.error("Error fetching projects:", error);
+        setError(error.response?.data?.message || "Could not load projects");
+      } finally {
+        setLoading(false);
+      }
+    },
+    [listing, collection]
+  );
+
+  useEffect(() => {
+    setLoading(true);
+    loadProjects(1);
+  }, [loadProjects]);
+
+  const selectCollection = (field) => (value) =>
+    setCollection(value ? { field, value } : null);
+
+  return (
+    <div className="h-full w-full bg-home-white flex flex-col items-center text-black p-5">
+      <div className="w-4/5 flex flex-col gap-5">
+        <div className="flex items-end justify-between">
+          <h1 className="text-4xl font-bold text-text-blue">Explore</h1>
+          <div className="flex gap-2">
+            {LISTINGS.map((item) => (
+              <button
+                key={item.key}
+                className={`px-4 py-1 rounded-lg border-2 ${
+                  listing.key === item.key
+                    ? "bg-button-red text-home-white border-button-red"
+                    : "hover:border-button-red"
+                }`}
+                onClick={() => setListing(item)}
+              >
+                {item.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {collections && (
+          <div className="flex flex-col gap-2">
+            <CollectionChips
+              title="Domains"
+              collections={collections.domains}
+              selected={collection?.field === "domain" ? collection.value : null}
+              onSelect={selectCollection("domain")}
+            />
+            <CollectionChips
+              title="Tech stack"
+              collections={collections.techStacks}
+              selected={collection?.field === "techStack" ? collection.value : null}
+              onSelect={selectCollection("techStack")}
+            />
+          </div>
+        )}
+
+        {error && <p className="text-button-red">{error}</p>}
+        {loading ? (
+          <p>Loading...</p>
+        ) : (
+          !error &&
+          projects.length === 0 && <p className="text-gray-600">No projects to show yet.</p>
+        )}
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-5">
+          {projects.map((project) => (
+            <ExploreCard key={project._id} project={project} />
+          ))}
+        </div>
+        {nextPage && (
+          <button
+            className="text-text-blue hover:underline"
+            onClick={() => loadProjects(nextPage)}
+          >
+            Load more
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Explore;
@@ -0,0 +1,154 @@
+import React, { useCallback, useEffect, useState } from "react";
+import axios from "axios";
+import TimeAgo from "javascript-time-ago";
+import en from "javascript-time-ago/locale/en";
+import { Link } from "react-router-dom";
+import { useSelector } from "react-redux";
+import { USER_ENDPOINTS } from "../../services/apiService";
+import projectPath from "../../utils/projectPath";
+
+TimeAgo.addLocale(en);
+const timeAgo = new TimeAgo("en-US");
+
+// What an entry says happened, with a link to it where there is one
+function describeActivity({ type, actor, project, video, certification }) {
+  const base = `/user/${actor.username}`;
+
+  switch (type) {
+    case "projectAdded":
+      return project && {
+        text: `added a new project, ${project.name}`,
+        to: projectPath(actor.username, project),
+        image: project.thumbnail,
+      };
+    case "videoAdded":
+      return video && {
+        text: project
+          ? `uploaded "${video.title}" to ${project.name}`
+          : `uploaded a video, "${video.title}"`,
+        to: project ? projectPath(actor.username, project) : null,
+        image: video.thumbnail,
+      };
+    case "certificationAdded":
+      return certification && {
+        text: `earned a certification, ${certification.title}`,
+        to: `${base}/certifications`,
+        image: certification.certificateImg,
+      };
+    case "resumeUpdated":
+      return { text: "updated their resume", to: `${base}/home` };
+    default:
+      return null;
+  }
+}
+
+function FeedItem({ activity }) {
+  const { actor } = activity;
+  const description = actor && describeActivity(activity);
+
+  if (!description) {
+    return null;
+  }
+
+  return (
+    <div className="flex gap-4 items-center border-b-2 py-4">
+      {actor.profilePic && (
+        <img
+          src={actor.profilePic}
+          alt={actor.username}
+          className="w-12 h-12 rounded-full object-cover"
+        />
+      )}
+      <div className="flex-1">
+        <p>
+          <Link to={`/user/${actor.username}/home`} className="font-semibold hover:underline">
+            {actor.fullname || actor.username}
+          </Link>{" "}
+          {description.to ? (
+            <Link to={description.to} className="hover:underline">
+              {description.text}
+            </Link>
+          ) : (
+            description.text
+          )}
+        </p>
+        <p className="text-xs text-gray-600">
+          {timeAgo.format(new Date(activity.createdAt))}
+        </p>
+      </div>
+      {description.image && (
+        <img src={description.image} alt="" className="w-24 h-16 rounded object-cover" />
+      )}
+    </div>
+  );
+}
+
+function Feed() {
+  const authUser = useSelector((state) => state.auth?.user);
+  const [activities, setActivities] = useState([]);
+  const [nextPage, setNextPage] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadFeed = useCallback(async (page) => {
+    try {
+      setError(null);
+      const response = await axios.get(USER_ENDPOINTS.FETCH_FEED, {
+        params: { page },
+        withCredentials: true,
+      });
+      const { docs, nextPage } = response.data.data;
+      setActivities((current) => (page === 1 ? docs : [...current, ...docs]));
+      setNextPage(nextPage);
+    } catch (error) {
+      console.error("Error fetching feed:", error);
+      setError(error.response?.data?.message || "Could not load your feed");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (authUser) {
+      loadFeed(1);
+    } else {
+      setLoading(false);
+    }
+  }, [authUser, loadFeed]);
+
+  if (loading) {
+    return <p>Loading...</p>;
+  }
+
+  if (!authUser) {
+    return <p className="p-5">Log in to see what the developers you follow are up to.</p>;
+  }
+
+  return (
+    <div className="h-full w-full bg-home-white flex flex-col items-center text-black p-5">
+      <div className="w-3/5 flex flex-col">
+        <h1 className="text-4xl font-bold text-text-blue mb-5">Feed</h1>
+        {error && <p className="text-button-red">{error}</p>}
+        {!error && activities.length === 0 && (
+          <p className="text-gray-600">
+            Nothing here yet. Follow other developers from their profile to see their
+            new projects, videos and certifications.
+          </p>
+        )}
+        {activities.map((activity) => (
+          <FeedItem key={activity._id} activity={activity} />
+        ))}
+        {nextPage && (
+          <button
+            className="mt-5 text-text-blue hover:underline"
+            onClick={() => loadFeed(nextPage)}
+          >
+            Load more
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Feed;
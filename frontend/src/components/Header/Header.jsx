@@ -6,6 +6,7 @@ import axios from "axios";
 import { useNavigate } from "react-router-dom";
 import { useParams } from "react-router-dom";
 import SearchButton from "./SearchButton/SearchButton";
+import NotificationBell from "./NotificationBell/NotificationBell";
 import { useDispatch } from "react-redux";
 import { logout } from "../../redux/auth/authThunks";
 
@@ -13,9 +14,10 @@ function Header() {
   const navigate = useNavigate();
   const dispatch = useDispatch()
   const { username } = useParams();
-  const pathUsername = username;
   const [authUsername, setAuthUsername] = useState("");
   const [loading, setLoading] = useState(true);
+  // Pages outside a profile, such as explore, link to the signed-in user's
+  const pathUsername = username || authUsername;
 
   useEffect(() => {
     const fetchUsername = async () => {
@@ -60,54 +62,116 @@ function Header() {
         <ul className="flex justify-end items-center text-black font-sans font-medium gap-5 text-lg">
           <li>
             <NavLink
-              to={`/user/${pathUsername}/home`}
+              to="/explore"
               className={({ isActive }) =>
                 (isActive ? "text-button-red " : " ") + "hover:underline"
               }
             >
-              Home
-            </NavLink>
-          </li>
-          <li>
-            <NavLink
-              to={`/user/${pathUsername}/projects`}
-              className={({ isActive }) =>
-                (isActive ? "text-button-red " : " ") + "hover:underline"
-              }
-            >
-              Projects
-            </NavLink>
-          </li>
-          <li>
-            <NavLink
-              to={`/user/${pathUsername}/contact`}
-              className={({ isActive }) =>
-                (isActive ? "text-button-red " : " ") + "hover:underline"
-              }
-            >
-              Contact
-            </NavLink>
-          </li>
-          <li>
-            <NavLink
-              to={`/user/${pathUsername}/certifications`}
-              className={({ isActive }) =>
-                (isActive ? "text-button-red " : " ") + "hover:underline"
-              }
-            >
-              Certifications
-            </NavLink>
-          </li>
-          <li>
-            <NavLink
-              to={`/user/${pathUsername}/about-us`}
-              className={({ isActive }) =>
-                (isActive ? "text-button-red " : " ") + "hover:underline"
-              }
-            >
-              About Us
+              Explore
             </NavLink>
           </li>
+          {pathUsername && (
+            <>
+            <li>
+              <NavLink
+                to={`/user/${pathUsername}/home`}
+                className={({ isActive }) =>
+                  (isActive ? "text-button-red " : " ") + "hover:underline"
+                }
+              >
+                Home
+              </NavLink>
+            </li>
+            <li>
+              <NavLink
+                to={`/user/${pathUsername}/projects`}
+                className={({ isActive }) =>
+                  (isActive ? "text-button-red " : " ") + "hover:underline"
+                }
+              >
+                Projects
+              </NavLink>
+            </li>
+            <li>
+              <NavLink
+                to={`/user/${pathUsername}/contact`}
+                className={({ isActive }) =>
+                  (isActive ? "text-button-red " : " ") + "hover:underline"
+                }
+              >
+                Contact
+              </NavLink>
+            </li>
+            <li>
+              <NavLink
+                to={`/user/${pathUsername}/certifications`}
+                className={({ isActive }) =>
+                  (isActive ? "text-button-red " : " ") + "hover:underline"
+                }
+              >
+                Certifications
+              </NavLink>
+            </li>
+            <li>
+              <NavLink
+                to={`/user/${pathUsername}/about-us`}
+                className={({ isActive }) =>
+                  (isActive ? "text-button-red " : " ") + "hover:underline"
+                }
+              >
+                About Us
+              </NavLink>
+            </li>
+            </>
+          )}
+          {isUserProfile && (
+            <li>
+              <NavLink
+                to={`/user/${pathUsername}/analytics`}
+                className={({ isActive }) =>
+                  (isActive ? "text-button-red " : " ") + "hover:underline"
+                }
+              >
+                Analytics
+              </NavLink>
+            </li>
+          )}
+          {isUserProfile && (
+            <li>
+              <NavLink
+                to={`/user/${pathUsername}/watching`}
+                className={({ isActive }) =>
+                  (isActive ? "text-button-red " : " ") + "hover:underline"
+                }
+              >
+                Watching
+              </NavLink>
+            </li>
+          )}
+          {isUserProfile && (
+            <li>
+              <NavLink
+                to={`/user/${pathUsername}/feed`}
+                className={({ isActive }) =>
+                  (isActive ? "text-button-red " : " ") + "hover:underline"
+                }
+              >
+                Feed
+              </NavLink>
+            </li>
+          )}
+          {isUserProfile && (
+            <li>
+              <NavLink
+                to={`/user/${pathUsername}/invitations`}
+                className={({ isActive }) =>
+                  (isActive ? "text-button-red " : " ") + "hover:underline"
+                }
+              >
+                Invitations
+              </NavLink>
+            </li>
+          )}
         </ul>
       </div>
       <div className="w-1/3 flex justify-center items-center gap-8">
@@ -134,6 +198,8 @@ function Header() {
             <div className="flex gap-10">
               <SearchButton/>
 
+              <NotificationBell authUsername={authUsername} />
+
               <button
                 className="text-black font-sans font-medium gap-5 text-lg hover:underline"
                 onClick={clickLogout}
@@ -144,6 +210,8 @@ function Header() {
           </>
         ) : (
           <>
+            <NotificationBell authUsername={authUsername} />
+
             <button
               className="text-black font-sans font-medium gap-5 text-lg hover:underline"
               onClick={() => navigate(`/user/${authUsername}/home`)}
@@ -0,0 +1,182 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import axios from "axios";
+import TimeAgo from "javascript-time-ago";
+import en from "javascript-time-ago/locale/en";
+import { FaBell } from "react-icons/fa";
+import { useNavigate } from "react-router-dom";
+import { NOTIFICATION_ENDPOINTS } from "../../../services/apiService";
+import useRealtime from "../../../hooks/useRealtime";
+
+TimeAgo.addLocale(en);
+const timeAgo = new TimeAgo("en-US");
+
+// New notifications are pushed live; polling only catches what a dropped
+// connection missed
+const POLL_INTERVAL_MS = 300000;
+
+const NotificationBell = ({ authUsername }) => {
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [nextPage, setNextPage] = useState(null);
+  const [showDropdown, setShowDropdown] = useState(false);
+  const navigate = useNavigate();
+  const ref = useRef(null);
+
+  const loadNotifications = useCallback(async (page) => {
+    try {
+      const response = await axios.get(NOTIFICATION_ENDPOINTS.FETCH_NOTIFICATIONS, {
+        params: { page, limit: 10 },
+        withCredentials: true,
+      });
+      const { docs, nextPage, unreadCount } = response.data.data;
+      setNotifications((current) => (page === 1 ? docs : [...current, ...docs]));
+      setNextPage(nextPage);
+      setUnreadCount(unreadCount);
+    } catch (err) {
+      console.error("Error fetching notifications:", err);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadNotifications(1);
+    const interval = setInterval(() => loadNotifications(1), POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [loadNotifications]);
+
+  useRealtime("me", ({ type, payload }) => {
+    if (type !== "notification") return;
+
+    setNotifications((current) =>
+      current.some((n) => n._id === payload._id) ? current : [payload, ...current]
+    );
+    setUnreadCount((count) => count + 1);
+  });
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (ref.current && !ref.current.contains(event.target)) {
+        setShowDropdown(false);
+      }
+    };
+
+    document.addEventListener("mousedown", handleClickOutside);
+
+    return () => {
+      document.removeEventListener("mousedown", handleClickOutside);
+    };
+  }, []);
+
+  const handleClickNotification = async (notification) => {
+    if (!notification.isRead) {
+      try {
+        await axios.patch(
+          NOTIFICATION_ENDPOINTS.MARK_NOTIFICATION_READ.replace(
+            ":notificationId",
+            notification._id
+          ),
+          {},
+          { withCredentials: true }
+        );
+        setNotifications((current) =>
+          current.map((n) => (n._id === notification._id ? { ...n, isRead: true } : n))
+        );
+        setUnreadCount((count) => Math.max(count - 1, 0));
+      } catch (err) {
+        console.error("Error marking notification read:", err);
+      }
+    }
+
+    if (notification.link) {
+      setShowDropdown(false);
+      navigate(notification.link);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await axios.post(NOTIFICATION_ENDPOINTS.MARK_ALL_NOTIFICATIONS_READ, {}, {
+        withCredentials: true,
+      });
+      setNotifications((current) => current.map((n) => ({ ...n, isRead: true })));
+      setUnreadCount(0);
+    } catch (err) {
+      console.error("Error marking notifications read:", err);
+    }
+  };
+
+  return (
+    <div className="relative flex items-center" ref={ref}>
+      <button
+        className="relative text-2xl text-black hover:text-button-red"
+        onClick={() => setShowDropdown((show) => !show)}
+        title="Notifications"
+      >
+        <FaBell />
+        {unreadCount > 0 && (
+          <span className="absolute -top-2 -right-2 bg-button-red text-white text-xs rounded-full min-w-5 h-5 px-1 flex items-center justify-center">
+            {unreadCount > 99 ? "99+" : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {showDropdown && (
+        <div className="absolute right-0 top-full mt-2 w-96 max-h-96 overflow-y-auto rounded-md border border-gray-300 bg-white text-black z-30 shadow-lg">
+          <div className="flex justify-between items-center p-3 border-b">
+            <span className="font-semibold">Notifications</span>
+            <div className="flex gap-3 text-sm">
+              {unreadCount > 0 && (
+                <button className="hover:underline" onClick={handleMarkAllRead}>
+                  Mark all as read
+                </button>
+              )}
+              <button
+                className="hover:underline"
+                onClick={() => {
+                  setShowDropdown(false);
+                  navigate(`/user/${authUsername}/settings`);
+                }}
+              >
+                Settings
+              </button>
+            </div>
+          </div>
+
+          {notifications.length === 0 && (
+            <p className="p-3 text-sm text-gray-600">You have no notifications.</p>
+          )}
+
+          <ul>
+            {notifications.map((notification) => (
+              <li key={notification._id}>
+                <button
+                  className={`w-full text-left p-3 border-b hover:bg-gray-100 ${
+                    notification.isRead ? "" : "bg-home-white"
+                  }`}
+                  onClick={() => handleClickNotification(notification)}
+                >
+                  <p className={`text-sm ${notification.isRead ? "" : "font-semibold"}`}>
+                    {notification.text}
+                  </p>
+                  <p className="text-xs text-gray-600">
+                    {timeAgo.format(new Date(notification.createdAt))}
+                  </p>
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          {nextPage && (
+            <button
+              className="w-full p-2 text-sm text-text-blue hover:underline"
+              onClick={() => loadNotifications(nextPage)}
+            >
+              Load more
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
@@ -1,21 +1,67 @@
-import React, { useRef, useEffect, useState } from "react";
+import React, { useRef, useEffect, useState, useCallback } from "react";
 import axios from "axios";
-import { USER_ENDPOINTS } from "../../../services/apiService";
+import { SEARCH_ENDPOINTS } from "../../../services/apiService";
 import { FaSearch } from "react-icons/fa";
 import { useNavigate } from "react-router-dom";
+import projectPath from "../../../utils/projectPath";
+
+const TABS = [
+  { type: "projects", label: "Projects" },
+  { type: "users", label: "Users" },
+  { type: "certifications", label: "Certifications" },
+];
+
+const EMPTY_FILTERS = { techStack: [], domain: "", minRating: "", from: "" };
+
+// Renders the segments the server marked as matching the search
+const Highlight = ({ segments, fallback }) =>
+  segments ? (
+    <>
+      {segments.map((segment, index) =>
+        segment.match ? (
+          <mark key={index} className="bg-yellow-200 rounded-sm">
+            {segment.text}
+          </mark>
+        ) : (
+          <span key={index}>{segment.text}</span>
+        )
+      )}
+    </>
+  ) : (
+    fallback || null
+  );
+
+const resultPath = (type, result) => {
+  if (type === "users") return `/user/${result.username}/home`;
+  if (!result.username) return null;
+  if (type === "projects") return projectPath(result.username, result);
+  return `/user/${result.username}/certifications`;
+};
 
 const SearchButton = () => {
   const [query, setQuery] = useState("");
+  const [type, setType] = useState("projects");
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
   const [results, setResults] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, hasNextPage: false });
+  const [counts, setCounts] = useState({});
+  const [facets, setFacets] = useState({});
   const [loading, setLoading] = useState(false);
   const [showDropdown, setShowDropdown] = useState(false);
   const [error, setError] = useState(null);
   const navigate = useNavigate();
   const ref = useRef(null);
+  const searchRequest = useRef(null);
+
+  const hasFilters =
+    filters.techStack.length > 0 || filters.domain || filters.minRating || filters.from;
 
-  const handleClickUser = (username) => {
-    navigate(`/user/${username}/home`);
-    setShowDropdown(false); // Hide dropdown when user is selected
+  const handleClickResult = (result) => {
+    const path = resultPath(type, result);
+    if (path) {
+      navigate(path);
+      setShowDropdown(false); // Hide dropdown when a result is selected
+    }
   };
 
   useEffect(() => {
@@ -32,10 +78,20 @@ const SearchButton = () => {
     };
   }, []);
 
-  const handleSearch = async (searchQuery) => {
-    if (!searchQuery) {
+  const handleSearch = useCallback(async (page = 1) => {
+    // Only the latest search may fill the dropdown, an older one still on its
+    // way would show results for text the input no longer holds
+    searchRequest.current?.abort();
+    const request = new AbortController();
+    searchRequest.current = request;
+
+    const { techStack, domain, minRating, from } = filters;
+    if (!query.trim() && !techStack.length && !domain && !minRating && !from) {
       setResults([]);
+      setCounts({});
+      setFacets({});
       setShowDropdown(false);
+      setLoading(false);
       return;
     }
 
@@ -43,24 +99,110 @@ const SearchButton = () => {
     setError(null);
 
     try {
-      const response = await axios.get(USER_ENDPOINTS.SEARCH, {
-        params: { username: searchQuery },
+      const response = await axios.get(SEARCH_ENDPOINTS.SEARCH, {
+        signal: request.signal,
+        params: {
+          q: query.trim(),
+          type,
+          page,
+          techStack: techStack.join(",") || undefined,
+          domain: domain || undefined,
+          minRating: minRating || undefined,
+          from: from || undefined,
+        },
       });
-      setResults(response.data.data);
-      setShowDropdown(response.data.data.length > 0); 
+      const { results: found, facets: foundFacets, counts: foundCounts } = response.data.data;
+      setResults((previous) => (page === 1 ? found.docs : [...previous, ...found.docs]));
+      setPagination({ page: found.page, hasNextPage: found.hasNextPage });
+      setFacets(foundFacets);
+      setCounts(foundCounts);
+      setShowDropdown(true);
     } catch (err) {
-      setError("Error fetching search results.");
+      if (axios.isCancel(err)) return;
+      setError(err.response?.data?.message || "Error fetching search results.");
     } finally {
-      setLoading(false);
+      if (searchRequest.current === request) setLoading(false);
     }
-  };
+  }, [query, type, filters]);
+
+  // Searches again shortly after the user stops typing or changes a filter
+  useEffect(() => {
+    const timeout = setTimeout(() => handleSearch(1), 300);
+    return () => clearTimeout(timeout);
+  }, [handleSearch]);
+
+  useEffect(() => () => searchRequest.current?.abort(), []);
 
   const handleChange = (e) => {
-    const newQuery = e.target.value;
-    setQuery(newQuery);
-    handleSearch(newQuery);
+    setQuery(e.target.value);
+  };
+
+  const updateFilter = (name, value) => {
+    setFilters((previous) => ({ ...previous, [name]: value }));
   };
 
+  const toggleTechStack = (value) => {
+    updateFilter(
+      "techStack",
+      filters.techStack.includes(value)
+        ? filters.techStack.filter((item) => item !== value)
+        : [...filters.techStack, value]
+    );
+  };
+
+  const renderResult = (result) => {
+    const { highlights = {} } = result;
+
+    if (type === "users") {
+      return (
+        <>
+          <span className="font-medium">
+            <Highlight segments={highlights.username} fallback={result.username} />
+          </span>
+          <span className="text-sm text-gray-500">
+            <Highlight segments={highlights.fullname} fallback={result.fullname} />
+            {result.position && " · "}
+            <Highlight segments={highlights.position} fallback={result.position} />
+          </span>
+        </>
+      );
+    }
+
+    if (type === "certifications") {
+      return (
+        <>
+          <span className="font-medium">
+            <Highlight segments={highlights.title} fallback={result.title} />
+          </span>
+          <span className="text-sm text-gray-500">
+            <Highlight segments={highlights.issuer} fallback={result.issuer} />
+            {result.username && ` · ${result.username}`}
+          </span>
+        </>
+      );
+    }
+
+    return (
+      <>
+        <span className="font-medium">
+          <Highlight segments={highlights.name} fallback={result.name} />
+          {result.ratingCount > 0 && (
+            <span className="ml-2 text-sm text-gray-500">★ {result.ratingAverage.toFixed(1)}</span>
+          )}
+        </span>
+        <span className="text-sm text-gray-500">
+          <Highlight
+            segments={highlights.description || highlights.techStack}
+            fallback={result.techStack?.join(", ")}
+          />
+        </span>
+      </>
+    );
+  };
+
+  const techStackFacet = facets.techStack || [];
+  const domainFacet = facets.domain || [];
+
   return (
     <div className="flex w-56 relative" ref={ref}>
       <div className="w-10/12 gap-0">
@@ -68,29 +210,131 @@ const SearchButton = () => {
           type="text"
           value={query}
           onChange={handleChange}
-          placeholder="Search username"
+          onFocus={() => results.length > 0 && setShowDropdown(true)}
+          placeholder="Search projects, people…"
           className="border-2 p-2 rounded-md rounded-r-none w-full focus:outline-none focus:bg-slate-100"
         />
-        {(error || loading) && <div></div>}
-        {results.length > 0 && showDropdown && (
-          <ul className="absolute rounded-md top-full left-0 w-full border border-gray-300 bg-white z-10">
-            {results.map((user) => (
-              <li key={user._id}>
+        {showDropdown && (
+          <div className="absolute rounded-md top-full right-0 w-[28rem] border border-gray-300 bg-white z-10 shadow-lg">
+            <div className="flex border-b border-gray-200">
+              {TABS.map((tab) => (
                 <button
-                  className="p-2 hover:bg-gray-100 w-full cursor-pointer h-8 flex justify-start items-center"
-                  onClick={() => handleClickUser(user.username)}
+                  key={tab.type}
+                  className={`flex-1 p-2 text-sm font-medium ${
+                    type === tab.type ? "text-button-red border-b-2 border-button-red" : "text-gray-600"
+                  }`}
+                  onClick={() => setType(tab.type)}
+                >
+                  {tab.label}
+                  {counts[tab.type] !== undefined && ` (${counts[tab.type]})`}
+                </button>
+              ))}
+            </div>
+
+            <div className="flex flex-wrap gap-2 p-2 border-b border-gray-200 text-sm">
+              {type !== "certifications" && (
+                <select
+                  value={filters.domain}
+                  onChange={(e) => updateFilter("domain", e.target.value)}
+                  className="border rounded p-1"
+                >
+                  <option value="">Any domain</option>
+                  {filters.domain && !domainFacet.some((facet) => facet.value === filters.domain) && (
+                    <option value={filters.domain}>{filters.domain}</option>
+                  )}
+                  {domainFacet.map((facet) => (
+                    <option key={facet.value} value={facet.value}>
+                      {facet.value} ({facet.count})
+                    </option>
+                  ))}
+                </select>
+              )}
+              {type === "projects" && (
+                <select
+                  value={filters.minRating}
+                  onChange={(e) => updateFilter("minRating", e.target.value)}
+                  className="border rounded p-1"
                 >
-                  {user.username}
+                  <option value="">Any rating</option>
+                  {(facets.rating || []).map((facet) => (
+                    <option key={facet.value} value={facet.value}>
+                      {facet.value}+ stars ({facet.count})
+                    </option>
+                  ))}
+                </select>
+              )}
+              <label className="flex items-center gap-1 text-gray-600">
+                {type === "certifications" ? "Issued since" : "Since"}
+                <input
+                  type="date"
+                  value={filters.from}
+                  onChange={(e) => updateFilter("from", e.target.value)}
+                  className="border rounded p-1"
+                />
+              </label>
+              {hasFilters && (
+                <button className="text-text-blue hover:underline" onClick={() => setFilters(EMPTY_FILTERS)}>
+                  Clear filters
                 </button>
-              </li>
-            ))}
-          </ul>
+              )}
+            </div>
+
+            {type !== "certifications" && (techStackFacet.length > 0 || filters.techStack.length > 0) && (
+              <div className="flex flex-wrap gap-1 p-2 border-b border-gray-200">
+                {[
+                  ...filters.techStack.filter((value) => !techStackFacet.some((facet) => facet.value === value)),
+                  ...techStackFacet.map((facet) => facet.value),
+                ].map((value) => {
+                  const facet = techStackFacet.find((item) => item.value === value);
+                  const selected = filters.techStack.includes(value);
+                  return (
+                    <button
+                      key={value}
+                      className={`px-2 py-0.5 rounded-full text-xs border ${
+                        selected ? "bg-text-blue text-home-white border-text-blue" : "text-gray-700"
+                      }`}
+                      onClick={() => toggleTechStack(value)}
+                    >
+                      {value}
+                      {facet && ` ${facet.count}`}
+                    </button>
+                  );
+                })}
+              </div>
+            )}
+
+            {error && <p className="p-2 text-sm text-red-500">{error}</p>}
+            {!error && !loading && results.length === 0 && (
+              <p className="p-2 text-sm text-gray-500">No results</p>
+            )}
+            <ul className="max-h-80 overflow-y-auto">
+              {results.map((result) => (
+                <li key={result._id}>
+                  <button
+                    className="p-2 hover:bg-gray-100 w-full cursor-pointer flex flex-col items-start text-left"
+                    onClick={() => handleClickResult(result)}
+                  >
+                    {renderResult(result)}
+                  </button>
+                </li>
+              ))}
+            </ul>
+            {pagination.hasNextPage && (
+              <button
+                className="w-full p-2 text-sm text-text-blue hover:underline border-t border-gray-200"
+                onClick={() => handleSearch(pagination.page + 1)}
+                disabled={loading}
+              >
+                {loading ? "Loading..." : "Show more"}
+              </button>
+            )}
+          </div>
         )}
       </div>
 
       <button
         className="w-2/12 flex items-center justify-center text-2xl border-2 hover:bg-slate-100 rounded-md rounded-l-none"
-        onClick={() => handleSearch(query)}
+        onClick={() => handleSearch(1)}
       >
         <FaSearch />
       </button>
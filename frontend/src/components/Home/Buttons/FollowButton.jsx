@@ -0,0 +1,44 @@
+import React, { useState } from "react";
+import axios from "axios";
+import { USER_ENDPOINTS } from "../../../services/apiService";
+
+const FollowButton = ({ userData, handleFollowChanged }) => {
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleClick = async () => {
+    const endpoint = userData.isFollowing
+      ? USER_ENDPOINTS.UNFOLLOW_USER
+      : USER_ENDPOINTS.FOLLOW_USER;
+    const url = endpoint.replace(":username", userData.username);
+
+    try {
+      setSaving(true);
+      setError(null);
+      const response = userData.isFollowing
+        ? await axios.delete(url, { withCredentials: true })
+        : await axios.put(url, {}, { withCredentials: true });
+      handleFollowChanged(response.data.data);
+    } catch (err) {
+      console.error("Error updating follow:", err);
+      setError(err.response?.data?.message || "Could not update follow");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div>
+      <button
+        className="bg-button-red text-white flex px-3 py-1 rounded-sm border-2 hover:bg-home-white hover:text-button-red hover:border-button-red transition-colors duration-300 ease-in-out disabled:opacity-50"
+        onClick={handleClick}
+        disabled={saving}
+      >
+        {userData.isFollowing ? "Unfollow" : "Follow"}
+      </button>
+      {error && <p className="text-sm text-button-red">{error}</p>}
+    </div>
+  );
+};
+
+export default FollowButton;
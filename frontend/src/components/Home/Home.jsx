@@ -1,7 +1,9 @@
 import React, {useEffect} from "react";
 import { FaDownload } from "react-icons/fa";
 import AddResumeButton from "./Buttons/AddResumeButton";
+import FollowButton from "./Buttons/FollowButton";
 import { fetchProfileData } from "../../redux/profile/profileThunks";
+import { profileUpdated } from "../../redux/profile/profileSlice";
 import { useDispatch, useSelector } from "react-redux";
 import useFetchAllData from "../../hooks/useFetchAllData";
 
@@ -24,6 +26,7 @@ function Home() {
 
   const githubData = useSelector((state) => state.github?.githubData);
   const userData = useSelector((state) => state.profile?.profile);
+  const authUser = useSelector((state) => state.auth?.user);
 
   const { loading, githubLoading, error, isUserAuthenticated, username} = useFetchAllData()
 
@@ -36,6 +39,10 @@ function Home() {
     }
   };
 
+  const handleFollowChanged = (followStats) => {
+    dispatch(profileUpdated(followStats));
+  };
+
   // Handling show resume
   const handleShowResume = () => {
     if (userData && userData.resume) {
@@ -72,6 +79,13 @@ function Home() {
             </p>
             <p className="text-4xl mb-4">{userData.position}</p>
             <p className="text-lg">{userData.description}</p>
+            <p className="text-sm mt-3">
+              <span className="font-bold text-button-red">{userData.followerCount ?? 0}</span>{" "}
+              follower{userData.followerCount === 1 ? "" : "s"}
+              <span className="mx-2">·</span>
+              <span className="font-bold text-button-red">{userData.followingCount ?? 0}</span>{" "}
+              following
+            </p>
           </div>
           <div className="my-5 flex gap-3">
             {userData.resume && (
@@ -89,6 +103,13 @@ function Home() {
                 handleResumeUploaded={handleResumeUploaded}
               />
             )}
+
+            {authUser && !isUserAuthenticated && (
+              <FollowButton
+                userData={userData}
+                handleFollowChanged={handleFollowChanged}
+              />
+            )}
           </div>
         </div>
 
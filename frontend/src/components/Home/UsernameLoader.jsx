@@ -14,6 +14,12 @@ import ProjectPage from "../ProjectPage/ProjectPage.jsx";
 import { useParams } from "react-router-dom";
 import Certifications from "../Certifications/Certifications.jsx";
 import AboutUs from "../AboutUs/AboutUs.jsx";
+import Analytics from "../Analytics/Analytics.jsx";
+import Watching from "../Watching/Watching.jsx";
+import Invitations from "../Invitations/Invitations.jsx";
+import Feed from "../Feed/Feed.jsx";
+import Settings from "../Settings/Settings.jsx";
+import Explore from "../Explore/Explore.jsx";
 
 const UsernameLoader = () => {
   const { pathUsername } = useParams();
@@ -58,6 +64,12 @@ const UsernameLoader = () => {
           <Route path="user/:username/projects/:projectName" element={<ProjectPage />} />
           <Route path="user/:username/certifications" element={<Certifications />} />
           <Route path="user/:username/about-us" element={<AboutUs />} />
+          <Route path="user/:username/analytics" element={<Analytics />} />
+          <Route path="user/:username/watching" element={<Watching />} />
+          <Route path="user/:username/invitations" element={<Invitations />} />
+          <Route path="user/:username/feed" element={<Feed />} />
+          <Route path="user/:username/settings" element={<Settings />} />
+          <Route path="explore" element={<Explore />} />
         </Route>
         <Route path="signup" element={<Signup />} />
         <Route path="signup/verify-otp" element={<VerifyOtp />} />
@@ -0,0 +1,120 @@
+import React, { useCallback, useEffect, useState } from "react";
+import axios from "axios";
+import TimeAgo from "javascript-time-ago";
+import en from "javascript-time-ago/locale/en";
+import { useNavigate } from "react-router-dom";
+import { useSelector } from "react-redux";
+import { INVITATION_ENDPOINTS } from "../../services/apiService";
+import projectPath from "../../utils/projectPath";
+
+TimeAgo.addLocale(en);
+const timeAgo = new TimeAgo("en-US");
+
+// Pending invitations to co-own other people's projects
+function Invitations() {
+  const authUser = useSelector((state) => state.auth?.user);
+  const [invitations, setInvitations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const navigate = useNavigate();
+
+  const loadInvitations = useCallback(async () => {
+    try {
+      setError(null);
+      const response = await axios.get(INVITATION_ENDPOINTS.FETCH_INVITATIONS, {
+        withCredentials: true,
+      });
+      setInvitations(response.data.data);
+    } catch (error) {
+      console.error("Error fetching invitations:", error);
+      setError(error.response?.data?.message || "Could not load your invitations");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (authUser) {
+      loadInvitations();
+    } else {
+      setLoading(false);
+    }
+  }, [authUser, loadInvitations]);
+
+  const handleAnswer = async (invitation, accept) => {
+    try {
+      await axios.post(
+        (accept
+          ? INVITATION_ENDPOINTS.ACCEPT_INVITATION
+          : INVITATION_ENDPOINTS.DECLINE_INVITATION
+        ).replace(":invitationId", invitation._id),
+        {},
+        { withCredentials: true }
+      );
+      setInvitations((current) => current.filter((i) => i._id !== invitation._id));
+      if (accept) {
+        navigate(projectPath(authUser.username, invitation.project));
+      }
+    } catch (error) {
+      console.error("Error answering invitation:", error);
+      alert(error.response?.data?.message || "Could not answer the invitation");
+      loadInvitations();
+    }
+  };
+
+  if (loading) {
+    return <p>Loading...</p>;
+  }
+
+  if (!authUser) {
+    return <p className="p-5">Log in to see your invitations.</p>;
+  }
+
+  return (
+    <div className="h-full w-full bg-home-white flex flex-col items-center text-black p-5">
+      <div className="w-3/5 flex flex-col">
+        <h1 className="text-4xl font-bold text-text-blue mb-5">Invitations</h1>
+        {error && <p className="text-button-red">{error}</p>}
+        {!error && invitations.length === 0 && (
+          <p className="text-gray-600">You have no open invitations to co-own a project.</p>
+        )}
+        {invitations.map((invitation) => (
+          <div key={invitation._id} className="flex gap-5 border-b-2 py-5">
+            {invitation.project.thumbnail && (
+              <img
+                className="w-1/4 rounded-md object-cover"
+                src={invitation.project.thumbnail}
+                alt=""
+              />
+            )}
+            <div className="flex flex-col gap-2 w-full">
+              <h2 className="text-2xl font-bold">{invitation.project.name}</h2>
+              <p className="text-sm text-gray-600">
+                {invitation.inviter?.fullname || invitation.inviter?.username} invited you as{" "}
+                <span className="font-semibold">{invitation.role}</span>{" "}
+                {timeAgo.format(new Date(invitation.createdAt))}
+              </p>
+              <p className="text-sm line-clamp-2">{invitation.project.description}</p>
+              <div className="flex gap-3">
+                <button
+                  className="bg-button-red text-white rounded px-3 py-1"
+                  onClick={() => handleAnswer(invitation, true)}
+                >
+                  Accept
+                </button>
+                <button
+                  className="border-2 rounded px-3 py-1 hover:border-button-red"
+                  onClick={() => handleAnswer(invitation, false)}
+                >
+                  Decline
+                </button>
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default Invitations;
@@ -0,0 +1,52 @@
+import React, { useState } from "react";
+import axios from "axios";
+import { useSelector } from "react-redux";
+import { FaBookmark, FaRegBookmark } from "react-icons/fa";
+import { PROJECT_ENDPOINTS } from "../../../services/apiService";
+
+// Adds the project to, or removes it from, the signed-in user's watch list
+function WatchButton({ project, className = "" }) {
+  const authUser = useSelector((state) => state.auth?.user);
+  const [isWatching, setIsWatching] = useState(Boolean(project.isWatching));
+  const [saving, setSaving] = useState(false);
+
+  const isOwner = project.owners?.some(
+    (owner) => authUser && (owner._id || owner) === authUser._id
+  );
+
+  if (!authUser || isOwner) {
+    return null;
+  }
+
+  const toggleWatching = async () => {
+    try {
+      setSaving(true);
+      const url = (
+        isWatching ? PROJECT_ENDPOINTS.UNWATCH_PROJECT : PROJECT_ENDPOINTS.WATCH_PROJECT
+      ).replace(":projectId", project._id);
+      const response = isWatching
+        ? await axios.delete(url, { withCredentials: true })
+        : await axios.put(url, {}, { withCredentials: true });
+      setIsWatching(response.data.data.isWatching);
+    } catch (error) {
+      console.error("Error updating watch list:", error);
+      alert(error.response?.data?.message || "Could not update your watch list");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <button
+      className={`flex items-center gap-2 border-2 rounded px-3 py-1 hover:border-button-red disabled:opacity-50 ${className}`}
+      onClick={toggleWatching}
+      disabled={saving}
+      title={isWatching ? "Stop watching this project" : "Watch this project for updates"}
+    >
+      {isWatching ? <FaBookmark /> : <FaRegBookmark />}
+      {isWatching ? "Watching" : "Watch"}
+    </button>
+  );
+}
+
+export default WatchButton;
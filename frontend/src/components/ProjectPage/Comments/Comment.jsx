@@ -0,0 +1,158 @@
+import React, { useState } from "react";
+import axios from "axios";
+import { COMMENT_ENDPOINTS } from "../../../services/apiService";
+import formatTime from "../../../utils/formatTime";
+import CommentForm from "./CommentForm";
+
+const commentUrl = (endpoint, commentId) => endpoint.replace(":commentId", commentId);
+
+function Comment({
+  comment,
+  authUser,
+  canModerate,
+  videoTitle,
+  onSeek,
+  onUpdate,
+  onRemove,
+  onReply,
+}) {
+  const [editing, setEditing] = useState(false);
+  const [message, setMessage] = useState("");
+
+  const isAuthor = authUser && comment.author?._id === authUser._id;
+
+  const handleEdit = async (body) => {
+    const response = await axios.patch(
+      commentUrl(COMMENT_ENDPOINTS.UPDATE_COMMENT, comment._id),
+      { body },
+      { withCredentials: true }
+    );
+    onUpdate({ ...comment, ...response.data.data });
+    setEditing(false);
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm("Delete this comment?")) return;
+
+    try {
+      const response = await axios.delete(
+        commentUrl(COMMENT_ENDPOINTS.DELETE_COMMENT, comment._id),
+        { withCredentials: true }
+      );
+      // Thread starters with replies come back blanked instead of removed
+      if (response.data.data?.isDeleted) {
+        onUpdate({ ...comment, ...response.data.data, author: comment.author });
+      } else {
+        onRemove(comment);
+      }
+    } catch (error) {
+      console.error("Error deleting comment:", error);
+      setMessage(error.response?.data?.message || "Could not delete the comment");
+    }
+  };
+
+  const handleModerate = async (changes) => {
+    try {
+      const response = await axios.patch(
+        commentUrl(COMMENT_ENDPOINTS.MODERATE_COMMENT, comment._id),
+        changes,
+        { withCredentials: true }
+      );
+      onUpdate({ ...comment, ...response.data.data, author: comment.author });
+    } catch (error) {
+      console.error("Error moderating comment:", error);
+      setMessage(error.response?.data?.message || "Could not update the comment");
+    }
+  };
+
+  if (comment.isDeleted) {
+    return <p className="italic text-gray-500">This comment was deleted.</p>;
+  }
+
+  return (
+    <div className={comment.isHidden ? "opacity-50" : ""}>
+      <div className="flex items-center gap-2 text-sm">
+        {comment.author?.profilePic && (
+          <img
+            src={comment.author.profilePic}
+            alt={comment.author.username}
+            className="w-6 h-6 rounded-full object-cover"
+          />
+        )}
+        <span className="font-semibold">
+          {comment.author?.fullname || comment.author?.username || "Deleted user"}
+        </span>
+        <span className="text-gray-500">
+          {new Date(comment.createdAt).toLocaleDateString()}
+          {comment.editedAt && " (edited)"}
+        </span>
+        {comment.isPinned && <span className="text-text-blue font-semibold">Pinned</span>}
+        {comment.isHidden && <span className="text-button-red">Hidden</span>}
+      </div>
+
+      {editing ? (
+        <CommentForm
+          initialBody={comment.body}
+          submitLabel="Save"
+          onSubmit={handleEdit}
+          onCancel={() => setEditing(false)}
+        />
+      ) : (
+        <p className="whitespace-pre-wrap my-1">
+          {comment.video && comment.timestamp !== null && (
+            <button
+              className="text-text-blue font-semibold hover:underline mr-2"
+              title={videoTitle ? `Play "${videoTitle}" from here` : "Play from here"}
+              onClick={() => onSeek(comment.video, comment.timestamp)}
+            >
+              {formatTime(comment.timestamp)}
+            </button>
+          )}
+          {comment.replyingTo?.username && (
+            <span className="text-text-blue">@{comment.replyingTo.username} </span>
+          )}
+          {comment.body}
+        </p>
+      )}
+
+      <div className="flex gap-3 text-sm text-gray-600">
+        {authUser && !comment.isHidden && (
+          <button className="hover:underline" onClick={() => onReply(comment)}>
+            Reply
+          </button>
+        )}
+        {isAuthor && !editing && (
+          <>
+            <button className="hover:underline" onClick={() => setEditing(true)}>
+              Edit
+            </button>
+            <button className="hover:underline" onClick={handleDelete}>
+              Delete
+            </button>
+          </>
+        )}
+        {canModerate && (
+          <>
+            {!comment.thread && (
+              <button
+                className="hover:underline"
+                onClick={() => handleModerate({ isPinned: !comment.isPinned })}
+              >
+                {comment.isPinned ? "Unpin" : "Pin"}
+              </button>
+            )}
+            <button
+              className="hover:underline"
+              onClick={() => handleModerate({ isHidden: !comment.isHidden })}
+            >
+              {comment.isHidden ? "Unhide" : "Hide"}
+            </button>
+          </>
+        )}
+      </div>
+      {message && <p className="text-sm text-button-red">{message}</p>}
+    </div>
+  );
+}
+
+export default Comment;
@@ -0,0 +1,63 @@
+import React, { useState } from "react";
+
+const MAX_LENGTH = 2000;
+
+function CommentForm({ initialBody = "", placeholder, submitLabel, onSubmit, onCancel }) {
+  const [body, setBody] = useState(initialBody);
+  const [submitting, setSubmitting] = useState(false);
+  const [message, setMessage] = useState("");
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!body.trim()) return;
+
+    try {
+      setSubmitting(true);
+      setMessage("");
+      await onSubmit(body.trim());
+      setBody("");
+    } catch (error) {
+      console.error("Error saving comment:", error);
+      setMessage(
+        error.response?.status === 401
+          ? "Log in to join the discussion"
+          : error.response?.data?.message || "Could not save your comment"
+      );
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="flex flex-col gap-2">
+      <textarea
+        value={body}
+        onChange={(e) => setBody(e.target.value)}
+        maxLength={MAX_LENGTH}
+        rows={3}
+        placeholder={placeholder}
+        className="border-2 rounded p-2 resize-y"
+      />
+      <div className="flex items-center gap-3">
+        <button
+          type="submit"
+          disabled={submitting || !body.trim()}
+          className="bg-button-red text-white rounded px-4 py-1 disabled:opacity-50"
+        >
+          {submitLabel}
+        </button>
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="hover:underline">
+            Cancel
+          </button>
+        )}
+        <span className="text-xs text-gray-500 ml-auto">
+          {body.length}/{MAX_LENGTH}
+        </span>
+      </div>
+      {message && <p className="text-sm text-button-red">{message}</p>}
+    </form>
+  );
+}
+
+export default CommentForm;
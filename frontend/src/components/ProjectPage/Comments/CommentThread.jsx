@@ -0,0 +1,123 @@
+import React, { useState } from "react";
+import axios from "axios";
+import { COMMENT_ENDPOINTS } from "../../../services/apiService";
+import Comment from "./Comment";
+import CommentForm from "./CommentForm";
+
+// A top-level comment with its replies, which are loaded on demand
+function CommentThread({
+  comment,
+  projectId,
+  authUser,
+  canModerate,
+  videoTitles,
+  onSeek,
+  onUpdate,
+  onRemove,
+}) {
+  const [replies, setReplies] = useState([]);
+  const [nextPage, setNextPage] = useState(1);
+  const [showReplies, setShowReplies] = useState(false);
+  const [replyTo, setReplyTo] = useState(null);
+
+  const loadReplies = async (page) => {
+    try {
+      const response = await axios.get(
+        COMMENT_ENDPOINTS.FETCH_REPLIES.replace(":commentId", comment._id),
+        { params: { page }, withCredentials: true }
+      );
+      const { docs, nextPage } = response.data.data;
+      setReplies((current) => (page === 1 ? docs : [...current, ...docs]));
+      setNextPage(nextPage);
+      setShowReplies(true);
+    } catch (error) {
+      console.error("Error fetching replies:", error);
+    }
+  };
+
+  const handleReply = async (body) => {
+    const response = await axios.post(
+      COMMENT_ENDPOINTS.ADD_COMMENT.replace(":projectId", projectId),
+      { body, parentId: replyTo._id },
+      { withCredentials: true }
+    );
+    const reply = response.data.data;
+    if (replyTo.thread) {
+      reply.replyingTo = { _id: replyTo._id, username: replyTo.author?.username };
+    }
+
+    setReplies((current) => [...current, reply]);
+    setShowReplies(true);
+    setReplyTo(null);
+    onUpdate({ ...comment, replyCount: comment.replyCount + 1 });
+  };
+
+  const updateReply = (updated) =>
+    setReplies((current) =>
+      current.map((reply) => (reply._id === updated._id ? updated : reply))
+    );
+
+  const removeReply = (removed) => {
+    setReplies((current) => current.filter((reply) => reply._id !== removed._id));
+    onUpdate({ ...comment, replyCount: comment.replyCount - 1 });
+  };
+
+  return (
+    <div className="border-b py-3">
+      <Comment
+        comment={comment}
+        authUser={authUser}
+        canModerate={canModerate}
+        videoTitle={videoTitles[comment.video]}
+        onSeek={onSeek}
+        onUpdate={onUpdate}
+        onRemove={onRemove}
+        onReply={setReplyTo}
+      />
+
+      <div className="ml-8 mt-2 flex flex-col gap-3">
+        {comment.replyCount > 0 && !showReplies && (
+          <button
+            className="text-sm text-text-blue hover:underline self-start"
+            onClick={() => loadReplies(1)}
+          >
+            View {comment.replyCount} repl{comment.replyCount === 1 ? "y" : "ies"}
+          </button>
+        )}
+
+        {showReplies &&
+          replies.map((reply) => (
+            <Comment
+              key={reply._id}
+              comment={reply}
+              authUser={authUser}
+              canModerate={canModerate}
+              onUpdate={updateReply}
+              onRemove={removeReply}
+              onReply={setReplyTo}
+            />
+          ))}
+
+        {showReplies && nextPage && (
+          <button
+            className="text-sm text-text-blue hover:underline self-start"
+            onClick={() => loadReplies(nextPage)}
+          >
+            More replies
+          </button>
+        )}
+
+        {replyTo && (
+          <CommentForm
+            placeholder={`Reply to ${replyTo.author?.username || "comment"}`}
+            submitLabel="Reply"
+            onSubmit={handleReply}
+            onCancel={() => setReplyTo(null)}
+          />
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default CommentThread;
@@ -0,0 +1,114 @@
+import React, { useCallback, useEffect, useState } from "react";
+import axios from "axios";
+import { useSelector } from "react-redux";
+import { COMMENT_ENDPOINTS } from "../../../services/apiService";
+import CommentThread from "./CommentThread";
+import CommentForm from "./CommentForm";
+
+function Comments({ project, version, onSeek, onVideoCommentsChanged }) {
+  const authUser = useSelector((state) => state.auth?.user);
+  const [comments, setComments] = useState([]);
+  const [totalDocs, setTotalDocs] = useState(0);
+  const [nextPage, setNextPage] = useState(null);
+  const [canModerate, setCanModerate] = useState(false);
+  const [error, setError] = useState(null);
+
+  const commentsUrl = COMMENT_ENDPOINTS.FETCH_PROJECT_COMMENTS.replace(
+    ":projectId",
+    project._id
+  );
+
+  const loadComments = useCallback(async (page) => {
+    try {
+      setError(null);
+      const response = await axios.get(commentsUrl, {
+        params: { page },
+        withCredentials: true,
+      });
+      const { docs, nextPage, totalDocs, canModerate } = response.data.data;
+      setComments((current) => (page === 1 ? docs : [...current, ...docs]));
+      setNextPage(nextPage);
+      setTotalDocs(totalDocs);
+      setCanModerate(canModerate);
+    } catch (error) {
+      console.error("Error fetching comments:", error);
+      setError("Could not load comments");
+    }
+  }, [commentsUrl]);
+
+  useEffect(() => {
+    loadComments(1);
+  }, [loadComments, authUser?._id, version]);
+
+  const handleAdd = async (body) => {
+    const response = await axios.post(
+      COMMENT_ENDPOINTS.ADD_COMMENT.replace(":projectId", project._id),
+      { body },
+      { withCredentials: true }
+    );
+    setComments((current) => [response.data.data, ...current]);
+    setTotalDocs((count) => count + 1);
+  };
+
+  const videoTitles = Object.fromEntries(
+    project.videos.map((video) => [video._id, video.title])
+  );
+
+  const updateComment = (updated) => {
+    setComments((current) =>
+      current.map((comment) => (comment._id === updated._id ? updated : comment))
+    );
+    if (updated.video) onVideoCommentsChanged();
+  };
+
+  const removeComment = (removed) => {
+    setComments((current) => current.filter((comment) => comment._id !== removed._id));
+    setTotalDocs((count) => count - 1);
+    if (removed.video) onVideoCommentsChanged();
+  };
+
+  return (
+    <div className="mt-10">
+      <h2 className="text-xl font-bold mb-5">Comments ({totalDocs})</h2>
+
+      {authUser ? (
+        <CommentForm
+          placeholder="Share your thoughts on this project"
+          submitLabel="Comment"
+          onSubmit={handleAdd}
+        />
+      ) : (
+        <p className="text-sm text-gray-600">Log in to join the discussion.</p>
+      )}
+
+      {error && <p className="text-sm text-button-red">{error}</p>}
+
+      <div className="mt-4">
+        {comments.map((comment) => (
+          <CommentThread
+            key={comment._id}
+            comment={comment}
+            projectId={project._id}
+            authUser={authUser}
+            canModerate={canModerate}
+            videoTitles={videoTitles}
+            onSeek={onSeek}
+            onUpdate={updateComment}
+            onRemove={removeComment}
+          />
+        ))}
+      </div>
+
+      {nextPage && (
+        <button
+          className="mt-3 text-text-blue hover:underline"
+          onClick={() => loadComments(nextPage)}
+        >
+          Load more comments
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default Comments;
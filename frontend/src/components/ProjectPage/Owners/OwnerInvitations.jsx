@@ -0,0 +1,110 @@
+import React, { useCallback, useEffect, useState } from "react";
+import axios from "axios";
+import { INVITATION_ENDPOINTS, PROJECT_ENDPOINTS } from "../../../services/apiService";
+import { OWNER_ROLES } from "./ownerRoles";
+
+// Invite form and the invitations still waiting for an answer, for admins
+function OwnerInvitations({ project }) {
+  const [invitations, setInvitations] = useState([]);
+  const [username, setUsername] = useState("");
+  const [role, setRole] = useState("editor");
+  const [message, setMessage] = useState("");
+  const invitationsUrl = PROJECT_ENDPOINTS.FETCH_PROJECT_INVITATIONS.replace(
+    ":projectId",
+    project._id
+  );
+
+  const loadInvitations = useCallback(async () => {
+    try {
+      const response = await axios.get(invitationsUrl, { withCredentials: true });
+      setInvitations(response.data.data);
+    } catch (error) {
+      console.error("Error fetching project invitations:", error);
+    }
+  }, [invitationsUrl]);
+
+  useEffect(() => {
+    loadInvitations();
+  }, [loadInvitations]);
+
+  const handleInvite = async (event) => {
+    event.preventDefault();
+    try {
+      setMessage("");
+      const response = await axios.post(
+        PROJECT_ENDPOINTS.INVITE_OWNER.replace(":projectId", project._id),
+        { username: username.trim(), role },
+        { withCredentials: true }
+      );
+      setMessage(response.data.message);
+      setUsername("");
+      loadInvitations();
+    } catch (error) {
+      console.error("Error inviting owner:", error);
+      setMessage(error.response?.data?.message || "Could not send the invitation");
+    }
+  };
+
+  const handleCancel = async (invitation) => {
+    try {
+      await axios.delete(
+        INVITATION_ENDPOINTS.CANCEL_INVITATION.replace(":invitationId", invitation._id),
+        { withCredentials: true }
+      );
+      setInvitations((current) => current.filter((i) => i._id !== invitation._id));
+    } catch (error) {
+      console.error("Error cancelling invitation:", error);
+      setMessage(error.response?.data?.message || "Could not cancel the invitation");
+    }
+  };
+
+  return (
+    <div className="mt-5 flex flex-col gap-3">
+      <form className="flex gap-2 text-sm" onSubmit={handleInvite}>
+        <input
+          type="text"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          placeholder="Username to invite"
+          className="border-2 rounded px-2 py-1"
+        />
+        <select
+          value={role}
+          onChange={(e) => setRole(e.target.value)}
+          className="border-2 rounded px-1"
+        >
+          {OWNER_ROLES.map((ownerRole) => (
+            <option key={ownerRole} value={ownerRole}>
+              {ownerRole}
+            </option>
+          ))}
+        </select>
+        <button
+          type="submit"
+          disabled={!username.trim()}
+          className="bg-button-red text-white rounded px-3 py-1 disabled:opacity-50"
+        >
+          Invite
+        </button>
+      </form>
+      {message && <p className="text-sm text-gray-600">{message}</p>}
+      {invitations.length > 0 && (
+        <ul className="text-sm flex flex-col gap-1">
+          {invitations.map((invitation) => (
+            <li key={invitation._id} className="flex gap-3">
+              <span>
+                @{invitation.invitee?.username} invited as {invitation.role}, waiting for an
+                answer
+              </span>
+              <button className="hover:underline" onClick={() => handleCancel(invitation)}>
+                Cancel
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default OwnerInvitations;
@@ -1,36 +1,141 @@
-import React from "react";
+import React, { useState } from "react";
+import axios from "axios";
+import { useNavigate } from "react-router-dom";
+import { useSelector } from "react-redux";
+import { PROJECT_ENDPOINTS } from "../../../services/apiService";
+import OwnerInvitations from "./OwnerInvitations";
+import { OWNER_ROLES } from "./ownerRoles";
+
+function Owners({ project, onChange }) {
+  const authUser = useSelector((state) => state.auth?.user);
+  const [message, setMessage] = useState("");
+  const navigate = useNavigate();
+  const isAdmin = project.viewerRole === "admin";
 
-function Owners({ project }) {
   const handleOwnerClick = (username) => {
     const url = `/user/${username}/home`;
     window.open(url, "_blank", "noopener,noreferrer");
   };
+
+  const ownerUrl = (endpoint, owner) =>
+    endpoint.replace(":projectId", project._id).replace(":userId", owner._id);
+
+  // Runs an owner change and reloads the project, or shows why it failed
+  const manage = async (request) => {
+    try {
+      setMessage("");
+      await request();
+      onChange();
+    } catch (error) {
+      console.error("Error managing owners:", error);
+      setMessage(error.response?.data?.message || "Could not update the owners");
+    }
+  };
+
+  const handleRoleChange = (owner, role) =>
+    manage(() =>
+      axios.patch(ownerUrl(PROJECT_ENDPOINTS.UPDATE_OWNER_ROLE, owner), { role }, {
+        withCredentials: true,
+      })
+    );
+
+  const handleRemove = (owner) => {
+    if (!window.confirm(`Remove ${owner.username} from the owners of ${project.name}?`)) return;
+    manage(() =>
+      axios.delete(ownerUrl(PROJECT_ENDPOINTS.REMOVE_OWNER, owner), { withCredentials: true })
+    );
+  };
+
+  const handleTransfer = (owner) => {
+    if (!window.confirm(`Make ${owner.username} the admin of ${project.name}? You will become an editor.`)) return;
+    manage(() =>
+      axios.post(
+        PROJECT_ENDPOINTS.TRANSFER_PROJECT.replace(":projectId", project._id),
+        { userId: owner._id },
+        { withCredentials: true }
+      )
+    );
+  };
+
+  const handleLeave = async () => {
+    if (!window.confirm(`Leave ${project.name}? It will disappear from your profile.`)) return;
+    try {
+      setMessage("");
+      await axios.post(
+        PROJECT_ENDPOINTS.LEAVE_PROJECT.replace(":projectId", project._id),
+        {},
+        { withCredentials: true }
+      );
+      navigate(`/user/${authUser.username}/home`);
+    } catch (error) {
+      console.error("Error leaving project:", error);
+      setMessage(error.response?.data?.message || "Could not leave the project");
+    }
+  };
+
   return (
     <>
       {project.owners.length > 0 && (
         <div className="my-10">
-          <h2 className="text-xl font-bold mb-5">Owners</h2>
+          <div className="flex justify-between items-center mb-5">
+            <h2 className="text-xl font-bold">Owners</h2>
+            {project.viewerRole && (
+              <button
+                className="text-sm border-2 rounded px-3 py-1 hover:border-button-red"
+                onClick={handleLeave}
+              >
+                Leave project
+              </button>
+            )}
+          </div>
           <div className="flex flex-wrap gap-5">
             {project.owners.map((owner, index) => (
-              <div
-                key={index}
-                className="flex items-center bg-gray-100 py-2 px-3 rounded-lg shadow-md cursor-pointer w-fit"
-                onClick={() => handleOwnerClick(owner.username)}
-              >
-                <img
-                  src={owner.profilePic}
-                  alt={`${owner.fullname} index: ${index}`}
-                  className="w-12 h-12 rounded-full border-2 border-gray-300 mr-4"
-                />
-                <div>
-                  <p className="text-lg font-semibold mb-1">{owner.fullname}</p>
-                  <p className="text-xs font-extralight text-gray-600">
-                    @{owner.username}
-                  </p>
+              <div key={index} className="flex flex-col gap-2">
+                <div
+                  className="flex items-center bg-gray-100 py-2 px-3 rounded-lg shadow-md cursor-pointer w-fit"
+                  onClick={() => handleOwnerClick(owner.username)}
+                >
+                  <img
+                    src={owner.profilePic}
+                    alt={`${owner.fullname} index: ${index}`}
+                    className="w-12 h-12 rounded-full border-2 border-gray-300 mr-4"
+                  />
+                  <div>
+                    <p className="text-lg font-semibold mb-1">{owner.fullname}</p>
+                    <p className="text-xs font-extralight text-gray-600">
+                      @{owner.username}
+                      {owner.role && (
+                        <span className="ml-2 text-white bg-text-blue px-1">{owner.role}</span>
+                      )}
+                    </p>
+                  </div>
                 </div>
+                {isAdmin && owner._id !== authUser?._id && (
+                  <div className="flex gap-2 text-sm">
+                    <select
+                      value={owner.role}
+                      onChange={(e) => handleRoleChange(owner, e.target.value)}
+                      className="border rounded px-1"
+                    >
+                      {OWNER_ROLES.map((role) => (
+                        <option key={role} value={role}>
+                          {role}
+                        </option>
+                      ))}
+                    </select>
+                    <button className="hover:underline" onClick={() => handleTransfer(owner)}>
+                      Transfer
+                    </button>
+                    <button className="hover:underline" onClick={() => handleRemove(owner)}>
+                      Remove
+                    </button>
+                  </div>
+                )}
               </div>
             ))}
           </div>
+          {message && <p className="text-sm text-button-red mt-3">{message}</p>}
+          {isAdmin && <OwnerInvitations project={project} />}
         </div>
       )}
     </>
@@ -0,0 +1,2 @@
+// Mirrors OWNER_ROLES in the backend's project model
+export const OWNER_ROLES = ["admin", "editor", "viewer"];
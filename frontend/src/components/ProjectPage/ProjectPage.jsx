@@ -1,7 +1,7 @@
-import React, { useEffect, useState } from "react";
+import React, { useCallback, useEffect, useState } from "react";
 import axios from "axios";
 import { USER_ENDPOINTS } from "../../services/apiService";
-import { useParams } from "react-router-dom";
+import { useNavigate, useParams } from "react-router-dom";
 import Introduction from "./Introduction/Introduction";
 import Images from "./Images/Images";
 import Videos from "./Videos/Videos";
@@ -10,37 +10,65 @@ import Owners from "./Owners/Owners";
 import CheckOut from "./Buttons/CheckOut";
 import StarRating from "./StarRating/StarRating";
 import Title from "./Title/Title";
+import Comments from "./Comments/Comments";
+import useRealtime from "../../hooks/useRealtime";
+import projectPath from "../../utils/projectPath";
 
 function ProjectPage() {
   const { username, projectName } = useParams();
   const pathUsername = username;
+  const navigate = useNavigate();
   const [project, setProject] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  
+  // Lets comments seek the player and keeps video markers and comments in sync
+  const [seekRequest, setSeekRequest] = useState(null);
+  const [markersVersion, setMarkersVersion] = useState(0);
+  const [commentsVersion, setCommentsVersion] = useState(0);
 
-  useEffect(() => {
-    const fetchProject = async () => {
-      try {
-        setLoading(true);
-        const response = await axios.get(
-          USER_ENDPOINTS.FETCH_PROJECT.replace(
-            ":username",
-            pathUsername
-          ).replace(":projectName", projectName)
-        );
-        setProject(response.data.data);
-        console.log(response.data.data);
-      } catch (error) {
-        setError("Error fetching project.");
-        console.error("Error fetching project:", error);
-      } finally {
-        setLoading(false);
+  // Live refreshes are `silent` so the page is not swapped for a loader
+  const fetchProject = useCallback(async ({ silent = false } = {}) => {
+    try {
+      if (!silent) setLoading(true);
+      const response = await axios.get(
+        USER_ENDPOINTS.FETCH_PROJECT.replace(
+          ":username",
+          pathUsername
+        ).replace(":projectName", projectName),
+        { withCredentials: true }
+      );
+      const data = response.data.data;
+      setProject(data);
+      // Renamed projects are still found by their old slug or name; move the
+      // address bar to the current one
+      if (data.slug && data.slug !== projectName) {
+        navigate(projectPath(pathUsername, data), { replace: true });
       }
-    };
+    } catch (error) {
+      if (!silent) setError("Error fetching project.");
+      console.error("Error fetching project:", error);
+    } finally {
+      if (!silent) setLoading(false);
+    }
+  }, [pathUsername, projectName, navigate]);
 
+  useEffect(() => {
     fetchProject();
-  }, [pathUsername, projectName]);
+  }, [fetchProject]);
+
+  // Media added by a co-owner, processed videos and comments show up live
+  useRealtime(project?._id && `project:${project._id}`, ({ type, payload }) => {
+    if (type === "project.updated") {
+      fetchProject({ silent: true });
+    } else if (type === "project.deleted") {
+      setError("This project has been deleted.");
+    } else if (type === "comments.changed") {
+      setCommentsVersion((version) => version + 1);
+      if (payload.videoId) {
+        setMarkersVersion((version) => version + 1);
+      }
+    }
+  });
 
   if (loading) {
     return <p>Loading...</p>;
@@ -56,11 +84,22 @@ function ProjectPage() {
         <Title project={project} />
         <Introduction project={project}/>
         <Images project={project} />
-        <Videos project={project} />
+        <Videos
+          project={project}
+          seekRequest={seekRequest}
+          markersVersion={markersVersion}
+          onCommentAdded={() => setCommentsVersion((version) => version + 1)}
+        />
         <TechStack project={project} />
-        <Owners project={project} />
+        <Owners project={project} onChange={() => fetchProject({ silent: true })} />
         <CheckOut project={project} />
         <StarRating project={project} />
+        <Comments
+          project={project}
+          version={commentsVersion}
+          onSeek={(videoId, time) => setSeekRequest({ videoId, time, requestedAt: Date.now() })}
+          onVideoCommentsChanged={() => setMarkersVersion((version) => version + 1)}
+        />
       </div>
     </div>
   );
@@ -1,22 +1,94 @@
-import React from "react";
+import React, { useState } from "react";
 import ReactStars from "react-stars";
-
-const handleStarRating = (rating) => {
-  console.log(rating);
-};
+import axios from "axios";
+import { useSelector } from "react-redux";
+import { PROJECT_ENDPOINTS } from "../../../services/apiService";
+import useRealtime from "../../../hooks/useRealtime";
 
 function StarRating({ project }) {
+  const authUser = useSelector((state) => state.auth?.user);
+  const [rating, setRating] = useState({
+    ratingAverage: project.ratingAverage || 0,
+    ratingCount: project.ratingCount || 0,
+    userRating: project.userRating ?? null,
+  });
+  const [message, setMessage] = useState("");
+
+  // Other visitors' ratings move the average, the user's own stays as is
+  useRealtime(`project:${project._id}`, ({ type, payload }) => {
+    if (type === "rating.changed") {
+      setRating((current) => ({
+        ...current,
+        ratingAverage: payload.ratingAverage,
+        ratingCount: payload.ratingCount,
+      }));
+    }
+  });
+
+  const isOwner = project.owners.some(
+    (owner) => authUser && (owner._id || owner) === authUser._id
+  );
+  const ratingUrl = PROJECT_ENDPOINTS.RATE_PROJECT.replace(":projectId", project._id);
+
+  const handleStarRating = async (value) => {
+    try {
+      setMessage("");
+      const response = await axios.put(ratingUrl, { value }, { withCredentials: true });
+      setRating(response.data.data);
+    } catch (error) {
+      console.error("Error rating project:", error);
+      setMessage(
+        error.response?.status === 401
+          ? "Log in to rate this project"
+          : error.response?.data?.message || "Could not save your rating"
+      );
+    }
+  };
+
+  const handleRemoveRating = async () => {
+    try {
+      const response = await axios.delete(
+        PROJECT_ENDPOINTS.REMOVE_PROJECT_RATING.replace(":projectId", project._id),
+        { withCredentials: true }
+      );
+      setRating(response.data.data);
+    } catch (error) {
+      console.error("Error removing rating:", error);
+      setMessage(error.response?.data?.message || "Could not remove your rating");
+    }
+  };
+
   return (
     <>
-      <h2 className="text-xl font-bold mb-5">Rate this Project</h2>
+      <h2 className="text-xl font-bold mb-5">
+        {isOwner ? "Project Rating" : "Rate this Project"}
+      </h2>
+      <p className="mb-2">
+        {rating.ratingCount
+          ? `${rating.ratingAverage.toFixed(1)} out of 5 from ${rating.ratingCount} rating${
+              rating.ratingCount === 1 ? "" : "s"
+            }`
+          : "No ratings yet"}
+      </p>
       <div className="flex justify-start">
         <ReactStars
           count={5}
           size={50}
           color2={"#ffd700"}
+          value={isOwner ? rating.ratingAverage : rating.userRating ?? 0}
+          edit={!isOwner}
           onChange={handleStarRating}
         />
       </div>
+      {!isOwner && rating.userRating !== null && (
+        <p className="text-sm">
+          You rated this {rating.userRating} out of 5.{" "}
+          <button className="text-button-red hover:underline" onClick={handleRemoveRating}>
+            Remove rating
+          </button>
+        </p>
+      )}
+      {message && <p className="text-sm text-button-red">{message}</p>}
     </>
   );
 }
@@ -1,5 +1,6 @@
 import React from "react";
 import { useState, useEffect } from "react";
+import WatchButton from "../Buttons/WatchButton";
 
 function Title({ project }) {
   const [createdAt, setCreatedAt] = useState(null);
@@ -43,6 +44,7 @@ function Title({ project }) {
           </h3>
         )}
         <h3 className="font-semibold text-xl">{project.domain}</h3>
+        <WatchButton project={project} className="ml-auto" />
       </div>
     </>
   );
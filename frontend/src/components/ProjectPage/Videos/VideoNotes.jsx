@@ -0,0 +1,80 @@
+import React, { useEffect, useRef, useState } from "react";
+import axios from "axios";
+import { useSelector } from "react-redux";
+import { COMMENT_ENDPOINTS } from "../../../services/apiService";
+import formatTime from "../../../utils/formatTime";
+import VideoPlayer from "./VideoPlayer";
+import CommentForm from "../Comments/CommentForm";
+
+// A project video with its timestamped comments: markers on the scrub bar and a
+// form to comment on the moment currently playing
+function VideoNotes({ video, projectId, seekRequest, markersVersion, onCommentAdded }) {
+  const authUser = useSelector((state) => state.auth?.user);
+  const playerRef = useRef(null);
+  const [markers, setMarkers] = useState([]);
+  const [noteTime, setNoteTime] = useState(null);
+
+  useEffect(() => {
+    const fetchMarkers = async () => {
+      try {
+        const response = await axios.get(
+          COMMENT_ENDPOINTS.FETCH_PROJECT_COMMENTS.replace(":projectId", projectId),
+          { params: { videoId: video._id, limit: 50 }, withCredentials: true }
+        );
+        setMarkers(response.data.data.docs);
+      } catch (error) {
+        console.error("Error fetching video comments:", error);
+      }
+    };
+
+    fetchMarkers();
+  }, [projectId, video._id, markersVersion]);
+
+  useEffect(() => {
+    if (seekRequest?.videoId === video._id) {
+      playerRef.current?.seek(seekRequest.time);
+    }
+  }, [seekRequest, video._id]);
+
+  const handleAddNote = async (body) => {
+    const response = await axios.post(
+      COMMENT_ENDPOINTS.ADD_COMMENT.replace(":projectId", projectId),
+      { body, videoId: video._id, timestamp: noteTime },
+      { withCredentials: true }
+    );
+    const note = { ...response.data.data, author: authUser };
+
+    setMarkers((current) =>
+      [...current, note].sort((a, b) => a.timestamp - b.timestamp)
+    );
+    setNoteTime(null);
+    onCommentAdded(note);
+  };
+
+  return (
+    <>
+      <VideoPlayer ref={playerRef} video={video} markers={markers} className="w-full h-96" />
+      {authUser && noteTime === null && (
+        <button
+          className="text-sm text-text-blue hover:underline mt-1"
+          onClick={() => setNoteTime(playerRef.current?.getCurrentTime() || 0)}
+        >
+          Comment at current time
+        </button>
+      )}
+      {noteTime !== null && (
+        <div className="mt-2">
+          <p className="text-sm mb-1">Comment at {formatTime(noteTime)}</p>
+          <CommentForm
+            placeholder="What happens at this moment?"
+            submitLabel="Comment"
+            onSubmit={handleAddNote}
+            onCancel={() => setNoteTime(null)}
+          />
+        </div>
+      )}
+    </>
+  );
+}
+
+export default VideoNotes;
@@ -0,0 +1,137 @@
+import React, { forwardRef, useEffect, useImperativeHandle, useRef, useState } from "react";
+import Hls from "hls.js";
+import usePlaybackTelemetry from "../../../hooks/usePlaybackTelemetry";
+import formatTime from "../../../utils/formatTime";
+
+// Height of the native control bar that hovering should preview
+const SCRUB_AREA_HEIGHT = 48;
+
+// Plays the HLS ladder once transcoding is done, the original upload until then.
+// `markers` are timestamped comments, drawn above the scrub bar.
+const VideoPlayer = forwardRef(function VideoPlayer({ video, className, markers = [] }, ref) {
+  const videoRef = useRef(null);
+  const [preview, setPreview] = useState(null);
+  const [duration, setDuration] = useState(video.duration || 0);
+  const sprite = video.previewSprite;
+  const useHls = video.processingStatus === "ready" && video.hlsPlaylist;
+
+  usePlaybackTelemetry(videoRef, video._id);
+
+  const seek = (time) => {
+    const videoElement = videoRef.current;
+    if (!videoElement) return;
+
+    videoElement.currentTime = time;
+    videoElement.scrollIntoView({ behavior: "smooth", block: "center" });
+    videoElement.play().catch(() => {});
+  };
+
+  useImperativeHandle(ref, () => ({
+    seek,
+    getCurrentTime: () => videoRef.current?.currentTime || 0,
+  }));
+
+  useEffect(() => {
+    const videoElement = videoRef.current;
+    if (!videoElement) return;
+
+    if (!useHls) {
+      videoElement.src = video.videoFile;
+      return;
+    }
+
+    if (Hls.isSupported()) {
+      const hls = new Hls();
+      hls.loadSource(video.hlsPlaylist);
+      hls.attachMedia(videoElement);
+      hls.on(Hls.Events.ERROR, (event, data) => {
+        if (data.fatal) {
+          console.error("HLS playback failed, falling back to original:", data);
+          hls.destroy();
+          videoElement.src = video.videoFile;
+        }
+      });
+      return () => hls.destroy();
+    }
+
+    // Safari plays HLS natively
+    if (videoElement.canPlayType("application/vnd.apple.mpegurl")) {
+      videoElement.src = video.hlsPlaylist;
+    } else {
+      videoElement.src = video.videoFile;
+    }
+  }, [useHls, video.hlsPlaylist, video.videoFile]);
+
+  // Picks the sprite frame closest to the hovered point of the scrub bar
+  const handleMouseMove = (event) => {
+    const duration = videoRef.current?.duration || video.duration;
+    const bounds = event.currentTarget.getBoundingClientRect();
+    const x = event.clientX - bounds.left;
+
+    if (!sprite?.url || !duration || bounds.bottom - event.clientY > SCRUB_AREA_HEIGHT) {
+      setPreview(null);
+      return;
+    }
+
+    const time = Math.min(Math.max(x / bounds.width, 0), 1) * duration;
+    const frame = Math.min(Math.floor(time / sprite.interval), sprite.count - 1);
+
+    setPreview({
+      time,
+      left: Math.min(Math.max(x - sprite.width / 2, 0), bounds.width - sprite.width),
+      backgroundPosition: `-${(frame % sprite.columns) * sprite.width}px -${
+        Math.floor(frame / sprite.columns) * sprite.height
+      }px`,
+    });
+  };
+
+  return (
+    <div className="relative">
+      <video
+        ref={videoRef}
+        poster={video.thumbnail || undefined}
+        controls
+        preload="metadata"
+        className={className}
+        onMouseMove={handleMouseMove}
+        onMouseLeave={() => setPreview(null)}
+        onLoadedMetadata={(e) => setDuration(e.currentTarget.duration || video.duration || 0)}
+      />
+      {duration > 0 && markers.length > 0 && (
+        <div
+          className="absolute left-3 right-3 h-2"
+          style={{ bottom: SCRUB_AREA_HEIGHT }}
+        >
+          {markers.map((marker) => (
+            <button
+              key={marker._id}
+              title={`${formatTime(marker.timestamp)} ${marker.author?.username || ""}: ${marker.body}`}
+              onClick={() => seek(marker.timestamp)}
+              className="absolute w-2 h-2 -ml-1 rounded-full bg-button-red border border-home-white hover:scale-150"
+              style={{ left: `${Math.min(marker.timestamp / duration, 1) * 100}%` }}
+            />
+          ))}
+        </div>
+      )}
+      {preview && (
+        <div
+          className="absolute pointer-events-none border-2 border-home-white rounded shadow-lg"
+          style={{
+            left: preview.left,
+            bottom: SCRUB_AREA_HEIGHT + 8,
+            width: sprite.width,
+            height: sprite.height,
+            backgroundImage: `url(${sprite.url})`,
+            backgroundPosition: preview.backgroundPosition,
+          }}
+        >
+          <span className="absolute bottom-0 w-full text-center text-xs text-home-white bg-black bg-opacity-60">
+            {formatTime(preview.time)}
+          </span>
+        </div>
+      )}
+    </div>
+  );
+});
+
+export default VideoPlayer;
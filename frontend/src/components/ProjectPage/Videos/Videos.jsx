@@ -1,20 +1,37 @@
 import React from 'react'
+import VideoNotes from './VideoNotes'
+import formatTime from '../../../utils/formatTime'
 
-function Videos({project}) {
+function Videos({project, seekRequest, markersVersion, onCommentAdded}) {
   return (
     <>
         {project.videos.length > 0 && (
           <div className="my-10">
             <h2 className="text-xl font-bold mb-5">Project Videos</h2>
             <div className="flex flex-wrap">
-              {project.videos.map((video, index) => (
-                <video
-                  key={index}
-                  src={video}
-                  controls
-                  alt={`Project Video ${index + 1}`}
-                  className="w-full h-96 mb-4"
-                />
+              {project.videos.map((video) => (
+                <div key={video._id} className="w-full mb-4">
+                  <VideoNotes
+                    video={video}
+                    projectId={project._id}
+                    seekRequest={seekRequest}
+                    markersVersion={markersVersion}
+                    onCommentAdded={onCommentAdded}
+                  />
+                  <div className="flex items-center gap-3 mt-2">
+                    <p className="font-semibold">{video.title}</p>
+                    {video.duration > 0 && (
+                      <span className="text-xs text-gray-600">
+                        {formatTime(video.duration)}
+                      </span>
+                    )}
+                    {["pending", "processing"].includes(video.processingStatus) && (
+                      <span className="text-xs text-gray-600 bg-gray-200 px-2 py-1 rounded">
+                        Optimizing for streaming...
+                      </span>
+                    )}
+                  </div>
+                </div>
               ))}
             </div>
           </div>
@@ -23,4 +40,4 @@ function Videos({project}) {
   )
 }
 
-export default Videos
\ No newline at end of file
+export default Videos
@@ -1,43 +1,148 @@
-import React, { useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import { useForm } from "react-hook-form";
 import axios from "axios";
-import { USER_ENDPOINTS } from "../../../services/apiService";
+import { useParams } from "react-router-dom";
+import { useDispatch } from "react-redux";
+import { USER_ENDPOINTS, JOB_ENDPOINTS, PROJECT_ENDPOINTS } from "../../../services/apiService";
+import { uploadFileInChunks, forgetUpload } from "../../../api/uploadApi";
+import { fetchProjects } from "../../../redux/projects/projectsThunks";
 import MainDetails from "./MainDetails";
 import OptionalDetails from "./OptionalDetails";
 import FilesDetails from "./FilesDetails";
+import ExistingMedia from "./ExistingMedia";
 import { IoArrowBackCircleSharp } from "react-icons/io5";
 import { GrFormPrevious, GrFormNext } from "react-icons/gr";
 
-function AddProjectCard({ setShowAddProject }) {
+// Adds a project, or edits `project` when one is given. Editing has an extra
+// step for reordering and removing the media the project already has.
+function AddProjectCard({ setShowAddProject, project = null }) {
+  const isEditing = Boolean(project);
+  const stepCount = isEditing ? 4 : 3;
+  const heading = isEditing ? "Edit Project" : "Add Project";
+  const submitLabel = isEditing ? "Save Changes" : "Add Project";
+  const submittingLabel = isEditing ? "Saving..." : "Adding...";
+  const { username } = useParams();
+  const dispatch = useDispatch();
   const [currentStep, setCurrentStep] = useState(1);
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [mediaStatus, setMediaStatus] = useState(null);
+  const [uploadProgress, setUploadProgress] = useState({});
+  const [media, setMedia] = useState(null);
+  const pollTimer = useRef(null);
+
+  useEffect(() => () => clearTimeout(pollTimer.current), []);
+
+  // The project list only has video ids, the project page has titles and thumbnails
+  useEffect(() => {
+    if (!project) return;
+
+    const fetchMedia = async () => {
+      try {
+        const response = await axios.get(
+          USER_ENDPOINTS.FETCH_PROJECT.replace(":username", username).replace(
+            ":projectName",
+            encodeURIComponent(project.slug || project.name)
+          ),
+          { withCredentials: true }
+        );
+        const { images, videos, thumbnail } = response.data.data;
+        setMedia({ images, videos, thumbnail, removeThumbnail: false });
+      } catch (error) {
+        console.error("Error fetching project media:", error);
+      }
+    };
+
+    fetchMedia();
+  }, [project, username]);
 
   const {
     register,
     handleSubmit,
+    watch,
     formState: { errors },
-  } = useForm();
+  } = useForm({
+    defaultValues: project
+      ? {
+          name: project.name,
+          url: project.url,
+          description: project.description,
+          domain: project.domain,
+          techStack: project.techStack.join(", "),
+        }
+      : {},
+  });
 
   const clickBackButton = () => {
     setShowAddProject(false);
   };
 
+  // Uploaded files are processed in the background; follow the job until it settles
+  const pollMediaJob = (jobId) => {
+    pollTimer.current = setTimeout(async () => {
+      try {
+        const response = await axios.get(
+          JOB_ENDPOINTS.FETCH_JOB.replace(":jobId", jobId),
+          { withCredentials: true }
+        );
+        const { status, lastError } = response.data.data;
+
+        if (status === "completed") {
+          setMediaStatus({ state: "ready", message: "Project media is ready" });
+        } else if (status === "failed") {
+          setMediaStatus({
+            state: "failed",
+            message: `Processing media failed: ${lastError || "unknown error"}`,
+          });
+        } else {
+          pollMediaJob(jobId);
+        }
+      } catch (error) {
+        console.error("Error fetching job status:", error);
+        pollMediaJob(jobId);
+      }
+    }, 3000);
+  };
+
   const onSubmit = async (data) => {
     setIsSubmitting(true); // Set loading state to true
 
     const formData = new FormData();
 
     formData.append("name", data.name);
-    formData.append("repoId", data.repoId);
     formData.append("url", data.url);
     formData.append("description", data.description);
     formData.append("domain", data.domain);
     formData.append("techStack", data.techStack);
-    formData.append("stars", data.stars);
     formData.append("ownersUsernames", data.ownersUsernames);
 
-    for (let i = 0; i < data.videos.length; i++) {
-      formData.append("videos", data.videos[i]);
+    if (isEditing) {
+      if (media) {
+        formData.append("imageOrder", JSON.stringify(media.images));
+        formData.append("videoOrder", JSON.stringify(media.videos.map((video) => video._id)));
+        formData.append("removeThumbnail", String(media.removeThumbnail));
+      }
+    } else {
+      formData.append("repoId", data.repoId);
+      formData.append("stars", data.stars);
+    }
+
+    // Videos go through resumable chunked uploads before the project is created
+    const videos = Array.from(data.videos || []);
+    try {
+      const uploadIds = await Promise.all(
+        videos.map((video, index) =>
+          uploadFileInChunks(video, {
+            onProgress: (fraction) =>
+              setUploadProgress((prev) => ({ ...prev, [index]: fraction })),
+          })
+        )
+      );
+      uploadIds.forEach((uploadId) => formData.append("videoUploadIds", uploadId));
+    } catch (error) {
+      console.error("Error uploading videos:", error);
+      setMediaStatus({ state: "failed", message: "Uploading videos failed, try again to resume" });
+      setIsSubmitting(false);
+      return;
     }
 
     for (let i = 0; i < data.images.length; i++) {
@@ -49,22 +154,45 @@ function AddProjectCard({ setShowAddProject }) {
     }
 
     try {
-      const response = await axios.post(USER_ENDPOINTS.ADD_PROJECT, formData, {
+      const response = await axios({
+        method: isEditing ? "patch" : "post",
+        url: isEditing
+          ? PROJECT_ENDPOINTS.UPDATE_PROJECT.replace(":projectId", project._id)
+          : USER_ENDPOINTS.ADD_PROJECT,
+        data: formData,
         headers: {
           "Content-Type": "multipart/form-data",
         },
         withCredentials: true,
       });
-      console.log("Project added successfully:", response.data);
+      videos.forEach(forgetUpload);
+
+      const { jobId } = response.data.data;
+      if (jobId) {
+        setMediaStatus({
+          state: "processing",
+          message: `${response.data.message}...`,
+        });
+        pollMediaJob(jobId);
+      } else if (isEditing) {
+        setMediaStatus({ state: "ready", message: response.data.message });
+      }
+      if (isEditing) {
+        dispatch(fetchProjects(username));
+      }
     } catch (error) {
-      console.error("Error adding project:", error);
+      console.error("Error saving project:", error);
+      setMediaStatus({
+        state: "failed",
+        message: error.response?.data?.message || "Could not save the project",
+      });
     } finally {
       setIsSubmitting(false); // Set loading state to false
     }
   };
 
   const clickNextStep = () => {
-    setCurrentStep((prevStep) => Math.min(prevStep + 1, 3)); 
+    setCurrentStep((prevStep) => Math.min(prevStep + 1, stepCount));
   };
 
   const clickPrevStep = () => {
@@ -85,12 +213,25 @@ function AddProjectCard({ setShowAddProject }) {
           className="flex flex-col w-full p-5 gap-5 h-[33rem] relative"
         >
           {currentStep === 1 && (
-            <MainDetails register={register} errors={errors} />
+            <MainDetails register={register} errors={errors} heading={heading} />
           )}
           {currentStep === 2 && (
-            <OptionalDetails register={register} errors={errors} />
+            <OptionalDetails register={register} errors={errors} heading={heading} />
           )}
-          {currentStep === 3 && <FilesDetails register={register} />}
+          {currentStep === 3 && (
+            <FilesDetails
+              register={register}
+              videoFiles={watch("videos")}
+              uploadProgress={uploadProgress}
+              heading={isEditing ? "Add Media" : heading}
+            />
+          )}
+          {currentStep === 4 &&
+            (media ? (
+              <ExistingMedia media={media} onChange={setMedia} />
+            ) : (
+              <p>Loading...</p>
+            ))}
 
           <div className="flex justify-between mt-4">
             <button
@@ -101,7 +242,7 @@ function AddProjectCard({ setShowAddProject }) {
             >
               <GrFormPrevious />
             </button>
-            {currentStep < 3 ? (
+            {currentStep < stepCount ? (
               <button
                 type="button"
                 onClick={(e) => {
@@ -119,30 +260,33 @@ function AddProjectCard({ setShowAddProject }) {
                 disabled={isSubmitting}
                 className="border-2 rounded px-5 py-2 bg-button-red hover:bg-home-white hover:text-button-red hover:border-button-red z-30 transition-colors duration-300 ease-in-out text-home-white"
               >
-                {isSubmitting ? "Adding..." : "Add Project"}
+                {isSubmitting ? submittingLabel : submitLabel}
               </button>
             )}
           </div>
 
           <div className="flex w-full justify-center gap-5 items-center mt-4 absolute bottom-4 ">
-            <div
-              className={`rounded-full w-3 h-3 border border-black ${
-                currentStep === 1 ? "bg-button-red" : ""
-              }`}
-            ></div>
-            <div
-              className={`rounded-full w-3 h-3 border border-black ${
-                currentStep === 2 ? "bg-button-red" : ""
-              }`}
-            ></div>
-            <div
-              className={`rounded-full w-3 h-3 border border-black ${
-                currentStep === 3 ? "bg-button-red" : ""
-              }`}
-            ></div>
+            {Array.from({ length: stepCount }, (_, index) => (
+              <div
+                key={index}
+                className={`rounded-full w-3 h-3 border border-black ${
+                  currentStep === index + 1 ? "bg-button-red" : ""
+                }`}
+              ></div>
+            ))}
           </div>
         </form>
 
+        {mediaStatus && (
+          <p
+            className={`text-sm mt-2 ${
+              mediaStatus.state === "failed" ? "text-button-red" : "text-text-blue"
+            }`}
+          >
+            {mediaStatus.message}
+          </p>
+        )}
+
         {/* Loading spinner */}
         {isSubmitting && (
           <div className="absolute inset-0 flex justify-center items-center bg-gray-600 bg-opacity-50 z-20">
@@ -0,0 +1,97 @@
+import React from "react";
+import { GrFormUp, GrFormDown } from "react-icons/gr";
+import { MdOutlineDeleteOutline } from "react-icons/md";
+
+// Moves the item at `index` one place up (-1) or down (+1)
+const move = (list, index, step) => {
+  const target = index + step;
+  if (target < 0 || target >= list.length) return list;
+
+  const next = [...list];
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+};
+
+function MediaList({ title, items, onChange, renderItem }) {
+  return (
+    <div className="w-full">
+      <p className="text-home-black mb-2">{title}</p>
+      {items.length === 0 && <p className="text-sm text-gray-600">None left</p>}
+      <ul className="flex flex-col gap-2">
+        {items.map((item, index) => (
+          <li key={item._id || item} className="flex items-center gap-2 border rounded p-1">
+            <div className="flex-1 flex items-center gap-2 min-w-0">{renderItem(item)}</div>
+            <button
+              type="button"
+              title="Move up"
+              disabled={index === 0}
+              onClick={() => onChange(move(items, index, -1))}
+              className="disabled:opacity-30"
+            >
+              <GrFormUp />
+            </button>
+            <button
+              type="button"
+              title="Move down"
+              disabled={index === items.length - 1}
+              onClick={() => onChange(move(items, index, 1))}
+              className="disabled:opacity-30"
+            >
+              <GrFormDown />
+            </button>
+            <button
+              type="button"
+              title="Remove"
+              onClick={() => onChange(items.filter((_, i) => i !== index))}
+              className="text-button-red"
+            >
+              <MdOutlineDeleteOutline />
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+// The images and videos a project already has, to reorder or remove while editing.
+// Nothing is deleted until the form is submitted.
+const ExistingMedia = ({ media, onChange }) => (
+  <div className="flex flex-col w-full gap-4 p-2 overflow-y-auto">
+    <h1 className="text-3xl font-semibold text-text-blue mb-2 text-center">
+      Current Media
+    </h1>
+    {media.thumbnail && (
+      <label className="flex items-center gap-2">
+        <img src={media.thumbnail} alt="" className="h-10 rounded" />
+        <input
+          type="checkbox"
+          checked={media.removeThumbnail}
+          onChange={(e) => onChange({ ...media, removeThumbnail: e.target.checked })}
+        />
+        Remove thumbnail
+      </label>
+    )}
+    <div className="flex gap-4">
+      <MediaList
+        title="Images"
+        items={media.images}
+        onChange={(images) => onChange({ ...media, images })}
+        renderItem={(url) => <img src={url} alt="" className="h-10 rounded" />}
+      />
+      <MediaList
+        title="Videos"
+        items={media.videos}
+        onChange={(videos) => onChange({ ...media, videos })}
+        renderItem={(video) => (
+          <>
+            {video.thumbnail && <img src={video.thumbnail} alt="" className="h-10 rounded" />}
+            <span className="truncate text-sm">{video.title}</span>
+          </>
+        )}
+      />
+    </div>
+  </div>
+);
+
+export default ExistingMedia;
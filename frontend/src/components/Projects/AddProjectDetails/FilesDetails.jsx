@@ -1,9 +1,9 @@
 import React from "react";
 
-const FilesDetails = ({ register }) => (
+const FilesDetails = ({ register, videoFiles, uploadProgress = {}, heading = "Add Project" }) => (
   <div className="flex flex-wrap w-full gap-4 items-center justify-evenly p-2">
     <h1 className="text-3xl font-semibold text-text-blue mb-6 text-center">
-      Add Project
+      {heading}
     </h1>
     <div className="w-full flex gap-4">
       <div className="w-1/2">
@@ -17,6 +17,20 @@ const FilesDetails = ({ register }) => (
           {...register("videos")}
           className="w-full px-3 py-2 shadow-sm border-2 shadow-text-blue rounded-lg focus:outline-none focus:border-text-blue"
         />
+        {Array.from(videoFiles || []).map((video, index) => (
+          <div key={`${video.name}-${index}`} className="mt-2 text-xs">
+            <div className="flex justify-between">
+              <span className="truncate">{video.name}</span>
+              <span>{Math.round((uploadProgress[index] || 0) * 100)}%</span>
+            </div>
+            <div className="w-full h-1 bg-gray-300 rounded">
+              <div
+                className="h-1 bg-button-red rounded transition-all"
+                style={{ width: `${(uploadProgress[index] || 0) * 100}%` }}
+              ></div>
+            </div>
+          </div>
+        ))}
       </div>
 
       <div className="w-1/2">
@@ -1,9 +1,9 @@
 import React from "react";
 
-const MainDetails = ({ register, errors }) => (
+const MainDetails = ({ register, errors, heading = "Add Project" }) => (
   <div className="flex flex-wrap w-full gap-4 items-center justify-center p-2 ">
     <h1 className="text-3xl font-semibold text-text-blue mb-6 text-center">
-      Add Project
+      {heading}
     </h1>
     <div className="w-full flex gap-4">
       <div className="w-1/2">
@@ -1,10 +1,10 @@
 import React from "react";
 
-const OptionalDetails = ({ register, errors }) => (
+const OptionalDetails = ({ register, errors, heading = "Add Project" }) => (
   <div className="flex flex-wrap w-full gap-4 items-center justify-center p-2">
     <h1 className="text-3xl font-semibold text-text-blue mb-6 text-center">
-          Add Project
-        </h1>
+      {heading}
+    </h1>
     <div className="w-full flex gap-4">
       <div className="w-full">
         <label className="block text-home-black mb-2" htmlFor="techStack">
@@ -43,18 +43,15 @@ const OptionalDetails = ({ register, errors }) => (
     <div className="w-full flex gap-4">
       <div className="w-full">
         <label className="block text-home-black mb-2" htmlFor="ownersUsernames">
-          Owner Usernames(comma seperated)
+          Invite Co-owners(comma separated usernames)
         </label>
         <input
           type="text"
           id="ownersUsernames"
-          placeholder="Owner Usernames(comma separated)"
-          {...register("ownersUsernames", { required: true })}
+          placeholder="Co-owner Usernames(optional, they have to accept)"
+          {...register("ownersUsernames")}
           className="w-full px-3 py-2 shadow-sm border-2 shadow-text-blue rounded-lg focus:outline-none focus:border-text-blue"
         />
-        {errors.ownersUsernames && (
-          <span className="text-red-500">Owner Usernames is required</span>
-        )}
       </div>
     </div>
 
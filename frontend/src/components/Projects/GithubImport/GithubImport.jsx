@@ -0,0 +1,221 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { Link, useParams } from "react-router-dom";
+import { useDispatch } from "react-redux";
+import { IoArrowBackCircleSharp } from "react-icons/io5";
+import { GITHUB_ENDPOINTS } from "../../../services/apiService";
+import { fetchProjects } from "../../../redux/projects/projectsThunks";
+import projectPath from "../../../utils/projectPath";
+
+// Lists the user's GitHub repositories and imports the selected ones as
+// projects. Each selected repository can get a domain, and its name,
+// description and tech stack can be changed before importing.
+function GithubImport({ setShowGithubImport }) {
+  const { username } = useParams();
+  const dispatch = useDispatch();
+  const [repos, setRepos] = useState([]);
+  const [selected, setSelected] = useState({}); // repoId -> edited fields
+  const [showForks, setShowForks] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [importing, setImporting] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const loadRepos = async () => {
+    try {
+      setError(null);
+      const response = await axios.get(GITHUB_ENDPOINTS.FETCH_REPOS, {
+        withCredentials: true,
+      });
+      setRepos(response.data.data.repos);
+    } catch (error) {
+      console.error("Error fetching GitHub repositories:", error);
+      setError(error.response?.data?.message || "Could not load your GitHub repositories");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadRepos();
+  }, []);
+
+  const toggleRepo = (repo) => {
+    setSelected((current) => {
+      const { [repo.repoId]: removed, ...rest } = current;
+      return removed
+        ? rest
+        : {
+            ...current,
+            [repo.repoId]: {
+              name: repo.name,
+              description: repo.description,
+              domain: "",
+              techStack: repo.techStack.join(", "),
+            },
+          };
+    });
+  };
+
+  const updateSelected = (repoId, field, value) => {
+    setSelected((current) => ({
+      ...current,
+      [repoId]: { ...current[repoId], [field]: value },
+    }));
+  };
+
+  const handleImport = async () => {
+    setImporting(true);
+    setError(null);
+    setMessage(null);
+
+    // The tech stack is only sent when changed, so the server can fill it
+    // in from the repository's full language breakdown
+    const choices = repos
+      .filter((repo) => selected[repo.repoId])
+      .map((repo) => {
+        const { techStack, ...fields } = selected[repo.repoId];
+        return {
+          repoId: repo.repoId,
+          ...fields,
+          ...(techStack !== repo.techStack.join(", ") && { techStack }),
+        };
+      });
+
+    try {
+      const response = await axios.post(
+        GITHUB_ENDPOINTS.IMPORT_REPOS,
+        { repos: choices },
+        { withCredentials: true }
+      );
+      setMessage(response.data.message);
+      setSelected({});
+      dispatch(fetchProjects({ username, page: 1 }));
+      await loadRepos();
+    } catch (error) {
+      console.error("Error importing GitHub repositories:", error);
+      setError(error.response?.data?.message || "Could not import the repositories");
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const visibleRepos = repos.filter((repo) => showForks || !repo.fork);
+  const selectedCount = Object.keys(selected).length;
+
+  return (
+    <div className="flex w-full h-full justify-center items-center my-5">
+      <div className="flex flex-col w-3/5 border-2 rounded-md p-6 pt-14 gap-4 relative">
+        <button
+          className="w-10 h-10 rounded-full border-2 top-2 left-2 absolute text-button-red hover:bg-button-red hover:text-home-white transition-colors duration-300 ease-in-out"
+          onClick={() => setShowGithubImport(false)}
+        >
+          <IoArrowBackCircleSharp className="w-full h-full " />
+        </button>
+        <div className="flex items-end justify-between">
+          <h1 className="text-3xl font-bold text-text-blue">Import from GitHub</h1>
+          <label className="flex items-center gap-2 text-sm text-gray-600">
+            <input
+              type="checkbox"
+              checked={showForks}
+              onChange={(e) => setShowForks(e.target.checked)}
+            />
+            Show forks
+          </label>
+        </div>
+
+        {error && <p className="text-button-red">{error}</p>}
+        {message && <p className="text-green-700">{message}</p>}
+        {loading ? (
+          <p>Loading...</p>
+        ) : (
+          !error &&
+          visibleRepos.length === 0 && <p className="text-gray-600">No repositories to show.</p>
+        )}
+
+        <ul className="flex flex-col gap-2 max-h-[28rem] overflow-y-auto">
+          {visibleRepos.map((repo) => {
+            const edits = selected[repo.repoId];
+            return (
+              <li key={repo.repoId} className="border rounded-md p-3 flex flex-col gap-2">
+                <div className="flex items-start gap-3">
+                  <input
+                    type="checkbox"
+                    className="mt-1"
+                    checked={Boolean(edits)}
+                    disabled={Boolean(repo.importedProject)}
+                    onChange={() => toggleRepo(repo)}
+                  />
+                  <div className="flex flex-col flex-1">
+                    <span className="font-semibold">
+                      {repo.name}
+                      {repo.fork && <span className="ml-2 text-xs text-gray-500">fork</span>}
+                      {repo.archived && <span className="ml-2 text-xs text-gray-500">archived</span>}
+                    </span>
+                    {repo.description && (
+                      <span className="text-sm text-gray-600">{repo.description}</span>
+                    )}
+                    <span className="text-xs text-gray-500">
+                      {[repo.techStack.join(", "), repo.stars > 0 && `${repo.stars} stars`]
+                        .filter(Boolean)
+                        .join(" · ")}
+                    </span>
+                  </div>
+                  {repo.importedProject && (
+                    <Link
+                      to={projectPath(username, repo.importedProject)}
+                      className="text-sm text-text-blue hover:underline"
+                    >
+                      Imported
+                    </Link>
+                  )}
+                </div>
+
+                {edits && (
+                  <div className="grid grid-cols-2 gap-2 pl-7 text-sm">
+                    <input
+                      value={edits.name}
+                      onChange={(e) => updateSelected(repo.repoId, "name", e.target.value)}
+                      placeholder="Name"
+                      className="border rounded p-1"
+                    />
+                    <input
+                      value={edits.domain}
+                      onChange={(e) => updateSelected(repo.repoId, "domain", e.target.value)}
+                      placeholder="Domain, e.g. Web Development"
+                      className="border rounded p-1"
+                    />
+                    <input
+                      value={edits.techStack}
+                      onChange={(e) => updateSelected(repo.repoId, "techStack", e.target.value)}
+                      placeholder="Tech stack, comma separated"
+                      className="border rounded p-1"
+                    />
+                    <input
+                      value={edits.description}
+                      onChange={(e) => updateSelected(repo.repoId, "description", e.target.value)}
+                      placeholder="Description"
+                      className="border rounded p-1"
+                    />
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+
+        <button
+          className="self-end border-2 rounded px-5 py-2 bg-button-red hover:bg-home-white hover:text-button-red hover:border-button-red transition-colors duration-300 ease-in-out text-home-white disabled:opacity-50"
+          onClick={handleImport}
+          disabled={importing || selectedCount === 0}
+        >
+          {importing
+            ? "Importing..."
+            : `Import ${selectedCount || ""} ${selectedCount === 1 ? "repository" : "repositories"}`}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default GithubImport;
@@ -3,15 +3,27 @@ import TimeAgo from "javascript-time-ago";
 import en from "javascript-time-ago/locale/en";
 import { Link, useNavigate } from "react-router-dom";
 import { useParams } from "react-router-dom";
-import { MdOutlineDeleteOutline } from "react-icons/md";
+import { MdOutlineDeleteOutline, MdOutlineEdit } from "react-icons/md";
 import axios from "axios";
 import { USER_ENDPOINTS } from "../../../services/apiService";
 import ConfirmationPopup from "./ConfirmationPopup/ConfirmationPopup";
+import ReactStars from "react-stars";
+import WatchButton from "../../ProjectPage/Buttons/WatchButton";
+import projectPath from "../../../utils/projectPath";
 
 TimeAgo.addLocale(en);
 
-const CardDefault = ({ project, isUserAuthenticate }) => {
-  const { thumbnail, name, description, updatedAt, _id } = project;
+const CardDefault = ({ project, isUserAuthenticate, onEdit }) => {
+  const {
+    thumbnail,
+    name,
+    description,
+    updatedAt,
+    _id,
+    ratingAverage = 0,
+    ratingCount = 0,
+    userRating = null,
+  } = project;
   const { username } = useParams();
   const [authUsername, setAuthUsername] = useState("");
   const [timeAgo, setTimeAgo] = useState("");
@@ -39,7 +51,7 @@ const CardDefault = ({ project, isUserAuthenticate }) => {
   // }, []);
 
   const handleProjectClick = () => {
-    navigate(`${name}/`);
+    navigate(projectPath(username, project));
   };
 
   const handleProjectDelete = async () => {
@@ -57,7 +69,7 @@ const CardDefault = ({ project, isUserAuthenticate }) => {
       }
     } catch (error) {
       console.error("Error deleting project:", error);
-      alert("Failed to delete project");
+      alert(error.response?.data?.message || "Failed to delete project");
     }
   };
 
@@ -80,6 +92,21 @@ const CardDefault = ({ project, isUserAuthenticate }) => {
         <p className="text-black font-normal font-sans text-md">
           {description}
         </p>
+        <div className="flex items-center gap-2 text-sm">
+          <ReactStars
+            count={5}
+            size={18}
+            color2={"#ffd700"}
+            value={ratingAverage}
+            edit={false}
+          />
+          <span>
+            {ratingCount ? `${ratingAverage.toFixed(1)} (${ratingCount})` : "No ratings yet"}
+          </span>
+          {userRating !== null && (
+            <span className="text-gray-600">· You rated {userRating}</span>
+          )}
+        </div>
         <div className="flex justify-between items-center">
           <button
             className="text-black text-start bg-button-red hover:bg-home-white hover:border-button-red border-2 w-fit px-3 py-1"
@@ -87,6 +114,16 @@ const CardDefault = ({ project, isUserAuthenticate }) => {
           >
             Let's see the project!
           </button>
+          <WatchButton project={project} />
+          {isUserAuthenticate && ["admin", "editor"].includes(project.viewerRole) && (
+            <button
+              className="rounded text-black text-start text-3xl hover:bg-home-white hover:border-text-blue border-2 w-fit px-3 py-1"
+              title="Edit project"
+              onClick={() => onEdit(project)}
+            >
+              <MdOutlineEdit />
+            </button>
+          )}
           {isUserAuthenticate && (
             <button
               className="rounded text-black text-start text-3xl bg-red-500 hover:bg-home-white hover:border-red-500 border-2 w-fit px-3 py-1"
@@ -1,28 +1,31 @@
-import React, { useEffect, useState } from "react";
+import React from "react";
 import ReactPaginate from "react-paginate";
 import ProjectCards from "./ProjectCards";
 
-function PaginatedCards({ projectsPerPage, projects, handleAddProjectClick, isUserAuthenticate }) {
-  const [projectOffset, setProjectOffset] = useState(0);
-
+// The page of projects in the store, with page links that fetch other pages
+// from the server
+function PaginatedCards({
+  projects,
+  pagination,
+  onPageChange,
+  handleAddProjectClick,
+  handleEditProjectClick,
+  isUserAuthenticate,
+}) {
   if (!projects) {
     return null;
   }
 
-  const endOffset = projectOffset + projectsPerPage;
-  const currentProjects = projects.slice(projectOffset, endOffset);
-  const pageCount = Math.ceil(projects.length / projectsPerPage);
-
   const handlePageClick = (event) => {
-    const newOffset = (event.selected * projectsPerPage) % projects.length;
-    setProjectOffset(newOffset);
+    onPageChange(event.selected + 1);
   };
 
   return (
     <>
       <ProjectCards
-        currentProjects={currentProjects}
+        currentProjects={projects}
         handleAddProjectClick={handleAddProjectClick}
+        handleEditProjectClick={handleEditProjectClick}
         isUserAuthenticate={isUserAuthenticate}
       />
       <ReactPaginate
@@ -30,7 +33,8 @@ function PaginatedCards({ projectsPerPage, projects, handleAddProjectClick, isUs
         nextLabel="Next >"
         onPageChange={handlePageClick}
         pageRangeDisplayed={5}
-        pageCount={pageCount}
+        pageCount={pagination?.pages || 0}
+        forcePage={pagination?.page ? pagination.page - 1 : undefined}
         previousLabel="< Prev"
         renderOnZeroPageCount={null}
         containerClassName="flex text-xl w-2/5 justify-center gap-2"
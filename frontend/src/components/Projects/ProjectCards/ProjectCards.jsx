@@ -2,7 +2,12 @@ import React from "react";
 import CardDefault from "./CardDefault";
 import NoProjectCard from "../NoProjectCard/NoProjectCard";
 
-function ProjectCards({ currentProjects, handleAddProjectClick, isUserAuthenticate }) {
+function ProjectCards({
+  currentProjects,
+  handleAddProjectClick,
+  handleEditProjectClick,
+  isUserAuthenticate,
+}) {
   return (
     <div className="h-full w-full flex justify-center items-center p-2">
       <div className="w-full h-full flex flex-wrap justify-evenly">
@@ -11,7 +16,12 @@ function ProjectCards({ currentProjects, handleAddProjectClick, isUserAuthentica
         )}
         {currentProjects?.length > 0 &&
           currentProjects.map((project) => (
-            <CardDefault key={project._id} project={project} isUserAuthenticate={isUserAuthenticate}/>
+            <CardDefault
+              key={project._id}
+              project={project}
+              isUserAuthenticate={isUserAuthenticate}
+              onEdit={handleEditProjectClick}
+            />
           ))}
       </div>
     </div>
@@ -1,21 +1,52 @@
 import React, { useState } from "react";
 import AddProjectCard from "./AddProjectDetails/AddProjectCard";
+import GithubImport from "./GithubImport/GithubImport";
 import PaginatedCards from "./ProjectCards/PaginatedCards";
-import { useSelector } from "react-redux";
+import { useDispatch, useSelector } from "react-redux";
 import ScrollToTopButton from "./ScrollToTopButton/ScrollToTopButton";
 import useFetchAllData from "../../hooks/useFetchAllData.jsx";
+import { fetchProjects } from "../../redux/projects/projectsThunks";
+
+const SORT_OPTIONS = [
+  { value: "newest", label: "Newest" },
+  { value: "oldest", label: "Oldest" },
+  { value: "name", label: "Name" },
+  { value: "rating", label: "Top rated" },
+  { value: "stars", label: "Most starred" },
+];
 
 export default function Projects() {
   const [showAddProject, setShowAddProject] = useState(false);
+  const [editingProject, setEditingProject] = useState(null);
+  const [showGithubImport, setShowGithubImport] = useState(false);
 
+  const dispatch = useDispatch();
   const projects = useSelector((state) => state.projects?.projects);
+  const pagination = useSelector((state) => state.projects?.pagination);
+  const query = useSelector((state) => state.projects?.query);
   
-  const { loading, error, isUserAuthenticated } = useFetchAllData()
+  const { loading, error, isUserAuthenticated, username } = useFetchAllData()
   
   const handleAddProjectClick = () => {
+    setEditingProject(null);
+    setShowGithubImport(false);
     setShowAddProject(true);
   };
 
+  const handleEditProjectClick = (project) => {
+    setEditingProject(project);
+    setShowGithubImport(false);
+    setShowAddProject(true);
+  };
+
+  const handlePageChange = (page) => {
+    dispatch(fetchProjects({ username, page }));
+  };
+
+  const handleSortChange = (e) => {
+    dispatch(fetchProjects({ username, sort: e.target.value, page: 1 }));
+  };
+
 
   if (loading || projects === undefined) {
     return <p>Loading...</p>;
@@ -31,33 +62,62 @@ export default function Projects() {
       id="projects"
       className="h-full w-full bg-home-white flex flex-col items-center text-black relative p-5"
     >
-      {!projects|| projects.length == 0 || showAddProject ? (
+      {!projects|| projects.length == 0 || showAddProject || showGithubImport ? (
         <></>
       ) : (
-        <h1 className="text-4xl font-bold text-text-blue w-3/5 text-left ">
-          Projects
-        </h1>
+        <div className="w-3/5 flex justify-between items-end">
+          <h1 className="text-4xl font-bold text-text-blue text-left ">
+            Projects
+          </h1>
+          <select
+            value={query?.sort || "newest"}
+            onChange={handleSortChange}
+            className="px-2 py-1 border-2 rounded-lg text-text-blue bg-home-white focus:outline-none focus:border-text-blue"
+          >
+            {SORT_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
       )}
 
       <ScrollToTopButton />
 
-      {showAddProject ? (
-        <AddProjectCard setShowAddProject={setShowAddProject} />
+      {showGithubImport ? (
+        <GithubImport setShowGithubImport={setShowGithubImport} />
+      ) : showAddProject ? (
+        <AddProjectCard
+          key={editingProject?._id || "new"}
+          setShowAddProject={setShowAddProject}
+          project={editingProject}
+        />
       ) : (
         <PaginatedCards
-          projectsPerPage={5}
           projects={projects}
+          pagination={pagination}
+          onPageChange={handlePageChange}
           handleAddProjectClick={handleAddProjectClick}
+          handleEditProjectClick={handleEditProjectClick}
           isUserAuthenticate={isUserAuthenticated}
         />
       )}
-      {isUserAuthenticated && !showAddProject ? (
-        <button
-          className="fixed bottom-4 left-4 border-2 rounded px-5 py-2 bg-button-red hover:bg-home-white hover:text-button-red hover:border-button-red z-30 transition-colors duration-300 ease-in-out text-home-white"
-          onClick={handleAddProjectClick}
-        >
-          Add Project
-        </button>
+      {isUserAuthenticated && !showAddProject && !showGithubImport ? (
+        <div className="fixed bottom-4 left-4 flex gap-2 z-30">
+          <button
+            className="border-2 rounded px-5 py-2 bg-button-red hover:bg-home-white hover:text-button-red hover:border-button-red transition-colors duration-300 ease-in-out text-home-white"
+            onClick={handleAddProjectClick}
+          >
+            Add Project
+          </button>
+          <button
+            className="border-2 rounded px-5 py-2 border-button-red bg-home-white text-button-red hover:bg-button-red hover:text-home-white transition-colors duration-300 ease-in-out"
+            onClick={() => setShowGithubImport(true)}
+          >
+            Import from GitHub
+          </button>
+        </div>
       ) : (
         <></>
       )}
@@ -0,0 +1,97 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { useSelector } from "react-redux";
+import { SETTINGS_ENDPOINTS } from "../../services/apiService";
+
+const NOTIFICATION_OPTIONS = [
+  ["projectInvitation", "Someone invites me to co-own a project"],
+  ["invitationResponse", "Someone answers my invitation to co-own a project"],
+  ["ownerAdded", "Someone makes me the admin of a project"],
+  ["contactMessage", "Someone sends me a message through my contact page"],
+  ["newFollower", "Someone starts following me"],
+  ["projectComment", "Someone comments on one of my projects"],
+  ["commentReply", "Someone replies to one of my comments"],
+];
+
+function Settings() {
+  const authUser = useSelector((state) => state.auth?.user);
+  const [preferences, setPreferences] = useState(null);
+  const [message, setMessage] = useState("");
+
+  useEffect(() => {
+    if (!authUser) return;
+
+    const fetchPreferences = async () => {
+      try {
+        const response = await axios.get(
+          SETTINGS_ENDPOINTS.FETCH_NOTIFICATION_PREFERENCES,
+          { withCredentials: true }
+        );
+        setPreferences(response.data.data);
+      } catch (error) {
+        console.error("Error fetching notification preferences:", error);
+        setMessage("Could not load your notification preferences");
+      }
+    };
+
+    fetchPreferences();
+  }, [authUser]);
+
+  const handleToggle = async (type) => {
+    const enabled = !preferences[type];
+
+    try {
+      setMessage("");
+      setPreferences((current) => ({ ...current, [type]: enabled }));
+      const response = await axios.patch(
+        SETTINGS_ENDPOINTS.UPDATE_NOTIFICATION_PREFERENCES,
+        { [type]: enabled },
+        { withCredentials: true }
+      );
+      setPreferences(response.data.data);
+    } catch (error) {
+      console.error("Error updating notification preferences:", error);
+      setPreferences((current) => ({ ...current, [type]: !enabled }));
+      setMessage(error.response?.data?.message || "Could not save your preference");
+    }
+  };
+
+  if (!authUser) {
+    return <p className="p-5">Log in to change your settings.</p>;
+  }
+
+  return (
+    <div className="h-full w-full bg-home-white flex flex-col items-center text-black p-5">
+      <div className="w-3/5 flex flex-col gap-5">
+        <h1 className="text-4xl font-bold text-text-blue">Settings</h1>
+
+        <div>
+          <h2 className="text-xl font-bold mb-3">Notifications</h2>
+          <p className="text-sm text-gray-600 mb-3">Notify me in the app when:</p>
+          {!preferences ? (
+            <p>Loading...</p>
+          ) : (
+            <ul className="flex flex-col gap-2">
+              {NOTIFICATION_OPTIONS.map(([type, label]) => (
+                <li key={type}>
+                  <label className="flex items-center gap-3 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={preferences[type] !== false}
+                      onChange={() => handleToggle(type)}
+                      className="w-4 h-4 accent-button-red"
+                    />
+                    {label}
+                  </label>
+                </li>
+              ))}
+            </ul>
+          )}
+          {message && <p className="text-sm text-button-red mt-2">{message}</p>}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default Settings;
@@ -0,0 +1,152 @@
+import React, { useCallback, useEffect, useState } from "react";
+import axios from "axios";
+import TimeAgo from "javascript-time-ago";
+import en from "javascript-time-ago/locale/en";
+import { Link } from "react-router-dom";
+import { useSelector } from "react-redux";
+import { PROJECT_ENDPOINTS } from "../../services/apiService";
+import projectPath from "../../utils/projectPath";
+
+TimeAgo.addLocale(en);
+const timeAgo = new TimeAgo("en-US");
+
+function WatchedProject({ project, onUnwatch }) {
+  const owner = project.owners[0];
+  const { latestVideo, latestComment } = project;
+
+  return (
+    <div className="flex gap-5 border-b-2 py-5">
+      {project.thumbnail && (
+        <img className="w-1/4 rounded-md object-cover" src={project.thumbnail} alt="" />
+      )}
+      <div className="flex flex-col gap-2 w-full">
+        <div className="flex justify-between items-start">
+          <div>
+            {owner ? (
+              <Link
+                to={projectPath(owner.username, project)}
+                className="text-2xl font-bold hover:underline"
+              >
+                {project.name}
+              </Link>
+            ) : (
+              <h2 className="text-2xl font-bold">{project.name}</h2>
+            )}
+            <p className="text-sm text-gray-600">
+              by {project.owners.map((o) => o.fullname || o.username).join(", ")}
+            </p>
+          </div>
+          <button
+            className="text-sm border-2 rounded px-3 py-1 hover:border-button-red"
+            onClick={() => onUnwatch(project)}
+          >
+            Stop watching
+          </button>
+        </div>
+        <p className="text-xs text-white bg-text-blue p-1 w-fit">
+          Last activity {timeAgo.format(new Date(project.lastActivityAt))}
+        </p>
+        <ul className="text-sm flex flex-col gap-1">
+          {latestVideo && (
+            <li>
+              New video <span className="font-semibold">{latestVideo.title}</span>{" "}
+              {timeAgo.format(new Date(latestVideo.createdAt))}
+            </li>
+          )}
+          {latestComment && (
+            <li className="truncate">
+              Latest comment {timeAgo.format(new Date(latestComment.createdAt))}: &ldquo;
+              {latestComment.body}&rdquo;
+            </li>
+          )}
+          <li>
+            Project updated {timeAgo.format(new Date(project.updatedAt))}
+          </li>
+        </ul>
+      </div>
+    </div>
+  );
+}
+
+function Watching() {
+  const authUser = useSelector((state) => state.auth?.user);
+  const [projects, setProjects] = useState([]);
+  const [nextPage, setNextPage] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadProjects = useCallback(async (page) => {
+    try {
+      setError(null);
+      const response = await axios.get(PROJECT_ENDPOINTS.FETCH_WATCH_LIST, {
+        params: { page },
+        withCredentials: true,
+      });
+      const { docs, nextPage } = response.data.data;
+      setProjects((current) => (page === 1 ? docs : [...current, ...docs]));
+      setNextPage(nextPage);
+    } catch (error) {
+      console.error("Error fetching watch list:", error);
+      setError(error.response?.data?.message || "Could not load your watch list");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (authUser) {
+      loadProjects(1);
+    } else {
+      setLoading(false);
+    }
+  }, [authUser, loadProjects]);
+
+  const handleUnwatch = async (project) => {
+    try {
+      await axios.delete(
+        PROJECT_ENDPOINTS.UNWATCH_PROJECT.replace(":projectId", project._id),
+        { withCredentials: true }
+      );
+      setProjects((current) => current.filter((p) => p._id !== project._id));
+    } catch (error) {
+      console.error("Error updating watch list:", error);
+      alert(error.response?.data?.message || "Could not update your watch list");
+    }
+  };
+
+  if (loading) {
+    return <p>Loading...</p>;
+  }
+
+  if (!authUser) {
+    return <p className="p-5">Log in to see the projects you are watching.</p>;
+  }
+
+  return (
+    <div className="h-full w-full bg-home-white flex flex-col items-center text-black p-5">
+      <div className="w-3/5 flex flex-col">
+        <h1 className="text-4xl font-bold text-text-blue mb-5">Watching</h1>
+        {error && <p className="text-button-red">{error}</p>}
+        {!error && projects.length === 0 && (
+          <p className="text-gray-600">
+            You are not watching any projects yet. Use the Watch button on a project to
+            follow its updates here.
+          </p>
+        )}
+        {projects.map((project) => (
+          <WatchedProject key={project._id} project={project} onUnwatch={handleUnwatch} />
+        ))}
+        {nextPage && (
+          <button
+            className="mt-5 text-text-blue hover:underline"
+            onClick={() => loadProjects(nextPage)}
+          >
+            Load more
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Watching;
@@ -6,6 +6,7 @@ import { fetchGithub } from "../redux/github/githubThunks";
 import { fetchUserData } from "../redux/auth/authThunks";
 import { fetchProfileData } from "../redux/profile/profileThunks";
 import { fetchCertificates } from "../redux/certificates/certificatesThunks";
+import useRealtime from "./useRealtime";
 
 function useFetchAllData() {
   const { username } = useParams();
@@ -129,6 +130,19 @@ function useFetchAllData() {
     }
   }, [dispatch, username, certificates, fetchStatus.certificates]);
 
+  // Refetch whatever the server says changed on the open profile
+  useRealtime(userData?._id && `profile:${userData._id}`, ({ type }) => {
+    const refetch = {
+      "profile.updated": fetchProfileData,
+      "projects.changed": fetchProjects,
+      "certifications.changed": fetchCertificates,
+    }[type];
+
+    if (refetch) {
+      dispatch(refetch(username));
+    }
+  });
+
   // Check if all data has been fetched
   useEffect(() => {
     if (
@@ -0,0 +1,90 @@
+import { useEffect, useRef } from "react";
+import axios from "axios";
+import { ANALYTICS_ENDPOINTS } from "../services/apiService";
+
+const HEARTBEAT_MS = 10000;
+
+// Reports how much of a video was actually played, and how far in, so the
+// server can count views and build watch analytics
+function usePlaybackTelemetry(videoRef, videoId) {
+  const sessionId = useRef(crypto.randomUUID());
+  const watched = useRef(0);
+  const lastTime = useRef(0);
+
+  useEffect(() => {
+    const videoElement = videoRef.current;
+    if (!videoElement || !videoId) return;
+
+    const url = ANALYTICS_ENDPOINTS.RECORD_PLAYBACK.replace(":videoId", videoId);
+
+    const payload = () => {
+      const body = {
+        sessionId: sessionId.current,
+        position: videoElement.currentTime,
+        watched: watched.current,
+        duration: Number.isFinite(videoElement.duration) ? videoElement.duration : 0,
+      };
+      watched.current = 0;
+      return body;
+    };
+
+    const report = () => {
+      axios.post(url, payload(), { withCredentials: true }).catch((error) => {
+        console.error("Error recording playback:", error);
+      });
+    };
+
+    // Unloading pages cannot wait for a normal request
+    const reportOnExit = () => {
+      if (!watched.current) return;
+      navigator.sendBeacon(
+        url,
+        new Blob([JSON.stringify(payload())], { type: "application/json" })
+      );
+    };
+
+    // Only time that really played counts, seeking does not
+    const onTimeUpdate = () => {
+      const delta = videoElement.currentTime - lastTime.current;
+      if (!videoElement.paused && !videoElement.seeking && delta > 0 && delta < 2) {
+        watched.current += delta;
+      }
+      lastTime.current = videoElement.currentTime;
+    };
+
+    const onSeeked = () => {
+      lastTime.current = videoElement.currentTime;
+    };
+
+    let heartbeat = null;
+    const onPlay = () => {
+      report();
+      clearInterval(heartbeat);
+      heartbeat = setInterval(report, HEARTBEAT_MS);
+    };
+    const onStop = () => {
+      clearInterval(heartbeat);
+      report();
+    };
+
+    videoElement.addEventListener("timeupdate", onTimeUpdate);
+    videoElement.addEventListener("seeked", onSeeked);
+    videoElement.addEventListener("play", onPlay);
+    videoElement.addEventListener("pause", onStop);
+    videoElement.addEventListener("ended", onStop);
+    window.addEventListener("pagehide", reportOnExit);
+
+    return () => {
+      clearInterval(heartbeat);
+      reportOnExit();
+      videoElement.removeEventListener("timeupdate", onTimeUpdate);
+      videoElement.removeEventListener("seeked", onSeeked);
+      videoElement.removeEventListener("play", onPlay);
+      videoElement.removeEventListener("pause", onStop);
+      videoElement.removeEventListener("ended", onStop);
+      window.removeEventListener("pagehide", reportOnExit);
+    };
+  }, [videoRef, videoId]);
+}
+
+export default usePlaybackTelemetry;
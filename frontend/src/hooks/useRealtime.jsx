@@ -0,0 +1,17 @@
+import { useEffect, useRef } from "react";
+import { subscribe } from "../api/realtime";
+
+// Runs `handler` for every event pushed on `channel` while the component is
+// mounted. The latest handler is always used, so it may close over state.
+function useRealtime(channel, handler) {
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+
+  useEffect(() => {
+    if (!channel) return;
+
+    return subscribe(channel, (event) => handlerRef.current(event));
+  }, [channel]);
+}
+
+export default useRealtime;
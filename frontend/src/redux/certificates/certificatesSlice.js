@@ -2,7 +2,10 @@ import { createSlice } from "@reduxjs/toolkit";
 import { fetchCertificates } from "./certificatesThunks";
 
 const initialState = {
-    certificates: null,
+    certificates: null, // the page currently shown
+    pagination: null, // total, pages, page, limit, hasNextPage, nextCursor
+    username: null,
+    query: null, // page, limit, sort and filters of the last fetch
     isError: false,
     isLoading: false,
 };
@@ -17,14 +20,19 @@ const certificatesSlice = createSlice({
     });
 
     builder.addCase(fetchCertificates.fulfilled, (state, action) => {
-        state.certificates = action.payload;
+        const { username, query, docs, ...pagination } = action.payload;
+        state.certificates = docs;
+        state.pagination = pagination;
+        state.username = username;
+        state.query = query;
+        state.isError = false;
         state.isLoading = false;
     })
 
     builder.addCase(fetchCertificates.rejected, (state, action) => {
         console.error("Error while fetching certificates: ", action.payload);
         state.isLoading = false;
-        this.state.isError = true;
+        state.isError = true;
     })
   }
 });
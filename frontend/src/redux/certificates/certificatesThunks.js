@@ -2,16 +2,35 @@ import { createAsyncThunk } from "@reduxjs/toolkit";
 import { USER_ENDPOINTS } from "../../services/apiService";
 import axios from "axios";
 
+export const DEFAULT_CERTIFICATES_QUERY = { page: 1, limit: 10, sort: "newest", status: "" };
+
+// Fetches one page of a user's certifications; see fetchProjects for the
+// accepted arguments
 export const fetchCertificates = createAsyncThunk(
   "fetchCertificates",
-  async (username) => {
+  async (arg, { getState, rejectWithValue }) => {
+    const { username, ...params } = typeof arg === "string" ? { username: arg } : arg;
+    const current = getState().certificates;
+    const query = {
+      ...(current.username === username ? current.query : DEFAULT_CERTIFICATES_QUERY),
+      ...params,
+    };
+    const url = USER_ENDPOINTS.FETCH_CERTIFICATIONS.replace(":username", username);
+    const requestParams = () => ({ ...query, status: query.status || undefined });
+
     try {
-      const response = await axios.get(
-        USER_ENDPOINTS.FETCH_CERTIFICATIONS.replace(":username", username)
-      );
-      return response.data.data;
+      let response = await axios.get(url, { params: requestParams() });
+
+      const { docs, pages } = response.data.data;
+      if (docs.length === 0 && pages > 0 && query.page > pages) {
+        query.page = pages;
+        response = await axios.get(url, { params: requestParams() });
+      }
+
+      return { username, query, ...response.data.data };
     } catch (error) {
       console.error("Error fetching certifications:", error);
+      return rejectWithValue(error.response?.data?.message || error.message);
     }
   }
 );
@@ -10,7 +10,14 @@ const initialState = {
 const profileSlice = createSlice({
   name: "profile",
   initialState,
-  reducers: {},
+  reducers: {
+    // Merges fields that changed without refetching the whole profile
+    profileUpdated: (state, action) => {
+      if (state.profile) {
+        state.profile = { ...state.profile, ...action.payload };
+      }
+    },
+  },
   extraReducers: (builder) => {
     builder.addCase(fetchProfileData.pending, (state) => {
       state.isLoading = true;
@@ -29,4 +36,5 @@ const profileSlice = createSlice({
   },
 });
 
+export const { profileUpdated } = profileSlice.actions;
 export default profileSlice.reducer;
@@ -8,7 +8,8 @@ export const fetchProfileData = createAsyncThunk(
     try {
         // console.log("Username 2: ", username);
       const response = await axios.get(
-        PROFILE_ENDPOINTS.FETCH_USER_PROFILE.replace(":username", username)
+        PROFILE_ENDPOINTS.FETCH_USER_PROFILE.replace(":username", username),
+        { withCredentials: true }
       );
     //   console.log("Response in thunks: ", response);
       return response.data.data
@@ -2,7 +2,10 @@ import { createSlice } from "@reduxjs/toolkit";
 import { fetchProjects } from "./projectsThunks";
 
 const initialState = {
-    projects: null,
+    projects: null, // the page currently shown
+    pagination: null, // total, pages, page, limit, hasNextPage, nextCursor
+    username: null,
+    query: null, // page, limit, sort and filters of the last fetch
     isError: false,
     isLoading: false,
 };
@@ -17,14 +20,19 @@ const projectsSlice = createSlice({
     });
 
     builder.addCase(fetchProjects.fulfilled, (state, action) => {
-        state.projects = action.payload;
+        const { username, query, docs, ...pagination } = action.payload;
+        state.projects = docs;
+        state.pagination = pagination;
+        state.username = username;
+        state.query = query;
+        state.isError = false;
         state.isLoading = false;
     })
 
     builder.addCase(fetchProjects.rejected, (state, action) => {
         console.error("Error while fetching projects: ", action.payload);
         state.isLoading = false;
-        this.state.isError = true;
+        state.isError = true;
     })
   }
 });
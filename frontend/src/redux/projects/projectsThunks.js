@@ -2,13 +2,36 @@ import { createAsyncThunk } from "@reduxjs/toolkit";
 import { USER_ENDPOINTS } from "../../services/apiService";
 import axios from "axios";
 
-export const fetchProjects = createAsyncThunk("fetchProjects", async (username) => {
+export const DEFAULT_PROJECTS_QUERY = { page: 1, limit: 5, sort: "newest" };
+
+// Fetches one page of a user's projects. Takes a username, which refetches
+// the page and sort currently shown for that user, or { username, ...query }
+// to change them.
+export const fetchProjects = createAsyncThunk(
+  "fetchProjects",
+  async (arg, { getState, rejectWithValue }) => {
+    const { username, ...params } = typeof arg === "string" ? { username: arg } : arg;
+    const current = getState().projects;
+    const query = {
+      ...(current.username === username ? current.query : DEFAULT_PROJECTS_QUERY),
+      ...params,
+    };
+    const url = USER_ENDPOINTS.FETCH_USER_PROJECTS.replace(":username", username);
+
     try {
-        const response = await axios.get(
-          USER_ENDPOINTS.FETCH_USER_PROJECTS.replace(":username", username)
-        );
-        return response.data.data.projectObjects
-      } catch (error) {
-        console.error("Error fetching projects:", error);
+      let response = await axios.get(url, { params: query });
+
+      // The page shown may have emptied, e.g. after deleting its last project
+      const { docs, pages } = response.data.data;
+      if (docs.length === 0 && pages > 0 && query.page > pages) {
+        query.page = pages;
+        response = await axios.get(url, { params: query });
       }
-})
\ No newline at end of file
+
+      return { username, query, ...response.data.data };
+    } catch (error) {
+      console.error("Error fetching projects:", error);
+      return rejectWithValue(error.response?.data?.message || error.message);
+    }
+  }
+);
@@ -13,14 +13,133 @@ const USER_ENDPOINTS = {
   DELETE_PROJECT: `/api/v1/users/:username/projects/deleteProject`,
   ADD_CERTIFICATION: `/api/v1/users/:username/certifications/add-certificate`, //post
   FETCH_CERTIFICATIONS: `/api/v1/users/:username/certifications`, //get
+  UPDATE_CERTIFICATION: `/api/v1/users/:username/certifications/:certificationId`, //patch
   DELETE_CERTIFICATION: `/api/v1/users/:username/certifications/delete-certification`, //post
   ADD_RESUME: `/api/v1/users/:username/add-resume`, //post
   SEARCH: `/api/v1/users/search`, //get
+  FOLLOW_USER: `/api/v1/users/:username/follow`, // put
+  UNFOLLOW_USER: `/api/v1/users/:username/follow`, // delete
+  FETCH_FEED: `/api/v1/users/feed`, // get
 };
 
 const PROFILE_ENDPOINTS = {
   FETCH_USER_PROFILE: `/api/v1/profiles/:username`
 }
 
+// SETTINGS ENDPOINTS
+const SETTINGS_ENDPOINTS = {
+  FETCH_NOTIFICATION_PREFERENCES: `/api/v1/settings/notification-preferences`, // get
+  UPDATE_NOTIFICATION_PREFERENCES: `/api/v1/settings/notification-preferences`, // patch
+};
+
+// NOTIFICATION ENDPOINTS
+const NOTIFICATION_ENDPOINTS = {
+  FETCH_NOTIFICATIONS: `/api/v1/notifications`, // get
+  MARK_NOTIFICATION_READ: `/api/v1/notifications/:notificationId/read`, // patch
+  MARK_ALL_NOTIFICATIONS_READ: `/api/v1/notifications/read-all`, // post
+};
+
+// EVENT ENDPOINTS
+const EVENT_ENDPOINTS = {
+  STREAM_EVENTS: `/api/v1/events`, // get, Server-Sent Events
+};
+
+// VIDEO ENDPOINTS
+const VIDEO_ENDPOINTS = {
+  UPLOAD_VIDEO: `/api/v1/videos`, // post
+  FETCH_OWNER_VIDEOS: `/api/v1/videos/owner/:username`, // get
+  FETCH_VIDEO: `/api/v1/videos/:videoId`, // get
+  UPDATE_VIDEO: `/api/v1/videos/:videoId`, // patch
+  DELETE_VIDEO: `/api/v1/videos/:videoId`, // delete
+};
+
+// JOB ENDPOINTS
+const JOB_ENDPOINTS = {
+  FETCH_MY_JOBS: `/api/v1/jobs`, // get
+  FETCH_JOB: `/api/v1/jobs/:jobId`, // get
+};
+
+// UPLOAD ENDPOINTS (resumable, chunked)
+const UPLOAD_ENDPOINTS = {
+  CREATE_UPLOAD: `/api/v1/uploads`, // post
+  FETCH_UPLOAD: `/api/v1/uploads/:uploadId`, // get
+  UPLOAD_CHUNK: `/api/v1/uploads/:uploadId`, // patch
+  ABORT_UPLOAD: `/api/v1/uploads/:uploadId`, // delete
+};
+
+// PROJECT ENDPOINTS
+const PROJECT_ENDPOINTS = {
+  FETCH_PROJECT_RATING: `/api/v1/projects/:projectId/rating`, // get
+  RATE_PROJECT: `/api/v1/projects/:projectId/rating`, // put
+  REMOVE_PROJECT_RATING: `/api/v1/projects/:projectId/rating`, // delete
+  WATCH_PROJECT: `/api/v1/projects/:projectId/watch`, // put
+  UNWATCH_PROJECT: `/api/v1/projects/:projectId/watch`, // delete
+  FETCH_WATCH_LIST: `/api/v1/projects/watching`, // get
+  UPDATE_PROJECT: `/api/v1/projects/:projectId`, // patch, multipart
+  INVITE_OWNER: `/api/v1/projects/:projectId/invitations`, // post
+  FETCH_PROJECT_INVITATIONS: `/api/v1/projects/:projectId/invitations`, // get
+  UPDATE_OWNER_ROLE: `/api/v1/projects/:projectId/owners/:userId`, // patch
+  REMOVE_OWNER: `/api/v1/projects/:projectId/owners/:userId`, // delete
+  LEAVE_PROJECT: `/api/v1/projects/:projectId/leave`, // post
+  TRANSFER_PROJECT: `/api/v1/projects/:projectId/transfer`, // post
+};
 
-export { USER_ENDPOINTS, PROFILE_ENDPOINTS };
+// INVITATION ENDPOINTS
+const INVITATION_ENDPOINTS = {
+  FETCH_INVITATIONS: `/api/v1/invitations`, // get
+  ACCEPT_INVITATION: `/api/v1/invitations/:invitationId/accept`, // post
+  DECLINE_INVITATION: `/api/v1/invitations/:invitationId/decline`, // post
+  CANCEL_INVITATION: `/api/v1/invitations/:invitationId`, // delete
+};
+
+// COMMENT ENDPOINTS
+const COMMENT_ENDPOINTS = {
+  FETCH_PROJECT_COMMENTS: `/api/v1/projects/:projectId/comments`, // get
+  ADD_COMMENT: `/api/v1/projects/:projectId/comments`, // post
+  FETCH_REPLIES: `/api/v1/comments/:commentId/replies`, // get
+  UPDATE_COMMENT: `/api/v1/comments/:commentId`, // patch
+  DELETE_COMMENT: `/api/v1/comments/:commentId`, // delete
+  MODERATE_COMMENT: `/api/v1/comments/:commentId/moderation`, // patch
+};
+
+// ANALYTICS ENDPOINTS
+const ANALYTICS_ENDPOINTS = {
+  RECORD_PLAYBACK: `/api/v1/analytics/videos/:videoId/playback`, // post
+  FETCH_VIDEO_ANALYTICS: `/api/v1/analytics/videos/:videoId`, // get
+  FETCH_PROJECT_ANALYTICS: `/api/v1/analytics/projects/:projectId`, // get
+};
+
+// SEARCH ENDPOINTS
+const SEARCH_ENDPOINTS = {
+  SEARCH: `/api/v1/search`, // get
+};
+// EXPLORE ENDPOINTS
+const EXPLORE_ENDPOINTS = {
+  FETCH_TRENDING: `/api/v1/explore/trending`, // get
+  FETCH_NEWEST: `/api/v1/explore/newest`, // get
+  FETCH_COLLECTIONS: `/api/v1/explore/collections`, // get
+};
+
+// GITHUB ENDPOINTS
+const GITHUB_ENDPOINTS = {
+  FETCH_REPOS: `/api/v1/github/repos`, // get
+  IMPORT_REPOS: `/api/v1/github/import`, // post
+};
+
+export {
+  USER_ENDPOINTS,
+  PROFILE_ENDPOINTS,
+  VIDEO_ENDPOINTS,
+  JOB_ENDPOINTS,
+  UPLOAD_ENDPOINTS,
+  ANALYTICS_ENDPOINTS,
+  PROJECT_ENDPOINTS,
+  COMMENT_ENDPOINTS,
+  SETTINGS_ENDPOINTS,
+  NOTIFICATION_ENDPOINTS,
+  EVENT_ENDPOINTS,
+  INVITATION_ENDPOINTS,
+  SEARCH_ENDPOINTS,
+  EXPLORE_ENDPOINTS,
+  GITHUB_ENDPOINTS,
+};
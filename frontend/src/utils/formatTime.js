@@ -0,0 +1,8 @@
+// Formats a playback position or duration in seconds as m:ss
+const formatTime = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  const rest = Math.floor(seconds % 60);
+  return `${minutes}:${String(rest).padStart(2, "0")}`;
+};
+
+export default formatTime;
@@ -0,0 +1,6 @@
+// Frontend path of a project page. Projects from before slugs existed are
+// found by name until they are given one.
+const projectPath = (username, project) =>
+  `/user/${username}/projects/${encodeURIComponent(project.slug || project.name)}`;
+
+export default projectPath;